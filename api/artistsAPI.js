@@ -0,0 +1,221 @@
+/**
+ * Artists API
+ * AI artist roster (src/artistManager.js)
+ */
+
+import express from 'express';
+import { ArtistService } from '../database/services.js';
+import { requireAuth, requirePermission } from './authMiddleware.js';
+import { documentRouter } from './openapi.js';
+import {
+  route,
+  parseListQuery,
+  listQueryParameters,
+  mergeSections,
+  actorFromRequest,
+  lazyInstance,
+  restError
+} from './restSupport.js';
+
+const router = express.Router();
+const routes = documentRouter(router, { tag: 'artists' });
+
+// Loaded on first use: the artist manager needs storage and AI credentials
+const getArtistManager = lazyInstance(async () => {
+  const { AIArtistManager } = await import('../src/artistManager.js');
+  return new AIArtistManager();
+});
+
+const ARTIST_STATUSES = ['created', 'active', 'inactive', 'retired', 'suspended'];
+const ARTIST_TYPES = ['ai_generated', 'ai_assisted', 'human_collab'];
+
+const ARTIST_LIST_QUERY = {
+  filters: {
+    name: 'text',
+    stageName: 'text',
+    genre: 'list',
+    language: 'string',
+    status: ARTIST_STATUSES,
+    type: ARTIST_TYPES,
+    minStreams: 'number',
+    createdBy: 'string'
+  },
+  sortFields: {
+    createdAt: 'createdAt',
+    stageName: 'identity.stageName',
+    streams: 'performance.totalStreams',
+    listeners: 'performance.monthlyListeners'
+  },
+  defaultSort: 'createdAt'
+};
+
+const text = { type: 'string', minLength: 1 };
+const stringList = { type: 'array', items: text };
+
+const IDENTITY_PROPERTIES = {
+  name: text,
+  stageName: text,
+  type: { enum: ARTIST_TYPES },
+  genre: { ...stringList, minItems: 1 },
+  subgenres: stringList,
+  language: { type: 'string', minLength: 2 },
+  country: { type: 'string', minLength: 2 }
+};
+
+const PERSONA_PROPERTIES = {
+  backstory: text,
+  personality: { type: 'string' },
+  visualStyle: text,
+  musicStyle: text,
+  voiceProfile: {
+    type: 'object',
+    required: ['type'],
+    additionalProperties: false,
+    properties: {
+      type: text,
+      range: { type: 'string' },
+      style: { type: 'string' },
+      characteristics: stringList,
+      modelId: { type: 'string' }
+    }
+  }
+};
+
+// Either preferences for an AI-generated persona, or a complete identity and persona
+const ARTIST_CREATE_SCHEMA = {
+  type: 'object',
+  anyOf: [{ required: ['preferences'] }, { required: ['identity', 'persona'] }],
+  properties: {
+    preferences: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        preferredName: text,
+        preferredGenre: text,
+        voiceProfile: text,
+        visualStyle: text
+      }
+    },
+    identity: {
+      type: 'object',
+      required: ['name', 'stageName', 'type', 'genre'],
+      additionalProperties: false,
+      properties: IDENTITY_PROPERTIES
+    },
+    persona: {
+      type: 'object',
+      required: ['backstory', 'visualStyle', 'musicStyle', 'voiceProfile'],
+      additionalProperties: false,
+      properties: PERSONA_PROPERTIES
+    },
+    musicGeneration: { type: 'object' }
+  }
+};
+
+const ARTIST_UPDATE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  anyOf: [{ required: ['identity'] }, { required: ['persona'] }, { required: ['status'] }],
+  properties: {
+    identity: { type: 'object', additionalProperties: false, properties: IDENTITY_PROPERTIES },
+    persona: { type: 'object', additionalProperties: false, properties: PERSONA_PROPERTIES },
+    status: { enum: ARTIST_STATUSES }
+  }
+};
+
+/**
+ * List artists
+ * GET /api/artists?genre=synthpop,reggae&status=active&sortBy=streams
+ */
+routes.get('/', {
+  summary: 'List artists',
+  query: listQueryParameters(ARTIST_LIST_QUERY),
+  responses: { 200: 'Artists with pagination', 400: 'Invalid query parameters' }
+}, requireAuth(), route(async (req, res) => {
+  const { filters, options } = parseListQuery(req.query, ARTIST_LIST_QUERY);
+  const artistManager = await getArtistManager();
+  const { artists, pagination } = await artistManager.listArtists(filters, options);
+
+  res.json({ success: true, artists, pagination });
+}));
+
+/**
+ * Roster statistics
+ */
+routes.get('/stats', {
+  summary: 'Roster statistics'
+}, requireAuth(), route(async (req, res) => {
+  const artistManager = await getArtistManager();
+  const stats = await artistManager.getArtistStats();
+
+  res.json({ success: true, stats });
+}));
+
+/**
+ * Get artist
+ */
+routes.get('/:artistId', {
+  summary: 'Get artist',
+  responses: { 200: 'Artist', 404: 'Artist not found' }
+}, requireAuth(), route(async (req, res) => {
+  const artistManager = await getArtistManager();
+  const artist = await artistManager.getArtistDetails(req.params.artistId);
+
+  res.json({ success: true, artist });
+}));
+
+/**
+ * Create artist
+ */
+routes.post('/', {
+  summary: 'Create artist from preferences or a full identity and persona',
+  body: ARTIST_CREATE_SCHEMA,
+  responses: { 201: 'Created artist' }
+}, requirePermission('create_artists'), route(async (req, res) => {
+  const { preferences, ...artistData } = req.body;
+  const artistManager = await getArtistManager();
+  const artist = await artistManager.createArtist(
+    artistData.identity ? artistData : preferences,
+    actorFromRequest(req)
+  );
+
+  res.status(201).json({ success: true, artist, message: `Created AI artist ${artist.identity.stageName}` });
+}));
+
+/**
+ * Update artist identity, persona or status (nested fields are merged)
+ */
+routes.patch('/:artistId', {
+  summary: 'Update artist identity, persona or status',
+  body: ARTIST_UPDATE_SCHEMA,
+  responses: { 200: 'Updated artist', 404: 'Artist not found' }
+}, requirePermission('create_artists'), route(async (req, res) => {
+  const current = await ArtistService.getArtistById(req.params.artistId);
+  if (!current) {
+    throw restError(`Artist not found: ${req.params.artistId}`, 'NOT_FOUND');
+  }
+
+  const artistManager = await getArtistManager();
+  const artist = await artistManager.updateArtist(
+    current.artistId,
+    mergeSections(current.toObject(), req.body),
+    actorFromRequest(req)
+  );
+
+  res.json({ success: true, artist, message: `Updated ${Object.keys(req.body).join(', ')}` });
+}));
+
+/**
+ * Activate artist for releases
+ */
+routes.post('/:artistId/activate', {
+  summary: 'Activate artist for releases',
+  responses: { 200: 'Active artist', 404: 'Artist not found' }
+}, requirePermission('create_artists'), route(async (req, res) => {
+  const artistManager = await getArtistManager();
+  const artist = await artistManager.activateArtist(req.params.artistId, actorFromRequest(req));
+
+  res.json({ success: true, artist, message: `${artist.identity.stageName} is active` });
+}));
+
+export default router;
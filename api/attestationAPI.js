@@ -8,23 +8,199 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import express from 'express';
-import { AttestationBox, AttestationManager, CONTRACT_TEMPLATES, ATTESTATION_KEY_RULES } from '../src/attestation.js';
-import MusicIdentitySDK from '../src/web3IdentitySDK.js';
+import { AttestationBox, AttestationManager, CONTRACT_TEMPLATES, PUBLISHED_TEMPLATE_VERSIONS, ATTESTATION_KEY_RULES } from '../src/attestation.js';
+import { createAttestationStore } from '../src/attestationStore.js';
+import { createTemplateRegistry, bumpVersion } from '../src/templateRegistry.js';
+import MusicIdentitySDK, { DERIVATION_PATHS, SIGNED_ACTION_SCHEMA } from '../src/web3IdentitySDK.js';
 import { User } from '../database/schemas.js';
 import { connectDatabase } from '../database/schemas.js';
+import { requireAuth, requirePermission } from './authMiddleware.js';
+import { documentRouter } from './openapi.js';
+import { webhookDispatcher } from './webhooksAPI.js';
+import { hashPayload } from '../src/canonicalJson.js';
 import crypto from 'crypto';
 
 const router = express.Router();
+const routes = documentRouter(router, { tag: 'attestation' });
 
-// In-memory storage for demo (use database in production)
-const attestationManager = new AttestationManager();
+// MongoDB-backed by default so collected signatures survive restarts (ATTESTATION_STORE=memory for demos)
+// Shared with the identity API's signed actions
+export const attestationManager = new AttestationManager({
+  store: createAttestationStore({ type: process.env.ATTESTATION_STORE || 'mongo' }),
+  templates: createTemplateRegistry({
+    type: process.env.ATTESTATION_STORE || 'mongo',
+    builtIns: CONTRACT_TEMPLATES,
+    publishedVersions: PUBLISHED_TEMPLATE_VERSIONS,
+    keyRules: ATTESTATION_KEY_RULES
+  }),
+  events: webhookDispatcher
+});
 
-/**
- * Get available contract templates
- */
-router.get('/templates', async (req, res) => {
+// Move drafts past their signing deadline to `expired` (ATTESTATION_EXPIRY_SWEEP_MS=0 disables)
+const expirySweepInterval = Number(process.env.ATTESTATION_EXPIRY_SWEEP_MS ?? 60 * 1000);
+if (expirySweepInterval > 0) {
+  attestationManager.startExpirySweeper(expirySweepInterval);
+}
+
+const LIFECYCLE_STATUSES = ['draft', 'finalized', 'expired', 'lapsed', 'revoked', 'superseded'];
+
+const ATTESTATION_ERROR_STATUS = {
+  ATTESTATION_NOT_A_SIGNER: 403,
+  ATTESTATION_CONFLICT: 409,
+  ATTESTATION_READ_ONLY: 409
+};
+
+const TEMPLATE_ERROR_STATUS = {
+  TEMPLATE_INVALID: 400,
+  TEMPLATE_NOT_FOUND: 404,
+  TEMPLATE_VERSION_CONFLICT: 409,
+  TEMPLATE_BUILTIN: 409
+};
+
+const text = { type: 'string', minLength: 1 };
+const isoDate = { type: 'string', format: 'date-time' };
+const semver = { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+' };
+
+// Template definition fields; the registry validates the definition as a whole (normalizeTemplate)
+const TEMPLATE_PROPERTIES = {
+  type: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$' },
+  version: semver,
+  description: { type: 'string' },
+  template: text,
+  required_fields: { type: 'array', items: text },
+  fields_schema: { type: 'object', description: 'JSON Schema for the contract fields' },
+  required_signatures: {
+    description: 'Signature policy: all_parties, a signer field, a count or a policy object (see signaturePolicy.js)'
+  },
+  key_type: { enum: Object.keys(DERIVATION_PATHS) },
+  signing_deadline_days: { type: 'number', exclusiveMinimum: 0 },
+  validity_days: { type: 'number', exclusiveMinimum: 0 }
+};
+
+const TEMPLATE_CREATE_SCHEMA = {
+  type: 'object',
+  required: ['type', 'template', 'key_type'],
+  properties: TEMPLATE_PROPERTIES
+};
+
+const TEMPLATE_VERSION_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...TEMPLATE_PROPERTIES,
+    bump: { enum: ['major', 'minor', 'patch'], description: 'Used when version is not given (default patch)' }
+  }
+};
+
+const FIELDS_SCHEMA = { type: 'object', description: "Contract fields, validated against the template's fields schema" };
+
+const ATTESTATION_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    templateVersion: { ...semver, description: 'Pin a template version (default: latest active)' },
+    subject: text,
+    signingDeadline: isoDate,
+    validUntil: isoDate,
+    validityDays: { type: 'number', exclusiveMinimum: 0 }
+  }
+};
+
+const CREATE_SCHEMA = {
+  type: 'object',
+  required: ['templateType'],
+  properties: {
+    templateType: text,
+    fields: FIELDS_SCHEMA,
+    options: ATTESTATION_OPTIONS_SCHEMA
+  }
+};
+
+const AMEND_SCHEMA = {
+  type: 'object',
+  required: ['fields'],
+  properties: {
+    fields: { ...FIELDS_SCHEMA, description: 'Changed contract fields' },
+    options: ATTESTATION_OPTIONS_SCHEMA
+  }
+};
+
+const SUPERSEDE_SCHEMA = {
+  type: 'object',
+  required: ['templateType', 'fields'],
+  properties: CREATE_SCHEMA.properties
+};
+
+const SIGNER_SCHEMA = {
+  type: 'object',
+  required: ['signedPayload'],
+  properties: {
+    signedPayload: SIGNED_ACTION_SCHEMA,
+    signerInfo: { type: 'object', description: 'Extra signer details recorded with the signature' }
+  }
+};
+
+// Withdrawal / revocation records are signed by the signer's wallet over
+// GET /:id/revocation-payload; the server only verifies them
+const WITHDRAW_SCHEMA = {
+  type: 'object',
+  required: ['signedPayload', 'signature', 'timestamp'],
+  properties: {
+    ...SIGNER_SCHEMA.properties,
+    signature: { ...text, description: 'DER hex ECDSA signature over the revocation payload hash' },
+    timestamp: { ...isoDate, description: 'Timestamp inside the signed revocation payload' }
+  }
+};
+
+const REVOKE_SCHEMA = {
+  type: 'object',
+  required: WITHDRAW_SCHEMA.required,
+  properties: {
+    ...WITHDRAW_SCHEMA.properties,
+    reason: { type: 'string' }
+  }
+};
+
+const REVOCATION_PAYLOAD_QUERY = {
+  type: { type: 'string', enum: ['signature_withdrawal', 'revocation_consent'] },
+  pubkey: text,
+  timestamp: isoDate,
+  reason: { type: 'string' }
+};
+
+const CREATE_AND_SIGN_SCHEMA = {
+  type: 'object',
+  required: ['templateType', 'fields', 'signerCredentials'],
+  properties: {
+    ...CREATE_SCHEMA.properties,
+    signerCredentials: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['identityAddress', 'signedPayload'],
+        properties: {
+          identityAddress: text,
+          signedPayload: SIGNED_ACTION_SCHEMA
+        }
+      }
+    }
+  }
+};
+
+const LIST_QUERY = {
+  status: { type: 'string', description: `${LIFECYCLE_STATUSES.join(' | ')} (other values match every unfinalized attestation)` },
+  templateType: { type: 'string' },
+  identityAddress: { type: 'string' },
+  deadlineBefore: isoDate,
+  deadlineAfter: isoDate,
+  validUntilBefore: isoDate,
+  validUntilAfter: isoDate,
+  expiringWithinDays: { type: 'number', minimum: 0, description: 'Drafts due or finalized attestations lapsing within this many days' }
+};
+
+routes.get('/templates', {
+  summary: 'List contract templates and key enforcement rules'
+}, async (req, res) => {
   try {
-    const templates = attestationManager.getAvailableTemplates();
+    const templates = await attestationManager.getAvailableTemplates();
     
     res.json({
       success: true,
@@ -40,39 +216,180 @@ router.get('/templates', async (req, res) => {
   }
 });
 
-/**
- * Create new attestation from template
- */
-router.post('/create', async (req, res) => {
+routes.post('/templates', {
+  summary: 'Register a contract template (or a new version of an existing one)',
+  body: TEMPLATE_CREATE_SCHEMA,
+  responses: {
+    201: 'Template published',
+    409: 'Version already exists or the type is built in'
+  }
+}, requirePermission('manage_rights'), async (req, res) => {
   try {
-    const { templateType, fields, options = {}, identityAddress } = req.body;
-    
-    if (!templateType) {
-      return res.status(400).json({
+    const { createdBy, ...definition } = req.body;
+    const template = await attestationManager.templates.saveTemplate({
+      version: '1.0.0',
+      ...definition
+    }, { createdBy: req.auth.identityAddress });
+
+    res.status(201).json({
+      success: true,
+      template,
+      message: `Template ${template.type}@${template.version} published`
+    });
+  } catch (error) {
+    res.status(TEMPLATE_ERROR_STATUS[error.code] || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
+  }
+});
+
+routes.get('/templates/:type', {
+  summary: 'Get the latest template version and the version list',
+  responses: { 200: 'Template', 404: 'Template not found' }
+}, async (req, res) => {
+  try {
+    const { type } = req.params;
+    const template = await attestationManager.templates.getTemplate(type);
+    if (!template) {
+      return res.status(404).json({
         success: false,
-        error: 'Template type required'
+        error: `Template not found: ${type}`
       });
     }
 
-    if (!CONTRACT_TEMPLATES[templateType]) {
-      return res.status(400).json({
+    const versions = await attestationManager.templates.listVersions(type);
+    res.json({
+      success: true,
+      template,
+      versions: versions.map(({ version, deprecated, builtin, template_hash }) => ({
+        version, deprecated, builtin, template_hash
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+routes.get('/templates/:type/versions/:version', {
+  summary: 'Get a pinned template version (including deprecated ones)',
+  responses: { 200: 'Template', 404: 'Template version not found' }
+}, async (req, res) => {
+  try {
+    const { type, version } = req.params;
+    const template = await attestationManager.templates.getTemplate(type, version);
+    if (!template) {
+      return res.status(404).json({
         success: false,
-        error: `Unknown template type: ${templateType}`,
-        available: Object.keys(CONTRACT_TEMPLATES)
+        error: `Template not found: ${type}@${version}`
       });
     }
 
-    // Validate user identity if provided
-    let user = null;
-    if (identityAddress) {
-      await connectDatabase();
-      user = await User.findOne({ 'cryptoIdentity.address': identityAddress });
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          error: 'User not found with this identity address'
-        });
-      }
+    res.json({ success: true, template });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+routes.put('/templates/:type', {
+  summary: 'Publish a new template version',
+  description: 'Omitted fields are carried over from the latest version; `bump` picks the next version when `version` is not given.',
+  body: TEMPLATE_VERSION_SCHEMA,
+  responses: {
+    200: 'Template version published',
+    404: 'Template not found',
+    409: 'Version already exists or the type is built in'
+  }
+}, requirePermission('manage_rights'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { createdBy, bump = 'patch', ...changes } = req.body;
+
+    const latest = (await attestationManager.templates.listVersions(type)).at(-1);
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        error: `Template not found: ${type}`
+      });
+    }
+
+    const template = await attestationManager.templates.saveTemplate({
+      description: latest.description,
+      template: latest.template,
+      required_fields: latest.required_fields,
+      fields_schema: latest.fields_schema,
+      required_signatures: latest.required_signatures,
+      key_type: latest.key_type,
+      signing_deadline_days: latest.signing_deadline_days,
+      validity_days: latest.validity_days,
+      ...changes,
+      type,
+      version: changes.version || bumpVersion(latest.version, bump)
+    }, { createdBy: req.auth.identityAddress });
+
+    res.json({
+      success: true,
+      template,
+      previous_version: latest.version,
+      message: `Template ${type}@${template.version} published; existing contracts stay pinned to their version`
+    });
+  } catch (error) {
+    res.status(TEMPLATE_ERROR_STATUS[error.code] || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
+  }
+});
+
+routes.delete('/templates/:type', {
+  summary: 'Deprecate template versions',
+  description: 'Deprecates all custom versions, or only `version`. Deprecated versions are kept so pinned contracts still render.',
+  query: { version: { ...semver, description: 'Only deprecate this version' } },
+  responses: { 200: 'Deprecated versions', 404: 'Template not found', 409: 'Built-in template' }
+}, requirePermission('manage_rights'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { version } = req.query;
+
+    const deprecated = await attestationManager.templates.deprecateTemplate(type, version || null);
+    res.json({
+      success: true,
+      type,
+      deprecated,
+      message: deprecated.length > 0
+        ? `Deprecated ${type} version(s) ${deprecated.join(', ')}`
+        : `No active custom versions of ${type} to deprecate`
+    });
+  } catch (error) {
+    res.status(TEMPLATE_ERROR_STATUS[error.code] || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+routes.post('/create', {
+  summary: 'Create an attestation from a template',
+  body: CREATE_SCHEMA,
+  responses: { 201: 'Attestation created with contract preview' }
+}, requireAuth(), async (req, res) => {
+  try {
+    const { templateType, fields, options = {} } = req.body;
+
+    if (!await attestationManager.templates.getTemplate(templateType, options.templateVersion || null)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown template type: ${templateType}${options.templateVersion ? `@${options.templateVersion}` : ''}`,
+        available: (await attestationManager.getAvailableTemplates()).map(template => template.type)
+      });
     }
 
     // Create attestation
@@ -87,13 +404,14 @@ router.post('/create', async (req, res) => {
         contract_hash: attestation.metadata.contract_hash,
         created: attestation.metadata.created,
         template_used: attestation.metadata.template_used,
-        required_key_type: CONTRACT_TEMPLATES[templateType].key_type,
+        template_version: attestation.payload.template_version,
+        required_key_type: attestation.payload.key_type,
         required_signatures: attestation.payload.required_signatures
       },
       contract_preview: attestation.getContractText(),
       next_steps: [
         'Share attestation ID with required signers',
-        `Each party signs with their ${CONTRACT_TEMPLATES[templateType].key_type} key`,
+        `Each party signs with their ${attestation.payload.key_type} key`,
         'Verify all signatures once complete'
       ]
     });
@@ -106,21 +424,27 @@ router.post('/create', async (req, res) => {
   }
 });
 
-/**
- * Get attestation details
- */
-router.get('/:id', async (req, res) => {
+routes.get('/:id', {
+  summary: 'Get attestation details, verification and version history',
+  responses: { 200: 'Attestation', 404: 'Attestation not found' }
+}, async (req, res) => {
   try {
     const { id } = req.params;
     
     const attestation = await attestationManager.loadAttestation(id);
+    const versionHistory = await attestationManager.getVersionHistory(id);
     
     res.json({
       success: true,
       attestation: attestation.export(),
       contract_text: attestation.getContractText(),
       verification: attestation.verifyAllSignatures(),
-      blockchain_hash: attestation.getAnchorHash()
+      blockchain_hash: attestation.getAnchorHash(),
+      status: attestation.getStatus(),
+      signing_deadline: attestation.metadata.signing_deadline || null,
+      valid_until: attestation.metadata.valid_until || null,
+      read_only: attestation.isReadOnly(),
+      version_history: versionHistory
     });
 
   } catch (error) {
@@ -131,83 +455,112 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-/**
- * Sign attestation with cryptographic key
- */
-router.post('/:id/sign', async (req, res) => {
+routes.post('/:id/amend', {
+  summary: 'Amend an attestation',
+  description: 'Same template with changed fields; every party signs the amendment.',
+  body: AMEND_SCHEMA,
+  responses: { 201: 'Amendment created', 403: 'Caller has not signed the attestation', 409: 'Attestation is read-only' }
+}, requireAuth(), async (req, res) => {
   try {
     const { id } = req.params;
-    const { signedPayload, identityAddress, signerInfo = {} } = req.body;
-    
-    if (!signedPayload || !identityAddress) {
+    const { fields, options = {} } = req.body;
+
+    if (Object.keys(fields).length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Signed payload and identity address required'
+        error: 'At least one changed field required'
       });
     }
 
-    await connectDatabase();
+    const requesterKeys = await getIdentityKeys(req.auth.identityAddress);
+    const amendment = await attestationManager.amendAttestation(id, fields, options, requesterKeys);
 
-    // Load attestation
-    const attestation = await attestationManager.loadAttestation(id);
-    
-    // Find user
-    const user = await User.findOne({
-      'cryptoIdentity.address': identityAddress
+    res.status(201).json({
+      success: true,
+      attestation: {
+        id: amendment.id,
+        amends: id,
+        version: amendment.metadata.chain_version,
+        contract_hash: amendment.metadata.contract_hash
+      },
+      contract_text: amendment.getContractText(),
+      message: `Amendment created. ${id} becomes read-only once all parties sign ${amendment.id}.`
     });
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
+  } catch (error) {
+    res.status(ATTESTATION_ERROR_STATUS[error.code] || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // Verify the signed payload using MusicIdentitySDK
-    const verification = MusicIdentitySDK.verifyActionSignature(
-      signedPayload,
-      signedPayload.publicKey
-    );
+routes.post('/:id/supersede', {
+  summary: 'Replace an attestation with a new contract',
+  body: SUPERSEDE_SCHEMA,
+  responses: { 201: 'Replacement created', 403: 'Caller has not signed the attestation', 409: 'Attestation is read-only' }
+}, requireAuth(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { templateType, fields, options = {} } = req.body;
 
-    if (!verification.valid) {
-      return res.status(401).json({
+    if (!await attestationManager.templates.getTemplate(templateType, options.templateVersion || null)) {
+      return res.status(400).json({
         success: false,
-        error: `Signature verification failed: ${verification.reason}`
+        error: `Unknown template type: ${templateType}${options.templateVersion ? `@${options.templateVersion}` : ''}`,
+        available: (await attestationManager.getAvailableTemplates()).map(template => template.type)
       });
     }
 
-    // Check that the public key belongs to the user
-    const keyType = verification.keyType || signerInfo.role;
-    const expectedPublicKey = user.cryptoIdentity.derivedKeys[keyType];
-    
-    if (signedPayload.publicKey !== expectedPublicKey) {
-      return res.status(401).json({
-        success: false,
-        error: 'Public key does not match user identity'
-      });
-    }
+    const requesterKeys = await getIdentityKeys(req.auth.identityAddress);
+    const replacement = await attestationManager.supersedeAttestation(id, templateType, fields, options, requesterKeys);
 
-    // Validate key type for attestation action
-    const requiredKeyType = ATTESTATION_KEY_RULES[attestation.action];
-    if (requiredKeyType && keyType !== requiredKeyType) {
-      return res.status(400).json({
+    res.status(201).json({
+      success: true,
+      attestation: {
+        id: replacement.id,
+        supersedes: id,
+        version: replacement.metadata.chain_version,
+        contract_hash: replacement.metadata.contract_hash
+      },
+      contract_text: replacement.getContractText(),
+      message: `Replacement created. ${id} becomes read-only once all parties sign ${replacement.id}.`
+    });
+
+  } catch (error) {
+    res.status(ATTESTATION_ERROR_STATUS[error.code] || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+routes.post('/:id/sign', {
+  summary: 'Sign an attestation with the key its action requires',
+  body: SIGNER_SCHEMA,
+  responses: {
+    200: 'Signature added',
+    401: 'Invalid signature or key not registered to the identity',
+    409: 'Already signed or attestation is read-only'
+  }
+}, requireAuth(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { signedPayload, signerInfo = {} } = req.body;
+    const { identityAddress } = req.auth;
+
+    // Load attestation
+    const attestation = await attestationManager.loadAttestation(id);
+
+    const signer = await authorizeSigner(attestation, { signedPayload, identityAddress, signerInfo });
+    if (signer.error) {
+      return res.status(signer.status).json({
         success: false,
-        error: `Action "${attestation.action}" requires "${requiredKeyType}" key, got "${keyType}"`
+        error: signer.error
       });
     }
 
-    // Extract private key from signed payload to create attestation signature
-    // Note: In production, this would be handled more securely
-    const privateKeyWIF = reconstructPrivateKeyForSigning(signedPayload, user, keyType);
-    
-    // Add signature to attestation
-    const signingInfo = {
-      role: keyType,
-      name: user.profile?.firstName + ' ' + user.profile?.lastName || 'Anonymous',
-      pubkey: signedPayload.publicKey,
-      derivation: `m/44'/236'/${getKeyTypeIndex(keyType)}'/0/0`,
-      ...signerInfo
-    };
+    const { privateKeyWIF, signingInfo } = signer;
 
     const result = await attestationManager.signAttestation(id, privateKeyWIF, signingInfo);
     
@@ -226,33 +579,165 @@ router.post('/:id/sign', async (req, res) => {
     });
 
   } catch (error) {
-    res.status(400).json({
+    res.status(ATTESTATION_ERROR_STATUS[error.code] || 400).json({
       success: false,
       error: error.message
     });
   }
 });
 
-/**
- * Verify attestation signatures
- */
-router.get('/:id/verify', async (req, res) => {
+routes.get('/:id/revocation-payload', {
+  summary: 'Payload a signer signs to withdraw or consent to revoke',
+  description: 'Sign messageHash with the key that signed the attestation and post the DER signature with the same timestamp.',
+  query: REVOCATION_PAYLOAD_QUERY,
+  responses: { 200: 'Payload and message hash', 400: 'Key has no active signature', 404: 'Attestation not found' }
+}, async (req, res) => {
+  let attestation;
+  try {
+    attestation = await attestationManager.loadAttestation(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+
+  const { type = 'signature_withdrawal', pubkey, timestamp = new Date().toISOString(), reason = '' } = req.query;
+  const signature = attestation.getActiveSignatures().find(sig => sig.pubkey === pubkey);
+  if (!signature) {
+    return res.status(400).json({ success: false, error: 'Key has no active signature on this attestation' });
+  }
+
+  const payload = attestation.getRevocationPayload({
+    type,
+    pubkey,
+    timestamp,
+    reason,
+    target_message_hash: signature.message_hash
+  });
+
+  res.json({
+    success: true,
+    payload,
+    messageHash: hashPayload(payload).toString('hex'),
+    timestamp
+  });
+});
+
+routes.post('/:id/withdraw', {
+  summary: 'Withdraw a signature before the attestation is finalized',
+  description: 'Body carries the wallet signature over GET /:id/revocation-payload (type=signature_withdrawal).',
+  body: WITHDRAW_SCHEMA,
+  responses: {
+    200: 'Signature withdrawn',
+    401: 'Invalid signature or key not registered to the identity',
+    409: 'Not signed or attestation is read-only'
+  }
+}, requireAuth(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { signedPayload, signerInfo = {}, signature, timestamp } = req.body;
+    const { identityAddress } = req.auth;
+
+    const attestation = await attestationManager.loadAttestation(id);
+    const signer = await authorizeSigner(attestation, { signedPayload, identityAddress, signerInfo });
+    if (signer.error) {
+      return res.status(signer.status).json({
+        success: false,
+        error: signer.error
+      });
+    }
+
+    const presigned = { pubkey: signedPayload.publicKey, signature, timestamp };
+    const result = await attestationManager.withdrawSignature(id, presigned, signer.signingInfo);
+
+    res.json({
+      success: true,
+      withdrawal: result.withdrawal,
+      signatures: result.signatures_count,
+      message: `↩️  Signature withdrawn. ${result.signatures_count} active signatures remain.`
+    });
+
+  } catch (error) {
+    res.status(ATTESTATION_ERROR_STATUS[error.code] || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+routes.post('/:id/revoke', {
+  summary: 'Consent to revoking a finalized attestation',
+  description: 'The attestation is revoked once every signer consents. Body carries the wallet signature over GET /:id/revocation-payload (type=revocation_consent).',
+  body: REVOKE_SCHEMA,
+  responses: {
+    200: 'Consent recorded',
+    401: 'Invalid signature or key not registered to the identity',
+    409: 'Already consented or attestation not finalized'
+  }
+}, requireAuth(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { signedPayload, signerInfo = {}, reason = '', signature, timestamp } = req.body;
+    const { identityAddress } = req.auth;
+
+    const attestation = await attestationManager.loadAttestation(id);
+    const signer = await authorizeSigner(attestation, { signedPayload, identityAddress, signerInfo });
+    if (signer.error) {
+      return res.status(signer.status).json({
+        success: false,
+        error: signer.error
+      });
+    }
+
+    const presigned = { pubkey: signedPayload.publicKey, signature, timestamp };
+    const result = await attestationManager.revokeAttestation(id, presigned, signer.signingInfo, reason);
+
+    res.json({
+      success: true,
+      revoked: result.revoked,
+      revocation: result.revocation,
+      message: result.revoked
+        ? '🚫 All signers consented. Attestation is revoked.'
+        : `✅ Revocation consent recorded. Waiting on ${result.revocation.pending.length} signer(s).`
+    });
+
+  } catch (error) {
+    res.status(ATTESTATION_ERROR_STATUS[error.code] || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+routes.get('/:id/verify', {
+  summary: 'Verify attestation signatures and contract text',
+  responses: { 200: 'Verification and legal status', 404: 'Attestation not found' }
+}, async (req, res) => {
   try {
     const { id } = req.params;
     
     const attestation = await attestationManager.loadAttestation(id);
     const verification = attestation.verifyAllSignatures();
+    const contractVerification = await attestationManager.verifyContractText(attestation);
+    const lifecycle = attestation.getStatus();
     
     res.json({
       success: true,
       attestation_id: id,
       verification,
       contract_hash: attestation.metadata.contract_hash,
+      contract_text_verification: contractVerification,
       blockchain_hash: attestation.getAnchorHash(),
-      status: verification.finalized ? 'FINALIZED' : 'PENDING_SIGNATURES',
-      legal_status: verification.all_valid && verification.finalized 
-        ? 'LEGALLY_BINDING' 
-        : 'DRAFT'
+      status: verification.revoked ? 'REVOKED' : verification.finalized ? 'FINALIZED' : 'PENDING_SIGNATURES',
+      lifecycle,
+      signing_deadline: attestation.metadata.signing_deadline || null,
+      valid_until: attestation.metadata.valid_until || null,
+      revocation: verification.revocation,
+      legal_status: verification.revoked
+        ? 'REVOKED'
+        : lifecycle === 'expired' || lifecycle === 'lapsed'
+          ? lifecycle.toUpperCase()
+          : verification.all_valid && verification.finalized 
+            ? 'LEGALLY_BINDING' 
+            : 'DRAFT'
     });
 
   } catch (error) {
@@ -263,25 +748,73 @@ router.get('/:id/verify', async (req, res) => {
   }
 });
 
-/**
- * List all attestations
- */
-router.get('/', async (req, res) => {
+routes.get('/', {
+  summary: 'List attestations',
+  query: LIST_QUERY,
+  responses: { 200: 'Attestations', 400: 'Invalid date or day filter' }
+}, async (req, res) => {
   try {
-    const { identityAddress, status, templateType } = req.query;
+    const {
+      identityAddress,
+      status,
+      templateType,
+      deadlineBefore,
+      deadlineAfter,
+      validUntilBefore,
+      validUntilAfter,
+      expiringWithinDays
+    } = req.query;
+
+    const dateFilters = { deadlineBefore, deadlineAfter, validUntilBefore, validUntilAfter };
+    for (const [name, value] of Object.entries(dateFilters)) {
+      if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: `${name} must be an ISO date`
+        });
+      }
+    }
+    if (expiringWithinDays !== undefined && !(Number(expiringWithinDays) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiringWithinDays must be a non-negative number'
+      });
+    }
     
-    let attestations = await attestationManager.listAttestations();
+    const now = new Date();
+    let attestations = await attestationManager.listAttestations(now);
     
     // Filter by criteria if provided
-    if (status) {
-      const isFinalized = status === 'finalized';
-      attestations = attestations.filter(a => a.finalized === isFinalized);
+    if (LIFECYCLE_STATUSES.includes(status)) {
+      attestations = attestations.filter(a => a.status === status);
+    } else if (status) {
+      // Legacy values (e.g. 'pending') match every unfinalized attestation
+      attestations = attestations.filter(a => !a.finalized);
     }
     
     if (templateType) {
       attestations = attestations.filter(a => a.action === templateType);
     }
 
+    // Deadline filters only match attestations that have the date
+    const within = (value, after, before) => value
+      && (!after || new Date(value) >= new Date(after))
+      && (!before || new Date(value) <= new Date(before));
+
+    if (deadlineBefore || deadlineAfter) {
+      attestations = attestations.filter(a => within(a.signing_deadline, deadlineAfter, deadlineBefore));
+    }
+    if (validUntilBefore || validUntilAfter) {
+      attestations = attestations.filter(a => within(a.valid_until, validUntilAfter, validUntilBefore));
+    }
+    if (expiringWithinDays !== undefined) {
+      const horizon = new Date(now.getTime() + Number(expiringWithinDays) * 24 * 60 * 60 * 1000).toISOString();
+      attestations = attestations.filter(a => (
+        (a.status === 'draft' && within(a.signing_deadline, now.toISOString(), horizon))
+        || (a.status === 'finalized' && within(a.valid_until, now.toISOString(), horizon))
+      ));
+    }
+
     // TODO: Filter by user involvement if identityAddress provided
     // This would require checking signature participants
     
@@ -289,7 +822,16 @@ router.get('/', async (req, res) => {
       success: true,
       count: attestations.length,
       attestations,
-      filters: { status, templateType, identityAddress }
+      filters: {
+        status,
+        templateType,
+        identityAddress,
+        deadlineBefore,
+        deadlineAfter,
+        validUntilBefore,
+        validUntilAfter,
+        expiringWithinDays
+      }
     });
 
   } catch (error) {
@@ -300,32 +842,19 @@ router.get('/', async (req, res) => {
   }
 });
 
-/**
- * Create attestation with API signing (all-in-one)
- */
-router.post('/create-and-sign', async (req, res) => {
+routes.post('/create-and-sign', {
+  summary: 'Create an attestation and sign it in one step',
+  body: CREATE_AND_SIGN_SCHEMA,
+  responses: { 201: 'Attestation created with per-signer results' }
+}, requireAuth(), async (req, res) => {
   try {
-    const { 
-      templateType, 
-      fields, 
-      signerCredentials,  // Array of { identityAddress, signedPayload }
+    const {
+      templateType,
+      fields,
+      signerCredentials,
       options = {}
     } = req.body;
 
-    if (!templateType || !fields) {
-      return res.status(400).json({
-        success: false,
-        error: 'Template type and fields required'
-      });
-    }
-
-    if (!signerCredentials || !Array.isArray(signerCredentials)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Signer credentials array required'
-      });
-    }
-
     await connectDatabase();
 
     // Create attestation
@@ -365,7 +894,7 @@ router.post('/create-and-sign', async (req, res) => {
         }
 
         // Add signature to attestation (simplified for API)
-        const keyType = verification.keyType || CONTRACT_TEMPLATES[templateType].key_type;
+        const keyType = verification.keyType || attestation.payload.key_type;
         const signingInfo = {
           role: keyType,
           name: user.profile?.firstName + ' ' + user.profile?.lastName || 'API User',
@@ -412,14 +941,23 @@ router.post('/create-and-sign', async (req, res) => {
   }
 });
 
-/**
- * Export attestation for blockchain anchoring
- */
-router.get('/:id/export', async (req, res) => {
+routes.get('/:id/export', {
+  summary: 'Export an attestation',
+  description: 'json: full export; blockchain: anchor data with OP_RETURN hex; bundle: detached self-verifying signature bundle.',
+  query: { format: { enum: ['json', 'blockchain', 'bundle'], default: 'json' } },
+  responses: { 200: 'Export', 404: 'Attestation not found' }
+}, async (req, res) => {
   try {
     const { id } = req.params;
     const { format = 'json' } = req.query;
     
+    if (format === 'bundle') {
+      // Detached, self-verifying bundle (verify offline: attestation verify-bundle <file>)
+      const bundle = await attestationManager.exportBundle(id);
+      res.setHeader('Content-Disposition', `attachment; filename="${id}.bundle.json"`);
+      return res.json(bundle);
+    }
+
     const attestation = await attestationManager.loadAttestation(id);
     
     if (format === 'blockchain') {
@@ -431,7 +969,14 @@ router.get('/:id/export', async (req, res) => {
           pubkey: sig.pubkey,
           signature: sig.signature
         })),
+        revocations: attestation.revocations.map(record => ({
+          type: record.type,
+          pubkey: record.pubkey,
+          signature: record.signature,
+          timestamp: record.timestamp
+        })),
         finalized: attestation.metadata.finalized,
+        revoked: Boolean(attestation.metadata.revoked),
         anchor_hash: attestation.getAnchorHash()
       };
       
@@ -476,6 +1021,78 @@ function getKeyTypeIndex(keyType) {
   return indices[keyType] || 0;
 }
 
+/**
+ * Resolve and check the identity behind a signed request against an attestation's key rules
+ * Returns { status, error } on failure or { user, keyType, privateKeyWIF, signingInfo }
+ */
+async function authorizeSigner(attestation, { signedPayload, identityAddress, signerInfo = {} }) {
+  if (!signedPayload || !identityAddress) {
+    return { status: 400, error: 'Signed payload and identity address required' };
+  }
+
+  await connectDatabase();
+
+  const user = await User.findOne({
+    'cryptoIdentity.address': identityAddress
+  });
+
+  if (!user) {
+    return { status: 404, error: 'User not found' };
+  }
+
+  // Verify the signed payload using MusicIdentitySDK
+  const verification = MusicIdentitySDK.verifyActionSignature(
+    signedPayload,
+    signedPayload.publicKey
+  );
+
+  if (!verification.valid) {
+    return { status: 401, error: `Signature verification failed: ${verification.reason}` };
+  }
+
+  // Check that the public key belongs to the user
+  const keyType = verification.keyType || signerInfo.role;
+  const expectedPublicKey = user.cryptoIdentity.derivedKeys[keyType];
+
+  if (signedPayload.publicKey !== expectedPublicKey) {
+    return { status: 401, error: 'Public key does not match user identity' };
+  }
+
+  // Validate key type for attestation action
+  const requiredKeyType = ATTESTATION_KEY_RULES[attestation.action];
+  if (requiredKeyType && keyType !== requiredKeyType) {
+    return { status: 400, error: `Action "${attestation.action}" requires "${requiredKeyType}" key, got "${keyType}"` };
+  }
+
+  return {
+    user,
+    keyType,
+    // Extract private key from signed payload to create attestation signature
+    // Note: In production, this would be handled more securely
+    privateKeyWIF: reconstructPrivateKeyForSigning(signedPayload, user, keyType),
+    signingInfo: {
+      role: keyType,
+      name: user.profile?.firstName + ' ' + user.profile?.lastName || 'Anonymous',
+      pubkey: signedPayload.publicKey,
+      derivation: `m/44'/236'/${getKeyTypeIndex(keyType)}'/0/0`,
+      ...signerInfo
+    }
+  };
+}
+
+/**
+ * Public keys registered to an identity (none when it has no account)
+ */
+async function getIdentityKeys(identityAddress) {
+  await connectDatabase();
+
+  const user = await User.findOne({ 'cryptoIdentity.address': identityAddress });
+  if (!user) {
+    return [];
+  }
+  return [user.cryptoIdentity.publicKey, ...Object.values(user.cryptoIdentity.derivedKeys || {})].filter(Boolean);
+}
+
 function reconstructPrivateKeyForSigning(signedPayload, user, keyType) {
   // In a real implementation, this would securely reconstruct or reference
   // the private key for signing. For demo purposes, we'll use a mock.
@@ -0,0 +1,111 @@
+/**
+ * Authentication Middleware
+ * Bearer access tokens issued by /api/identity/auth/verify, with role / permission checks
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { TokenService, createRevocationStore } from '../src/authTokens.js';
+import { hasPermission } from '../src/rolePermissions.js';
+
+// Shared by every router so a logout is seen everywhere (AUTH_TOKEN_STORE=memory for demos)
+export const tokenService = new TokenService({
+  store: createRevocationStore({ type: process.env.AUTH_TOKEN_STORE || 'mongo' })
+});
+
+export const AUTH_ERROR_STATUS = {
+  AUTH_INVALID_TOKEN: 401,
+  AUTH_TOKEN_EXPIRED: 401,
+  AUTH_TOKEN_REVOKED: 401,
+  AUTH_TOKEN_REUSED: 401,
+  AUTH_ACCOUNT_INACTIVE: 403
+};
+
+/**
+ * Bearer token from the Authorization header
+ */
+export function getBearerToken(req) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+/**
+ * Require a valid access token; sets req.auth = { userId, sessionId, identityAddress, role, permissions }
+ *
+ * A request body `identityAddress` must match the token: routes act for the
+ * authenticated identity, never one named by the client.
+ *
+ * @param {Object} options
+ * @param {string[]} options.permissions - Every permission required (admin_system grants all)
+ * @param {string[]} options.roles - Any one of these stored roles required
+ */
+export function requireAuth(options = {}) {
+  const { permissions = [], roles = [] } = options;
+
+  const middleware = async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authorization bearer token required'
+      });
+    }
+
+    let claims;
+    try {
+      claims = await tokenService.verify(token, 'access');
+    } catch (error) {
+      return res.status(AUTH_ERROR_STATUS[error.code] || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (roles.length > 0 && !roles.includes(claims.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `Requires role: ${roles.join(' or ')}`
+      });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(claims.permissions || [], permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: `Missing permission: ${missing.join(', ')}`
+      });
+    }
+
+    const claimedAddress = req.body?.identityAddress;
+    if (claimedAddress && claimedAddress !== claims.addr) {
+      return res.status(403).json({
+        success: false,
+        error: 'Identity address does not match the authenticated session'
+      });
+    }
+
+    req.auth = {
+      userId: claims.sub,
+      sessionId: claims.sid,
+      identityAddress: claims.addr,
+      role: claims.role,
+      permissions: claims.permissions || [],
+      claims
+    };
+    next();
+  };
+
+  // Read by documentRouter (openapi.js) to describe the route's security
+  middleware.requirements = { permissions, roles };
+  return middleware;
+}
+
+/**
+ * Shorthand for requireAuth({ permissions })
+ */
+export function requirePermission(...permissions) {
+  return requireAuth({ permissions });
+}
+
+export default requireAuth;
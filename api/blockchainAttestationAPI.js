@@ -8,51 +8,119 @@ dotenv.config();
 
 import express from 'express';
 import { BlockchainAttestationManager } from '../src/blockchainAudit.js';
-import { CONTRACT_TEMPLATES, ATTESTATION_KEY_RULES } from '../src/attestation.js';
-import MusicIdentitySDK from '../src/web3IdentitySDK.js';
+import { CONTRACT_TEMPLATES, PUBLISHED_TEMPLATE_VERSIONS, ATTESTATION_KEY_RULES } from '../src/attestation.js';
+import { createAttestationStore } from '../src/attestationStore.js';
+import { createTemplateRegistry } from '../src/templateRegistry.js';
+import MusicIdentitySDK, { SIGNED_ACTION_SCHEMA } from '../src/web3IdentitySDK.js';
 import { User } from '../database/schemas.js';
 import { connectDatabase } from '../database/schemas.js';
+import { requireAuth } from './authMiddleware.js';
+import { documentRouter } from './openapi.js';
+import { webhookDispatcher } from './webhooksAPI.js';
 
 const router = express.Router();
+const routes = documentRouter(router, { tag: 'blockchain_attestation' });
 
 // Enhanced manager with blockchain capabilities
 const blockchainManager = new BlockchainAttestationManager({
+  store: createAttestationStore({ type: process.env.ATTESTATION_STORE || 'mongo' }),
+  templates: createTemplateRegistry({
+    type: process.env.ATTESTATION_STORE || 'mongo',
+    builtIns: CONTRACT_TEMPLATES,
+    publishedVersions: PUBLISHED_TEMPLATE_VERSIONS,
+    keyRules: ATTESTATION_KEY_RULES
+  }),
   blockchain: {
     walletPath: './wallets/publishing-wallet.json',
     network: 'mainnet'
   },
   zkProof: {
-    circuitPath: './circuits/'
-  }
+    useDatabase: true
+  },
+  events: webhookDispatcher
 });
 
-/**
- * Create attestation with blockchain audit trail
- */
-router.post('/create-with-audit', async (req, res) => {
+// Stamp published audit events confirmed and send anchor.confirmed once mined (ANCHOR_CONFIRMATION_TRACK_MS=0 disables)
+const anchorTrackInterval = Number(process.env.ANCHOR_CONFIRMATION_TRACK_MS ?? 60 * 1000);
+if (anchorTrackInterval > 0) {
+  blockchainManager.auditTrail.startConfirmationTracker(anchorTrackInterval);
+}
+
+const PRIVACY_LEVELS = ['basic', 'financial', 'full_privacy'];
+
+const text = { type: 'string', minLength: 1 };
+
+const CREATE_SCHEMA = {
+  type: 'object',
+  required: ['templateType'],
+  properties: {
+    templateType: text,
+    fields: { type: 'object', description: "Contract fields, validated against the template's fields schema" },
+    options: {
+      type: 'object',
+      description: 'Same options as POST /api/attestation/create; the creator is the authenticated identity'
+    }
+  }
+};
+
+const SIGN_SCHEMA = {
+  type: 'object',
+  required: ['signedPayload'],
+  properties: {
+    signedPayload: SIGNED_ACTION_SCHEMA,
+    signerInfo: { type: 'object', description: 'Extra signer details recorded with the signature' }
+  }
+};
+
+const ZK_PROOF_SCHEMA = {
+  type: 'object',
+  properties: {
+    privacyLevel: { enum: PRIVACY_LEVELS },
+    claims: {
+      type: 'array',
+      description: 'Share claims to prove, e.g. { party: pubkey | name | index, min_percent: 25 }',
+      items: {
+        type: 'object',
+        required: ['party', 'min_percent'],
+        properties: {
+          party: { type: ['string', 'integer'] },
+          min_percent: { type: 'number' }
+        }
+      }
+    },
+    requesterAddress: { type: 'string', description: 'Must match the authenticated identity when given' }
+  }
+};
+
+const VERIFY_ZK_PROOF_SCHEMA = {
+  type: 'object',
+  required: ['proofId'],
+  properties: {
+    proofId: text,
+    challengeData: { description: 'Optional verifier challenge' },
+    verifierAddress: { type: 'string' }
+  }
+};
+
+routes.post('/create-with-audit', {
+  summary: 'Create an attestation with a blockchain audit trail',
+  body: CREATE_SCHEMA,
+  responses: { 201: 'Attestation created and creation event published', 404: 'User not found' }
+}, requireAuth(), async (req, res) => {
   try {
-    const { templateType, fields, options = {}, identityAddress } = req.body;
-    
-    if (!templateType) {
-      return res.status(400).json({
+    const { templateType, fields, options = {} } = req.body;
+    const { identityAddress } = req.auth;
+
+    // Creator is the authenticated identity
+    await connectDatabase();
+    const user = await User.findOne({ 'cryptoIdentity.address': identityAddress });
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        error: 'Template type required'
+        error: 'User not found with this identity address'
       });
     }
-
-    // Validate user identity if provided
-    let user = null;
-    if (identityAddress) {
-      await connectDatabase();
-      user = await User.findOne({ 'cryptoIdentity.address': identityAddress });
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          error: 'User not found with this identity address'
-        });
-      }
-      options.creator = user.profile?.firstName + ' ' + user.profile?.lastName;
-    }
+    options.creator = user.profile?.firstName + ' ' + user.profile?.lastName;
 
     // Create attestation with blockchain audit
     const attestation = await blockchainManager.createAttestation(templateType, fields, options);
@@ -88,20 +156,19 @@ router.post('/create-with-audit', async (req, res) => {
   }
 });
 
-/**
- * Sign attestation with blockchain audit
- */
-router.post('/:id/sign-with-audit', async (req, res) => {
+routes.post('/:id/sign-with-audit', {
+  summary: 'Sign an attestation and record the signature on chain',
+  body: SIGN_SCHEMA,
+  responses: {
+    200: 'Signature recorded with updated audit trail',
+    401: 'Invalid signature or key not registered to the identity',
+    404: 'User not found'
+  }
+}, requireAuth(), async (req, res) => {
   try {
     const { id } = req.params;
-    const { signedPayload, identityAddress, signerInfo = {} } = req.body;
-    
-    if (!signedPayload || !identityAddress) {
-      return res.status(400).json({
-        success: false,
-        error: 'Signed payload and identity address required'
-      });
-    }
+    const { signedPayload, signerInfo = {} } = req.body;
+    const { identityAddress } = req.auth;
 
     await connectDatabase();
 
@@ -132,6 +199,13 @@ router.post('/:id/sign-with-audit', async (req, res) => {
 
     // Extract signing info
     const keyType = verification.keyType || signerInfo.role;
+    if (signedPayload.publicKey !== user.cryptoIdentity.derivedKeys[keyType]) {
+      return res.status(401).json({
+        success: false,
+        error: 'Public key does not match user identity'
+      });
+    }
+
     const signingInfo = {
       role: keyType,
       name: user.profile?.firstName + ' ' + user.profile?.lastName || 'Anonymous',
@@ -170,10 +244,10 @@ router.post('/:id/sign-with-audit', async (req, res) => {
   }
 });
 
-/**
- * Get complete audit trail for attestation
- */
-router.get('/:id/audit-trail', async (req, res) => {
+routes.get('/:id/audit-trail', {
+  summary: 'Get the complete blockchain audit trail',
+  responses: { 200: 'Audit trail', 404: 'Attestation not found' }
+}, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -203,35 +277,30 @@ router.get('/:id/audit-trail', async (req, res) => {
   }
 });
 
-/**
- * Generate privacy-preserving zk-proof
- */
-router.post('/:id/generate-zk-proof', async (req, res) => {
+routes.post('/:id/generate-zk-proof', {
+  summary: 'Generate a privacy-preserving zk-proof',
+  body: ZK_PROOF_SCHEMA,
+  responses: { 200: 'Proof id, verification key and privacy summary' }
+}, requireAuth(), async (req, res) => {
   try {
     const { id } = req.params;
-    const { privacyLevel = 'basic', requesterAddress } = req.body;
-    
-    if (!['basic', 'financial', 'full_privacy'].includes(privacyLevel)) {
-      return res.status(400).json({
+    const { privacyLevel = 'basic', claims = [] } = req.body;
+    const requesterAddress = req.auth.identityAddress;
+
+    if (req.body.requesterAddress && req.body.requesterAddress !== requesterAddress) {
+      return res.status(403).json({
         success: false,
-        error: 'Invalid privacy level. Must be: basic, financial, or full_privacy'
+        error: 'Requester address does not match the authenticated session'
       });
     }
-
-    // Verify requester has access (simplified for demo)
-    if (requesterAddress) {
-      await connectDatabase();
-      const user = await User.findOne({ 'cryptoIdentity.address': requesterAddress });
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          error: 'Unauthorized: User not found'
-        });
-      }
-    }
+    
+    await connectDatabase();
 
     // Generate zk-proof
-    const proof = await blockchainManager.generatePrivacyProof(id, privacyLevel);
+    const proof = await blockchainManager.generatePrivacyProof(id, privacyLevel, {
+      claims,
+      actor: { userId: requesterAddress }
+    });
     const privacySummary = await blockchainManager.getPrivacySummary(id, privacyLevel);
     
     res.json({
@@ -246,7 +315,12 @@ router.post('/:id/generate-zk-proof', async (req, res) => {
         description: 'Proves contract validity without revealing sensitive data',
         privacy_level: privacyLevel,
         proved_facts: privacySummary.proved_facts,
-        verification_method: 'Zero-knowledge proof verification'
+        claims: proof.proof.claims.map(claim => ({
+          statement: claim.statement,
+          party: claim.party,
+          min_percent: claim.min_percent
+        })),
+        verification_method: 'Pedersen commitments with Schnorr/OR sigma proofs (secp256k1)'
       },
       usage_instructions: [
         'Share proof_id and verification_key with verifying party',
@@ -264,19 +338,14 @@ router.post('/:id/generate-zk-proof', async (req, res) => {
   }
 });
 
-/**
- * Verify zk-proof without accessing private data
- */
-router.post('/verify-zk-proof', async (req, res) => {
+routes.post('/verify-zk-proof', {
+  summary: 'Verify a zk-proof without access to private data',
+  body: VERIFY_ZK_PROOF_SCHEMA
+}, async (req, res) => {
   try {
     const { proofId, challengeData, verifierAddress } = req.body;
-    
-    if (!proofId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Proof ID required'
-      });
-    }
+
+    await connectDatabase();
 
     // Verify the zk-proof
     const verification = await blockchainManager.verifyPrivacyProof(proofId, challengeData);
@@ -305,10 +374,10 @@ router.post('/verify-zk-proof', async (req, res) => {
   }
 });
 
-/**
- * Get blockchain anchoring status
- */
-router.get('/:id/blockchain-status', async (req, res) => {
+routes.get('/:id/blockchain-status', {
+  summary: 'Get blockchain anchoring status',
+  responses: { 200: 'Anchoring status and transaction history', 404: 'Attestation not found' }
+}, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -358,10 +427,36 @@ router.get('/:id/blockchain-status', async (req, res) => {
   }
 });
 
-/**
- * Export attestation for legal compliance
- */
-router.get('/:id/legal-export', async (req, res) => {
+routes.get('/:id/bundle', {
+  summary: 'Download a self-verifying signature bundle with anchor txids',
+  responses: {
+    200: { description: 'Signature bundle (not an envelope)', schema: { type: 'object' } },
+    404: 'Attestation not found'
+  }
+}, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const bundle = await blockchainManager.exportBundle(id);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${id}.bundle.json"`);
+    res.json(bundle);
+
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+routes.get('/:id/legal-export', {
+  summary: 'Export an attestation for legal compliance',
+  query: {
+    format: { type: 'string', default: 'comprehensive' },
+    includePrivacyProofs: { enum: ['true', 'false'], default: 'false' }
+  },
+  responses: { 200: 'Legal export', 404: 'Attestation not found' }
+}, async (req, res) => {
   try {
     const { id } = req.params;
     const { format = 'comprehensive', includePrivacyProofs = false } = req.query;
@@ -379,16 +474,19 @@ router.get('/:id/legal-export', async (req, res) => {
         subject: attestation.subject,
         action: attestation.action,
         created: attestation.metadata.created,
-        finalized: attestation.metadata.finalized
+        finalized: attestation.metadata.finalized,
+        revoked: verification.revoked
       },
       contract_text: attestation.getContractText(),
       cryptographic_signatures: verification.results.map(sig => ({
         signer: sig.signer,
         public_key: sig.pubkey,
         signature_valid: sig.valid,
+        withdrawn: sig.withdrawn,
         timestamp: sig.timestamp,
         key_role: sig.role
       })),
+      revocation: verification.revocation,
       blockchain_proof: {
         audit_trail_hash: auditTrail.audit_trail_hash,
         blockchain_verified: auditTrail.blockchain_verified,
@@ -396,7 +494,9 @@ router.get('/:id/legal-export', async (req, res) => {
         immutable_record: true
       },
       legal_certification: {
-        contract_validity: verification.all_valid && verification.finalized ? 'LEGALLY BINDING' : 'DRAFT',
+        contract_validity: verification.revoked
+          ? 'REVOKED'
+          : verification.all_valid && verification.finalized ? 'LEGALLY BINDING' : 'DRAFT',
         cryptographic_integrity: 'VERIFIED',
         blockchain_immutability: 'GUARANTEED',
         audit_trail_complete: auditTrail.total_events > 0,
@@ -0,0 +1,185 @@
+/**
+ * Catalog API
+ * Songs in the music catalog (src/catalogManager.js). New songs come in through the
+ * signed `upload-song` action (/api/identity/action/execute), which binds the audio hash.
+ */
+
+import express from 'express';
+import { CatalogService } from '../database/services.js';
+import { requireAuth, requirePermission } from './authMiddleware.js';
+import { documentRouter } from './openapi.js';
+import {
+  route,
+  parseListQuery,
+  listQueryParameters,
+  mergeSections,
+  actorFromRequest,
+  lazyInstance,
+  restError
+} from './restSupport.js';
+
+const router = express.Router();
+const routes = documentRouter(router, { tag: 'catalog' });
+
+// Loaded on first use: the catalog manager needs storage credentials
+const getCatalogManager = lazyInstance(async () => {
+  const { MusicCatalogManager } = await import('../src/catalogManager.js');
+  return new MusicCatalogManager();
+});
+
+const SONG_STATUSES = ['draft', 'mastered', 'signed', 'published', 'distributed', 'active', 'archived'];
+
+const SONG_LIST_QUERY = {
+  filters: {
+    title: 'text',
+    artistId: 'string',
+    artistName: 'text',
+    genre: 'string',
+    mood: 'string',
+    status: SONG_STATUSES,
+    language: 'string',
+    isExplicit: 'boolean',
+    minDuration: 'number',
+    maxDuration: 'number',
+    minStreams: 'number',
+    minRevenue: 'number',
+    fromDate: 'date',
+    toDate: 'date',
+    tags: 'list'
+  },
+  sortFields: {
+    createdAt: 'createdAt',
+    title: 'metadata.title',
+    releaseDate: 'metadata.releaseDate',
+    streams: 'performance.totalStreams',
+    revenue: 'performance.totalRevenue'
+  },
+  defaultSort: 'createdAt'
+};
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const SONG_UPDATE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  anyOf: [{ required: ['metadata'] }, { required: ['licensing'] }, { required: ['status'] }],
+  properties: {
+    metadata: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        genre: { type: 'string', minLength: 1 },
+        subgenres: stringList,
+        mood: { type: 'string' },
+        energy: { type: 'string' },
+        albumName: { type: 'string' },
+        trackNumber: { type: 'integer', minimum: 1 },
+        releaseDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}' },
+        language: { type: 'string', minLength: 2 },
+        isExplicit: { type: 'boolean' },
+        isrc: { type: 'string', pattern: '^[A-Z]{2}[A-Z0-9]{3}\\d{7}$' },
+        tags: stringList,
+        themes: stringList
+      }
+    },
+    licensing: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        syncLicensing: { type: 'boolean' },
+        samplingAllowed: { type: 'boolean' },
+        remixRights: { enum: ['open', 'contact-label', 'restricted', 'none'] },
+        commercialUse: { type: 'boolean' }
+      }
+    },
+    status: { enum: SONG_STATUSES }
+  }
+};
+
+/**
+ * List songs
+ * GET /api/catalog/songs?genre=synthpop&minStreams=1000&sortBy=streams&page=2
+ */
+routes.get('/songs', {
+  summary: 'List songs',
+  query: listQueryParameters(SONG_LIST_QUERY),
+  responses: { 200: 'Songs with pagination', 400: 'Invalid query parameters' }
+}, requireAuth(), route(async (req, res) => {
+  const { filters, options } = parseListQuery(req.query, SONG_LIST_QUERY);
+  const catalogManager = await getCatalogManager();
+  const { songs, pagination } = await catalogManager.listSongs(filters, options);
+
+  res.json({ success: true, songs, pagination });
+}));
+
+/**
+ * Catalog statistics
+ */
+routes.get('/stats', {
+  summary: 'Catalog statistics'
+}, requireAuth(), route(async (req, res) => {
+  const catalogManager = await getCatalogManager();
+  const stats = await catalogManager.getCatalogStats();
+
+  res.json({ success: true, stats });
+}));
+
+/**
+ * Get song
+ */
+routes.get('/songs/:songId', {
+  summary: 'Get song',
+  responses: { 200: 'Song', 404: 'Song not found' }
+}, requireAuth(), route(async (req, res) => {
+  const catalogManager = await getCatalogManager();
+  const song = await catalogManager.getSongDetails(req.params.songId);
+
+  res.json({ success: true, song });
+}));
+
+/**
+ * Update song metadata, licensing or status (nested fields are merged)
+ */
+routes.patch('/songs/:songId', {
+  summary: 'Update song metadata, licensing or status',
+  body: SONG_UPDATE_SCHEMA,
+  responses: { 200: 'Updated song', 404: 'Song not found' }
+}, requirePermission('manage_catalog'), route(async (req, res) => {
+  const current = await CatalogService.getSongById(req.params.songId);
+  if (!current) {
+    throw restError(`Song not found: ${req.params.songId}`, 'NOT_FOUND');
+  }
+
+  const catalogManager = await getCatalogManager();
+  const song = await catalogManager.updateSongMetadata(
+    current.songId,
+    mergeSections(current.toObject(), req.body),
+    actorFromRequest(req)
+  );
+
+  res.json({ success: true, song, message: `Updated ${Object.keys(req.body).join(', ')}` });
+}));
+
+/**
+ * Publish song to the blockchain
+ */
+routes.post('/songs/:songId/publish', {
+  summary: 'Publish song to the blockchain',
+  responses: { 200: 'Published song and txid', 404: 'Song not found', 409: 'Song already published' }
+}, requirePermission('publish_music'), route(async (req, res) => {
+  const current = await CatalogService.getSongById(req.params.songId);
+  if (!current) {
+    throw restError(`Song not found: ${req.params.songId}`, 'NOT_FOUND');
+  }
+  if (current.blockchain?.txid) {
+    throw restError(`Song already published in ${current.blockchain.txid}`, 'CONFLICT');
+  }
+
+  const catalogManager = await getCatalogManager();
+  const song = await catalogManager.publishSongToBlockchain(current.songId, actorFromRequest(req));
+
+  res.json({ success: true, song, txid: song.blockchain.txid, message: 'Song published to blockchain' });
+}));
+
+export default router;
@@ -8,34 +8,166 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import express from 'express';
-import MusicIdentitySDK, { ACTION_KEY_MAP } from '../src/web3IdentitySDK.js';
+import MusicIdentitySDK, { ACTION_KEY_MAP, SIGNED_ACTION_SCHEMA } from '../src/web3IdentitySDK.js';
 import { User } from '../database/schemas.js';
 import { connectDatabase } from '../database/schemas.js';
+import { CatalogService, AuditService, UserService } from '../database/services.js';
 import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
 import bsv from 'smartledger-bsv';
+import { tokenService, requireAuth, requirePermission, AUTH_ERROR_STATUS } from './authMiddleware.js';
+import {
+  ROLE_MAP,
+  SELF_REGISTRATION_ROLES,
+  SUPERUSER_PERMISSION,
+  mapUserRole,
+  getPermissionsForRole,
+  getUserPermissions
+} from '../src/rolePermissions.js';
+import { createNonceStore } from '../src/nonceStore.js';
+import { ATTESTATION_KEY_RULES } from '../src/attestation.js';
+import { recordedScheme, serializePayload } from '../src/canonicalJson.js';
+import { attestationManager } from './attestationAPI.js';
+import { documentRouter } from './openapi.js';
 
 const router = express.Router();
+const routes = documentRouter(router, { tag: 'identity' });
+
+// One-time challenge / action nonces, shared across instances (AUTH_TOKEN_STORE=memory for demos)
+const nonceStore = createNonceStore({ type: process.env.AUTH_TOKEN_STORE || 'mongo' });
+const NONCE_TTL_MS = 5 * 60 * 1000;
+
+// Audio files are staged here before a signed upload-song action ingests them
+const CATALOG_INCOMING_DIR = path.resolve(process.env.CATALOG_INCOMING_DIR || './catalog/incoming');
+
+const ACTION_ERROR_STATUS = {
+  ACTION_INVALID: 400,
+  ACTION_FORBIDDEN: 403,
+  ACTION_NOT_FOUND: 404
+};
+
+const text = { type: 'string', minLength: 1 };
+
+const CHALLENGE_SCHEMA = {
+  type: 'object',
+  required: ['identityAddress'],
+  properties: {
+    identityAddress: text
+  }
+};
+
+const VERIFY_SCHEMA = {
+  type: 'object',
+  required: ['signedChallenge', 'identityAddress'],
+  properties: {
+    signedChallenge: SIGNED_ACTION_SCHEMA,
+    identityAddress: text
+  }
+};
+
+const REFRESH_SCHEMA = {
+  type: 'object',
+  required: ['refreshToken'],
+  properties: {
+    refreshToken: text
+  }
+};
+
+const REGISTRATION_SCHEMA = {
+  type: 'object',
+  required: ['signedRegistration'],
+  properties: {
+    signedRegistration: {
+      allOf: [SIGNED_ACTION_SCHEMA, {
+        properties: {
+          payload: {
+            type: 'object',
+            required: ['data'],
+            properties: {
+              action: { const: 'register-identity' },
+              data: {
+                type: 'object',
+                required: ['identityAddress', 'publicKeys', 'addresses', 'userInfo'],
+                properties: {
+                  identityAddress: text,
+                  publicKeys: { type: 'object', required: ['identity'], additionalProperties: text },
+                  addresses: { type: 'object', additionalProperties: text },
+                  userInfo: {
+                    type: 'object',
+                    required: ['email'],
+                    properties: {
+                      email: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+$' },
+                      firstName: { type: 'string' },
+                      lastName: { type: 'string' },
+                      title: { type: 'string' },
+                      organization: { type: 'string' },
+                      bio: { type: 'string' },
+                      role: {
+                        enum: SELF_REGISTRATION_ROLES,
+                        description: 'Label, publisher and platform roles are granted by an admin'
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }]
+    }
+  }
+};
+
+const ROLE_GRANT_SCHEMA = {
+  type: 'object',
+  required: ['role'],
+  properties: {
+    role: { enum: Object.keys(ROLE_MAP) }
+  }
+};
+
+const ACTION_SIGN_SCHEMA = {
+  type: 'object',
+  required: ['action', 'data'],
+  properties: {
+    action: { enum: Object.keys(ACTION_KEY_MAP) },
+    data: { description: 'Action data, e.g. upload-song: { artistId, title, audioFile, audioSha256 }' }
+  }
+};
+
+const ACTION_EXECUTE_SCHEMA = {
+  type: 'object',
+  required: ['signedAction'],
+  properties: {
+    signedAction: SIGNED_ACTION_SCHEMA
+  }
+};
+
+function actionError(message, code = 'ACTION_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
 
 /**
- * Generate authentication challenge for signature-based login
+ * Challenge a signed login answers: the signed data is the challenge itself or { challenge }
  */
-router.post('/auth/challenge', async (req, res) => {
+function getSignedChallenge(payload) {
+  const data = payload?.data;
+  return typeof data === 'string' ? data : data?.challenge;
+}
+
+routes.post('/auth/challenge', {
+  summary: 'Get a single-use authentication challenge',
+  body: CHALLENGE_SCHEMA
+}, async (req, res) => {
   try {
     const { identityAddress } = req.body;
-    
-    if (!identityAddress) {
-      return res.status(400).json({
-        success: false,
-        error: 'Identity address required'
-      });
-    }
 
-    // Generate random challenge
-    const challenge = crypto.randomBytes(32).toString('hex');
-    const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
+    // Single-use challenge bound to this identity
+    const { nonce: challenge, expiresAt } = await nonceStore.issue(identityAddress, 'verify-identity', NONCE_TTL_MS);
 
-    // Store challenge temporarily (in production, use Redis)
-    // For demo, we'll return it directly
     const challengeData = {
       challenge,
       identityAddress,
@@ -56,19 +188,18 @@ router.post('/auth/challenge', async (req, res) => {
   }
 });
 
-/**
- * Verify signed authentication challenge
- */
-router.post('/auth/verify', async (req, res) => {
+routes.post('/auth/verify', {
+  summary: 'Verify a signed challenge and issue access / refresh tokens',
+  body: VERIFY_SCHEMA,
+  responses: {
+    200: 'Tokens and user',
+    401: 'Invalid signature or unknown, expired or used challenge',
+    403: 'Account suspended or deactivated',
+    404: 'No user with this identity address'
+  }
+}, async (req, res) => {
   try {
     const { signedChallenge, identityAddress } = req.body;
-    
-    if (!signedChallenge || !identityAddress) {
-      return res.status(400).json({
-        success: false,
-        error: 'Signed challenge and identity address required'
-      });
-    }
 
     await connectDatabase();
     
@@ -109,8 +240,25 @@ router.post('/auth/verify', async (req, res) => {
       });
     }
 
-    // Generate session token (simplified for demo)
-    const sessionToken = crypto.randomBytes(32).toString('hex');
+    // The challenge must be one we issued to this identity, and is spent by this login
+    const challenge = getSignedChallenge(signedChallenge.payload);
+    if (verification.action !== 'verify-identity' || !challenge
+      || !await nonceStore.consume(challenge, identityAddress, 'verify-identity')) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unknown, expired or already used challenge'
+      });
+    }
+
+    if (['suspended', 'deactivated'].includes(user.status)) {
+      return res.status(403).json({
+        success: false,
+        error: `Account is ${user.status}`
+      });
+    }
+
+    // Signed access / refresh tokens for the Authorization: Bearer header
+    const tokens = tokenService.issueTokens(user);
     
     // Update last activity
     user.lastActivity = new Date();
@@ -119,12 +267,13 @@ router.post('/auth/verify', async (req, res) => {
     res.json({
       success: true,
       message: 'Authentication successful',
-      sessionToken,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
         name: `${user.profile.firstName} ${user.profile.lastName}`,
         role: user.role,
+        permissions: getUserPermissions(user),
         identityAddress: user.cryptoIdentity.address,
         verified: true
       }
@@ -137,22 +286,100 @@ router.post('/auth/verify', async (req, res) => {
   }
 });
 
-/**
- * Register new cryptographic identity
- */
-router.post('/identity/register', async (req, res) => {
+routes.post('/auth/refresh', {
+  summary: 'Exchange a refresh token for a new token pair',
+  description: 'Refresh tokens are single use.',
+  body: REFRESH_SCHEMA,
+  responses: {
+    200: 'New token pair',
+    401: 'Invalid, expired or revoked refresh token',
+    403: 'Account suspended or deactivated'
+  }
+}, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await connectDatabase();
+    const tokens = await tokenService.refresh(refreshToken, userId => User.findById(userId));
+
+    res.json({
+      success: true,
+      ...tokens
+    });
+  } catch (error) {
+    res.status(AUTH_ERROR_STATUS[error.code] || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+routes.post('/auth/logout', {
+  summary: 'Revoke the current session',
+  description: "The session's access and refresh tokens stop verifying."
+}, requireAuth(), async (req, res) => {
+  try {
+    await tokenService.revokeSession(req.auth.claims, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out',
+      sessionId: req.auth.sessionId
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+routes.get('/auth/me', {
+  summary: 'Identity, role and permissions of the current access token'
+}, requireAuth(), async (req, res) => {
+  res.json({
+    success: true,
+    user: {
+      id: req.auth.userId,
+      identityAddress: req.auth.identityAddress,
+      role: req.auth.role,
+      permissions: req.auth.permissions
+    },
+    sessionId: req.auth.sessionId,
+    expiresAt: new Date(req.auth.claims.exp * 1000).toISOString()
+  });
+});
+
+routes.post('/identity/register', {
+  summary: 'Register a new cryptographic identity',
+  description: 'The registration is signed with the identity key (register-identity action).',
+  body: REGISTRATION_SCHEMA,
+  responses: {
+    201: 'Identity registered',
+    400: 'Invalid signature, or identity address or signing key not derived from publicKeys.identity',
+    409: 'Identity address already registered'
+  }
+}, async (req, res) => {
   try {
     const { signedRegistration } = req.body;
-    
-    if (!signedRegistration) {
+    const { payload } = signedRegistration;
+    const { data: registrationData } = payload;
+
+    // The identity registered is the one that signs: its key and the address it derives
+    const identityKey = registrationData.publicKeys.identity;
+    let derivedAddress = null;
+    try {
+      derivedAddress = bsv.Address.fromPublicKey(bsv.PublicKey.fromString(identityKey)).toString();
+    } catch {
+      // Not a public key; reported as a mismatch below
+    }
+    if (signedRegistration.publicKey !== identityKey || registrationData.identityAddress !== derivedAddress) {
       return res.status(400).json({
         success: false,
-        error: 'Signed registration payload required'
+        error: 'Identity address and signing key must derive from publicKeys.identity'
       });
     }
 
-    await connectDatabase();
-
     // Verify signature
     const verification = MusicIdentitySDK.verifyActionSignature(
       signedRegistration,
@@ -166,9 +393,7 @@ router.post('/identity/register', async (req, res) => {
       });
     }
 
-    // Extract registration data
-    const { payload } = signedRegistration;
-    const { data: registrationData } = payload;
+    await connectDatabase();
 
     // Check if identity address already exists
     const existingUser = await User.findOne({
@@ -282,20 +507,67 @@ router.post('/identity/register', async (req, res) => {
   }
 });
 
-/**
- * Sign action with appropriate key
- */
-router.post('/action/sign', async (req, res) => {
+routes.put('/identity/users/:identityAddress/role', {
+  summary: 'Grant a user a role',
+  description: 'Admin only; the way label, publisher and platform roles are assigned. Takes effect from the next token refresh.',
+  body: ROLE_GRANT_SCHEMA,
+  responses: { 200: 'Role updated', 404: 'User not found' }
+}, requirePermission(SUPERUSER_PERMISSION), async (req, res) => {
   try {
-    const { action, data, identityAddress } = req.body;
-    
-    if (!action || !data || !identityAddress) {
-      return res.status(400).json({
+    const { identityAddress } = req.params;
+    const { role } = req.body;
+
+    await connectDatabase();
+
+    const user = await User.findOne({ 'cryptoIdentity.address': identityAddress });
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        error: 'Action, data, and identity address required'
+        error: 'User not found'
       });
     }
 
+    const updated = await UserService.updateUser(user.userId, {
+      role: mapUserRole(role),
+      permissions: getPermissionsForRole(role)
+    }, {
+      userId: req.auth.userId,
+      role: req.auth.role,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      sessionId: req.auth.sessionId
+    });
+
+    res.json({
+      success: true,
+      user: {
+        id: updated._id,
+        identityAddress,
+        role: updated.role,
+        permissions: getUserPermissions(updated)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+routes.post('/action/sign', {
+  summary: 'Get signing instructions and a single-use nonce for an action',
+  body: ACTION_SIGN_SCHEMA,
+  responses: {
+    200: 'Payload to sign with the required key',
+    404: 'User not found'
+  }
+}, requireAuth(), async (req, res) => {
+  try {
+    const { action, data } = req.body;
+    const { identityAddress } = req.auth;
+
     await connectDatabase();
 
     // Verify user exists
@@ -310,14 +582,11 @@ router.post('/action/sign', async (req, res) => {
       });
     }
 
-    // Check if action is valid
+    // Key the action must be signed with (the body schema only allows known actions)
     const requiredKeyType = ACTION_KEY_MAP[action];
-    if (!requiredKeyType) {
-      return res.status(400).json({
-        success: false,
-        error: `Unknown action: ${action}`
-      });
-    }
+
+    // Single-use nonce the signed action must carry
+    const { nonce, expiresAt } = await nonceStore.issue(identityAddress, `action:${action}`, NONCE_TTL_MS);
 
     // Return signing instructions
     res.json({
@@ -327,14 +596,16 @@ router.post('/action/sign', async (req, res) => {
         requiredKeyType,
         expectedPublicKey: user.cryptoIdentity.derivedKeys[requiredKeyType],
         expectedAddress: user.cryptoIdentity.addresses[requiredKeyType],
-        instructions: `Sign this data with your ${requiredKeyType} key and submit to /action/execute`
+        nonceExpiresAt: expiresAt.toISOString(),
+        instructions: `Sign this payload (including its nonce) with your ${requiredKeyType} key and submit to /action/execute`
       },
       payload: {
         action,
         data,
         timestamp: new Date().toISOString(),
         keyType: requiredKeyType,
-        derivationPath: `m/44'/236'/${Object.keys(user.cryptoIdentity.addresses).indexOf(requiredKeyType)}'/0/0`
+        derivationPath: `m/44'/236'/${Object.keys(user.cryptoIdentity.addresses).indexOf(requiredKeyType)}'/0/0`,
+        nonce
       }
     });
 
@@ -346,19 +617,20 @@ router.post('/action/sign', async (req, res) => {
   }
 });
 
-/**
- * Execute signed action
- */
-router.post('/action/execute', async (req, res) => {
+routes.post('/action/execute', {
+  summary: 'Execute a signed action',
+  description: 'upload-song, claim-ownership and sign-agreement are carried out; other actions are verified and logged.',
+  body: ACTION_EXECUTE_SCHEMA,
+  responses: {
+    200: 'Verification and action result',
+    401: 'Invalid signature or unknown, expired or used action nonce',
+    403: 'No key registered for the action',
+    404: 'User, song, attestation or staged file not found'
+  }
+}, requireAuth(), async (req, res) => {
   try {
-    const { signedAction, identityAddress } = req.body;
-    
-    if (!signedAction || !identityAddress) {
-      return res.status(400).json({
-        success: false,
-        error: 'Signed action and identity address required'
-      });
-    }
+    const { signedAction } = req.body;
+    const { identityAddress } = req.auth;
 
     await connectDatabase();
 
@@ -391,17 +663,37 @@ router.post('/action/execute', async (req, res) => {
       });
     }
 
+    // Signed nonce from /action/sign, spent by this execution
+    if (!payload.nonce || !await nonceStore.consume(payload.nonce, identityAddress, `action:${payload.action}`)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unknown, expired or already used action nonce'
+      });
+    }
+
+    // The signed action is kept with the audit entry as proof of who asked for what
+    const proof = {
+      signedAction,
+      actor: {
+        userId: user.userId || String(user._id),
+        role: user.role,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        sessionId: req.auth.sessionId
+      }
+    };
+
     // Execute action based on type
     let actionResult;
     switch (payload.action) {
       case 'upload-song':
-        actionResult = await handleSongUpload(payload.data, user);
+        actionResult = await handleSongUpload(payload.data, user, proof);
         break;
       case 'claim-ownership':
-        actionResult = await handleOwnershipClaim(payload.data, user);
+        actionResult = await handleOwnershipClaim(payload.data, user, proof);
         break;
       case 'sign-agreement':
-        actionResult = await handleAgreementSigning(payload.data, user);
+        actionResult = await handleAgreementSigning(payload.data, user, proof);
         break;
       default:
         actionResult = {
@@ -419,7 +711,7 @@ router.post('/action/execute', async (req, res) => {
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(ACTION_ERROR_STATUS[error.code] || 500).json({
       success: false,
       error: error.message
     });
@@ -427,56 +719,205 @@ router.post('/action/execute', async (req, res) => {
 });
 
 /**
- * Helper functions
+ * Record a signed action in the audit trail; the signed payload is the proof
  */
-function mapUserRole(role) {
-  const roleMap = {
-    'artist': 'ai_artist_manager',
-    'producer': 'producer', 
-    'songwriter': 'songwriter',
-    'label': 'label_admin',
-    'publisher': 'rights_manager',
-    'platform': 'system_admin'
-  };
-  return roleMap[role] || 'producer';
+async function recordActionProof(proof, event, target, description) {
+  const { payload, signature, publicKey, canonicalization } = proof.signedAction;
+  const scheme = recordedScheme(canonicalization);
+
+  const entry = await AuditService.createAuditEntry({
+    event: { category: 'crypto', severity: 'info', ...event },
+    actor: proof.actor,
+    target,
+    details: {
+      description,
+      cryptography: {
+        hash: crypto.createHash('sha256').update(serializePayload(payload, scheme)).digest('hex'),
+        signature,
+        publicKey,
+        algorithm: 'BSV-ECDSA-secp256k1'
+      },
+      context: {
+        action: payload.action,
+        keyType: payload.keyType,
+        nonce: payload.nonce,
+        canonicalization: scheme,
+        signedAction: { payload, signature, publicKey }
+      }
+    }
+  });
+
+  return entry?.auditId || null;
 }
 
-function getPermissionsForRole(role) {
-  const permissionMap = {
-    'artist': ['create_artists', 'manage_catalog'],
-    'producer': ['create_artists', 'manage_catalog', 'publish_music'],
-    'songwriter': ['create_artists', 'publish_music'],
-    'label': ['manage_catalog', 'manage_rights', 'calculate_revenue'],
-    'publisher': ['manage_rights', 'calculate_revenue', 'generate_reports'],
-    'platform': ['admin_system', 'view_analytics', 'generate_reports']
-  };
-  return permissionMap[role] || ['create_artists'];
+function displayName(user) {
+  return [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ') || 'Anonymous';
+}
+
+/**
+ * Staged audio file; names outside CATALOG_INCOMING_DIR are refused
+ */
+function resolveIncomingFile(fileName) {
+  const filePath = path.resolve(CATALOG_INCOMING_DIR, String(fileName));
+  if (!filePath.startsWith(CATALOG_INCOMING_DIR + path.sep)) {
+    throw actionError('audioFile must name a file in the catalog incoming directory');
+  }
+  return filePath;
 }
 
-// Placeholder action handlers
-async function handleSongUpload(data, user) {
+/**
+ * upload-song: { artistId, title, audioFile, audioSha256, genre?, ...metadata }
+ * The signed audioSha256 binds the signature to the exact staged audio.
+ */
+async function handleSongUpload(data, user, proof) {
+  const { artistId, title, audioFile, audioSha256, ...metadata } = data || {};
+  if (!artistId || !title || !audioFile || !audioSha256) {
+    throw actionError('upload-song requires artistId, title, audioFile and audioSha256');
+  }
+
+  const audioPath = resolveIncomingFile(audioFile);
+  let audio;
+  try {
+    audio = await fs.readFile(audioPath);
+  } catch (error) {
+    throw actionError(`Staged audio file not found: ${audioFile}`, 'ACTION_NOT_FOUND');
+  }
+
+  const contentHash = crypto.createHash('sha256').update(audio).digest('hex');
+  if (contentHash !== String(audioSha256).toLowerCase()) {
+    throw actionError('Staged audio does not match the signed audioSha256');
+  }
+
+  // Loaded on demand: the catalog manager needs storage credentials
+  const { default: MusicCatalogManager } = await import('../src/catalogManager.js');
+  const song = await new MusicCatalogManager().createSong(
+    { metadata: { ...metadata, artistId, title } },
+    audioPath,
+    proof.actor
+  );
+
+  const auditId = await recordActionProof(
+    proof,
+    { type: 'data_submitted' },
+    { type: 'song', id: song.songId, name: song.metadata.title, metadata: { artistId, contentHash } },
+    `Song "${song.metadata.title}" uploaded with ${user.cryptoIdentity.address}'s property key`
+  );
+
   return {
     success: true,
-    message: 'Song upload verified with property key',
-    uploadId: crypto.randomBytes(16).toString('hex'),
+    message: 'Song uploaded and signed with property key',
+    songId: song.songId,
+    title: song.metadata.title,
+    contentHash,
+    auditId,
     timestamp: new Date()
   };
 }
 
-async function handleOwnershipClaim(data, user) {
+/**
+ * claim-ownership: { songId, share? }
+ * Opens an ownership-claim attestation the claimant then signs with sign-agreement.
+ */
+async function handleOwnershipClaim(data, user, proof) {
+  const { songId, share = 100 } = data || {};
+  if (!songId) {
+    throw actionError('claim-ownership requires songId');
+  }
+
+  const song = await CatalogService.getSongById(songId);
+  if (!song) {
+    throw actionError(`Song not found: ${songId}`, 'ACTION_NOT_FOUND');
+  }
+
+  const contentHash = song.audioAssets?.masterFile?.checksum;
+  if (!contentHash) {
+    throw actionError(`Song ${songId} has no master audio fingerprint to claim`);
+  }
+
+  const attestation = await attestationManager.createAttestation('ownership-claim', {
+    song_title: song.metadata.title,
+    song_id: song.songId,
+    content_hash: contentHash,
+    claimant: {
+      name: displayName(user),
+      pubkey: user.cryptoIdentity.derivedKeys.property
+    },
+    share
+  }, { subject: `song:${song.songId}` });
+
+  const auditId = await recordActionProof(
+    proof,
+    { type: 'data_submitted' },
+    { type: 'attestation', id: attestation.id, name: `Ownership claim: ${song.metadata.title}`, metadata: { songId: song.songId, share } },
+    `Ownership of ${share}% of "${song.metadata.title}" claimed by ${user.cryptoIdentity.address}`
+  );
+
   return {
     success: true,
-    message: 'Ownership claim verified with property key',
-    claimId: crypto.randomBytes(16).toString('hex'),
+    message: 'Ownership claim opened; sign it with sign-agreement to finalize',
+    attestationId: attestation.id,
+    contractHash: attestation.metadata.contract_hash,
+    requiredKeyType: ATTESTATION_KEY_RULES['ownership-claim'],
+    auditId,
     timestamp: new Date()
   };
 }
 
-async function handleAgreementSigning(data, user) {
+/**
+ * sign-agreement: { attestationId, attestationSignature: { timestamp, signature } }
+ * attestationSignature comes from MusicIdentitySDK.signAttestation with the key the
+ * attestation's action requires; the server never sees the private key.
+ */
+async function handleAgreementSigning(data, user, proof) {
+  const { attestationId, attestationSignature } = data || {};
+  if (!attestationId || !attestationSignature?.signature || !attestationSignature?.timestamp) {
+    throw actionError('sign-agreement requires attestationId and attestationSignature { timestamp, signature }');
+  }
+
+  let attestation;
+  try {
+    attestation = await attestationManager.loadAttestation(attestationId);
+  } catch (error) {
+    throw actionError(error.message, 'ACTION_NOT_FOUND');
+  }
+
+  const keyType = ATTESTATION_KEY_RULES[attestation.action] || 'contractual';
+  const pubkey = user.cryptoIdentity.derivedKeys[keyType];
+  if (!pubkey) {
+    throw actionError(`No ${keyType} key registered for this identity`, 'ACTION_FORBIDDEN');
+  }
+
+  let result;
+  try {
+    result = await attestationManager.submitSignature(attestationId, {
+      pubkey,
+      signature: attestationSignature.signature,
+      timestamp: attestationSignature.timestamp
+    }, {
+      role: keyType,
+      name: displayName(user),
+      pubkey,
+      derivation: `m/44'/236'/${Object.keys(user.cryptoIdentity.addresses).indexOf(keyType)}'/0/0`,
+      identityAddress: user.cryptoIdentity.address
+    });
+  } catch (error) {
+    throw actionError(error.message);
+  }
+
+  const auditId = await recordActionProof(
+    proof,
+    { type: 'data_signed' },
+    { type: 'attestation', id: attestationId, name: attestation.payload.template_type, metadata: { keyType, complete: result.complete } },
+    `Attestation ${attestationId} signed by ${user.cryptoIdentity.address} with ${keyType} key`
+  );
+
   return {
     success: true,
-    message: 'Agreement signed with contractual key',
-    agreementId: crypto.randomBytes(16).toString('hex'),
+    message: `Attestation signed with ${keyType} key`,
+    attestationId,
+    complete: result.complete,
+    signaturesCount: result.signatures_count,
+    auditId,
     timestamp: new Date()
   };
 }
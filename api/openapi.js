@@ -0,0 +1,194 @@
+/**
+ * OpenAPI Route Descriptions
+ * Routers register each route together with its JSON Schemas; the same schemas
+ * validate request bodies and generate the OpenAPI 3.1 document (/api/openapi.json).
+ */
+
+import { validateBody } from './restSupport.js';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const SUCCESS_SCHEMA = {
+  type: 'object',
+  required: ['success'],
+  properties: {
+    success: { const: true }
+  }
+};
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['success', 'error'],
+  properties: {
+    success: { const: false },
+    error: { type: 'string' },
+    details: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+/**
+ * Register routes on an express router together with their description
+ *
+ *   const routes = documentRouter(router, { tag: 'identity' });
+ *   routes.post('/auth/refresh', { summary, body: REFRESH_SCHEMA }, handler);
+ *
+ * The request body is validated (400 with details) after any auth middleware and
+ * before the handler. requireAuth() middleware marks the route as needing a bearer token.
+ *
+ * @param {Object} router - express.Router()
+ * @param {Object} options
+ * @param {string} options.tag - Group name used in the generated document
+ * @returns {Object} { get, post, put, patch, delete }: (path, spec, ...middleware, handler)
+ *   spec: { summary, description?, body?: JSON Schema, query?: { name: JSON Schema },
+ *   responses?: { status: description | { description, schema } }, operationId? }
+ */
+export function documentRouter(router, { tag }) {
+  const documentation = { tag, routes: [] };
+  router.documentation = documentation;
+
+  const routes = {};
+  for (const method of METHODS) {
+    routes[method] = (path, spec, ...handlers) => {
+      const handler = handlers.pop();
+      const auth = handlers.find(middleware => middleware.requirements)?.requirements || null;
+
+      documentation.routes.push({ method, path, spec, auth });
+      router[method](path, ...handlers, ...(spec.body ? [validateBody(spec.body)] : []), handler);
+      return routes;
+    };
+  }
+  return routes;
+}
+
+/**
+ * Express path (mounted at prefix) as an OpenAPI path: /api/attestation/:id -> /api/attestation/{id}
+ */
+function toOpenApiPath(prefix, path) {
+  return `${prefix}${path === '/' ? '' : path}`.replace(/:(\w+)/g, '{$1}');
+}
+
+function toOperationId(method, openApiPath) {
+  const words = openApiPath
+    .replace(/^\/api\//, '')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1));
+  return method + words.join('');
+}
+
+/**
+ * Responses are envelopes unless the route gives its own schema: { description, schema }
+ */
+function toResponse(status, response) {
+  const { description, schema } = typeof response === 'string' ? { description: response } : response;
+  const envelope = Number(status) < 400 ? 'Success' : 'Error';
+  return {
+    description,
+    content: { 'application/json': { schema: schema || { $ref: `#/components/schemas/${envelope}` } } }
+  };
+}
+
+function toOperation(tag, method, openApiPath, { spec, auth }) {
+  const pathParams = [...openApiPath.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+  const queryParams = Object.entries(spec.query || {}).map(([name, { description, ...schema }]) => ({
+    name,
+    in: 'query',
+    required: false,
+    ...(description && { description }),
+    schema
+  }));
+
+  const responses = { ...spec.responses };
+  if (!Object.keys(responses).some(status => Number(status) < 400)) {
+    responses[200] = 'Success';
+  }
+  if (spec.body) responses[400] ??= 'Invalid request body';
+  if (auth) responses[401] ??= 'Missing, invalid, expired or revoked bearer token';
+  if (auth?.permissions.length || auth?.roles.length) responses[403] ??= 'Missing permission or role';
+
+  const operation = {
+    tags: [tag],
+    operationId: spec.operationId || toOperationId(method, openApiPath),
+    summary: spec.summary,
+    ...(spec.description && { description: spec.description }),
+    ...(pathParams.length + queryParams.length > 0 && { parameters: [...pathParams, ...queryParams] }),
+    ...(spec.body && {
+      requestBody: { required: true, content: { 'application/json': { schema: spec.body } } }
+    }),
+    responses: Object.fromEntries(Object.entries(responses)
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .map(([status, response]) => [status, toResponse(status, response)]))
+  };
+
+  if (auth) {
+    operation.security = [{ bearerAuth: [] }];
+    if (auth.permissions.length > 0) operation['x-permissions'] = auth.permissions;
+    if (auth.roles.length > 0) operation['x-roles'] = auth.roles;
+  }
+  return operation;
+}
+
+/**
+ * OpenAPI 3.1 document for the documented routers (others are skipped)
+ * @param {Object} options
+ * @param {Object} options.info - { title, version, description }
+ * @param {Array} options.mounts - [[prefix, router], ...] as passed to app.use()
+ */
+export function buildOpenApiDocument({ info, mounts }) {
+  const tags = [];
+  const paths = {};
+
+  for (const [prefix, router] of mounts) {
+    const { documentation } = router;
+    if (!documentation) continue;
+
+    tags.push({ name: documentation.tag });
+    for (const route of documentation.routes) {
+      const openApiPath = toOpenApiPath(prefix, route.path);
+      paths[openApiPath] ??= {};
+      paths[openApiPath][route.method] = toOperation(documentation.tag, route.method, openApiPath, route);
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info,
+    tags,
+    paths,
+    components: {
+      schemas: { Success: SUCCESS_SCHEMA, Error: ERROR_SCHEMA },
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token from POST /api/identity/auth/verify'
+        }
+      }
+    }
+  };
+}
+
+/**
+ * One line per operation, grouped by tag: { tag: { 'POST /api/...': 'Summary (auth)' } }
+ */
+export function summarizeOperations(document) {
+  const summary = Object.fromEntries(document.tags.map(({ name }) => [name, {}]));
+
+  for (const [path, operations] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      const access = operation['x-permissions']?.join(', ') || (operation.security ? 'auth' : null);
+      summary[operation.tags[0]][`${method.toUpperCase()} ${path}`] = access
+        ? `${operation.summary} (${access})`
+        : operation.summary;
+    }
+  }
+  return summary;
+}
+
+export default buildOpenApiDocument;
@@ -0,0 +1,226 @@
+/**
+ * REST Router Support
+ * Pagination, query filters, body validation and error envelopes shared by the
+ * catalog, artist, rights and revenue routers.
+ *
+ * Responses: `{ success: true, ... }` or `{ success: false, error, details? }`
+ */
+
+import { validateSchema } from '../src/jsonSchema.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Query parameters every list route accepts
+const PAGINATION_PARAMS = ['page', 'limit', 'sortBy', 'sortOrder'];
+
+export const REST_ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
+export function restError(message, code = 'VALIDATION_ERROR', details = undefined) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Error envelope; the managers' plain "... not found" errors become 404s
+ * @param {Object} statuses - error.code -> HTTP status (REST_ERROR_STATUS by default)
+ */
+export function sendError(res, error, statuses = REST_ERROR_STATUS) {
+  const code = error.code || (/not found/i.test(error.message) ? 'NOT_FOUND' : null);
+
+  res.status(statuses[code] || REST_ERROR_STATUS[code] || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details && { details: error.details })
+  });
+}
+
+/**
+ * Async route handler whose errors are sent with sendError
+ * @param {Object} [statuses] - Extra error.code -> HTTP status mappings
+ */
+export function route(handler, statuses = REST_ERROR_STATUS) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      sendError(res, error, statuses);
+    }
+  };
+}
+
+/**
+ * Reject request bodies that do not match a JSON Schema (see src/jsonSchema.js)
+ */
+export function validateBody(schema) {
+  return (req, res, next) => {
+    const errors = validateSchema(schema, req.body ?? {}, 'body');
+    if (errors.length > 0) {
+      return sendError(res, restError('Invalid request body', 'VALIDATION_ERROR', errors));
+    }
+    next();
+  };
+}
+
+function parseFilter(name, type, raw) {
+  const value = Array.isArray(raw) ? raw.at(-1) : String(raw);
+
+  if (Array.isArray(type)) {
+    return type.includes(value) ? [value] : [null, `${name} must be one of: ${type.join(', ')}`];
+  }
+
+  switch (type) {
+    case 'string':
+      return value ? [value] : [null, `${name} must not be empty`];
+    case 'text':
+      // Services match these as case-insensitive patterns; match the literal text instead
+      return value ? [value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')] : [null, `${name} must not be empty`];
+    case 'number': {
+      const number = Number(value);
+      return value !== '' && Number.isFinite(number) ? [number] : [null, `${name} must be a number`];
+    }
+    case 'boolean':
+      return value === 'true' || value === 'false' ? [value === 'true'] : [null, `${name} must be true or false`];
+    case 'date':
+      return Number.isNaN(new Date(value).getTime()) ? [null, `${name} must be an ISO date`] : [value];
+    case 'list': {
+      const items = (Array.isArray(raw) ? raw : value.split(',')).map(item => String(item).trim()).filter(Boolean);
+      return items.length > 0 ? [items] : [null, `${name} must list at least one value`];
+    }
+    default:
+      throw new Error(`Unknown filter type for ${name}: ${type}`);
+  }
+}
+
+/**
+ * Parse a list route's query string into manager filters and pagination options
+ * @param {Object} query - req.query
+ * @param {Object} spec
+ * @param {Object} spec.filters - name -> 'string' | 'text' | 'number' | 'boolean' | 'date' | 'list' | allowed values
+ * @param {Object} spec.sortFields - public sort name -> document path
+ * @param {string} spec.defaultSort - Public sort name used when sortBy is absent
+ * @returns {Object} { filters, options: { page, limit, sortBy, sortOrder } }
+ * @throws VALIDATION_ERROR listing every invalid or unknown parameter
+ */
+export function parseListQuery(query, spec) {
+  const { filters: filterTypes = {}, sortFields = { createdAt: 'createdAt' }, defaultSort = 'createdAt' } = spec;
+  const errors = [];
+  const filters = {};
+
+  for (const [name, raw] of Object.entries(query)) {
+    if (PAGINATION_PARAMS.includes(name)) continue;
+    if (!(name in filterTypes)) {
+      errors.push(`Unknown query parameter: ${name}`);
+      continue;
+    }
+    const [value, error] = parseFilter(name, filterTypes[name], raw);
+    if (error) errors.push(error);
+    else filters[name] = value;
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push('page must be a positive integer');
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    errors.push(`limit must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  const sortBy = query.sortBy ?? defaultSort;
+  if (!Object.prototype.hasOwnProperty.call(sortFields, sortBy)) {
+    errors.push(`sortBy must be one of: ${Object.keys(sortFields).join(', ')}`);
+  }
+
+  const sortOrder = query.sortOrder ?? 'desc';
+  if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+    errors.push('sortOrder must be asc or desc');
+  }
+
+  if (errors.length > 0) {
+    throw restError('Invalid query parameters', 'VALIDATION_ERROR', errors);
+  }
+
+  return {
+    filters,
+    options: { page, limit, sortBy: sortFields[sortBy], sortOrder }
+  };
+}
+
+const FILTER_SCHEMAS = {
+  string: { type: 'string', minLength: 1 },
+  text: { type: 'string', minLength: 1, description: 'Case-insensitive match' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date-time' },
+  list: { type: 'string', minLength: 1, description: 'Comma-separated values' }
+};
+
+/**
+ * Query parameters of a parseListQuery spec, for documentRouter's `query`
+ * (pagination and sorting are listed when the spec has sortFields)
+ */
+export function listQueryParameters(spec) {
+  const parameters = Object.fromEntries(Object.entries(spec.filters || {}).map(([name, type]) => [
+    name,
+    Array.isArray(type) ? { type: 'string', enum: type } : FILTER_SCHEMAS[type]
+  ]));
+
+  if (!spec.sortFields) return parameters;
+  return {
+    ...parameters,
+    page: { type: 'integer', minimum: 1, description: 'Default 1' },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, description: `Default ${DEFAULT_PAGE_SIZE}` },
+    sortBy: { type: 'string', enum: Object.keys(spec.sortFields), default: spec.defaultSort || 'createdAt' },
+    sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc' }
+  };
+}
+
+/**
+ * Apply a partial update section by section: the services assign whole top-level
+ * sections, so nested objects are merged onto the stored values first
+ */
+export function mergeSections(current, patch) {
+  return Object.fromEntries(Object.entries(patch).map(([section, value]) => {
+    const stored = current[section];
+    const mergeable = value && typeof value === 'object' && !Array.isArray(value)
+      && stored && typeof stored === 'object' && !Array.isArray(stored);
+    return [section, mergeable ? { ...stored, ...value } : value];
+  }));
+}
+
+/**
+ * Audit trail actor for an authenticated request
+ */
+export function actorFromRequest(req) {
+  return {
+    userId: req.auth.userId,
+    role: req.auth.role,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    sessionId: req.auth.sessionId
+  };
+}
+
+/**
+ * Load a manager on first use (they connect to storage or need credentials at import);
+ * a failed load is retried by the next request
+ */
+export function lazyInstance(load) {
+  let pending = null;
+  return () => {
+    pending ??= load().catch(error => {
+      pending = null;
+      throw error;
+    });
+    return pending;
+  };
+}
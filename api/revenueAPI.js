@@ -0,0 +1,240 @@
+/**
+ * Revenue API
+ * Streaming revenue, royalty distributions, payments and revenue reports (src/revenueManager.js)
+ */
+
+import express from 'express';
+import { RevenueManager } from '../src/revenueManager.js';
+import { hasPermission } from '../src/rolePermissions.js';
+import { requireAuth, requirePermission } from './authMiddleware.js';
+import { documentRouter } from './openapi.js';
+import { route, parseListQuery, listQueryParameters, restError } from './restSupport.js';
+import { webhookDispatcher } from './webhooksAPI.js';
+
+const router = express.Router();
+const routes = documentRouter(router, { tag: 'revenue' });
+const revenueManager = new RevenueManager({ events: webhookDispatcher });
+
+const DISTRIBUTION_TYPES = ['streaming', 'sync', 'mechanical', 'performance', 'sales'];
+const DISTRIBUTION_STATUSES = ['calculated', 'processing', 'completed', 'failed', 'simulated'];
+const REPORT_PERIODS = ['weekly', 'monthly', 'quarterly', 'yearly', 'custom'];
+
+// Payments already sent (or being sent) for a distribution are never sent again
+const PAID_STATUSES = ['processing', 'completed'];
+
+const DISTRIBUTION_LIST_QUERY = {
+  filters: {
+    songId: 'string',
+    distributionType: DISTRIBUTION_TYPES,
+    status: DISTRIBUTION_STATUSES,
+    recipient: 'string',
+    fromDate: 'date',
+    toDate: 'date'
+  },
+  sortFields: {
+    calculatedAt: 'calculatedAt',
+    totalRevenue: 'totalRevenue',
+    netRevenue: 'netRevenue'
+  },
+  defaultSort: 'calculatedAt'
+};
+
+const REPORT_QUERY = {
+  filters: {
+    artistId: 'string',
+    period: REPORT_PERIODS,
+    startDate: 'date',
+    endDate: 'date'
+  }
+};
+
+const text = { type: 'string', minLength: 1 };
+
+const PLATFORM_STREAMS_SCHEMA = {
+  type: 'object',
+  additionalProperties: { type: 'integer', minimum: 0 }
+};
+
+const STREAMING_SCHEMA = {
+  type: 'object',
+  required: ['platformStreams'],
+  additionalProperties: false,
+  properties: {
+    songId: text,
+    platformStreams: PLATFORM_STREAMS_SCHEMA
+  }
+};
+
+const STREAMING_BATCH_SCHEMA = {
+  type: 'object',
+  required: ['updates'],
+  additionalProperties: false,
+  properties: {
+    updates: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 500,
+      items: {
+        type: 'object',
+        required: ['songId', 'platformStreams'],
+        additionalProperties: false,
+        properties: {
+          songId: text,
+          platformStreams: PLATFORM_STREAMS_SCHEMA,
+          period: text
+        }
+      }
+    },
+    batchId: text,
+    autoDistribute: { type: 'boolean' },
+    dryRun: { type: 'boolean' }
+  }
+};
+
+const DISTRIBUTION_SCHEMA = {
+  type: 'object',
+  required: ['songId', 'totalRevenue'],
+  additionalProperties: false,
+  properties: {
+    songId: text,
+    totalRevenue: { type: 'integer', exclusiveMinimum: 0 },
+    distributionType: { enum: DISTRIBUTION_TYPES },
+    period: text,
+    autoDistribute: { type: 'boolean' },
+    dryRun: { type: 'boolean' }
+  }
+};
+
+const PAYMENTS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    dryRun: { type: 'boolean' },
+    minimumPayment: { type: 'integer', minimum: 0 },
+    skipAI: { type: 'boolean' }
+  }
+};
+
+/**
+ * Automatic payouts also need the payment permission
+ */
+function assertCanPay(req) {
+  if (req.body.autoDistribute && !hasPermission(req.auth.permissions, 'distribute_payments')) {
+    throw restError('autoDistribute requires the distribute_payments permission', 'FORBIDDEN');
+  }
+}
+
+/**
+ * Calculate streaming revenue (and record it on the song when songId is given)
+ */
+routes.post('/streaming', {
+  summary: 'Calculate streaming revenue',
+  body: STREAMING_SCHEMA,
+  responses: { 200: 'Revenue by platform' }
+}, requirePermission('calculate_revenue'), route(async (req, res) => {
+  const { platformStreams, songId = null } = req.body;
+  const revenue = await revenueManager.calculateStreamingRevenue(platformStreams, songId);
+
+  res.json({ success: true, revenue });
+}));
+
+/**
+ * Apply a batch of streaming updates, optionally distributing each song's revenue
+ */
+routes.post('/streaming/batch', {
+  summary: 'Apply streaming updates in bulk',
+  description: 'autoDistribute also needs the distribute_payments permission',
+  body: STREAMING_BATCH_SCHEMA,
+  responses: { 200: 'Batch results', 403: 'autoDistribute without distribute_payments' }
+}, requirePermission('calculate_revenue'), route(async (req, res) => {
+  assertCanPay(req);
+
+  const { updates, ...options } = req.body;
+  const batch = await revenueManager.batchUpdateStreaming(updates, options);
+
+  res.json({ success: true, batch });
+}));
+
+/**
+ * List revenue distributions
+ * GET /api/revenue/distributions?songId=...&status=calculated&sortBy=totalRevenue
+ */
+routes.get('/distributions', {
+  summary: 'List revenue distributions',
+  query: listQueryParameters(DISTRIBUTION_LIST_QUERY),
+  responses: { 200: 'Distributions with pagination', 400: 'Invalid query parameters' }
+}, requireAuth(), route(async (req, res) => {
+  const { filters, options } = parseListQuery(req.query, DISTRIBUTION_LIST_QUERY);
+  const { distributions, pagination } = await revenueManager.listDistributions(filters, options);
+
+  res.json({ success: true, distributions, pagination });
+}));
+
+/**
+ * Get revenue distribution
+ */
+routes.get('/distributions/:distributionId', {
+  summary: 'Get revenue distribution and its payments',
+  responses: { 200: 'Distribution', 404: 'Distribution not found' }
+}, requireAuth(), route(async (req, res) => {
+  const distribution = await revenueManager.getDistribution(req.params.distributionId);
+
+  res.json({ success: true, distribution });
+}));
+
+/**
+ * Split revenue for a song among its rights holders
+ */
+routes.post('/distributions', {
+  summary: 'Split song revenue among its rights holders',
+  description: 'autoDistribute also needs the distribute_payments permission',
+  body: DISTRIBUTION_SCHEMA,
+  responses: { 201: 'Distribution', 403: 'autoDistribute without distribute_payments', 404: 'Song not found' }
+}, requirePermission('calculate_revenue'), route(async (req, res) => {
+  assertCanPay(req);
+
+  const { songId, totalRevenue, distributionType = 'streaming', ...options } = req.body;
+  const distribution = await revenueManager.distributeRevenue(songId, totalRevenue, distributionType, options);
+
+  res.status(201).json({ success: true, distribution });
+}));
+
+/**
+ * Pay out a distribution (dryRun simulates the payments)
+ */
+routes.post('/distributions/:distributionId/payments', {
+  summary: 'Pay out a distribution',
+  description: 'dryRun simulates the payments',
+  body: PAYMENTS_SCHEMA,
+  responses: { 200: 'Payment results', 404: 'Distribution not found', 409: 'Distribution already paid' }
+}, requirePermission('distribute_payments'), route(async (req, res) => {
+  const distribution = await revenueManager.getDistribution(req.params.distributionId);
+  if (PAID_STATUSES.includes(distribution.status)) {
+    throw restError(`Distribution ${distribution.distributionId} is already ${distribution.status}`, 'CONFLICT');
+  }
+
+  const result = await revenueManager.processPayments(distribution.distributionId, req.body);
+
+  res.json({ success: true, ...result });
+}));
+
+/**
+ * Revenue report for the whole catalog or one artist
+ * GET /api/revenue/report?artistId=...&period=quarterly
+ */
+routes.get('/report', {
+  summary: 'Revenue report for the whole catalog or one artist',
+  query: listQueryParameters(REPORT_QUERY),
+  responses: { 200: 'Revenue report', 400: 'Invalid query parameters' }
+}, requirePermission('calculate_revenue'), route(async (req, res) => {
+  const { filters } = parseListQuery(req.query, REPORT_QUERY);
+  const { artistId = null, period = 'monthly', startDate, endDate } = filters;
+  const report = await revenueManager.generateRevenueReport(artistId, period, {
+    startDate: startDate && new Date(startDate),
+    endDate: endDate && new Date(endDate)
+  });
+
+  res.json({ success: true, report });
+}));
+
+export default router;
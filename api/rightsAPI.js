@@ -0,0 +1,195 @@
+/**
+ * Rights API
+ * Rights verification, licensing agreements and rights reports (src/rightsManager.js)
+ */
+
+import express from 'express';
+import { requireAuth, requirePermission } from './authMiddleware.js';
+import { documentRouter } from './openapi.js';
+import { route, parseListQuery, listQueryParameters, lazyInstance } from './restSupport.js';
+
+const router = express.Router();
+const routes = documentRouter(router, { tag: 'rights' });
+
+// Loaded on first use: the rights manager needs storage credentials
+const getRightsManager = lazyInstance(async () => {
+  const { RightsManager } = await import('../src/rightsManager.js');
+  return new RightsManager();
+});
+
+const LICENSE_TYPES = ['sync', 'commercial', 'mechanical', 'performance', 'sampling', 'remix', 'cover'];
+const LICENSE_STATUSES = ['pending', 'active', 'expired', 'terminated', 'breach'];
+
+const LICENSE_LIST_QUERY = {
+  filters: {
+    songId: 'string',
+    licenseType: LICENSE_TYPES,
+    status: LICENSE_STATUSES,
+    licensee: 'string',
+    activeOn: 'date'
+  },
+  sortFields: {
+    createdAt: 'createdAt',
+    validUntil: 'validUntil',
+    fee: 'terms.fee'
+  },
+  defaultSort: 'createdAt'
+};
+
+const REPORT_QUERY = {
+  filters: { artistId: 'string' }
+};
+
+const text = { type: 'string', minLength: 1 };
+
+const LICENSE_CREATE_SCHEMA = {
+  type: 'object',
+  required: ['songId', 'licenseType', 'licensee'],
+  additionalProperties: false,
+  properties: {
+    songId: text,
+    licenseType: { enum: LICENSE_TYPES },
+    licensee: {
+      type: 'object',
+      required: ['name'],
+      additionalProperties: false,
+      properties: {
+        name: text,
+        email: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+$' },
+        company: { type: 'string' },
+        address: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            street: { type: 'string' },
+            city: { type: 'string' },
+            state: { type: 'string' },
+            country: { type: 'string' },
+            postalCode: { type: 'string' }
+          }
+        }
+      }
+    },
+    terms: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        territory: text,
+        duration: text,
+        durationDays: { type: 'integer', minimum: 1 },
+        exclusivity: { enum: ['exclusive', 'non-exclusive'] },
+        usage: { type: 'string' },
+        fee: { type: 'integer', minimum: 0 },
+        royaltyRate: { type: 'number', minimum: 0, maximum: 100 },
+        paymentTerms: { type: 'string' },
+        maxUses: { type: 'integer', minimum: 1 },
+        audienceLimit: { type: 'integer', minimum: 1 }
+      }
+    }
+  }
+};
+
+const USAGE_SCHEMA = {
+  type: 'object',
+  required: ['project'],
+  additionalProperties: false,
+  properties: {
+    project: text,
+    medium: text,
+    territory: text,
+    duration: { type: 'number', minimum: 0 },
+    audience: { type: 'integer', minimum: 0 },
+    revenue: { type: 'integer', minimum: 0 },
+    description: { type: 'string' },
+    metadata: { type: 'object' }
+  }
+};
+
+/**
+ * Verify a song's ownership splits, publishing, label and licensing terms
+ */
+routes.get('/songs/:songId/verification', {
+  summary: 'Verify a song\'s ownership splits and licensing terms',
+  responses: { 200: 'Verification result', 404: 'Song not found' }
+}, requireAuth(), route(async (req, res) => {
+  const rightsManager = await getRightsManager();
+  const verification = await rightsManager.verifyRights(req.params.songId);
+
+  res.json({ success: true, verification });
+}));
+
+/**
+ * List license agreements
+ * GET /api/rights/licenses?songId=...&licenseType=sync&activeOn=2026-01-01
+ */
+routes.get('/licenses', {
+  summary: 'List license agreements',
+  query: listQueryParameters(LICENSE_LIST_QUERY),
+  responses: { 200: 'Licenses with pagination', 400: 'Invalid query parameters' }
+}, requireAuth(), route(async (req, res) => {
+  const { filters, options } = parseListQuery(req.query, LICENSE_LIST_QUERY);
+  const rightsManager = await getRightsManager();
+  const { licenses, pagination } = await rightsManager.listLicenses(filters, options);
+
+  res.json({ success: true, licenses, pagination });
+}));
+
+/**
+ * Get license agreement
+ */
+routes.get('/licenses/:licenseId', {
+  summary: 'Get license agreement',
+  responses: { 200: 'License', 404: 'License not found' }
+}, requireAuth(), route(async (req, res) => {
+  const rightsManager = await getRightsManager();
+  const license = await rightsManager.getLicense(req.params.licenseId);
+
+  res.json({ success: true, license });
+}));
+
+/**
+ * Generate a license agreement for a song
+ */
+routes.post('/licenses', {
+  summary: 'Generate a license agreement for a song',
+  body: LICENSE_CREATE_SCHEMA,
+  responses: { 201: 'Generated license', 404: 'Song not found' }
+}, requirePermission('manage_rights'), route(async (req, res) => {
+  const { songId, licenseType, licensee, terms = {} } = req.body;
+  const rightsManager = await getRightsManager();
+  const license = await rightsManager.generateLicense(songId, licenseType, licensee, terms);
+
+  res.status(201).json({ success: true, license, message: `${licenseType} license generated for ${licensee.name}` });
+}));
+
+/**
+ * Record usage of a (sync) license
+ */
+routes.post('/licenses/:licenseId/usage', {
+  summary: 'Record usage of a license',
+  body: USAGE_SCHEMA,
+  responses: { 201: 'Recorded usage', 404: 'License not found' }
+}, requirePermission('manage_rights'), route(async (req, res) => {
+  const rightsManager = await getRightsManager();
+  const usage = await rightsManager.trackSyncUsage(req.params.licenseId, req.body);
+
+  res.status(201).json({ success: true, usage });
+}));
+
+/**
+ * Rights report for the whole catalog or one artist
+ * GET /api/rights/report?artistId=...
+ */
+routes.get('/report', {
+  summary: 'Rights report for the whole catalog or one artist',
+  query: listQueryParameters(REPORT_QUERY),
+  responses: { 200: 'Rights report', 400: 'Invalid query parameters' }
+}, requirePermission('manage_rights'), route(async (req, res) => {
+  const { filters } = parseListQuery(req.query, REPORT_QUERY);
+  const rightsManager = await getRightsManager();
+  const report = await rightsManager.generateRightsReport(filters.artistId || null);
+
+  res.json({ success: true, report });
+}));
+
+export default router;
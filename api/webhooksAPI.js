@@ -0,0 +1,204 @@
+/**
+ * Webhooks API
+ * Subscriptions to attestation, audit and revenue lifecycle events, their delivery
+ * log and replays (src/webhooks.js)
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import express from 'express';
+import { WebhookDispatcher, createWebhookStore, parseAllowedHosts, WEBHOOK_EVENTS, WEBHOOK_HEADERS } from '../src/webhooks.js';
+import { requirePermission } from './authMiddleware.js';
+import { documentRouter } from './openapi.js';
+import { route, restError } from './restSupport.js';
+
+const router = express.Router();
+const routes = documentRouter(router, { tag: 'webhooks' });
+
+// Shared with the attestation, blockchain attestation and revenue routers, which publish
+// their lifecycle events through it (WEBHOOK_STORE=memory for demos)
+export const webhookDispatcher = new WebhookDispatcher({
+  store: createWebhookStore({ type: process.env.WEBHOOK_STORE || 'mongo' }),
+  allowedHosts: parseAllowedHosts(process.env.WEBHOOK_ALLOWED_HOSTS)
+});
+
+// Retry failed deliveries once their backoff has passed (WEBHOOK_RETRY_SWEEP_MS=0 disables)
+const retrySweepInterval = Number(process.env.WEBHOOK_RETRY_SWEEP_MS ?? 15 * 1000);
+if (retrySweepInterval > 0) {
+  webhookDispatcher.startRetrySweeper(retrySweepInterval);
+}
+
+const WEBHOOK_ERROR_STATUS = {
+  WEBHOOK_INVALID: 400,
+  WEBHOOK_NOT_FOUND: 404
+};
+
+const DELIVERY_STATUSES = ['delivering', 'retrying', 'delivered', 'failed'];
+const MAX_DELIVERY_LIMIT = 200;
+
+const eventType = { type: 'string', enum: ['*', ...Object.keys(WEBHOOK_EVENTS)] };
+const webhookUrl = { type: 'string', pattern: '^https?://' };
+
+const SUBSCRIPTION_SCHEMA = {
+  type: 'object',
+  required: ['url', 'events'],
+  additionalProperties: false,
+  properties: {
+    url: webhookUrl,
+    events: { type: 'array', minItems: 1, items: eventType },
+    description: { type: 'string', maxLength: 500 }
+  }
+};
+
+const SUBSCRIPTION_UPDATE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ...SUBSCRIPTION_SCHEMA.properties,
+    active: { type: 'boolean' },
+    rotateSecret: { type: 'boolean', description: 'Issue a new signing secret (returned once)' }
+  }
+};
+
+const DELIVERY_QUERY = {
+  status: { type: 'string', enum: DELIVERY_STATUSES },
+  eventType: { type: 'string', description: 'Event type, e.g. attestation.finalized' },
+  limit: { type: 'integer', minimum: 1, maximum: MAX_DELIVERY_LIMIT, description: 'Default 50' }
+};
+
+// The secret is only shown when it is issued (create, rotateSecret)
+function withoutSecret({ secret, ...subscription }) {
+  return subscription;
+}
+
+function parseDeliveryQuery({ status, eventType: type, limit = 50 }) {
+  const errors = [];
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+  }
+  const count = Number(limit);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_DELIVERY_LIMIT) {
+    errors.push(`limit must be an integer from 1 to ${MAX_DELIVERY_LIMIT}`);
+  }
+  if (errors.length > 0) {
+    throw restError('Invalid query parameters', 'VALIDATION_ERROR', errors);
+  }
+
+  return {
+    filters: {
+      ...(status && { status }),
+      ...(type && { eventType: type })
+    },
+    limit: count
+  };
+}
+
+routes.get('/events', {
+  summary: 'List the event types a subscription can listen for',
+  responses: { 200: 'Event types and the delivery headers' }
+}, requirePermission('manage_webhooks'), (req, res) => {
+  res.json({
+    success: true,
+    events: WEBHOOK_EVENTS,
+    headers: WEBHOOK_HEADERS,
+    signature: `${WEBHOOK_HEADERS.signature}: sha256=HMAC-SHA256(secret, "<${WEBHOOK_HEADERS.timestamp}>.<raw body>")`
+  });
+});
+
+routes.get('/', {
+  summary: 'List webhook subscriptions'
+}, requirePermission('manage_webhooks'), route(async (req, res) => {
+  const subscriptions = await webhookDispatcher.listSubscriptions();
+
+  res.json({ success: true, subscriptions: subscriptions.map(withoutSecret) });
+}, WEBHOOK_ERROR_STATUS));
+
+routes.post('/', {
+  summary: 'Subscribe a URL to lifecycle events',
+  description: 'The response carries the signing secret; it is not shown again.',
+  body: SUBSCRIPTION_SCHEMA,
+  responses: { 201: 'Subscription created with its signing secret' }
+}, requirePermission('manage_webhooks'), route(async (req, res) => {
+  const subscription = await webhookDispatcher.createSubscription(req.body, {
+    createdBy: req.auth.identityAddress || req.auth.userId
+  });
+
+  res.status(201).json({ success: true, subscription });
+}, WEBHOOK_ERROR_STATUS));
+
+routes.get('/deliveries/:deliveryId', {
+  summary: 'Get a delivery with its attempts',
+  responses: { 200: 'Delivery', 404: 'Delivery not found' }
+}, requirePermission('manage_webhooks'), route(async (req, res) => {
+  const delivery = await webhookDispatcher.getDelivery(req.params.deliveryId);
+
+  res.json({ success: true, delivery });
+}, WEBHOOK_ERROR_STATUS));
+
+routes.post('/deliveries/:deliveryId/replay', {
+  summary: 'Send a delivery\'s event again as a new delivery',
+  responses: { 200: 'New delivery after its first attempt', 404: 'Delivery or subscription not found' }
+}, requirePermission('manage_webhooks'), route(async (req, res) => {
+  const delivery = await webhookDispatcher.replay(req.params.deliveryId);
+
+  res.json({ success: true, delivery });
+}, WEBHOOK_ERROR_STATUS));
+
+routes.get('/:subscriptionId', {
+  summary: 'Get a webhook subscription',
+  responses: { 200: 'Subscription', 404: 'Subscription not found' }
+}, requirePermission('manage_webhooks'), route(async (req, res) => {
+  const subscription = await webhookDispatcher.getSubscription(req.params.subscriptionId);
+
+  res.json({ success: true, subscription: withoutSecret(subscription) });
+}, WEBHOOK_ERROR_STATUS));
+
+routes.patch('/:subscriptionId', {
+  summary: 'Change, pause or resume a subscription, or rotate its secret',
+  body: SUBSCRIPTION_UPDATE_SCHEMA,
+  responses: { 200: 'Updated subscription (with the new secret after rotateSecret)', 404: 'Subscription not found' }
+}, requirePermission('manage_webhooks'), route(async (req, res) => {
+  const subscription = await webhookDispatcher.updateSubscription(req.params.subscriptionId, req.body);
+
+  res.json({
+    success: true,
+    subscription: req.body.rotateSecret ? subscription : withoutSecret(subscription)
+  });
+}, WEBHOOK_ERROR_STATUS));
+
+routes.delete('/:subscriptionId', {
+  summary: 'Remove a subscription',
+  responses: { 200: 'Subscription removed', 404: 'Subscription not found' }
+}, requirePermission('manage_webhooks'), route(async (req, res) => {
+  await webhookDispatcher.deleteSubscription(req.params.subscriptionId);
+
+  res.json({ success: true, message: `Webhook ${req.params.subscriptionId} removed` });
+}, WEBHOOK_ERROR_STATUS));
+
+routes.post('/:subscriptionId/ping', {
+  summary: 'Send a signed webhook.ping event to the subscription',
+  responses: { 200: 'Ping delivery after its first attempt', 404: 'Subscription not found' }
+}, requirePermission('manage_webhooks'), route(async (req, res) => {
+  const delivery = await webhookDispatcher.ping(req.params.subscriptionId);
+
+  res.json({ success: true, delivery });
+}, WEBHOOK_ERROR_STATUS));
+
+/**
+ * Delivery log for one subscription, newest first
+ * GET /api/webhooks/:subscriptionId/deliveries?status=failed&eventType=signature.added
+ */
+routes.get('/:subscriptionId/deliveries', {
+  summary: 'List a subscription\'s deliveries, newest first',
+  query: DELIVERY_QUERY,
+  responses: { 200: 'Deliveries', 404: 'Subscription not found' }
+}, requirePermission('manage_webhooks'), route(async (req, res) => {
+  const { subscriptionId } = await webhookDispatcher.getSubscription(req.params.subscriptionId);
+  const { filters, limit } = parseDeliveryQuery(req.query);
+  const deliveries = await webhookDispatcher.listDeliveries({ subscriptionId, ...filters }, { limit });
+
+  res.json({ success: true, deliveries });
+}, WEBHOOK_ERROR_STATUS));
+
+export default router;
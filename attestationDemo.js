@@ -9,6 +9,9 @@ import fetch from 'node-fetch';
 
 const API_BASE = 'http://localhost:3000/api';
 
+// Mutating routes need a session: log in with cryptoDemo.js and export its access token
+const authHeaders = process.env.ACCESS_TOKEN ? { Authorization: `Bearer ${process.env.ACCESS_TOKEN}` } : {};
+
 console.log('🎼 AI Record Label - Attestation System Demo');
 console.log('═══════════════════════════════════════════════════════');
 console.log('📋 Cryptographic Contract Engine for Music Industry\n');
@@ -68,7 +71,7 @@ async function runAttestationDemo() {
 
     const createResponse = await fetch(`${API_BASE}/attestation/create`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...authHeaders },
       body: JSON.stringify(splitContract)
     });
 
@@ -186,7 +189,7 @@ async function runAttestationDemo() {
 
     const licenseResponse = await fetch(`${API_BASE}/attestation/create`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...authHeaders },
       body: JSON.stringify(licenseContract)
     });
 
@@ -226,7 +229,7 @@ async function runAttestationDemo() {
 
     const collabResponse = await fetch(`${API_BASE}/attestation/create`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...authHeaders },
       body: JSON.stringify(collabContract)
     });
 
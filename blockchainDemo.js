@@ -9,6 +9,9 @@ import fetch from 'node-fetch';
 
 const API_BASE = 'http://localhost:3000/api';
 
+// Mutating routes need a session: log in with cryptoDemo.js and export its access token
+const authHeaders = process.env.ACCESS_TOKEN ? { Authorization: `Bearer ${process.env.ACCESS_TOKEN}` } : {};
+
 console.log('⛓️  AI Record Label - Blockchain Audit Trail & zk-Proof Demo');
 console.log('═════════════════════════════════════════════════════════════════');
 console.log('🔐 Complete On-Chain Verification + Privacy-Preserving Proofs\n');
@@ -51,7 +54,7 @@ async function runBlockchainAuditDemo() {
 
     const auditResponse = await fetch(`${API_BASE}/blockchain-attestation/create-with-audit`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...authHeaders },
       body: JSON.stringify(contractWithAudit)
     });
 
@@ -157,7 +160,7 @@ async function runBlockchainAuditDemo() {
       
       const zkResponse = await fetch(`${API_BASE}/blockchain-attestation/${attestationId}/generate-zk-proof`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
         body: JSON.stringify({ privacyLevel })
       });
       
@@ -214,6 +214,98 @@ program
     }
   });
 
+/**
+ * Pack an attestation into a detached, self-verifying bundle
+ */
+program
+  .command('bundle <file>')
+  .description('Create a detached signature bundle from an attestation file')
+  .option('-o, --output <path>', 'Bundle file path')
+  .action(async (file, options) => {
+    try {
+      const attestation = await loadAttestationFromFile(file);
+      const bundle = attestation.toBundle();
+
+      const output = options.output || `${attestation.id}.bundle.json`;
+      await fs.writeFile(output, JSON.stringify(bundle, null, 2));
+
+      console.log(chalk.green(`\n📦 Bundle written: ${output}`));
+      console.log(chalk.gray(`Signatures: ${bundle.signatures.length}`));
+      console.log(chalk.gray(`Bundle hash: ${bundle.bundle_hash}`));
+      console.log(chalk.yellow(`\nVerify anywhere: ${chalk.bold(`node cli/attestationCLI.js verify-bundle ${output}`)}`));
+
+    } catch (error) {
+      console.error(chalk.red(`❌ Bundle failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+/**
+ * Offline bundle verification - needs no server, database or network
+ */
+program
+  .command('verify-bundle <file>')
+  .description('Verify a signature bundle offline')
+  .option('--verbose', 'Show per-signature results and contract text')
+  .action(async (file, options) => {
+    try {
+      const bundle = JSON.parse(await fs.readFile(file, 'utf8'));
+      const result = AttestationBox.verifyBundle(bundle);
+      const mark = ok => (ok ? chalk.green('✅') : chalk.red('❌'));
+
+      console.log(chalk.blue(`\n🔍 Verifying bundle: ${file}`));
+      if (result.errors) {
+        result.errors.forEach(error => console.log(chalk.red(`❌ ${error}`)));
+        process.exit(1);
+      }
+
+      console.log(chalk.gray(`Attestation: ${result.attestation_id}`));
+      console.log(chalk.gray(`Contract hash: ${result.contract_hash}`));
+      console.log();
+      console.log(`${mark(result.checks.bundle_hash)} Bundle integrity`);
+      console.log(`${mark(result.checks.payload)} Canonical payload`);
+      console.log(`${mark(result.checks.contract_text)} Contract text matches contract hash`);
+      console.log(`${mark(result.checks.signatures)} Signatures (${result.signatures.filter(sig => sig.valid).length}/${result.signatures.length} valid)`);
+      console.log(`${mark(result.checks.anchor_hash)} Anchor hash`);
+      console.log(`${mark(result.checks.finalization)} Signature policy: ${result.signature_policy?.description || 'none'}`
+        + ` (${result.signature_policy?.satisfied ? 'satisfied' : 'not satisfied'})`);
+      console.log(`${mark(result.checks.anchors)} Anchors (${result.anchors.length})`);
+
+      if (options.verbose) {
+        console.log(chalk.blue('\n📝 Signatures:'));
+        result.signatures.forEach((sig, i) => {
+          const status = sig.valid ? (sig.withdrawn ? chalk.yellow('↩️ ') : chalk.green('✅')) : chalk.red('❌');
+          const signature = bundle.signatures[i];
+          console.log(`${i + 1}. ${status} ${sig.signer || 'Anonymous'} (${sig.role || 'unknown'})`);
+          console.log(`   Key: ${sig.pubkey}`);
+          console.log(`   Derivation: ${signature?.derivation || 'n/a'}`);
+          if (sig.error) console.log(chalk.red(`   Error: ${sig.error}`));
+        });
+
+        console.log(chalk.blue('\n📄 Contract:'));
+        console.log(chalk.cyan('─'.repeat(60)));
+        console.log(bundle.contract.text);
+        console.log(chalk.cyan('─'.repeat(60)));
+      }
+
+      if (result.anchors.length > 0) {
+        console.log(chalk.blue('\n⚓ Anchor transactions (confirm on a block explorer):'));
+        result.anchors.forEach(anchor => {
+          console.log(`   ${anchor.txid} ${chalk.gray(anchor.event_type || '')}`);
+        });
+      }
+
+      console.log(result.valid
+        ? chalk.green('\n✅ BUNDLE VERIFIED')
+        : chalk.red('\n❌ BUNDLE FAILED VERIFICATION'));
+      if (!result.valid) process.exit(1);
+
+    } catch (error) {
+      console.error(chalk.red(`❌ Verification failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 /**
  * List available templates
  */
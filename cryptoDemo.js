@@ -5,6 +5,9 @@
 
 import MusicIdentitySDK from './src/web3IdentitySDK.js';
 import fetch from 'node-fetch';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
 
 // Demo configuration
 const API_BASE = 'http://localhost:3000/api';
@@ -132,7 +135,7 @@ async function runDemo() {
     
     if (authResult.success) {
       console.log(`✅ Authentication successful!`);
-      console.log(`   Session Token: ${authResult.sessionToken.substring(0, 20)}...`);
+      console.log(`   Access Token: ${authResult.accessToken.substring(0, 20)}... (expires in ${authResult.expiresIn}s)`);
       console.log(`   User: ${authResult.user.name} (${authResult.user.role})`);
     } else {
       throw new Error(`Authentication failed: ${authResult.error}`);
@@ -142,24 +145,46 @@ async function runDemo() {
     console.log('Step 7: Demonstrating Action-Based Signing');
     console.log('------------------------------------------');
     
-    // Demonstrate different action types
+    // Upload a staged audio file (DEMO_ARTIST_ID, DEMO_AUDIO_FILE in CATALOG_INCOMING_DIR),
+    // claim ownership of it, then sign the resulting ownership-claim attestation
+    const audioFile = process.env.DEMO_AUDIO_FILE || 'demo-track.wav';
+    const audioPath = path.resolve(process.env.CATALOG_INCOMING_DIR || './catalog/incoming', audioFile);
+    const audioSha256 = await fs.readFile(audioPath)
+      .then(audio => crypto.createHash('sha256').update(audio).digest('hex'))
+      .catch(() => null);
+
+    let lastResult = {};
     const actions = [
-      { action: 'upload-song', data: { title: 'Demo Track', genre: 'Electronic' } },
-      { action: 'claim-ownership', data: { songId: 'demo_123', percentage: 100 } },
-      { action: 'sign-agreement', data: { agreementType: 'licensing', terms: 'Standard license' } }
+      {
+        action: 'upload-song',
+        data: () => ({ artistId: process.env.DEMO_ARTIST_ID, title: 'Demo Track', genre: 'Electronic', audioFile, audioSha256 })
+      },
+      { action: 'claim-ownership', data: () => ({ songId: lastResult.songId, share: 100 }) },
+      {
+        action: 'sign-agreement',
+        data: async () => {
+          // The attestation signature is made locally with the key the attestation requires
+          const response = await fetch(`${API_BASE}/attestation/${lastResult.attestationId}`);
+          const { attestation } = await response.json();
+          return {
+            attestationId: lastResult.attestationId,
+            attestationSignature: sdk.signAttestation(attestation, lastResult.requiredKeyType)
+          };
+        }
+      }
     ];
 
     for (const actionTest of actions) {
       console.log(`\n   Testing: ${actionTest.action}`);
+      actionTest.data = await actionTest.data();
       
       // Get signing instructions
       const signInstructions = await fetch(`${API_BASE}/identity/action/sign`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authResult.accessToken}` },
         body: JSON.stringify({
           action: actionTest.action,
-          data: actionTest.data,
-          identityAddress: identity.identityAddress
+          data: actionTest.data
         })
       });
       
@@ -169,25 +194,27 @@ async function runDemo() {
         const requiredKey = instructionResult.signingInstructions.requiredKeyType;
         console.log(`   ✅ Requires: ${requiredKey} key`);
         
-        // Sign with appropriate key (SDK automatically uses correct key for action)
+        // Sign with appropriate key (SDK automatically uses correct key for action),
+        // including the one-time nonce the server issued for this action
+        const { timestamp, nonce } = instructionResult.payload;
         const signedAction = sdk.signForAction(
           actionTest.action,
-          actionTest.data
+          actionTest.data,
+          timestamp,
+          nonce
         );
         
         // Execute signed action
         const executeResponse = await fetch(`${API_BASE}/identity/action/execute`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            signedAction,
-            identityAddress: identity.identityAddress
-          })
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authResult.accessToken}` },
+          body: JSON.stringify({ signedAction })
         });
         
         const executeResult = await executeResponse.json();
         
         if (executeResult.success) {
+          lastResult = executeResult.actionResult;
           console.log(`   ✅ Executed: ${executeResult.message}`);
           console.log(`   ✅ Verified: ${executeResult.verification.valid ? 'Valid' : 'Invalid'}`);
         } else {
@@ -76,7 +76,7 @@ const userSchema = new mongoose.Schema({
     enum: [
       'create_artists', 'manage_catalog', 'publish_music', 'manage_rights',
       'calculate_revenue', 'distribute_payments', 'view_analytics', 
-      'generate_reports', 'verify_ownership', 'admin_system'
+      'generate_reports', 'verify_ownership', 'manage_webhooks', 'admin_system'
     ]
   }],
   
@@ -86,6 +86,15 @@ const userSchema = new mongoose.Schema({
     address: { type: String, required: true }, // BSV address
     did: { type: String }, // Decentralized Identifier
     keyDerivationPath: { type: String, default: "m/44'/236'/0'/0/0" },
+    derivedKeys: { // Public key per key type (web3IdentitySDK.js DERIVATION_PATHS)
+      identity: { type: String },
+      property: { type: String },
+      contractual: { type: String },
+      privacy: { type: String },
+      messages: { type: String },
+      financial: { type: String },
+      document: { type: String }
+    },
     encryptedPrivateKey: { type: String }, // AES encrypted, only for recovery
     web3KeysRegistration: {
       registered: { type: Boolean, default: false },
@@ -606,7 +615,7 @@ const auditTrailSchema = new mongoose.Schema({
         'api_call', 'api_error', 'webhook_triggered',
         
         // UTXO Management Events
-        'bulk_create', 'reserve', 'spend', 'restore', 'cleanup', 'create'
+        'bulk_create', 'reserve', 'spend', 'restore', 'cleanup', 'create', 'status_change'
       ],
       required: true,
       index: true
@@ -639,7 +648,7 @@ const auditTrailSchema = new mongoose.Schema({
   target: {
     type: {
       type: String,
-      enum: ['user', 'sample', 'notarization', 'file', 'transaction', 'proof', 'organization', 'system', 'utxo', 'utxo_collection'],
+      enum: ['user', 'sample', 'notarization', 'file', 'transaction', 'proof', 'organization', 'system', 'utxo', 'utxo_collection', 'song', 'attestation'],
       index: true
     },
     id: { type: String, index: true }, // ID of the target object
@@ -863,6 +872,17 @@ const labSampleSchema = new mongoose.Schema({
     ref: 'Notarization' 
   }],
   
+  // Compliance proofs anchored with this custody record
+  complianceProofs: [{
+    _id: false,
+    proofId: { type: String, required: true },
+    analyte: { type: String },
+    proofHash: { type: String },
+    isCompliant: { type: Boolean },
+    txid: { type: String },
+    anchoredAt: { type: Date, default: Date.now }
+  }],
+  
   // Status Tracking
   status: {
     type: String,
@@ -887,8 +907,18 @@ const labSampleSchema = new mongoose.Schema({
 const zkProofSchema = new mongoose.Schema({
   // Proof Identification
   proofId: { type: String, required: true, unique: true, index: true },
-  sampleId: { type: String, required: true, index: true },
-  analyte: { type: String, required: true, index: true },
+  proofType: { 
+    type: String, 
+    enum: ['lab_compliance', 'attestation_privacy'], 
+    default: 'lab_compliance', 
+    index: true 
+  },
+  sampleId: { type: String, required: function() { return this.proofType === 'lab_compliance'; }, index: true },
+  analyte: { type: String, required: function() { return this.proofType === 'lab_compliance'; }, index: true },
+  
+  // Attestation privacy proofs
+  attestationId: { type: String, index: true },
+  privacyLevel: { type: String, enum: ['basic', 'financial', 'full_privacy'] },
   
   // Proof Details
   proof: {
@@ -902,8 +932,8 @@ const zkProofSchema = new mongoose.Schema({
   
   // Compliance Information
   compliance: {
-    threshold: { type: Number, required: true },
-    isCompliant: { type: Boolean, required: true, index: true },
+    threshold: { type: Number, required: function() { return this.proofType === 'lab_compliance'; } },
+    isCompliant: { type: Boolean, required: function() { return this.proofType === 'lab_compliance'; }, index: true },
     regulation: { type: String }, // Which regulation this proves compliance with
     units: { type: String }
   },
@@ -1127,9 +1157,10 @@ const utxoSchema = new mongoose.Schema({
   },
   
   // Status and Tracking
+  // spent: spending tx broadcast, not yet mined; orphaned: the funding tx left the chain and mempool
   status: {
     type: String,
-    enum: ['available', 'reserved', 'spent', 'confirmed_spent'],
+    enum: ['available', 'reserved', 'spent', 'confirmed_spent', 'orphaned'],
     default: 'available',
     index: true
   },
@@ -1145,6 +1176,47 @@ const utxoSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  spentBlockHeight: {
+    type: Number,
+    min: 0
+  },
+  spendConfirmations: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  
+  // Confirmation tracking (UTXOManagerMongo.trackConfirmations)
+  lastCheckedAt: {
+    type: Date
+  },
+  // When the provider first failed to find the funding or spending tx
+  missingSince: {
+    type: Date
+  },
+  statusHistory: [{
+    from: { type: String },
+    to: { type: String, required: true },
+    reason: { type: String, required: true },
+    txid: { type: String },
+    blockHeight: { type: Number },
+    actor: { type: String },
+    at: { type: Date, default: Date.now }
+  }],
+
+  // Fan-out split trees (UTXOSplitter.splitFanOutTree): the transaction that funded this
+  // output's transaction, and the tree's first transaction. Following parentTxid down
+  // lets an unconfirmed chain be rolled back together (UTXOService.rollbackSplitChain).
+  parentTxid: {
+    type: String
+  },
+  chainRootTxid: {
+    type: String
+  },
+  chainDepth: {
+    type: Number,
+    min: 0
+  },
   
   // Wallet Association
   walletAddress: {
@@ -1170,6 +1242,14 @@ const utxoSchema = new mongoose.Schema({
     type: Date,
     index: true
   },
+  // Reservation lease: the owner must spend or release the coin before it expires,
+  // after which UTXOService.reclaimExpiredLeases returns it to the pool
+  reservedBy: {
+    type: String
+  },
+  leaseExpiresAt: {
+    type: Date
+  },
   spentAt: {
     type: Date,
     index: true
@@ -1187,7 +1267,7 @@ const utxoSchema = new mongoose.Schema({
   // Source tracking
   source: {
     type: String,
-    enum: ['blockchain_fetch', 'change_output', 'manual_add', 'sync_operation', 'split_operation'],
+    enum: ['blockchain_fetch', 'change_output', 'manual_add', 'sync_operation', 'split_operation', 'consolidation'],
     default: 'blockchain_fetch',
     index: true
   },
@@ -1237,14 +1317,32 @@ utxoSchema.index({ status: 1, spentAt: 1 });
 // Source tracking
 utxoSchema.index({ source: 1, createdAt: -1 });
 
+// Split chains: children of a transaction, outputs of a tree
+utxoSchema.index({ parentTxid: 1 }, { sparse: true });
+utxoSchema.index({ chainRootTxid: 1 }, { sparse: true });
+
+// Confirmation tracker: least recently checked first
+utxoSchema.index({ walletAddress: 1, status: 1, lastCheckedAt: 1 });
+
+// Lease sweeper: expired reservations
+utxoSchema.index({ status: 1, leaseExpiresAt: 1 });
+
 // =============================================
 // UTXO INSTANCE METHODS
 // =============================================
 
+/**
+ * Append a status change to statusHistory (callers set the new status)
+ */
+utxoSchema.methods.recordTransition = function(to, reason, actor = 'system', details = {}) {
+  this.statusHistory.push({ from: this.status, to, reason, actor, at: new Date(), ...details });
+};
+
 utxoSchema.methods.reserve = function(reservedBy = 'system') {
   if (this.status !== 'available') {
     throw new Error(`Cannot reserve UTXO with status: ${this.status}`);
   }
+  this.recordTransition('reserved', 'reserved', reservedBy);
   this.status = 'reserved';
   this.reservedAt = new Date();
   this.updatedBy = reservedBy;
@@ -1255,7 +1353,10 @@ utxoSchema.methods.markSpent = function(spentInTxid, spentBy = 'system') {
   if (this.status !== 'reserved' && this.status !== 'available') {
     throw new Error(`Cannot mark UTXO as spent with status: ${this.status}`);
   }
+  this.recordTransition('spent', 'broadcast', spentBy, { txid: spentInTxid });
   this.status = 'spent';
+  this.reservedBy = undefined;
+  this.leaseExpiresAt = undefined;
   this.spentAt = new Date();
   this.spentInTxid = spentInTxid;
   this.updatedBy = spentBy;
@@ -1266,8 +1367,11 @@ utxoSchema.methods.release = function(releasedBy = 'system') {
   if (this.status !== 'reserved') {
     throw new Error(`Cannot release UTXO with status: ${this.status}`);
   }
+  this.recordTransition('available', 'released', releasedBy);
   this.status = 'available';
   this.reservedAt = undefined;
+  this.reservedBy = undefined;
+  this.leaseExpiresAt = undefined;
   this.updatedBy = releasedBy;
   return this.save();
 };
@@ -1672,11 +1776,25 @@ const auditLogSchema = new mongoose.Schema({
     default: false,
     index: true
   },
-  batchId: { 
+  batchId: {
     type: String,
     index: true
   },
-  
+
+  // Merkle inclusion proof (only the batch root is anchored on-chain)
+  merkle: {
+    leafHash: { type: String },
+    salt: { type: String }, // Blinds the leaf so entries cannot be guessed from their hash
+    leafIndex: { type: Number },
+    root: { type: String, index: true },
+    batchSize: { type: Number },
+    path: [{
+      _id: false,
+      hash: { type: String },
+      position: { type: String, enum: ['left', 'right'] }
+    }]
+  },
+
   // Security and integrity
   checksum: { type: String }, // Data integrity verification
   signature: { type: String }, // Cryptographic signature if applicable
@@ -1701,6 +1819,170 @@ auditLogSchema.index({ blockchainHash: 1 });
 auditLogSchema.index({ batchId: 1 });
 auditLogSchema.index({ verified: 1, processed: 1 });
 
+// =============================================
+// ATTESTATIONS COLLECTION SCHEMA
+// =============================================
+
+const attestationSignatureSchema = new mongoose.Schema({
+  pubkey: { type: String, required: true },
+  signature: { type: String, required: true }, // DER hex
+  derivation: { type: String },
+  role: { type: String },
+  timestamp: { type: String }, // ISO string exactly as signed
+  message_hash: { type: String },
+  canonicalization: { type: String }, // 'jcs'; absent on signatures hashed over plain JSON.stringify
+  signer_info: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const attestationRevocationSchema = new mongoose.Schema({
+  type: { type: String, enum: ['signature_withdrawal', 'revocation_consent'], required: true },
+  pubkey: { type: String, required: true },
+  signature: { type: String, required: true }, // DER hex
+  role: { type: String },
+  timestamp: { type: String }, // ISO string exactly as signed
+  message_hash: { type: String },
+  target_message_hash: { type: String }, // Withdrawn signature
+  reason: { type: String },
+  canonicalization: { type: String },
+  signer_info: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const attestationSchema = new mongoose.Schema({
+  attestationId: { type: String, required: true, unique: true, index: true },
+  type: { type: String, default: 'attestation' },
+  version: { type: String },
+  subject: { type: String, index: true },
+  action: { type: String, index: true },
+  payload: { type: mongoose.Schema.Types.Mixed },
+  signatures: [attestationSignatureSchema],
+  revocations: [attestationRevocationSchema],
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  
+  // Denormalized for querying
+  finalized: { type: Boolean, default: false, index: true },
+  
+  // Optimistic concurrency: every write must name the revision it read
+  revision: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  collection: 'attestations',
+  minimize: false
+});
+
+attestationSchema.index({ action: 1, finalized: 1, createdAt: -1 });
+
+// =============================================
+// CONTRACT TEMPLATES COLLECTION SCHEMA
+// =============================================
+
+const contractTemplateSchema = new mongoose.Schema({
+  type: { type: String, required: true, index: true },
+  version: { type: String, required: true }, // Semantic version
+  description: { type: String },
+  template: { type: String, required: true },
+  template_hash: { type: String, required: true }, // sha256 of template text
+  required_fields: [{ type: String }],
+  fields_schema: { type: mongoose.Schema.Types.Mixed }, // JSON Schema for fields
+  required_signatures: { type: mongoose.Schema.Types.Mixed }, // 'all_parties' or field names
+  key_type: { type: String, required: true },
+  signing_deadline_days: { type: Number }, // Drafts expire this long after creation
+  validity_days: { type: Number }, // Finalized contracts lapse this long after finalization
+  deprecated: { type: Boolean, default: false },
+  createdBy: { type: String }
+}, {
+  timestamps: true,
+  collection: 'contract_templates',
+  minimize: false
+});
+
+// Versions are immutable once published
+contractTemplateSchema.index({ type: 1, version: 1 }, { unique: true });
+
+// =============================================
+// REVOKED TOKENS COLLECTION SCHEMA
+// =============================================
+
+const revokedTokenSchema = new mongoose.Schema({
+  tokenId: { type: String, required: true, unique: true }, // JWT jti or session id
+  userId: { type: String, index: true },
+  reason: { type: String },
+  expiresAt: { type: Date, required: true } // Dropped once the token could no longer verify
+}, {
+  timestamps: true,
+  collection: 'revoked_tokens'
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// =============================================
+// AUTH NONCES COLLECTION SCHEMA
+// =============================================
+
+const authNonceSchema = new mongoose.Schema({
+  nonce: { type: String, required: true, unique: true },
+  identityAddress: { type: String, required: true, index: true },
+  purpose: { type: String, required: true }, // 'verify-identity' or 'action:<action>'
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: true,
+  collection: 'auth_nonces'
+});
+
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// =============================================
+// WEBHOOK SUBSCRIPTIONS COLLECTION SCHEMA
+// =============================================
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  subscriptionId: { type: String, required: true, unique: true },
+  url: { type: String, required: true },
+  events: [{ type: String }], // Event types, or '*' for all
+  secret: { type: String, required: true }, // HMAC-SHA256 signing key
+  description: { type: String },
+  active: { type: Boolean, default: true, index: true },
+  createdBy: { type: String }
+}, {
+  timestamps: true,
+  collection: 'webhook_subscriptions'
+});
+
+// =============================================
+// WEBHOOK DELIVERIES COLLECTION SCHEMA
+// =============================================
+
+const webhookAttemptSchema = new mongoose.Schema({
+  attemptedAt: { type: Date, required: true },
+  statusCode: { type: Number },
+  error: { type: String },
+  durationMs: { type: Number }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: { type: String, required: true, unique: true },
+  subscriptionId: { type: String, required: true, index: true },
+  eventId: { type: String, required: true, index: true },
+  eventType: { type: String, required: true, index: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true }, // Event envelope as sent
+  status: {
+    type: String,
+    enum: ['delivering', 'retrying', 'delivered', 'failed'],
+    default: 'delivering',
+    index: true
+  },
+  attempts: [webhookAttemptSchema],
+  nextAttemptAt: { type: Date },
+  leaseUntil: { type: Date }, // A sender owns the delivery until then
+  deliveredAt: { type: Date },
+  replayOf: { type: String } // Delivery this one replays
+}, {
+  timestamps: true,
+  collection: 'webhook_deliveries',
+  minimize: false
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
 // =============================================
 // MODEL EXPORTS
 // =============================================
@@ -1710,6 +1992,13 @@ export const AIArtist = mongoose.model('AIArtist', aiArtistSchema);
 export const Song = mongoose.model('Song', songSchema);
 export const AuditTrail = mongoose.model('AuditTrail', auditTrailSchema);
 export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+export const LabSample = mongoose.model('LabSample', labSampleSchema);
+export const Attestation = mongoose.model('Attestation', attestationSchema);
+export const ContractTemplate = mongoose.model('ContractTemplate', contractTemplateSchema);
+export const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+export const AuthNonce = mongoose.model('AuthNonce', authNonceSchema);
+export const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+export const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
 export const ZKProof = mongoose.model('ZKProof', zkProofSchema);
 export const Organization = mongoose.model('Organization', organizationSchema);
 export const UTXO = mongoose.model('UTXO', utxoSchema);
@@ -9,11 +9,16 @@ import {
   Song, 
   AuditTrail, 
   ZKProof, 
+  LabSample,
   Organization,
   UTXO
 } from './schemas.js';
 import crypto from 'crypto';
 import bcrypt from 'bcrypt';
+import { selectCoins } from '../src/coinSelection.js';
+
+// How long a UTXO reservation lasts unless its owner spends or releases it first
+export const DEFAULT_UTXO_LEASE_MS = 5 * 60 * 1000;
 
 // =============================================
 // AUDIT TRAIL HELPER FUNCTIONS
@@ -1011,10 +1016,12 @@ export class ZKProofService {
         target: {
           type: 'proof',
           id: proofId,
-          name: `ZK Proof for ${proofData.sampleId} - ${proofData.analyte}`
+          name: ZKProofService.describeProof(proofData)
         },
         details: {
-          description: `Zero-knowledge proof generated for compliance verification`,
+          description: proofData.proofType === 'attestation_privacy'
+            ? `Zero-knowledge proof generated for attestation privacy`
+            : `Zero-knowledge proof generated for compliance verification`,
           cryptography: {
             hash: proofData.proof.proofHash,
             algorithm: proofData.cryptography.algorithm
@@ -1060,7 +1067,7 @@ export class ZKProofService {
         target: {
           type: 'proof',
           id: proofId,
-          name: `ZK Proof for ${zkProof.sampleId} - ${zkProof.analyte}`
+          name: ZKProofService.describeProof(zkProof)
         },
         details: {
           description: `Zero-knowledge proof verification completed`,
@@ -1078,12 +1085,98 @@ export class ZKProofService {
     }
   }
   
+  /**
+   * Record the on-chain anchor of a lab compliance proof on the proof and its sample
+   */
+  static async recordAnchor(proofId, anchorInfo, actorInfo = {}) {
+    try {
+      const zkProof = await ZKProof.findOne({ proofId });
+      if (!zkProof) {
+        throw new Error('ZK proof not found');
+      }
+      
+      zkProof.blockchain = {
+        published: true,
+        txid: anchorInfo.txid,
+        network: anchorInfo.network,
+        publishedAt: new Date()
+      };
+      zkProof.updatedAt = new Date();
+      await zkProof.save();
+      
+      await LabSample.updateOne(
+        { sampleId: zkProof.sampleId },
+        {
+          $push: {
+            complianceProofs: {
+              proofId,
+              analyte: zkProof.analyte,
+              proofHash: zkProof.proof.proofHash,
+              isCompliant: zkProof.compliance.isCompliant,
+              txid: anchorInfo.txid,
+              anchoredAt: new Date()
+            }
+          }
+        }
+      );
+      
+      await AuditService.createAuditEntry({
+        event: {
+          type: 'blockchain_publish',
+          category: 'blockchain',
+          severity: 'info'
+        },
+        actor: actorInfo,
+        target: {
+          type: 'proof',
+          id: proofId,
+          name: ZKProofService.describeProof(zkProof)
+        },
+        details: {
+          description: `Compliance proof anchored with chain-of-custody record ${anchorInfo.custodyNumber}`,
+          blockchain: {
+            txid: anchorInfo.txid,
+            network: anchorInfo.network
+          }
+        }
+      });
+      
+      return zkProof;
+      
+    } catch (error) {
+      throw new Error(`Failed to record ZK proof anchor: ${error.message}`);
+    }
+  }
+  
   /**
    * Get ZK proofs for sample
    */
   static async getZKProofsForSample(sampleId) {
     return await ZKProof.find({ sampleId }).sort({ createdAt: -1 });
   }
+  
+  /**
+   * Get ZK proof by ID
+   */
+  static async getZKProof(proofId) {
+    return await ZKProof.findOne({ proofId });
+  }
+  
+  /**
+   * Get ZK proofs for attestation
+   */
+  static async getZKProofsForAttestation(attestationId) {
+    return await ZKProof.find({ attestationId }).sort({ createdAt: -1 });
+  }
+  
+  /**
+   * Human-readable audit name for a proof
+   */
+  static describeProof(proof) {
+    return proof.proofType === 'attestation_privacy'
+      ? `ZK Proof for attestation ${proof.attestationId}`
+      : `ZK Proof for ${proof.sampleId} - ${proof.analyte}`;
+  }
 }
 
 // =============================================
@@ -1273,6 +1366,16 @@ export class UTXOService {
             fetchedAt: utxo.fetchedAt || new Date(),
             source,
             status: utxo.status || 'available',
+            ...(utxo.status === 'reserved' && {
+              reservedAt: utxo.reservedAt || new Date(),
+              reservedBy: utxo.reservedBy,
+              leaseExpiresAt: utxo.leaseExpiresAt
+            }),
+            ...(utxo.parentTxid && {
+              parentTxid: utxo.parentTxid,
+              chainRootTxid: utxo.chainRootTxid,
+              chainDepth: utxo.chainDepth
+            }),
             createdBy: actor,
             updatedBy: actor
           });
@@ -1328,62 +1431,323 @@ export class UTXOService {
       throw new Error(`Failed to fetch available UTXOs: ${error.message}`);
     }
   }
+
+  /**
+   * The `limit` smallest available UTXOs, smallest first (the order consolidation spends them)
+   */
+  static async getSmallestUTXOs(walletAddress, limit = 100) {
+    try {
+      return await UTXO.find({ walletAddress, status: 'available' })
+        .sort({ satoshis: 1 })
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      throw new Error(`Failed to fetch available UTXOs: ${error.message}`);
+    }
+  }
   
   /**
-   * Reserve a UTXO for spending (atomic operation)
+   * Reserve a UTXO for spending under a lease (atomic operation)
+   *
+   * One findOneAndUpdate moves the coin from available to reserved, so concurrent
+   * publishers can never take the same coin. The reservation lapses at
+   * leaseExpiresAt unless the owner spends or releases it first (reclaimExpiredLeases).
+   *
+   * @param {Object} [options]
+   * @param {string} [options.owner] - Lease owner; releaseReservation requires it (defaults to actor)
+   * @param {number} [options.leaseMs] - Lease length (default 5 minutes)
+   * @param {Object} [options.sort] - Which coin to take (default largest first)
+   * @returns {Object|null} The reserved UTXO, or null when none qualifies
    */
-  static async reserveUTXO(walletAddress, requiredAmount = 0, actor = 'system') {
-    const session = await UTXO.startSession();
-    
+  static async claimUTXO(walletAddress, requiredAmount = 0, actor = 'system', options = {}) {
+    return this.leaseUTXO({ walletAddress, satoshis: { $gte: requiredAmount } }, actor, options);
+  }
+
+  /**
+   * Reserve the first available UTXO matching `query` (see claimUTXO)
+   */
+  static async leaseUTXO(query, actor = 'system', options = {}) {
+    const { owner = actor, leaseMs = DEFAULT_UTXO_LEASE_MS, sort = { satoshis: -1 } } = options;
+    const now = new Date();
+    const leaseExpiresAt = new Date(now.getTime() + leaseMs);
+
+    const utxo = await UTXO.findOneAndUpdate(
+      { ...query, status: 'available' },
+      {
+        $set: { status: 'reserved', reservedAt: now, reservedBy: owner, leaseExpiresAt, updatedBy: actor },
+        $push: { statusHistory: { from: 'available', to: 'reserved', reason: 'reserved', actor: owner, at: now } }
+      },
+      { new: true, sort }
+    );
+    if (!utxo) return null;
+
+    await AuditService.createAuditEntry({
+      event: {
+        type: 'reserve',
+        category: 'utxo_management',
+        severity: 'info'
+      },
+      actor: { userId: actor, type: 'system' },
+      target: { type: 'utxo', id: `${utxo.txid}:${utxo.vout}` },
+      details: {
+        description: `Reserved UTXO ${utxo.txid}:${utxo.vout} with ${utxo.satoshis} satoshis for ${owner}`,
+        metadata: {
+          walletAddress: utxo.walletAddress,
+          actualAmount: utxo.satoshis,
+          txid: utxo.txid,
+          vout: utxo.vout,
+          owner,
+          leaseExpiresAt
+        }
+      }
+    });
+
+    return utxo;
+  }
+
+  /**
+   * Reserve a UTXO for spending (atomic operation, leased; see claimUTXO)
+   */
+  static async reserveUTXO(walletAddress, requiredAmount = 0, actor = 'system', options = {}) {
     try {
-      let reservedUTXO;
-      
-      await session.withTransaction(async () => {
-        // Find and reserve the best UTXO
-        const utxo = await UTXO.findOne({
-          walletAddress,
-          status: 'available',
-          satoshis: { $gte: requiredAmount }
-        })
-        .sort({ satoshis: -1 }) // Largest first
-        .session(session);
-        
+      const utxo = await this.claimUTXO(walletAddress, requiredAmount, actor, options);
+      if (!utxo) {
+        throw new Error(`No suitable UTXO available for ${requiredAmount} satoshis`);
+      }
+      return utxo;
+    } catch (error) {
+      throw new Error(`Failed to reserve UTXO: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reserve `count` UTXOs under one lease owner; all or nothing
+   * @param {Object} [options] - As claimUTXO, plus minAmount per coin
+   */
+  static async reserveUTXOs(walletAddress, count, actor = 'system', options = {}) {
+    const { minAmount = 0, ...leaseOptions } = options;
+    const owner = leaseOptions.owner || actor;
+    const reserved = [];
+
+    try {
+      while (reserved.length < count) {
+        const utxo = await this.claimUTXO(walletAddress, minAmount, actor, { ...leaseOptions, owner });
         if (!utxo) {
-          throw new Error(`No suitable UTXO available for ${requiredAmount} satoshis`);
+          throw new Error(`Insufficient UTXOs: need ${count}, reserved ${reserved.length}`);
         }
-        
-        // Reserve it
-        await utxo.reserve(actor);
-        reservedUTXO = utxo;
-        
-        // Create audit trail
-          await AuditService.createAuditEntry({
-            event: {
-              type: 'reserve',
-              category: 'utxo_management',
-              severity: 'info'
-            },
-            actor: { userId: actor, type: 'system' },
-            target: { type: 'utxo', id: `${utxo.txid}:${utxo.vout}` },
-            details: {
-              description: `Reserved UTXO ${utxo.txid}:${utxo.vout} with ${utxo.satoshis} satoshis`,
-              metadata: {
-                walletAddress,
-                requiredAmount,
-                actualAmount: utxo.satoshis,
-                txid: utxo.txid,
-                vout: utxo.vout
-              }
-            }
-          });
-      });
-      
-      return reservedUTXO;
-      
+        reserved.push(utxo);
+      }
+      return reserved;
     } catch (error) {
-      throw new Error(`Failed to reserve UTXO: ${error.message}`);
-    } finally {
-      await session.endSession();
+      for (const utxo of reserved) {
+        await this.releaseReservation(utxo.txid, utxo.vout, owner, actor).catch(releaseError => {
+          console.warn(`Failed to release UTXO ${utxo.txid}:${utxo.vout}:`, releaseError.message);
+        });
+      }
+      throw new Error(`Failed to reserve UTXOs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Choose the UTXOs that fund a transaction (src/coinSelection.js) and optionally
+   * reserve them. A chosen coin taken by a concurrent publisher between selection and
+   * reservation triggers a fresh selection.
+   *
+   *   getUTXOsForSpending(address, { outputs: [opReturnOutput([data])] },
+   *     { strategy: 'branch-and-bound', feePolicy, reserve: { owner, leaseMs } })
+   *
+   * @param {Object} request - { outputs: [{ satoshis, scriptSize }] } excluding change
+   * @param {Object} [options] - selectCoins options plus
+   *   reserve: { owner, leaseMs } to lease the inputs, actor, maxCandidates, attempts
+   * @returns {Object} selectCoins result; inputs are UTXO documents when reserved
+   */
+  static async getUTXOsForSpending(walletAddress, request, options = {}) {
+    const { reserve = null, actor = 'system', maxCandidates = 1000, attempts = 3, ...selection } = options;
+
+    for (let attempt = 1; ; attempt++) {
+      const candidates = await UTXO.find({ walletAddress, status: 'available' })
+        .sort({ satoshis: -1 })
+        .limit(maxCandidates)
+        .lean();
+      const chosen = selectCoins(candidates, request, selection);
+      if (!reserve) return chosen;
+
+      const owner = reserve.owner || actor;
+      const reserved = [];
+      for (const { txid, vout } of chosen.inputs) {
+        const utxo = await this.leaseUTXO({ txid, vout }, actor, { ...reserve, owner });
+        if (!utxo) break;
+        reserved.push(utxo);
+      }
+      if (reserved.length === chosen.inputs.length) {
+        return { ...chosen, inputs: reserved };
+      }
+
+      for (const utxo of reserved) {
+        await this.releaseReservation(utxo.txid, utxo.vout, owner, actor);
+      }
+      if (attempt >= attempts) {
+        throw new Error(`Failed to reserve selected UTXOs: taken by concurrent spenders ${attempts} times`);
+      }
+    }
+  }
+
+  /**
+   * Return a reserved UTXO to the pool; only its lease owner can, so a publisher whose
+   * lease was reclaimed cannot release a coin someone else has reserved since
+   * @returns {Object|null} The released UTXO, or null if the owner no longer holds it
+   */
+  static async releaseReservation(txid, vout, owner, actor = 'system') {
+    return this.transitionUTXO(txid, vout, {
+      from: 'reserved',
+      to: 'available',
+      reason: 'released',
+      where: { reservedBy: owner },
+      changes: { reservedAt: null, reservedBy: null, leaseExpiresAt: null }
+    }, actor);
+  }
+
+  /**
+   * Return reservations whose lease expired (the owner crashed or stalled) to the pool.
+   * Reservations made before leases existed expire DEFAULT_UTXO_LEASE_MS after reservedAt.
+   *
+   * With `getSpentBy(txid, vout)` (a blockchain provider lookup) a coin the owner
+   * managed to broadcast before it stopped is marked spent instead of being reused.
+   *
+   * @param {string|null} walletAddress - One wallet, or every wallet when null
+   * @param {Object} [options] - { now, getSpentBy, actor, limit }
+   * @returns {Object} { reclaimed, spent }
+   */
+  static async reclaimExpiredLeases(walletAddress = null, options = {}) {
+    const { now = new Date(), getSpentBy = null, actor = 'lease_sweeper', limit = 500 } = options;
+
+    try {
+      const expired = await UTXO.find({
+        ...(walletAddress && { walletAddress }),
+        status: 'reserved',
+        $or: [
+          { leaseExpiresAt: { $lte: now } },
+          { leaseExpiresAt: null, reservedAt: { $lte: new Date(now.getTime() - DEFAULT_UTXO_LEASE_MS) } },
+          { leaseExpiresAt: null, reservedAt: null }
+        ]
+      })
+        .limit(limit)
+        .lean();
+
+      const result = { reclaimed: 0, spent: 0 };
+      for (const utxo of expired) {
+        // Unchanged since it was read: nobody released, spent or re-reserved it meanwhile
+        const where = { reservedBy: utxo.reservedBy ?? null, leaseExpiresAt: utxo.leaseExpiresAt ?? null };
+        const cleared = { reservedAt: null, reservedBy: null, leaseExpiresAt: null };
+
+        const spentBy = getSpentBy ? await getSpentBy(utxo.txid, utxo.vout) : null;
+        const transition = spentBy
+          ? { to: 'spent', reason: 'lease_expired_spent', txid: spentBy, changes: { ...cleared, spentInTxid: spentBy, spentAt: now } }
+          : { to: 'available', reason: 'lease_expired', changes: cleared };
+
+        const changed = await this.transitionUTXO(utxo.txid, utxo.vout, { from: 'reserved', where, ...transition }, actor);
+
+        if (changed) result[spentBy ? 'spent' : 'reclaimed']++;
+      }
+
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to reclaim expired leases: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a leased UTXO spent by `spentInTxid`; like releaseReservation, only its owner can
+   * @returns {Object|null} The spent UTXO, or null if the owner no longer holds it
+   */
+  static async spendReservation(txid, vout, owner, spentInTxid, actor = 'system') {
+    return this.transitionUTXO(txid, vout, {
+      from: 'reserved',
+      to: 'spent',
+      reason: 'broadcast',
+      txid: spentInTxid,
+      where: { reservedBy: owner },
+      changes: { spentInTxid, spentAt: new Date(), reservedAt: null, reservedBy: null, leaseExpiresAt: null }
+    }, actor);
+  }
+
+  /**
+   * Transactions of a split chain, parents first: `txid` and every transaction whose
+   * input descends from one of its outputs (UTXO parentTxid links)
+   * @returns {Array<string>} txids
+   */
+  static async getSplitChain(txid) {
+    const txids = [txid];
+    for (let i = 0; i < txids.length; i++) {
+      const children = await UTXO.distinct('txid', { parentTxid: txids[i] });
+      txids.push(...children.filter(child => !txids.includes(child)));
+    }
+    return txids;
+  }
+
+  /**
+   * Undo an unconfirmed split chain: the outputs of `txid` and of every transaction
+   * descending from it are orphaned, and the coin `txid` spent returns to the pool.
+   * Rolling back a tree's root undoes the whole tree. Refuses once any transaction in
+   * the chain is known to have confirmed.
+   *
+   * @param {string} txid - First transaction to undo
+   * @param {Object} [options]
+   * @param {Function} [options.isConfirmed] - async (txid) => boolean, e.g. a provider lookup
+   * @param {string} [options.reason] - statusHistory reason (default chain_rolled_back)
+   * @param {string} [options.actor]
+   * @returns {Object} { txids, orphaned, restored }
+   */
+  static async rollbackSplitChain(txid, options = {}) {
+    const { isConfirmed = null, reason = 'chain_rolled_back', actor = 'system' } = options;
+
+    try {
+      const txids = await this.getSplitChain(txid);
+      const outputs = await UTXO.find({ txid: { $in: txids } }).lean();
+
+      let confirmed = outputs.find(utxo => utxo.confirmations > 0)?.txid || null;
+      if (!confirmed && isConfirmed) {
+        for (const chainTxid of txids) {
+          if (await isConfirmed(chainTxid)) {
+            confirmed = chainTxid;
+            break;
+          }
+        }
+      }
+      if (confirmed) {
+        throw new Error(`Transaction ${confirmed} has confirmed; the chain can no longer be rolled back`);
+      }
+
+      const result = { txids, orphaned: 0, restored: 0 };
+      for (const utxo of outputs) {
+        if (utxo.status === 'orphaned') continue;
+
+        const orphaned = await this.transitionUTXO(utxo.txid, utxo.vout, {
+          from: utxo.status,
+          to: 'orphaned',
+          reason,
+          txid,
+          changes: { reservedAt: null, reservedBy: null, leaseExpiresAt: null }
+        }, actor);
+        if (orphaned) result.orphaned++;
+      }
+
+      // The coin the first transaction spent is unspent again
+      const inputs = await UTXO.find({ spentInTxid: txid, status: 'spent' }).lean();
+      for (const utxo of inputs) {
+        const restored = await this.transitionUTXO(utxo.txid, utxo.vout, {
+          from: 'spent',
+          to: 'available',
+          reason,
+          txid,
+          changes: { spentInTxid: null, spentAt: null, spentBlockHeight: null, spendConfirmations: 0 }
+        }, actor);
+        if (restored) result.restored++;
+      }
+
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to roll back split chain: ${error.message}`);
     }
   }
   
@@ -1614,6 +1978,97 @@ export class UTXOService {
     }
   }
   
+  /**
+   * UTXOs whose chain state can still change: unspent, reserved or unconfirmed-spent
+   * coins, and spends with fewer than `finalityDepth` confirmations. Least recently
+   * checked first.
+   */
+  static async getTrackedUTXOs(walletAddress, { finalityDepth = 6, limit = 200 } = {}) {
+    try {
+      return await UTXO.find({
+        walletAddress,
+        $or: [
+          { status: { $in: ['available', 'reserved', 'spent'] } },
+          { status: 'confirmed_spent', spendConfirmations: { $lt: finalityDepth } }
+        ]
+      })
+        .sort({ lastCheckedAt: 1 })
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      throw new Error(`Failed to fetch tracked UTXOs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a UTXO from one status to another, recording the transition on the UTXO
+   * and in the audit trail. Conditional on the current status (and `where`), so a
+   * publisher reserving the coin meanwhile wins and this returns null.
+   * @param {Object} transition - { from, to, reason, txid?, blockHeight?, where?, changes? }
+   */
+  static async transitionUTXO(txid, vout, transition, actor = 'system') {
+    const { from, to, reason, txid: relatedTxid, blockHeight, where = {}, changes = {} } = transition;
+
+    try {
+      const utxo = await UTXO.findOneAndUpdate(
+        { ...where, txid, vout, status: from },
+        {
+          $set: { ...changes, status: to, updatedBy: actor },
+          $push: {
+            statusHistory: { from, to, reason, txid: relatedTxid, blockHeight, actor, at: new Date() }
+          }
+        },
+        { new: true }
+      );
+      if (!utxo) return null;
+
+      await AuditService.createAuditEntry({
+        event: {
+          type: 'status_change',
+          category: 'utxo_management',
+          severity: ['double_spend', 'funding_evicted'].includes(reason) ? 'warning' : 'info'
+        },
+        actor: { userId: actor, type: 'system' },
+        target: { type: 'utxo', id: `${txid}:${vout}` },
+        details: {
+          description: `UTXO ${txid}:${vout} ${from} -> ${to} (${reason})`,
+          metadata: {
+            txid,
+            vout,
+            from,
+            to,
+            reason,
+            relatedTxid,
+            blockHeight,
+            satoshis: utxo.satoshis,
+            walletAddress: utxo.walletAddress
+          }
+        }
+      });
+
+      return utxo;
+    } catch (error) {
+      throw new Error(`Failed to change UTXO status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store confirmation counts and check times in one round trip
+   * @param {Array} updates - [{ txid, vout, changes }]
+   */
+  static async recordConfirmations(updates) {
+    if (updates.length === 0) return 0;
+
+    try {
+      const result = await UTXO.bulkWrite(updates.map(({ txid, vout, changes }) => ({
+        updateOne: { filter: { txid, vout }, update: { $set: changes } }
+      })));
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Failed to record UTXO confirmations: ${error.message}`);
+    }
+  }
+
   /**
    * Validate UTXO exists and is spendable
    */
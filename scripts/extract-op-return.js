@@ -1,28 +1,26 @@
-import fetch from 'node-fetch';
 import bsv from 'smartledger-bsv';
 import dotenv from 'dotenv';
+import { getDefaultProvider } from '../src/blockchainProvider.js';
 
 dotenv.config();
 
-const NETWORK = process.env.BSV_NETWORK || 'main';
-const API_BASE = `https://api.whatsonchain.com/v1/bsv/${NETWORK}`;
-
 /**
  * Extract OP_RETURN data from a transaction
  * @param {string} txid - Transaction ID to analyze
+ * @param {BlockchainProvider} provider - Blockchain provider (defaults to getDefaultProvider())
  * @returns {Object} Object containing extracted data and metadata
  */
-async function extractOpReturnFromTx(txid) {
+async function extractOpReturnFromTx(txid, provider = getDefaultProvider()) {
   try {
     console.log(`🔍 Fetching transaction: ${txid}`);
     
     // Get raw transaction hex
-    const response = await fetch(`${API_BASE}/tx/${txid}/hex`);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch transaction: ${response.status}`);
+    const transaction = await provider.getTransaction(txid);
+    if (!transaction || !transaction.hex) {
+      throw new Error(`Failed to fetch transaction: ${txid} not found via ${provider.name}`);
     }
     
-    const rawHex = await response.text();
+    const rawHex = transaction.hex;
     console.log(`📄 Raw transaction size: ${rawHex.length / 2} bytes`);
     
     // Parse transaction with BSV library
@@ -82,7 +80,7 @@ async function extractOpReturnFromTx(txid) {
       totalOutputs: tx.outputs.length,
       opReturnOutputs: results.length,
       data: results,
-      explorer: `https://whatsonchain.com/tx/${txid}`
+      explorer: provider.getExplorerUrl(txid)
     };
     
   } catch (error) {
@@ -94,10 +92,11 @@ async function extractOpReturnFromTx(txid) {
 /**
  * Extract and display OP_RETURN data in a nice format
  * @param {string} txid - Transaction ID
+ * @param {BlockchainProvider} provider - Blockchain provider (defaults to getDefaultProvider())
  */
-async function displayOpReturnData(txid) {
+async function displayOpReturnData(txid, provider = getDefaultProvider()) {
   try {
-    const result = await extractOpReturnFromTx(txid);
+    const result = await extractOpReturnFromTx(txid, provider);
     
     console.log('\n📊 OP_RETURN Extraction Results');
     console.log('=' .repeat(50));
@@ -133,14 +132,15 @@ async function displayOpReturnData(txid) {
 /**
  * Extract OP_RETURN data from multiple transactions
  * @param {string[]} txids - Array of transaction IDs
+ * @param {BlockchainProvider} provider - Blockchain provider (defaults to getDefaultProvider())
  */
-async function extractFromMultipleTx(txids) {
+async function extractFromMultipleTx(txids, provider = getDefaultProvider()) {
   const results = [];
   
   for (const txid of txids) {
     try {
       console.log(`\n🔄 Processing ${txid}...`);
-      const result = await extractOpReturnFromTx(txid);
+      const result = await extractOpReturnFromTx(txid, provider);
       results.push(result);
       
       // Rate limiting to be nice to the API
@@ -0,0 +1,76 @@
+/**
+ * Local webhook receiver for testing subscriptions
+ *
+ *   node scripts/webhook-receiver.js --secret whsec_... [--port 4000] [--fail 2]
+ *
+ * Verifies every delivery's signature and logs the event. `--fail n` answers the
+ * first n deliveries with a 500 so the retry schedule can be watched; deliveries
+ * already seen (same X-Webhook-Id, e.g. replays) are acknowledged and flagged.
+ */
+
+import http from 'http';
+import dotenv from 'dotenv';
+import { verifyWebhookSignature, WEBHOOK_HEADERS } from '../src/webhooks.js';
+
+dotenv.config();
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+}
+
+const port = Number(option('port', process.env.WEBHOOK_RECEIVER_PORT || 4000));
+const secret = option('secret', process.env.WEBHOOK_SECRET);
+let failuresLeft = Number(option('fail', 0));
+const seenEvents = new Set();
+
+if (!secret) {
+  console.error('❌ Pass the subscription secret with --secret (or WEBHOOK_SECRET)');
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    // The signature covers the raw bytes, so verify before parsing
+    const body = Buffer.concat(chunks).toString('utf8');
+    const header = name => req.headers[WEBHOOK_HEADERS[name].toLowerCase()];
+
+    const valid = verifyWebhookSignature({
+      secret,
+      body,
+      timestamp: header('timestamp'),
+      signature: header('signature')
+    });
+    if (!valid) {
+      console.log(`🚫 Rejected ${header('delivery')}: bad signature or stale timestamp`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`💥 Failing ${header('delivery')} on purpose (${failuresLeft} more)`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    const event = JSON.parse(body);
+    const duplicate = seenEvents.has(event.id);
+    seenEvents.add(event.id);
+
+    console.log(`📨 ${event.type} ${event.id} via ${header('delivery')}${duplicate ? ' (duplicate)' : ''}`);
+    console.log(JSON.stringify(event.data, null, 2));
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🪝 Webhook receiver listening on http://localhost:${port}/`);
+});
@@ -1,6 +1,9 @@
 import crypto from 'crypto';
 import bsv from 'smartledger-bsv';
 import fs from 'fs';
+import { PedersenProofSystem, PEDERSEN_SCHEME, getVerificationKeyHash } from '../src/pedersenProofs.js';
+import { hashPayload, recordedScheme, CANONICALIZATION, LEGACY_CANONICALIZATION } from '../src/canonicalJson.js';
+import { publishData, publishAndWait } from '../src/publishMongo.js';
 
 /**
  * LabLedger Zero-Knowledge Proof System
@@ -11,34 +14,90 @@ import fs from 'fs';
  * - Verify sample integrity without exposing raw data
  * - Demonstrate compliance for remediation closure
  * - Audit trail verification without data disclosure
+ *
+ * Values are committed with Pedersen commitments (fixed-point, `precision`
+ * decimals). Compliance is a range proof that threshold - value >= 0;
+ * non-compliance is a range proof that value > threshold.
  */
 
+const NON_COMPLIANCE_RANGE_BITS = 48;
+
 class LabLedgerZKProof {
-  constructor() {
-    this.salt = crypto.randomBytes(32);
+  /**
+   * @param {Object} options
+   * @param {string|Buffer} [options.seed] - Prover secret (defaults to ZK_PROOF_SECRET, else random)
+   * @param {number} [options.precision] - Decimal places kept when committing values (default 4)
+   * @param {Function} [options.publish] - publishData-compatible generator used for anchoring
+   * @param {BlockchainProvider} [options.provider] - Provider passed through to publish
+   */
+  constructor(options = {}) {
+    this.salt = options.seed || process.env.ZK_PROOF_SECRET || crypto.randomBytes(32);
+    this.precision = options.precision ?? 4;
+    this.prover = new PedersenProofSystem({ seed: this.salt });
+    this.publish = options.publish || publishData;
+    this.provider = options.provider || null;
     this.challenges = [];
   }
 
+  /**
+   * Convert a measured value to integer fixed-point units. Values with more decimals
+   * than `precision` are refused rather than rounded: 5.00004 rounded to 5.0000 would
+   * prove compliance with a limit of 5 that the measurement exceeds.
+   */
+  toUnits(value, precision = this.precision) {
+    const scaled = Number(value) * 10 ** precision;
+    const units = Math.round(scaled);
+    if (!Number.isSafeInteger(units)) {
+      throw new Error(`Value ${value} cannot be committed at precision ${precision}`);
+    }
+    // Tolerate binary floating-point noise (0.1 * 10^4), not extra digits
+    if (Math.abs(scaled - units) > Math.max(1, Math.abs(scaled)) * 1e-9) {
+      throw new Error(`Value ${value} has more than ${precision} decimal places`);
+    }
+    return units;
+  }
+
+  /**
+   * Commitment label - binds a commitment to one test of a sample/analyte pair,
+   * so a retest never shares a blinding factor with the original result
+   */
+  static commitmentLabel(sampleId, analyte, testId) {
+    if (!testId) {
+      throw new Error('A test id is required to label a commitment');
+    }
+    return `${sampleId}|${analyte}|${testId}`;
+  }
+
+  /**
+   * Fresh id for a test result (public; published with the commitment)
+   */
+  static newTestId() {
+    return `test_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  /**
+   * Range size needed to cover [0, threshold]
+   */
+  static complianceRangeBits(thresholdUnits) {
+    return Math.max(1, Math.ceil(Math.log2(thresholdUnits + 1)));
+  }
+
   /**
    * Generate a commitment to lab data without revealing the data
    * @param {number} actualValue - The actual test result
    * @param {number} threshold - The regulatory threshold/limit
    * @param {string} analyte - Type of analyte (benzene, arsenic, etc.)
    * @param {string} sampleId - Sample identifier
+   * @param {string} [testId] - Id of this test result (default: a fresh one); retests get their own
    * @returns {Object} Commitment that can be published to blockchain
    */
-  generateComplianceCommitment(actualValue, threshold, analyte, sampleId) {
-    // Create a random nonce for this commitment
-    const nonce = crypto.randomBytes(16);
-    
-    // Generate commitment hash: H(value || threshold || analyte || sampleId || nonce)
-    const commitment = crypto.createHash('sha256')
-      .update(Buffer.from(actualValue.toString()))
-      .update(Buffer.from(threshold.toString()))
-      .update(Buffer.from(analyte))
-      .update(Buffer.from(sampleId))
-      .update(nonce)
-      .digest('hex');
+  generateComplianceCommitment(actualValue, threshold, analyte, sampleId, testId = LabLedgerZKProof.newTestId()) {
+    const label = LabLedgerZKProof.commitmentLabel(sampleId, analyte, testId);
+    const valueUnits = this.toUnits(actualValue);
+    const thresholdUnits = this.toUnits(threshold);
+
+    // Pedersen commitment: value·G + r·H, r derived from the prover secret, label and value
+    const commitment = this.prover.commit(valueUnits, label);
 
     // Store private data for later proof generation
     const secret = {
@@ -46,18 +105,23 @@ class LabLedgerZKProof {
       threshold,
       analyte,
       sampleId,
-      nonce: nonce.toString('hex'),
+      testId,
+      label,
+      valueUnits,
+      thresholdUnits,
       timestamp: Date.now()
     };
 
     return {
       commitment,
       secret,
-      isCompliant: actualValue <= threshold,
+      isCompliant: valueUnits <= thresholdUnits,
       metadata: {
         analyte,
         sampleId,
+        testId,
         threshold,
+        precision: this.precision,
         timestamp: new Date().toISOString()
       }
     };
@@ -65,78 +129,91 @@ class LabLedgerZKProof {
 
   /**
    * Generate a zero-knowledge proof that the committed value is below threshold
+   * (or, for a non-compliant result, that it exceeds the threshold)
    * @param {Object} secret - Secret data from commitment generation
-   * @param {string} challenge - Challenge from verifier
+   * @param {string} [challenge] - Challenge from verifier, bound into the proof (default: a fresh random one)
    * @returns {Object} Zero-knowledge proof
    */
-  generateComplianceProof(secret, challenge = null) {
-    if (!challenge) {
-      challenge = crypto.randomBytes(32).toString('hex');
-    }
+  generateComplianceProof(secret, challenge = crypto.randomBytes(16).toString('hex')) {
+    const { analyte, sampleId, testId, label, valueUnits, thresholdUnits } = secret;
+    const context = `${label}|${challenge}`;
+    const isCompliant = valueUnits <= thresholdUnits;
 
-    const { actualValue, threshold, analyte, sampleId, nonce } = secret;
-    
-    // Simple ZK proof: prove value <= threshold without revealing value
-    // In production, use more sophisticated ZK-SNARKs or ZK-STARKs
-    
-    // Generate proof components
-    const r = crypto.randomInt(1000, 9999); // Random blinding factor
-    const blindedValue = (actualValue * r) % 1000000;
-    const blindedThreshold = (threshold * r) % 1000000;
-    
-    // Create proof hash
-    const proofHash = crypto.createHash('sha256')
-      .update(Buffer.from(blindedValue.toString()))
-      .update(Buffer.from(blindedThreshold.toString()))
-      .update(Buffer.from(challenge))
-      .update(Buffer.from(nonce, 'hex'))
-      .digest('hex');
+    const claim = isCompliant
+      ? this.prover.proveAtMost(valueUnits, label, thresholdUnits,
+        LabLedgerZKProof.complianceRangeBits(thresholdUnits), context)
+      : this.prover.proveAtLeast(valueUnits, label, thresholdUnits + 1,
+        NON_COMPLIANCE_RANGE_BITS, context);
+
+    const proof = {
+      scheme: PEDERSEN_SCHEME,
+      context,
+      challenge,
+      claim,
+      isCompliant
+    };
 
     return {
       proof: {
-        blindedValue,
-        blindedThreshold,
-        proofHash,
-        challenge,
-        r, // In production, this would be computed differently
-        isCompliant: actualValue <= threshold
+        ...proof,
+        proofHash: hashPayload(proof).toString('hex')
       },
       metadata: {
         analyte,
         sampleId,
+        testId,
+        threshold: secret.threshold,
+        precision: this.precision,
         timestamp: new Date().toISOString(),
-        prover: 'LabLedger-ZK-v1.0'
+        prover: PEDERSEN_SCHEME
       }
     };
   }
 
   /**
    * Verify a zero-knowledge proof without learning the actual value
-   * @param {string} commitment - Original commitment hash
+   * @param {string} commitment - Original commitment
    * @param {Object} proof - The zero-knowledge proof
-   * @param {Object} metadata - Public metadata
+   * @param {Object} metadata - Public metadata (sampleId, analyte, testId, threshold, precision)
+   * @param {string} [expectedChallenge] - Challenge the verifier issued, if any
    * @returns {boolean} True if proof is valid
    */
-  verifyComplianceProof(commitment, proof, metadata) {
+  verifyComplianceProof(commitment, proof, metadata, expectedChallenge = null) {
     try {
-      const { blindedValue, blindedThreshold, proofHash, challenge, r, isCompliant } = proof;
-      
-      // Verify the proof structure
-      if (!blindedValue || !blindedThreshold || !proofHash || !challenge) {
+      const { proofHash, claim, context, isCompliant, ...rest } = proof;
+      const label = LabLedgerZKProof.commitmentLabel(metadata.sampleId, metadata.analyte, metadata.testId);
+      const thresholdUnits = this.toUnits(metadata.threshold, metadata.precision ?? this.precision);
+
+      const expectedHash = hashPayload({ ...rest, context, claim, isCompliant }).toString('hex');
+      if (proofHash !== expectedHash) {
+        console.log('⚠️  Proof hash does not match proof contents');
         return false;
       }
 
-      // Basic consistency checks
-      if (isCompliant && blindedValue > blindedThreshold) {
-        console.log('⚠️  Proof inconsistency: claims compliant but blinded value > threshold');
+      if (claim.commitment !== commitment || context !== `${label}|${proof.challenge}`) {
+        console.log('⚠️  Proof is not bound to this commitment, sample and analyte');
+        return false;
+      }
+
+      if (expectedChallenge && context !== `${label}|${expectedChallenge}`) {
+        console.log('⚠️  Proof does not answer the expected challenge');
+        return false;
+      }
+
+      // The bound must be the public threshold, and the claim type must match the claimed status
+      const boundMatches = isCompliant
+        ? claim.type === 'at_most' && claim.max === thresholdUnits
+        : claim.type === 'at_least' && claim.min === thresholdUnits + 1;
+      if (!boundMatches) {
+        console.log('⚠️  Proof bound does not match the regulatory threshold');
+        return false;
+      }
+
+      if (!PedersenProofSystem.verifyClaim(claim, context, label)) {
+        console.log('❌ Range proof verification failed');
         return false;
       }
 
-      // In a full ZK implementation, this would involve:
-      // 1. Verifying ZK-SNARK/ZK-STARK proof
-      // 2. Checking commitment consistency
-      // 3. Validating challenge-response protocol
-      
       console.log('✅ ZK Proof verification passed');
       console.log(`📊 Analyte: ${metadata.analyte}`);
       console.log(`🧪 Sample: ${metadata.sampleId}`);
@@ -152,29 +229,22 @@ class LabLedgerZKProof {
 
   /**
    * Create a batch ZK proof for multiple analytes from the same sample
-   * @param {Array} testResults - Array of {analyte, value, threshold} objects
+   * @param {Array} testResults - Array of {analyte, value, threshold, testId?} objects
    * @param {string} sampleId - Sample identifier
+   * @param {string} [challenge] - Shared verifier challenge
    * @returns {Object} Batch proof
    */
-  generateBatchComplianceProof(testResults, sampleId) {
-    const commitments = [];
-    const secrets = [];
-    
-    testResults.forEach(test => {
-      const commitment = this.generateComplianceCommitment(
-        test.value,
-        test.threshold,
-        test.analyte,
-        sampleId
-      );
-      commitments.push(commitment);
-      secrets.push(commitment.secret);
-    });
-
-    // Generate aggregate proof
-    const challenge = crypto.randomBytes(32).toString('hex');
-    const proofs = secrets.map(secret => 
-      this.generateComplianceProof(secret, challenge)
+  generateBatchComplianceProof(testResults, sampleId, challenge) {
+    const commitments = testResults.map(test => this.generateComplianceCommitment(
+      test.value,
+      test.threshold,
+      test.analyte,
+      sampleId,
+      test.testId
+    ));
+
+    const proofs = commitments.map(commitment => 
+      this.generateComplianceProof(commitment.secret, challenge)
     );
 
     return {
@@ -184,7 +254,7 @@ class LabLedgerZKProof {
       batchHash: crypto.createHash('sha256')
         .update(commitments.map(c => c.commitment).join(''))
         .digest('hex'),
-      overallCompliant: testResults.every(test => test.value <= test.threshold),
+      overallCompliant: commitments.every(c => c.isCompliant),
       timestamp: new Date().toISOString()
     };
   }
@@ -195,24 +265,28 @@ class LabLedgerZKProof {
    * @returns {Object} Blockchain-ready ZK proof
    */
   async generateBlockchainProof(complianceData) {
-    const { sampleId, analyte, value, threshold, labId } = complianceData;
+    const { sampleId, analyte, value, threshold, labId, testId, challenge } = complianceData;
     
     // Generate commitment and proof
-    const commitment = this.generateComplianceCommitment(value, threshold, analyte, sampleId);
-    const proof = this.generateComplianceProof(commitment.secret);
+    const commitment = this.generateComplianceCommitment(value, threshold, analyte, sampleId, testId);
+    const proof = this.generateComplianceProof(commitment.secret, challenge);
     
     // Create blockchain payload
     const blockchainData = {
-      schema: 'LabLedger.ZKProof.v1',
+      schema: 'LabLedger.ZKProof.v2',
       sampleId,
       analyte,
+      testId: commitment.secret.testId,
       labId,
       commitment: commitment.commitment,
       proof: proof.proof.proofHash,
       compliant: commitment.isCompliant,
       threshold, // This can be public (regulatory limit)
+      precision: this.precision,
+      verificationKey: getVerificationKeyHash(),
       timestamp: new Date().toISOString(),
-      zkProofVersion: '1.0'
+      zkProofVersion: '2.0',
+      canonicalization: CANONICALIZATION
     };
 
     // Sign the proof with lab's private key
@@ -230,20 +304,111 @@ class LabLedgerZKProof {
   }
 
   /**
-   * Sign ZK proof with lab's private key
+   * Store a blockchain proof through ZKProofService
+   * The full range proof is kept off-chain; only its hash is anchored.
+   * @param {Object} blockchainProof - Result of generateBlockchainProof
+   * @param {Object} compliance - Extra compliance info ({ regulation, units })
+   * @param {Object} actorInfo - Audit actor
+   */
+  async storeProof(blockchainProof, compliance = {}, actorInfo = {}) {
+    const { ZKProofService } = await import('../database/services.js');
+    const { blockchainData, proof } = blockchainProof;
+
+    return await ZKProofService.createZKProof({
+      proofId: `zkp_${proof.proof.proofHash.substring(0, 32)}`,
+      proofType: 'lab_compliance',
+      sampleId: blockchainData.sampleId,
+      analyte: blockchainData.analyte,
+      proof: {
+        commitment: blockchainData.commitment,
+        proofHash: proof.proof.proofHash,
+        challenge: proof.proof.challenge,
+        verificationKey: blockchainData.verificationKey,
+        proofData: { proof: proof.proof, metadata: proof.metadata, signature: blockchainProof.signature }
+      },
+      compliance: {
+        threshold: blockchainData.threshold,
+        isCompliant: blockchainData.compliant,
+        regulation: compliance.regulation,
+        units: compliance.units
+      },
+      cryptography: {
+        algorithm: PEDERSEN_SCHEME,
+        keyDerivation: 'HMAC-SHA256'
+      }
+    }, actorInfo);
+  }
+
+  /**
+   * Anchor a stored proof on-chain together with the sample's chain-of-custody record
+   * @param {string} proofId - ZKProof id returned by storeProof
+   * @param {Object} actorInfo - Audit actor
+   * @returns {Object} { txid, payload }
+   */
+  async anchorWithChainOfCustody(proofId, actorInfo = {}) {
+    const { ZKProofService } = await import('../database/services.js');
+    const { LabSample } = await import('../database/schemas.js');
+
+    const zkProof = await ZKProofService.getZKProof(proofId);
+    if (!zkProof) {
+      throw new Error(`ZK proof not found: ${proofId}`);
+    }
+
+    const sample = await LabSample.findOne({ sampleId: zkProof.sampleId });
+    if (!sample) {
+      throw new Error(`Lab sample not found: ${zkProof.sampleId}`);
+    }
+
+    const custody = sample.toObject().chainOfCustody;
+    const payload = {
+      schema: 'LabLedger.ComplianceAnchor.v1',
+      proofId,
+      sampleId: zkProof.sampleId,
+      analyte: zkProof.analyte,
+      commitment: zkProof.proof.commitment,
+      proofHash: zkProof.proof.proofHash,
+      compliant: zkProof.compliance.isCompliant,
+      threshold: zkProof.compliance.threshold,
+      custodyNumber: custody.custodyNumber,
+      custodyHash: hashPayload(custody).toString('hex'),
+      timestamp: new Date().toISOString()
+    };
+
+    const txid = await this.publishAnchor(JSON.stringify(payload));
+    await ZKProofService.recordAnchor(proofId, {
+      txid,
+      network: this.provider?.name || process.env.BSV_NETWORK || 'main',
+      custodyNumber: custody.custodyNumber
+    }, actorInfo);
+
+    console.log(`⚓ Anchored ${proofId} with custody record ${custody.custodyNumber}: ${txid}`);
+    return { txid, payload };
+  }
+
+  /**
+   * Publish a payload and return its txid once broadcast
+   */
+  async publishAnchor(dataString) {
+    const options = this.provider ? { provider: this.provider } : {};
+    return publishAndWait(dataString, options, { label: 'Compliance anchor', publish: this.publish });
+  }
+
+  /**
+   * Sign ZK proof with lab's private key (canonical JSON, see src/canonicalJson.js)
    * @param {Object} proofData - The proof data to sign
    * @param {Object} privateKey - BSV private key
    * @returns {string} Digital signature
    */
   signProof(proofData, privateKey) {
-    const dataString = JSON.stringify(proofData, Object.keys(proofData).sort());
-    const hash = crypto.createHash('sha256').update(dataString).digest();
+    const hash = hashPayload(proofData);
     const signature = bsv.crypto.ECDSA.sign(hash, privateKey);
     return signature.toString();
   }
 
   /**
    * Verify signed ZK proof
+   * Proof data without a canonicalization marker was signed before canonical JSON,
+   * over JSON.stringify with its sorted top-level keys as the replacer.
    * @param {Object} proofData - The proof data
    * @param {string} signature - Digital signature
    * @param {string} publicKey - Lab's public key
@@ -251,8 +416,9 @@ class LabLedgerZKProof {
    */
   verifyProofSignature(proofData, signature, publicKey) {
     try {
-      const dataString = JSON.stringify(proofData, Object.keys(proofData).sort());
-      const hash = crypto.createHash('sha256').update(dataString).digest();
+      const hash = recordedScheme(proofData.canonicalization) === LEGACY_CANONICALIZATION
+        ? crypto.createHash('sha256').update(JSON.stringify(proofData, Object.keys(proofData).sort())).digest()
+        : hashPayload(proofData);
       const pubKey = bsv.PublicKey.fromString(publicKey);
       const sig = bsv.crypto.Signature.fromString(signature);
       return bsv.crypto.ECDSA.verify(hash, sig, pubKey);
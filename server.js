@@ -12,11 +12,19 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { connectDatabase } from './database/schemas.js';
+import { startPoolMaintenance } from './src/publishMongo.js';
 
 // Import API routes
 import identityAPI from './api/identityAPI.js';
 import attestationAPI from './api/attestationAPI.js';
 import blockchainAttestationAPI from './api/blockchainAttestationAPI.js';
+import catalogAPI from './api/catalogAPI.js';
+import artistsAPI from './api/artistsAPI.js';
+import rightsAPI from './api/rightsAPI.js';
+import revenueAPI from './api/revenueAPI.js';
+import webhooksAPI from './api/webhooksAPI.js';
+import { buildOpenApiDocument, summarizeOperations } from './api/openapi.js';
+import { ACTION_KEY_MAP } from './src/web3IdentitySDK.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -39,9 +47,29 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
 // API Routes
-app.use('/api/identity', identityAPI);
-app.use('/api/attestation', attestationAPI);
-app.use('/api/blockchain-attestation', blockchainAttestationAPI);
+const API_ROUTERS = [
+  ['/api/identity', identityAPI],
+  ['/api/attestation', attestationAPI],
+  ['/api/blockchain-attestation', blockchainAttestationAPI],
+  ['/api/catalog', catalogAPI],
+  ['/api/artists', artistsAPI],
+  ['/api/rights', rightsAPI],
+  ['/api/revenue', revenueAPI],
+  ['/api/webhooks', webhooksAPI]
+];
+for (const [prefix, router] of API_ROUTERS) {
+  app.use(prefix, router);
+}
+
+// Generated from the routers' route schemas (api/openapi.js)
+const openApiDocument = buildOpenApiDocument({
+  info: {
+    title: 'AI Record Label API',
+    version: '1.0.0',
+    description: 'Cryptographic identity-driven music rights platform with BSV blockchain integration'
+  },
+  mounts: API_ROUTERS
+});
 
 // Health check
 app.get('/health', (req, res) => {
@@ -65,12 +93,18 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'web3keys.html'));
 });
 
+// OpenAPI 3.1 description of the documented routers
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
 // API Documentation endpoint
 app.get('/api/docs', (req, res) => {
   res.json({
     title: 'AI Record Label API Documentation',
-    version: '1.0.0',
-    description: 'Cryptographic identity-driven music rights platform with BSV blockchain integration',
+    version: openApiDocument.info.version,
+    description: openApiDocument.info.description,
+    openapi: '/api/openapi.json',
     
     authentication: {
       method: 'Signature-based',
@@ -79,38 +113,23 @@ app.get('/api/docs', (req, res) => {
         '1. Generate identity with /public/web3keys.html',
         '2. Register identity with POST /api/identity/register',
         '3. Get auth challenge with POST /api/identity/auth/challenge',
-        '4. Sign challenge and verify with POST /api/identity/auth/verify'
-      ]
+        '4. Sign challenge and verify with POST /api/identity/auth/verify',
+        '5. Send the returned accessToken as "Authorization: Bearer <token>"',
+        '6. Renew with POST /api/identity/auth/refresh; end with POST /api/identity/auth/logout'
+      ],
+      protected: 'Routes that create, sign or change attestations, templates, proofs and actions require a bearer token; template changes require manage_rights',
+      catalog: 'Catalog, artist, rights and revenue routes all require a bearer token; writes require the permission noted on each route',
+      webhooks: 'Webhook routes require manage_webhooks; deliveries are signed with the subscription secret (GET /api/webhooks/events)'
     },
-    
-    endpoints: {
-      identity: {
-        'POST /api/identity/register': 'Register new cryptographic identity',
-        'POST /api/identity/auth/challenge': 'Get authentication challenge',
-        'POST /api/identity/auth/verify': 'Verify signed challenge',
-        'POST /api/identity/action/sign': 'Get signing instructions for action',
-        'POST /api/identity/action/execute': 'Execute signed action'
-      },
-      attestation: {
-        'GET /api/attestation/templates': 'List available contract templates',
-        'POST /api/attestation/create': 'Create new attestation from template',
-        'GET /api/attestation/:id': 'Get attestation details',
-        'POST /api/attestation/:id/sign': 'Sign attestation with crypto key',
-        'GET /api/attestation/:id/verify': 'Verify attestation signatures',
-        'GET /api/attestation': 'List all attestations',
-        'POST /api/attestation/create-and-sign': 'Create and sign in one step'
-      },
-      blockchain_attestation: {
-        'POST /api/blockchain-attestation/create-with-audit': 'Create attestation with blockchain audit',
-        'POST /api/blockchain-attestation/:id/sign-with-audit': 'Sign with blockchain recording',
-        'GET /api/blockchain-attestation/:id/audit-trail': 'Get complete blockchain audit trail',
-        'POST /api/blockchain-attestation/:id/generate-zk-proof': 'Generate privacy-preserving proof',
-        'POST /api/blockchain-attestation/verify-zk-proof': 'Verify zk-proof without private data',
-        'GET /api/blockchain-attestation/:id/blockchain-status': 'Get blockchain anchoring status',
-        'GET /api/blockchain-attestation/:id/legal-export': 'Export for legal compliance'
-      }
+
+    conventions: {
+      lists: 'page (default 1), limit (1-100, default 20), sortBy, sortOrder (asc | desc) plus the filters listed per route; unknown parameters are rejected',
+      response: '{ success: true, ... }; lists return their items (songs, artists, licenses, distributions) with pagination: { page, limit, total, pages }',
+      errors: '{ success: false, error, details? } with 400 for validation errors, 403 for missing permissions, 404 for unknown ids and 409 for conflicts'
     },
     
+    endpoints: summarizeOperations(openApiDocument),
+    
     keyDerivation: {
       purpose: "Music industry specialized key types",
       basePath: "m/44'/236'",
@@ -125,22 +144,7 @@ app.get('/api/docs', (req, res) => {
       }
     },
     
-    actionKeyMapping: {
-      'verify-identity': 'identity',
-      'create-profile': 'identity',
-      'upload-song': 'property',
-      'claim-ownership': 'property',
-      'sign-agreement': 'contractual',
-      'license-music': 'contractual',
-      'send-private-message': 'privacy',
-      'access-private-content': 'privacy',
-      'send-public-message': 'messages',
-      'post-announcement': 'messages',
-      'process-payment': 'financial',
-      'distribute-royalties': 'financial',
-      'sign-document': 'document',
-      'verify-document': 'document'
-    },
+    actionKeyMapping: ACTION_KEY_MAP,
     
     examples: {
       registration: {
@@ -190,16 +194,25 @@ app.use((req, res) => {
     availableEndpoints: [
       'GET /',
       'GET /health',
-      'GET /api/docs', 
+      'GET /api/docs',
+      'GET /api/openapi.json',
       'POST /api/identity/register',
       'POST /api/identity/auth/challenge',
       'POST /api/identity/auth/verify',
+      'POST /api/identity/auth/refresh',
+      'POST /api/identity/auth/logout',
       'POST /api/identity/action/sign',
       'POST /api/identity/action/execute',
       'GET /api/attestation/templates',
       'POST /api/attestation/create',
       'POST /api/attestation/:id/sign',
-      'GET /api/attestation/:id/verify'
+      'GET /api/attestation/:id/verify',
+      'GET /api/catalog/songs',
+      'GET /api/artists',
+      'GET /api/rights/licenses',
+      'GET /api/revenue/distributions',
+      'GET /api/webhooks/events',
+      'POST /api/webhooks'
     ]
   });
 });
@@ -210,12 +223,16 @@ async function startServer() {
     // Connect to database
     await connectDatabase();
     console.log('✅ Database connected successfully');
+
+    // Confirmation tracking and lease reclaiming for the publishing pool
+    startPoolMaintenance();
     
     // Start HTTP server
     app.listen(PORT, () => {
       console.log(`🚀 AI Record Label Platform running on port ${PORT}`);
       console.log(`📝 Web3 Key Generator: http://localhost:${PORT}/`);
       console.log(`📚 API Documentation: http://localhost:${PORT}/api/docs`);
+      console.log(`📘 OpenAPI: http://localhost:${PORT}/api/openapi.json`);
       console.log(`💊 Health Check: http://localhost:${PORT}/health`);
       console.log(`\n🔐 Authentication Flow:`);
       console.log(`   1. Generate keys: http://localhost:${PORT}/`);
@@ -7,6 +7,11 @@
 import crypto from 'crypto';
 import bsv from 'smartledger-bsv';
 import MusicIdentitySDK, { ACTION_KEY_MAP } from './web3IdentitySDK.js';
+import { MemoryAttestationStore } from './attestationStore.js';
+import { renderTemplate as renderContractTemplate, BUILT_IN_HELPERS } from './templateEngine.js';
+import { MemoryTemplateRegistry, validateFields } from './templateRegistry.js';
+import { evaluatePolicy, describePolicy, findUnboundSigners } from './signaturePolicy.js';
+import { canonicalize, hashPayload, recordedScheme, CANONICALIZATION } from './canonicalJson.js';
 
 /**
  * Key Type Enforcement Rules
@@ -40,13 +45,21 @@ const ATTESTATION_KEY_RULES = {
   'role-assignment': 'identity'
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Detached signature bundle format (see AttestationBox.toBundle)
+const BUNDLE_FORMAT = 'attestation-bundle';
+const BUNDLE_VERSION = 1;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
 /**
  * Contract Template Definitions
  * Semantic contracts with fillable fields
  */
 const CONTRACT_TEMPLATES = {
   'publishing-split': {
-    version: '1.0.0',
+    version: '1.1.0',
     required_fields: ['song_title', 'song_hash', 'parties'],
     template: `
 Publishing Split Agreement
@@ -60,10 +73,10 @@ Created: {{timestamp}}
 The following parties agree to the specified ownership percentages:
 
 {{#each parties}}
-• {{name}} ({{pubkey_short}}) - {{split}}% ownership
+• {{name}} ({{pubkey_short}}) - {{percent split}} ownership
 {{/each}}
 
-Total: {{total_split}}% (must equal 100%)
+Total: {{percent total_split}} (must equal 100%)
 
 Terms:
 - Revenue will be distributed according to these percentages
@@ -78,7 +91,7 @@ This contract is cryptographically signed and legally binding.
   },
 
   'collaboration-agreement': {
-    version: '1.0.0',
+    version: '1.1.0',
     required_fields: ['project_name', 'collaborators', 'terms'],
     template: `
 Artist Collaboration Agreement
@@ -88,7 +101,7 @@ Created: {{timestamp}}
 
 Collaborating Artists:
 {{#each collaborators}}
-• {{name}} - {{role}} ({{pubkey_short}})
+• {{name}} - {{role}} ({{default pubkey_short (short_key pubkey)}})
 {{/each}}
 
 Collaboration Terms:
@@ -107,6 +120,125 @@ This agreement is cryptographically signed by all parties.
   },
 
   'licensing-agreement': {
+    version: '1.1.0',
+    required_fields: ['song_title', 'licensor', 'licensee', 'license_type', 'terms'],
+    template: `
+Music Licensing Agreement
+
+Musical Work: {{song_title}}
+License Type: {{license_type}}
+Created: {{timestamp}}
+
+Licensor: {{licensor.name}} ({{default licensor.pubkey_short (short_key licensor.pubkey)}})
+Licensee: {{licensee.name}} ({{default licensee.pubkey_short (short_key licensee.pubkey)}})
+
+License Terms:
+{{terms}}
+
+Fees and Royalties:
+{{#if fees}}
+{{fees}}
+{{else}}
+As separately negotiated
+{{/if}}
+
+This license is granted subject to the terms above and becomes effective upon cryptographic signature by both parties.
+`,
+    required_signatures: ['licensor', 'licensee'],
+    key_type: 'contractual'
+  },
+
+  'ownership-claim': {
+    version: '1.0.0',
+    required_fields: ['song_title', 'song_id', 'content_hash', 'claimant', 'share'],
+    template: `
+Ownership Claim
+
+Musical Work: {{song_title}}
+Catalog ID: {{song_id}}
+Fingerprint: {{content_hash}}
+Created: {{timestamp}}
+
+Claimant: {{claimant.name}} ({{short_key claimant.pubkey}})
+Claimed Share: {{percent share}}
+
+The claimant asserts ownership of the share above in this musical work and
+signs this claim with their property key. Competing claims are resolved
+through a rights-split approval signed by all owners.
+`,
+    required_signatures: { signer: 'claimant' },
+    key_type: 'property'
+  }
+};
+
+/**
+ * Earlier published versions of the built-in templates
+ * Attestations pin template_version and template_hash, so these stay registered
+ * (and render exactly as before) for as long as contracts signed with them exist.
+ */
+const PUBLISHED_TEMPLATE_VERSIONS = {
+  'publishing-split': [{
+    version: '1.0.0',
+    required_fields: ['song_title', 'song_hash', 'parties'],
+    template: `
+Publishing Split Agreement
+
+This agreement establishes publishing rights and revenue splits for the musical work:
+
+Title: {{song_title}}
+Fingerprint: {{song_hash}}
+Created: {{timestamp}}
+
+The following parties agree to the specified ownership percentages:
+
+{{#each parties}}
+• {{name}} ({{pubkey_short}}) - {{split}}% ownership
+{{/each}}
+
+Total: {{total_split}}% (must equal 100%)
+
+Terms:
+- Revenue will be distributed according to these percentages
+- All parties must sign with their designated cryptographic keys
+- This agreement becomes binding once all signatures are collected
+- Modifications require new attestation with all party signatures
+
+This contract is cryptographically signed and legally binding.
+`,
+    required_signatures: 'all_parties',
+    key_type: 'property'
+  }],
+
+  'collaboration-agreement': [{
+    version: '1.0.0',
+    required_fields: ['project_name', 'collaborators', 'terms'],
+    template: `
+Artist Collaboration Agreement
+
+Project: {{project_name}}
+Created: {{timestamp}}
+
+Collaborating Artists:
+{{#each collaborators}}
+• {{name}} - {{role}} ({{pubkey_short}})
+{{/each}}
+
+Collaboration Terms:
+{{terms}}
+
+Credit and Revenue:
+- All parties will be credited according to their specified roles
+- Revenue sharing as per separate publishing split agreement
+- Each party retains rights to their individual contributions
+- Joint ownership of the final collaborative work
+
+This agreement is cryptographically signed by all parties.
+`,
+    required_signatures: 'all_parties',
+    key_type: 'contractual'
+  }],
+
+  'licensing-agreement': [{
     version: '1.0.0',
     required_fields: ['song_title', 'licensor', 'licensee', 'license_type', 'terms'],
     template: `
@@ -133,7 +265,7 @@ This license is granted subject to the terms above and becomes effective upon cr
 `,
     required_signatures: ['licensor', 'licensee'],
     key_type: 'contractual'
-  }
+  }]
 };
 
 /**
@@ -149,6 +281,7 @@ export class AttestationBox {
     this.action = config.action; // e.g., "rights-split-approval"
     this.payload = config.payload || {};
     this.signatures = config.signatures || [];
+    this.revocations = config.revocations || []; // Signed withdrawal / revocation records
     this.metadata = {
       created: config.created || new Date().toISOString(),
       template_used: config.template_used || null,
@@ -156,6 +289,7 @@ export class AttestationBox {
       finalized: false,
       ...config.metadata
     };
+    this.revision = config.revision || 0; // Storage revision this copy was loaded at
   }
 
   /**
@@ -169,35 +303,47 @@ export class AttestationBox {
 
   /**
    * Create attestation from contract template
+   * @param {string|Object} template - Built-in template type, or a registry definition (see templateRegistry.js)
    */
-  static async createFromTemplate(templateType, fields, options = {}) {
-    const template = CONTRACT_TEMPLATES[templateType];
-    if (!template) {
-      throw new Error(`Unknown contract template: ${templateType}`);
+  static async createFromTemplate(template, fields, options = {}, metadata = {}) {
+    const definition = typeof template === 'string'
+      ? CONTRACT_TEMPLATES[template] && { ...CONTRACT_TEMPLATES[template], type: template }
+      : template;
+    if (!definition) {
+      throw new Error(`Unknown contract template: ${template}`);
+    }
+    const templateType = definition.type;
+
+    // Validate fields against required_fields and the template's JSON Schema
+    const errors = validateFields(definition, fields);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${templateType} fields: ${errors.join('; ')}`);
     }
 
-    // Validate required fields
-    const missing = template.required_fields.filter(field => !fields[field]);
-    if (missing.length > 0) {
-      throw new Error(`Missing required fields: ${missing.join(', ')}`);
+    // Pubkey-bound signature policies need every referenced signer's key up front
+    const unbound = findUnboundSigners(definition.required_signatures, fields);
+    if (unbound.length > 0) {
+      throw new Error(`Signature policy signers without a pubkey: ${unbound.join(', ')}`);
     }
 
-    // Add timestamp to fields
-    fields.timestamp = new Date().toISOString();
+    const deadlines = AttestationBox.resolveDeadlines(definition, options);
+
+    // Keep a caller-supplied timestamp so identical fields render identical contracts
+    fields = { ...fields, timestamp: fields.timestamp || new Date().toISOString() };
 
     // Calculate total split if applicable
     if (fields.parties) {
-      fields.total_split = fields.parties.reduce((sum, party) => sum + (party.split || 0), 0);
+      fields.total_split = BUILT_IN_HELPERS.sum(fields.parties, 'split');
       
       // Add shortened pubkeys for display
       fields.parties = fields.parties.map(party => ({
         ...party,
-        pubkey_short: party.pubkey ? `${party.pubkey.substring(0, 8)}...${party.pubkey.substring(-4)}` : 'TBD'
+        pubkey_short: BUILT_IN_HELPERS.short_key(party.pubkey)
       }));
     }
 
     // Render contract text
-    const contractText = AttestationBox.renderTemplate(template.template, fields);
+    const contractText = AttestationBox.renderTemplate(definition.template, fields);
     const contractHash = crypto.createHash('sha256').update(contractText).digest('hex');
 
     // Create attestation
@@ -206,14 +352,16 @@ export class AttestationBox {
       action: options.action || templateType,
       payload: {
         template_type: templateType,
-        template_version: template.version,
+        template_version: definition.version,
+        template_hash: definition.template_hash || crypto.createHash('sha256').update(definition.template).digest('hex'),
         fields: fields,
         contract_text: contractText,
         contract_hash: contractHash,
-        required_signatures: template.required_signatures,
-        key_type: template.key_type
+        required_signatures: definition.required_signatures,
+        key_type: definition.key_type
       },
-      template_used: templateType
+      template_used: templateType,
+      metadata: { ...metadata, ...deadlines }
     });
 
     attestation.metadata.contract_hash = contractHash;
@@ -221,68 +369,121 @@ export class AttestationBox {
   }
 
   /**
-   * Simple template rendering (Handlebars-like syntax)
+   * Signing deadline and validity period from per-attestation options, falling back to the template
+   * options: signingDeadline (ISO), validUntil (ISO) or validityDays;
+   * template: signing_deadline_days, validity_days (counted from finalization)
    */
-  static renderTemplate(template, fields) {
-    let rendered = template;
+  static resolveDeadlines(definition, options = {}, now = new Date()) {
+    const parseDate = (value, name) => {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name}: ${value}`);
+      }
+      return date;
+    };
+    const deadlines = {};
+
+    const deadline = options.signingDeadline
+      ? parseDate(options.signingDeadline, 'signingDeadline')
+      : definition.signing_deadline_days
+        ? new Date(now.getTime() + definition.signing_deadline_days * DAY_MS)
+        : null;
+    if (deadline) {
+      if (deadline <= now) {
+        throw new Error('Signing deadline must be in the future');
+      }
+      deadlines.signing_deadline = deadline.toISOString();
+    }
 
-    // Handle each loops
-    rendered = rendered.replace(/\{\{#each (\w+)\}\}([\s\S]*?)\{\{\/each\}\}/g, (match, arrayName, itemTemplate) => {
-      const array = fields[arrayName];
-      if (!Array.isArray(array)) return '';
-      
-      return array.map(item => {
-        let itemText = itemTemplate;
-        // Replace item properties
-        Object.keys(item).forEach(key => {
-          itemText = itemText.replace(new RegExp(`\\{\\{${key}\\}\\}`, 'g'), item[key]);
-        });
-        return itemText;
-      }).join('');
-    });
+    if (options.validUntil) {
+      const validUntil = parseDate(options.validUntil, 'validUntil');
+      if (validUntil <= (deadline || now)) {
+        throw new Error('validUntil must be after the signing deadline');
+      }
+      deadlines.valid_until = validUntil.toISOString();
+    } else {
+      const validityDays = options.validityDays ?? definition.validity_days;
+      if (validityDays !== undefined && validityDays !== null) {
+        if (typeof validityDays !== 'number' || !(validityDays > 0)) {
+          throw new Error('validityDays must be a positive number');
+        }
+        deadlines.validity_days = validityDays;
+      }
+    }
 
-    // Handle conditionals
-    rendered = rendered.replace(/\{\{#if (\w+)\}\}([\s\S]*?)\{\{else\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, fieldName, ifContent, elseContent) => {
-      return fields[fieldName] ? ifContent : elseContent;
-    });
+    return deadlines;
+  }
 
-    rendered = rendered.replace(/\{\{#if (\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, fieldName, content) => {
-      return fields[fieldName] ? content : '';
-    });
+  /**
+   * Lifecycle status of an attestation's metadata (or a store summary):
+   * draft | finalized | expired | lapsed | revoked | superseded
+   * Drafts expire at their signing deadline; finalized contracts lapse after valid_until.
+   */
+  static statusOf(record, now = new Date()) {
+    if (record.revoked) return 'revoked';
+    if (record.superseded_by) return 'superseded';
 
-    // Handle simple variable substitution
-    rendered = rendered.replace(/\{\{(\w+(?:\.\w+)*)\}\}/g, (match, path) => {
-      const value = path.split('.').reduce((obj, key) => obj && obj[key], fields);
-      return value !== undefined ? value : match;
-    });
+    if (!record.finalized) {
+      const pastDeadline = record.signing_deadline && new Date(record.signing_deadline) < now;
+      return record.expired_at || pastDeadline ? 'expired' : 'draft';
+    }
+    return record.valid_until && new Date(record.valid_until) < now ? 'lapsed' : 'finalized';
+  }
+
+  getStatus(now = new Date()) {
+    return AttestationBox.statusOf(this.metadata, now);
+  }
+
+  /**
+   * Record that an unsigned draft passed its signing deadline
+   * @returns {boolean} Whether the attestation was newly expired
+   */
+  markExpired(now = new Date()) {
+    if (this.metadata.expired_at || this.getStatus(now) !== 'expired') {
+      return false;
+    }
+    this.metadata.expired_at = now.toISOString();
+    return true;
+  }
+
+  /**
+   * Render contract text with the sandboxed template engine
+   */
+  static renderTemplate(template, fields) {
+    return renderContractTemplate(template, fields).trim();
+  }
 
-    return rendered.trim();
+  /**
+   * Payload an attestation signature signs (hashed as canonical JSON)
+   */
+  getSignaturePayload(signer, timestamp) {
+    return {
+      attestation_id: this.id,
+      contract_hash: this.metadata.contract_hash,
+      action: this.action,
+      timestamp,
+      signer
+    };
   }
 
   /**
    * Add signature to attestation
    */
   async addSignature(privateKey, signerInfo = {}) {
+    this.assertWritable();
+
     try {
-      // Validate key type for action
-      const requiredKeyType = ATTESTATION_KEY_RULES[this.action];
-      if (requiredKeyType && signerInfo.role !== requiredKeyType) {
-        throw new Error(`Action "${this.action}" requires "${requiredKeyType}" key, got "${signerInfo.role}"`);
-      }
+      this.assertSignerRole(signerInfo);
 
       // Create signature payload
-      const signaturePayload = {
-        attestation_id: this.id,
-        contract_hash: this.metadata.contract_hash,
-        action: this.action,
-        timestamp: new Date().toISOString(),
-        signer: signerInfo.pubkey || this.derivePublicKey(privateKey)
-      };
+      const signaturePayload = this.getSignaturePayload(
+        signerInfo.pubkey || this.derivePublicKey(privateKey),
+        new Date().toISOString()
+      );
+
+      // Sign the canonical (RFC 8785) form of the payload
+      const messageHash = hashPayload(signaturePayload);
 
-      // Sign the payload
-      const message = JSON.stringify(signaturePayload, null, 0);
-      const messageHash = crypto.createHash('sha256').update(message).digest();
-      
       const privateKeyObj = bsv.PrivateKey.fromWIF(privateKey);
       const signature = bsv.crypto.ECDSA.sign(messageHash, privateKeyObj);
       const signatureHex = signature.toDER().toString('hex');
@@ -297,43 +498,358 @@ export class AttestationBox {
         throw new Error('Signature verification failed');
       }
 
-      // Check for duplicate signatures from same key
-      const existingSignature = this.signatures.find(sig => sig.pubkey === publicKeyHex);
-      if (existingSignature) {
-        throw new Error('Key has already signed this attestation');
-      }
-
-      // Add signature
-      const signatureEntry = {
+      return this.appendSignature({
         pubkey: publicKeyHex,
         signature: signatureHex,
-        derivation: signerInfo.derivation || 'unknown',
-        role: signerInfo.role || 'unknown',
         timestamp: signaturePayload.timestamp,
-        message_hash: messageHash.toString('hex'),
-        signer_info: {
-          name: signerInfo.name || 'Anonymous',
-          ...signerInfo
-        }
-      };
+        messageHash
+      }, signerInfo);
 
-      this.signatures.push(signatureEntry);
+    } catch (error) {
+      throw new Error(`Signature failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a signature made by the signer's own wallet (the private key never reaches the server)
+   * @param {Object} presigned - { pubkey, signature (DER hex), timestamp } over getSignaturePayload(pubkey, timestamp)
+   */
+  async addPresignedSignature(presigned, signerInfo = {}) {
+    this.assertWritable();
+
+    try {
+      this.assertSignerRole(signerInfo);
+
+      const { pubkey, signature, timestamp } = presigned || {};
+      if (typeof pubkey !== 'string' || typeof signature !== 'string' || Number.isNaN(new Date(timestamp).getTime())) {
+        throw new Error('Presigned signature needs pubkey, signature and timestamp');
+      }
 
-      // Check if attestation is now complete
-      this.checkCompleteness();
+      const messageHash = hashPayload(this.getSignaturePayload(pubkey, timestamp));
+      const isValid = bsv.crypto.ECDSA.verify(
+        messageHash,
+        bsv.crypto.Signature.fromDER(Buffer.from(signature, 'hex')),
+        bsv.PublicKey.fromString(pubkey)
+      );
+      if (!isValid) {
+        throw new Error('Signature verification failed');
+      }
 
-      return {
-        success: true,
-        signature: signatureEntry,
-        complete: this.metadata.finalized,
-        signatures_count: this.signatures.length
-      };
+      return this.appendSignature({ pubkey, signature, timestamp, messageHash }, signerInfo);
 
     } catch (error) {
       throw new Error(`Signature failed: ${error.message}`);
     }
   }
 
+  /**
+   * Validate key type for action
+   */
+  assertSignerRole(signerInfo) {
+    const requiredKeyType = ATTESTATION_KEY_RULES[this.action];
+    if (requiredKeyType && signerInfo.role !== requiredKeyType) {
+      throw new Error(`Action "${this.action}" requires "${requiredKeyType}" key, got "${signerInfo.role}"`);
+    }
+  }
+
+  /**
+   * Record a verified signature and re-check completeness
+   */
+  appendSignature({ pubkey, signature, timestamp, messageHash }, signerInfo) {
+    // Check for duplicate signatures from same key
+    const existingSignature = this.getActiveSignatures().find(sig => sig.pubkey === pubkey);
+    if (existingSignature) {
+      throw new Error('Key has already signed this attestation');
+    }
+
+    // Add signature
+    const signatureEntry = {
+      pubkey,
+      signature,
+      derivation: signerInfo.derivation || 'unknown',
+      role: signerInfo.role || 'unknown',
+      timestamp,
+      message_hash: messageHash.toString('hex'),
+      canonicalization: CANONICALIZATION,
+      signer_info: {
+        name: signerInfo.name || 'Anonymous',
+        ...signerInfo
+      }
+    };
+
+    this.signatures.push(signatureEntry);
+
+    // Check if attestation is now complete
+    this.checkCompleteness();
+
+    return {
+      success: true,
+      signature: signatureEntry,
+      complete: this.metadata.finalized,
+      signatures_count: this.getActiveSignatures().length
+    };
+  }
+
+  /**
+   * Attestation this one amends or supersedes (null for an original)
+   */
+  getPredecessorId() {
+    return this.metadata.amends || this.metadata.supersedes || null;
+  }
+
+  /**
+   * Superseded attestations are kept for the record but can no longer change
+   */
+  isReadOnly() {
+    return ['revoked', 'superseded', 'expired'].includes(this.getStatus());
+  }
+
+  assertWritable() {
+    if (this.isReadOnly()) {
+      const status = this.getStatus();
+      const reason = status === 'expired'
+        ? `expired (signing deadline ${this.metadata.signing_deadline})`
+        : status === 'revoked' ? 'revoked' : `superseded by ${this.metadata.superseded_by}`;
+      const error = new Error(`Attestation ${this.id} is ${reason} and is read-only`);
+      error.code = 'ATTESTATION_READ_ONLY';
+      throw error;
+    }
+  }
+
+  /**
+   * Signatures that have not been withdrawn
+   */
+  getActiveSignatures() {
+    const withdrawn = new Set(this.revocations
+      .filter(record => record.type === 'signature_withdrawal')
+      .map(record => record.target_message_hash));
+    return this.signatures.filter(sig => !withdrawn.has(sig.message_hash));
+  }
+
+  /**
+   * Payload a withdrawal / revocation record signs
+   */
+  getRevocationPayload(record) {
+    const payload = {
+      attestation_id: this.id,
+      contract_hash: this.metadata.contract_hash,
+      action: record.type,
+      timestamp: record.timestamp,
+      signer: record.pubkey
+    };
+
+    if (record.type === 'signature_withdrawal') {
+      payload.withdrawn_message_hash = record.target_message_hash;
+    } else {
+      payload.reason = record.reason;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Unsigned withdrawal / revocation record for a key that signed the attestation;
+   * getRevocationPayload(record) is what its signature covers.
+   * Enforces the same key-type rule as addSignature.
+   */
+  buildRevocationRecord(pubkey, signerInfo, fields, timestamp = new Date().toISOString()) {
+    this.assertSignerRole(signerInfo);
+
+    const signature = this.getActiveSignatures().find(sig => sig.pubkey === pubkey);
+    if (!signature) {
+      throw new Error('Key has no active signature on this attestation');
+    }
+
+    const record = {
+      ...fields,
+      pubkey,
+      role: signerInfo.role,
+      timestamp,
+      signer_info: { name: signerInfo.name || 'Anonymous' },
+      canonicalization: CANONICALIZATION
+    };
+    if (record.type === 'signature_withdrawal') {
+      record.target_message_hash = signature.message_hash;
+    }
+    return record;
+  }
+
+  /**
+   * Signed withdrawal / revocation record
+   * @param {string|Object} signer - WIF of the key that signed the attestation, or a record the
+   *   signer's own wallet signed: { pubkey, signature (DER hex), timestamp } over getRevocationPayload
+   */
+  createRevocationRecord(signer, signerInfo, fields) {
+    if (typeof signer !== 'string') {
+      return this.createPresignedRevocationRecord(signer, signerInfo, fields);
+    }
+
+    const privateKeyObj = bsv.PrivateKey.fromWIF(signer);
+    const record = this.buildRevocationRecord(privateKeyObj.toPublicKey().toString('hex'), signerInfo, fields);
+
+    const messageHash = hashPayload(this.getRevocationPayload(record));
+    record.message_hash = messageHash.toString('hex');
+    record.signature = bsv.crypto.ECDSA.sign(messageHash, privateKeyObj).toDER().toString('hex');
+
+    return record;
+  }
+
+  /**
+   * Withdrawal / revocation record signed by the signer's wallet (the private key never
+   * reaches the server); verified like addPresignedSignature
+   */
+  createPresignedRevocationRecord(presigned, signerInfo, fields) {
+    const { pubkey, signature, timestamp } = presigned || {};
+    if (typeof pubkey !== 'string' || typeof signature !== 'string' || Number.isNaN(new Date(timestamp).getTime())) {
+      throw new Error('Presigned record needs pubkey, signature and timestamp');
+    }
+
+    const record = this.buildRevocationRecord(pubkey, signerInfo, fields, timestamp);
+    const messageHash = hashPayload(this.getRevocationPayload(record));
+    const isValid = bsv.crypto.ECDSA.verify(
+      messageHash,
+      bsv.crypto.Signature.fromDER(Buffer.from(signature, 'hex')),
+      bsv.PublicKey.fromString(pubkey)
+    );
+    if (!isValid) {
+      throw new Error('Signature verification failed');
+    }
+
+    record.message_hash = messageHash.toString('hex');
+    record.signature = signature;
+    return record;
+  }
+
+  /**
+   * Withdraw this key's signature before the attestation is finalized
+   * @param {string|Object} signer - WIF or presigned record (see createRevocationRecord)
+   */
+  withdrawSignature(signer, signerInfo = {}) {
+    this.assertWritable();
+    if (this.metadata.finalized) {
+      throw new Error('Finalized attestations cannot be withdrawn from; revoke by mutual consent instead');
+    }
+
+    const record = this.createRevocationRecord(signer, signerInfo, { type: 'signature_withdrawal' });
+    this.revocations.push(record);
+
+    return {
+      success: true,
+      withdrawal: record,
+      signatures_count: this.getActiveSignatures().length
+    };
+  }
+
+  /**
+   * Consent to revoking a finalized attestation; revoked once every active signer consents
+   * @param {string|Object} signer - WIF or presigned record (see createRevocationRecord)
+   */
+  addRevocationConsent(signer, signerInfo = {}, reason = '') {
+    this.assertWritable();
+    if (!this.metadata.finalized) {
+      throw new Error('Only finalized attestations can be revoked; withdraw signatures instead');
+    }
+
+    const record = this.createRevocationRecord(signer, signerInfo, { type: 'revocation_consent', reason });
+    if (this.revocations.some(r => r.type === 'revocation_consent' && r.pubkey === record.pubkey)) {
+      throw new Error('Key has already consented to revocation');
+    }
+    this.revocations.push(record);
+
+    const status = this.getRevocationStatus();
+    if (status.pending.length === 0) {
+      this.metadata.revoked = true;
+      this.metadata.revoked_at = record.timestamp;
+    }
+
+    return {
+      success: true,
+      consent: record,
+      revoked: Boolean(this.metadata.revoked),
+      revocation: this.getRevocationStatus()
+    };
+  }
+
+  /**
+   * Summary of withdrawals and revocation consents
+   */
+  getRevocationStatus() {
+    const signers = this.getActiveSignatures().map(sig => sig.pubkey);
+    const consents = this.revocations
+      .filter(record => record.type === 'revocation_consent')
+      .map(record => ({ pubkey: record.pubkey, reason: record.reason, timestamp: record.timestamp }));
+    const consented = new Set(consents.map(consent => consent.pubkey));
+
+    return {
+      revoked: Boolean(this.metadata.revoked),
+      revoked_at: this.metadata.revoked_at || null,
+      consents,
+      pending: this.metadata.finalized ? signers.filter(pubkey => !consented.has(pubkey)) : [],
+      withdrawn: this.revocations
+        .filter(record => record.type === 'signature_withdrawal')
+        .map(record => ({ pubkey: record.pubkey, message_hash: record.target_message_hash, timestamp: record.timestamp }))
+    };
+  }
+
+  /**
+   * Verify the signature on every withdrawal / revocation record
+   */
+  verifyRevocationRecords() {
+    return this.revocations.map(record => {
+      try {
+        // Records without a scheme predate canonical JSON
+        const messageHash = hashPayload(this.getRevocationPayload(record), recordedScheme(record.canonicalization));
+        if (record.message_hash !== messageHash.toString('hex')) {
+          return { type: record.type, pubkey: record.pubkey, valid: false, error: 'Message hash mismatch' };
+        }
+
+        const publicKey = bsv.PublicKey.fromString(record.pubkey);
+        const signature = bsv.crypto.Signature.fromDER(Buffer.from(record.signature, 'hex'));
+        const signedOriginal = this.signatures.some(sig => sig.pubkey === record.pubkey);
+
+        return {
+          type: record.type,
+          pubkey: record.pubkey,
+          valid: signedOriginal && bsv.crypto.ECDSA.verify(messageHash, signature, publicKey),
+          timestamp: record.timestamp
+        };
+      } catch (error) {
+        return { type: record.type, pubkey: record.pubkey, valid: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Field-level diff between two versions' payload fields
+   * @returns {Array} [{ field, change: added|removed|changed, before, after }]
+   */
+  static diffFields(before = {}, after = {}, ignore = ['timestamp', 'pubkey_short']) {
+    const changes = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    const walk = (a, b, path) => {
+      if (isObject(a) && isObject(b)) {
+        const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+        keys.filter(key => !ignore.includes(key))
+          .forEach(key => walk(a[key], b[key], path ? `${path}.${key}` : key));
+      } else if (Array.isArray(a) && Array.isArray(b)) {
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+          walk(a[i], b[i], `${path}[${i}]`);
+        }
+      } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+        changes.push({
+          field: path,
+          change: a === undefined ? 'added' : b === undefined ? 'removed' : 'changed',
+          before: a,
+          after: b
+        });
+      }
+    };
+
+    walk(before, after, '');
+    return changes;
+  }
+
   /**
    * Derive public key from private key
    */
@@ -343,37 +859,55 @@ export class AttestationBox {
   }
 
   /**
-   * Check if all required signatures are present
+   * Finalize once the required_signatures policy is satisfied (see signaturePolicy.js)
+   * and, for an amendment or replacement, every signer of the predecessor has signed
    */
   checkCompleteness() {
-    if (!this.payload.required_signatures) {
+    const status = this.getSignaturePolicyStatus();
+    if (!status || !status.satisfied || this.getMissingPredecessorSigners().length > 0) {
       return false;
     }
 
-    if (this.payload.required_signatures === 'all_parties') {
-      // Check if all parties from payload have signed
-      const parties = this.payload.fields?.parties || [];
-      const requiredCount = parties.length;
-      const currentCount = this.signatures.length;
-      
-      if (currentCount >= requiredCount) {
-        this.metadata.finalized = true;
-        this.metadata.finalized_at = new Date().toISOString();
-        return true;
-      }
-    } else if (Array.isArray(this.payload.required_signatures)) {
-      // Check specific required signers
-      const required = this.payload.required_signatures.length;
-      const current = this.signatures.length;
-      
-      if (current >= required) {
-        this.metadata.finalized = true;
-        this.metadata.finalized_at = new Date().toISOString();
-        return true;
-      }
+    this.metadata.finalized = true;
+    this.metadata.finalized_at = new Date().toISOString();
+
+    // Validity periods run from finalization
+    if (!this.metadata.valid_until && this.metadata.validity_days) {
+      this.metadata.valid_until = new Date(Date.now() + this.metadata.validity_days * DAY_MS).toISOString();
+    }
+    return true;
+  }
+
+  /**
+   * Evaluate the required_signatures policy against the active signers
+   */
+  getSignaturePolicyStatus() {
+    const policy = this.payload.required_signatures;
+    if (policy === undefined || policy === null) {
+      return null;
     }
 
-    return false;
+    return {
+      policy,
+      description: describePolicy(policy),
+      ...evaluatePolicy(policy, this.payload.fields || {}, this.getSignerPubkeys())
+    };
+  }
+
+  /**
+   * Distinct keys with an active signature
+   */
+  getSignerPubkeys() {
+    return [...new Set(this.getActiveSignatures().map(sig => sig.pubkey))];
+  }
+
+  /**
+   * Predecessor signers (recorded when this amendment or replacement was created)
+   * who have not signed it yet; it cannot finalize while any are missing
+   */
+  getMissingPredecessorSigners() {
+    const signers = new Set(this.getSignerPubkeys());
+    return (this.metadata.predecessor_signers || []).filter(pubkey => !signers.has(pubkey));
   }
 
   /**
@@ -381,20 +915,15 @@ export class AttestationBox {
    */
   verifyAllSignatures() {
     const results = [];
+    const active = new Set(this.getActiveSignatures().map(sig => sig.message_hash));
 
     for (const sig of this.signatures) {
       try {
         // Reconstruct signature payload
-        const signaturePayload = {
-          attestation_id: this.id,
-          contract_hash: this.metadata.contract_hash,
-          action: this.action,
-          timestamp: sig.timestamp,
-          signer: sig.pubkey
-        };
+        const signaturePayload = this.getSignaturePayload(sig.pubkey, sig.timestamp);
 
-        const message = JSON.stringify(signaturePayload, null, 0);
-        const messageHash = crypto.createHash('sha256').update(message).digest();
+        // Signatures without a scheme predate canonical JSON
+        const messageHash = hashPayload(signaturePayload, recordedScheme(sig.canonicalization));
         const expectedHash = messageHash.toString('hex');
 
         // Verify hash matches
@@ -415,6 +944,7 @@ export class AttestationBox {
         results.push({
           pubkey: sig.pubkey,
           valid: isValid,
+          withdrawn: !active.has(sig.message_hash),
           role: sig.role,
           timestamp: sig.timestamp,
           signer: sig.signer_info?.name || 'Anonymous'
@@ -429,12 +959,21 @@ export class AttestationBox {
       }
     }
 
+    const revocationResults = this.verifyRevocationRecords();
+
     return {
-      all_valid: results.every(r => r.valid),
+      all_valid: results.every(r => r.valid) && revocationResults.every(r => r.valid),
       signature_count: results.length,
       valid_count: results.filter(r => r.valid).length,
+      active_count: active.size,
       results: results,
-      finalized: this.metadata.finalized
+      finalized: this.metadata.finalized,
+      signature_policy: this.getSignaturePolicyStatus(),
+      revoked: Boolean(this.metadata.revoked),
+      revocation: {
+        ...this.getRevocationStatus(),
+        records: revocationResults
+      }
     };
   }
 
@@ -457,7 +996,10 @@ export class AttestationBox {
       action: this.action,
       payload: this.payload,
       signatures: this.signatures,
-      metadata: this.metadata
+      revocations: this.revocations,
+      metadata: this.metadata,
+      signature_policy: this.getSignaturePolicyStatus(),
+      revision: this.revision
     };
   }
 
@@ -470,8 +1012,9 @@ export class AttestationBox {
 
   /**
    * Generate hash for blockchain anchoring
+   * @param {string} [scheme] - LEGACY_CANONICALIZATION only to check anchors made before canonical JSON
    */
-  getAnchorHash() {
+  getAnchorHash(scheme = CANONICALIZATION) {
     const anchorData = {
       id: this.id,
       contract_hash: this.metadata.contract_hash,
@@ -482,7 +1025,152 @@ export class AttestationBox {
       finalized: this.metadata.finalized
     };
 
-    return crypto.createHash('sha256').update(JSON.stringify(anchorData)).digest('hex');
+    // Only present once something was withdrawn or revoked, so existing anchors keep their hash
+    if (this.revocations.length > 0) {
+      anchorData.revocations = this.revocations.map(record => ({
+        type: record.type,
+        pubkey: record.pubkey,
+        signature: record.signature
+      }));
+      anchorData.revoked = Boolean(this.metadata.revoked);
+    }
+
+    return hashPayload(anchorData, scheme).toString('hex');
+  }
+
+  /**
+   * Detached, self-verifying bundle: rendered contract, canonical payload, every
+   * signature and revocation record with its pubkey and derivation path, and anchor txids.
+   * Verifiable offline with AttestationBox.verifyBundle (no server or database).
+   * @param {Object[]} anchors - Anchor records ({ txid, event_type, published_at, audit_proof })
+   */
+  toBundle(anchors = []) {
+    const payload = canonicalize(this.payload);
+
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      bundle_version: BUNDLE_VERSION,
+      attestation: {
+        id: this.id,
+        version: this.version,
+        subject: this.subject,
+        action: this.action,
+        created: this.metadata.created,
+        finalized: Boolean(this.metadata.finalized),
+        finalized_at: this.metadata.finalized_at || null,
+        revoked: Boolean(this.metadata.revoked),
+        status: this.getStatus(),
+        signing_deadline: this.metadata.signing_deadline || null,
+        valid_until: this.metadata.valid_until || null
+      },
+      contract: {
+        text: this.payload.contract_text || null,
+        hash: this.metadata.contract_hash,
+        template_type: this.payload.template_type || null,
+        template_version: this.payload.template_version || null,
+        template_hash: this.payload.template_hash || null
+      },
+      payload,
+      payload_hash: sha256(payload),
+      signatures: this.signatures.map(sig => ({
+        pubkey: sig.pubkey,
+        signature: sig.signature,
+        derivation: sig.derivation || null,
+        role: sig.role,
+        timestamp: sig.timestamp,
+        message_hash: sig.message_hash,
+        canonicalization: recordedScheme(sig.canonicalization),
+        signer_info: sig.signer_info || {}
+      })),
+      revocations: this.revocations,
+      signature_policy: this.getSignaturePolicyStatus(),
+      anchor_hash: this.getAnchorHash(),
+      anchor_canonicalization: CANONICALIZATION,
+      anchors: anchors.map(anchor => ({
+        txid: anchor.txid || anchor.blockchain_txid,
+        event_type: anchor.event_type || null,
+        published_at: anchor.published_at || null,
+        audit_proof: anchor.audit_proof || null
+      })),
+      bundled_at: new Date().toISOString()
+    };
+
+    bundle.bundle_hash = sha256(canonicalize(bundle));
+    return bundle;
+  }
+
+  /**
+   * Verify a bundle from toBundle using only its own contents
+   * Anchor txids are checked against the contract hash they commit to; confirming
+   * the transactions themselves needs a block explorer.
+   */
+  static verifyBundle(bundle) {
+    if (bundle?.format !== BUNDLE_FORMAT || bundle.bundle_version !== BUNDLE_VERSION) {
+      return { valid: false, errors: [`Not a ${BUNDLE_FORMAT} v${BUNDLE_VERSION} file`] };
+    }
+
+    const checks = {};
+    const { bundle_hash: bundleHash, ...body } = bundle;
+    checks.bundle_hash = sha256(canonicalize(body)) === bundleHash;
+
+    let payload = null;
+    try {
+      payload = JSON.parse(bundle.payload);
+    } catch (error) {
+      return { valid: false, checks, errors: [`Payload is not valid JSON: ${error.message}`] };
+    }
+    checks.payload = sha256(bundle.payload) === bundle.payload_hash && canonicalize(payload) === bundle.payload;
+
+    const { contract } = bundle;
+    checks.contract_text = typeof contract.text === 'string'
+      && sha256(contract.text) === contract.hash
+      && payload.contract_text === contract.text
+      && payload.contract_hash === contract.hash;
+
+    // Rebuild the attestation so signatures verify exactly as they were created
+    const attestation = new AttestationBox({
+      id: bundle.attestation.id,
+      version: bundle.attestation.version,
+      subject: bundle.attestation.subject,
+      action: bundle.attestation.action,
+      payload,
+      signatures: bundle.signatures,
+      revocations: bundle.revocations,
+      metadata: {
+        created: bundle.attestation.created,
+        contract_hash: contract.hash,
+        finalized: bundle.attestation.finalized,
+        revoked: bundle.attestation.revoked
+      }
+    });
+
+    const verification = attestation.verifyAllSignatures();
+    checks.signatures = verification.all_valid;
+    checks.anchor_hash = attestation.getAnchorHash(recordedScheme(bundle.anchor_canonicalization)) === bundle.anchor_hash;
+
+    // A bundle claiming finalization must satisfy its policy with valid, unwithdrawn signatures
+    const signers = verification.results.filter(result => result.valid && !result.withdrawn).map(result => result.pubkey);
+    const policy = payload.required_signatures === undefined
+      ? null
+      : { description: describePolicy(payload.required_signatures), ...evaluatePolicy(payload.required_signatures, payload.fields || {}, signers) };
+    checks.finalization = !bundle.attestation.finalized || Boolean(policy?.satisfied);
+
+    const anchors = bundle.anchors.map(anchor => ({
+      ...anchor,
+      commits_to_contract: anchor.audit_proof?.c_hash ? contract.hash.startsWith(anchor.audit_proof.c_hash) : null
+    }));
+    checks.anchors = anchors.every(anchor => anchor.commits_to_contract !== false);
+
+    return {
+      valid: Object.values(checks).every(Boolean),
+      attestation_id: bundle.attestation.id,
+      contract_hash: contract.hash,
+      checks,
+      signatures: verification.results,
+      signature_policy: policy,
+      revocation: verification.revocation,
+      anchors
+    };
   }
 }
 
@@ -491,17 +1179,63 @@ export class AttestationBox {
  * High-level interface for managing attestations
  */
 export class AttestationManager {
+  /**
+   * @param {Object} config
+   * @param {Object} [config.store] - Storage adapter (see attestationStore.js), in-memory by default
+   * @param {Map} [config.storage] - Backing Map for the default in-memory store
+   * @param {number} [config.maxSaveRetries] - Attempts when a concurrent write wins the race
+   * @param {Object} [config.templates] - Template registry (see templateRegistry.js), built-ins only by default
+   * @param {Object} [config.events] - Lifecycle event sink with publish(type, data), e.g. a WebhookDispatcher
+   */
   constructor(config = {}) {
-    this.storage = config.storage || new Map(); // In-memory by default
+    this.store = config.store || new MemoryAttestationStore(config.storage);
+    this.templates = config.templates || new MemoryTemplateRegistry({
+      builtIns: CONTRACT_TEMPLATES,
+      publishedVersions: PUBLISHED_TEMPLATE_VERSIONS,
+      keyRules: ATTESTATION_KEY_RULES
+    });
     this.blockchain = config.blockchain || null; // Optional blockchain anchoring
+    this.expiryTimer = null;
+    this.maxSaveRetries = config.maxSaveRetries || 5;
+    this.events = config.events || null;
+  }
+
+  /**
+   * Publish a lifecycle event (see webhooks.js WEBHOOK_EVENTS) without waiting for it;
+   * a failed publish never fails the attestation operation
+   */
+  notify(type, attestation, details = {}) {
+    if (!this.events) return;
+
+    const data = {
+      attestationId: attestation.id,
+      subject: attestation.subject,
+      action: attestation.action,
+      contractHash: attestation.metadata.contract_hash,
+      status: attestation.getStatus(),
+      signaturesCount: attestation.getActiveSignatures().length,
+      ...details
+    };
+    Promise.resolve()
+      .then(() => this.events.publish(type, data))
+      .catch(error => console.warn(`⚠️  Could not publish ${type} for ${attestation.id}: ${error.message}`));
   }
 
   /**
    * Create new attestation from template
+   * Uses the latest active template version unless `options.templateVersion` pins one.
    */
-  async createAttestation(templateType, fields, options = {}) {
-    const attestation = await AttestationBox.createFromTemplate(templateType, fields, options);
+  async createAttestation(templateType, fields, options = {}, metadata = {}) {
+    const template = await this.resolveTemplate(templateType, options.templateVersion);
+    const attestation = await AttestationBox.createFromTemplate(template, fields, options, metadata);
     await this.saveAttestation(attestation);
+
+    this.notify('attestation.created', attestation, {
+      templateType: attestation.payload.template_type,
+      templateVersion: attestation.payload.template_version,
+      amends: metadata.amends || null,
+      supersedes: metadata.supersedes || null
+    });
     return attestation;
   }
 
@@ -509,7 +1243,7 @@ export class AttestationManager {
    * Save attestation to storage
    */
   async saveAttestation(attestation) {
-    this.storage.set(attestation.id, attestation.export());
+    attestation.revision = await this.store.saveAttestation(attestation.export());
     return attestation.id;
   }
 
@@ -517,7 +1251,7 @@ export class AttestationManager {
    * Load attestation from storage
    */
   async loadAttestation(id) {
-    const data = this.storage.get(id);
+    const data = await this.store.loadAttestation(id);
     if (!data) {
       throw new Error(`Attestation not found: ${id}`);
     }
@@ -528,9 +1262,42 @@ export class AttestationManager {
    * Sign attestation with private key
    */
   async signAttestation(id, privateKey, signerInfo) {
-    const attestation = await this.loadAttestation(id);
-    const result = await attestation.addSignature(privateKey, signerInfo);
-    await this.saveAttestation(attestation);
+    return this.recordSignature(id, attestation => attestation.addSignature(privateKey, signerInfo));
+  }
+
+  /**
+   * Add a signature the signer made with their own wallet (see AttestationBox.addPresignedSignature)
+   */
+  async submitSignature(id, presigned, signerInfo) {
+    return this.recordSignature(id, attestation => attestation.addPresignedSignature(presigned, signerInfo));
+  }
+
+  async recordSignature(id, sign) {
+    const { attestation, result } = await this.updateAttestation(id, sign);
+
+    this.notify('signature.added', attestation, {
+      signer: {
+        pubkey: result.signature.pubkey,
+        role: result.signature.role,
+        name: result.signature.signer_info.name
+      }
+    });
+    if (result.complete) {
+      this.notify('attestation.finalized', attestation, { finalizedAt: attestation.metadata.finalized_at || null });
+    }
+
+    // A finalized amendment replaces the version it amends, once everyone who signed that version has signed it
+    if (result.complete && attestation.getPredecessorId()) {
+      const predecessor = await this.loadAttestation(attestation.getPredecessorId());
+      const signers = new Set(attestation.getSignerPubkeys());
+      const missing = predecessor.getSignerPubkeys().filter(pubkey => !signers.has(pubkey));
+
+      if (missing.length === 0) {
+        await this.markSuperseded(predecessor.id, attestation.id);
+      } else {
+        console.warn(`⚠️  ${attestation.id} finalized but ${missing.length} signer(s) of ${predecessor.id} have not signed it; ${predecessor.id} stays in force`);
+      }
+    }
 
     // If finalized, optionally anchor to blockchain
     if (attestation.metadata.finalized && this.blockchain) {
@@ -540,6 +1307,236 @@ export class AttestationManager {
     return result;
   }
 
+  /**
+   * Load, mutate and save an attestation, replaying the mutation on a fresh
+   * copy whenever another writer saved first
+   * @param {string} id - Attestation ID
+   * @param {Function} mutate - async (attestation) => result
+   * @returns {Object} { attestation, result }
+   */
+  async updateAttestation(id, mutate) {
+    for (let attempt = 1; ; attempt++) {
+      const attestation = await this.loadAttestation(id);
+      const result = await mutate(attestation);
+
+      try {
+        await this.saveAttestation(attestation);
+        return { attestation, result };
+      } catch (error) {
+        if (error.code !== 'ATTESTATION_CONFLICT' || attempt >= this.maxSaveRetries) {
+          throw error;
+        }
+        console.warn(`⚠️  Concurrent update on ${id}, retrying (${attempt}/${this.maxSaveRetries})`);
+      }
+    }
+  }
+
+  /**
+   * Withdraw a signature before finalization
+   * @param {string|Object} signer - WIF or presigned record (see AttestationBox.createRevocationRecord)
+   */
+  async withdrawSignature(id, signer, signerInfo) {
+    const { attestation, result } = await this.updateAttestation(id, attestation => (
+      attestation.withdrawSignature(signer, signerInfo)
+    ));
+
+    this.notify('signature.withdrawn', attestation, { signer: { pubkey: result.withdrawal.pubkey } });
+
+    if (this.blockchain) {
+      await this.anchorToBlockchain(attestation);
+    }
+
+    return result;
+  }
+
+  /**
+   * Record one party's consent to revoke a finalized attestation
+   * @param {string|Object} signer - WIF or presigned record (see AttestationBox.createRevocationRecord)
+   */
+  async revokeAttestation(id, signer, signerInfo, reason = '') {
+    const { attestation, result } = await this.updateAttestation(id, attestation => (
+      attestation.addRevocationConsent(signer, signerInfo, reason)
+    ));
+
+    if (result.revoked) {
+      this.notify('attestation.revoked', attestation, { revokedAt: attestation.metadata.revoked_at, reason });
+    }
+
+    // Anchor the revocation event once every signer has consented
+    if (result.revoked && this.blockchain) {
+      await this.anchorToBlockchain(attestation);
+    }
+
+    return result;
+  }
+
+  /**
+   * Amend an attestation: same template, predecessor fields with `fieldChanges` applied
+   * The amendment needs a full new set of signatures; once finalized the original is superseded.
+   * @param {string[]} [requesterKeys] - Keys of the requesting identity; when given, one must have signed the original
+   */
+  async amendAttestation(id, fieldChanges = {}, options = {}, requesterKeys = null) {
+    const predecessor = await this.loadAttestation(id);
+    AttestationManager.assertPredecessorSigner(predecessor, requesterKeys);
+    const fields = structuredClone(predecessor.payload.fields || {});
+
+    // Drop values createFromTemplate derives itself
+    delete fields.timestamp;
+    delete fields.total_split;
+    if (Array.isArray(fields.parties)) {
+      fields.parties = fields.parties.map(({ pubkey_short, ...party }) => party);
+    }
+
+    return await this.createSuccessor(predecessor, 'amends', predecessor.payload.template_type, {
+      ...fields,
+      ...fieldChanges
+    }, options);
+  }
+
+  /**
+   * Supersede an attestation with a new contract (any template)
+   * @param {string[]} [requesterKeys] - As amendAttestation
+   */
+  async supersedeAttestation(id, templateType, fields, options = {}, requesterKeys = null) {
+    const predecessor = await this.loadAttestation(id);
+    AttestationManager.assertPredecessorSigner(predecessor, requesterKeys);
+    return await this.createSuccessor(predecessor, 'supersedes', templateType, fields, options);
+  }
+
+  /**
+   * Only a party who signed an attestation may propose to amend or replace it
+   */
+  static assertPredecessorSigner(predecessor, requesterKeys) {
+    if (requesterKeys === null) return;
+
+    const signers = new Set(predecessor.getSignerPubkeys());
+    if (!requesterKeys.some(pubkey => signers.has(pubkey))) {
+      const error = new Error(`Only a signer of ${predecessor.id} can amend or replace it`);
+      error.code = 'ATTESTATION_NOT_A_SIGNER';
+      throw error;
+    }
+  }
+
+  /**
+   * Create an attestation linked to `predecessor` by `relation` (amends | supersedes).
+   * Every current signer of the predecessor must also sign the successor.
+   */
+  async createSuccessor(predecessor, relation, templateType, fields, options = {}) {
+    predecessor.assertWritable();
+
+    const successor = await this.createAttestation(templateType, fields, {
+      ...options,
+      subject: options.subject || predecessor.subject
+    }, {
+      [relation]: predecessor.id,
+      chain_root: predecessor.metadata.chain_root || predecessor.id,
+      chain_version: (predecessor.metadata.chain_version || 1) + 1,
+      predecessor_signers: predecessor.getSignerPubkeys()
+    });
+
+    await this.updateAttestation(predecessor.id, attestation => {
+      attestation.assertWritable();
+      attestation.metadata.pending_successors = [
+        ...(attestation.metadata.pending_successors || []),
+        successor.id
+      ];
+    });
+
+    console.log(`📝 ${successor.id} ${relation} ${predecessor.id}`);
+    return successor;
+  }
+
+  /**
+   * Mark `id` as superseded by `successorId`, making it read-only
+   */
+  async markSuperseded(id, successorId) {
+    try {
+      const { attestation } = await this.updateAttestation(id, attestation => {
+        attestation.assertWritable();
+        attestation.metadata.superseded_by = successorId;
+        attestation.metadata.superseded_at = new Date().toISOString();
+        attestation.metadata.pending_successors = (attestation.metadata.pending_successors || [])
+          .filter(pendingId => pendingId !== successorId);
+      });
+
+      console.log(`🔒 ${id} superseded by ${successorId}`);
+      this.notify('attestation.superseded', attestation, { supersededBy: successorId });
+      return attestation;
+
+    } catch (error) {
+      if (error.code !== 'ATTESTATION_READ_ONLY') throw error;
+      // Another amendment of the same version was finalized first
+      console.warn(`⚠️  ${successorId} finalized but ${id} was already superseded: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Full version chain around an attestation, oldest first, with field diffs
+   */
+  async getVersionHistory(id) {
+    const requested = await this.loadAttestation(id);
+    const chain = [requested];
+    const seen = new Set([requested.id]);
+
+    // Walk back to the original
+    for (let previousId = requested.getPredecessorId(); previousId && !seen.has(previousId);) {
+      const previous = await this.loadAttestation(previousId);
+      chain.unshift(previous);
+      seen.add(previous.id);
+      previousId = previous.getPredecessorId();
+    }
+
+    // Walk forward through finalized successors
+    for (let nextId = requested.metadata.superseded_by; nextId && !seen.has(nextId);) {
+      const next = await this.loadAttestation(nextId);
+      chain.push(next);
+      seen.add(next.id);
+      nextId = next.metadata.superseded_by;
+    }
+
+    const versions = chain.map((attestation, index) => ({
+      id: attestation.id,
+      version: attestation.metadata.chain_version || 1,
+      relation: attestation.metadata.amends ? 'amends' : attestation.metadata.supersedes ? 'supersedes' : null,
+      predecessor: attestation.getPredecessorId(),
+      superseded_by: attestation.metadata.superseded_by || null,
+      read_only: attestation.isReadOnly(),
+      finalized: attestation.metadata.finalized,
+      template_type: attestation.payload.template_type,
+      contract_hash: attestation.metadata.contract_hash,
+      created: attestation.metadata.created,
+      changes: index === 0 ? [] : AttestationBox.diffFields(
+        chain[index - 1].payload.fields,
+        attestation.payload.fields
+      )
+    }));
+
+    const latest = chain[chain.length - 1];
+    return {
+      chain_root: chain[0].id,
+      current: latest.id,
+      requested: id,
+      pending_successors: latest.metadata.pending_successors || [],
+      versions
+    };
+  }
+
+  /**
+   * Blockchain anchor records for an attestation (none without a blockchain layer)
+   */
+  async getAnchorRecords(id) {
+    return [];
+  }
+
+  /**
+   * Build a detached signature bundle including known anchor txids
+   */
+  async exportBundle(id) {
+    const attestation = await this.loadAttestation(id);
+    return attestation.toBundle(await this.getAnchorRecords(id));
+  }
+
   /**
    * Anchor attestation to blockchain (optional)
    */
@@ -553,35 +1550,118 @@ export class AttestationManager {
   }
 
   /**
-   * List all attestations
+   * List all attestations with their lifecycle status
    */
-  async listAttestations() {
-    const attestations = [];
-    for (const [id, data] of this.storage) {
-      attestations.push({
-        id: data.id,
-        subject: data.subject,
-        action: data.action,
-        signatures: data.signatures.length,
-        finalized: data.metadata.finalized,
-        created: data.metadata.created
-      });
+  async listAttestations(now = new Date()) {
+    const summaries = await this.store.listAttestations();
+    return summaries.map(summary => ({ ...summary, status: AttestationBox.statusOf(summary, now) }));
+  }
+
+  /**
+   * Finalized contracts whose validity period has ended
+   */
+  async getLapsedAttestations(now = new Date()) {
+    return (await this.listAttestations(now)).filter(summary => summary.status === 'lapsed');
+  }
+
+  /**
+   * Move drafts past their signing deadline to `expired`
+   * @returns {string[]} IDs expired by this sweep
+   */
+  async expireOverdueAttestations(now = new Date()) {
+    const overdue = (await this.listAttestations(now))
+      .filter(summary => summary.status === 'expired' && !summary.expired_at);
+    const expired = [];
+
+    for (const { id } of overdue) {
+      try {
+        const { attestation, result } = await this.updateAttestation(id, attestation => attestation.markExpired(now));
+        if (result) {
+          expired.push(id);
+          this.notify('attestation.expired', attestation, { signingDeadline: attestation.metadata.signing_deadline });
+        }
+      } catch (error) {
+        console.warn(`⚠️  Could not expire ${id}: ${error.message}`);
+      }
     }
-    return attestations;
+
+    if (expired.length > 0) {
+      console.log(`⌛ Expired ${expired.length} attestation(s) past their signing deadline`);
+    }
+    return expired;
   }
 
   /**
-   * Get available contract templates
+   * Run expireOverdueAttestations every `intervalMs` (the timer does not keep the process alive)
    */
-  getAvailableTemplates() {
-    return Object.keys(CONTRACT_TEMPLATES).map(key => ({
-      type: key,
-      version: CONTRACT_TEMPLATES[key].version,
-      required_fields: CONTRACT_TEMPLATES[key].required_fields,
-      key_type: CONTRACT_TEMPLATES[key].key_type
-    }));
+  startExpirySweeper(intervalMs = 60 * 1000) {
+    if (!this.expiryTimer) {
+      this.expiryTimer = setInterval(() => {
+        this.expireOverdueAttestations().catch(error => {
+          console.error('❌ Attestation expiry sweep failed:', error.message);
+        });
+      }, intervalMs);
+      this.expiryTimer.unref();
+    }
+    return this.expiryTimer;
+  }
+
+  stopExpirySweeper() {
+    clearInterval(this.expiryTimer);
+    this.expiryTimer = null;
+  }
+
+  /**
+   * Get available contract templates (latest active version of each)
+   */
+  async getAvailableTemplates() {
+    return await this.templates.listTemplates();
+  }
+
+  /**
+   * Resolve a template for a new contract
+   */
+  async resolveTemplate(templateType, version = null) {
+    const template = await this.templates.getTemplate(templateType, version || null);
+    if (!template) {
+      throw new Error(`Unknown contract template: ${templateType}${version ? `@${version}` : ''}`);
+    }
+    if (template.deprecated) {
+      throw new Error(`Contract template ${templateType}@${template.version} is deprecated`);
+    }
+    return template;
+  }
+
+  /**
+   * Re-render an attestation's contract from its pinned template version
+   * and check it matches the text that was signed
+   */
+  async verifyContractText(attestation) {
+    const { template_type: type, template_version: version, template_hash: templateHash, fields } = attestation.payload;
+    if (!type || !version) {
+      return { verified: false, reason: 'Attestation was not created from a template' };
+    }
+
+    const template = await this.templates.getTemplate(type, version);
+    if (!template) {
+      return { verified: false, template_version: version, reason: `Template ${type}@${version} is not registered` };
+    }
+    if (templateHash && template.template_hash !== templateHash) {
+      return { verified: false, template_version: version, reason: `Template ${type}@${version} does not match the pinned hash` };
+    }
+
+    const contractHash = crypto.createHash('sha256')
+      .update(AttestationBox.renderTemplate(template.template, fields))
+      .digest('hex');
+
+    return {
+      verified: contractHash === attestation.payload.contract_hash,
+      template_version: version,
+      template_hash: template.template_hash,
+      contract_hash: contractHash
+    };
   }
 }
 
-export { ATTESTATION_KEY_RULES, CONTRACT_TEMPLATES };
+export { ATTESTATION_KEY_RULES, CONTRACT_TEMPLATES, PUBLISHED_TEMPLATE_VERSIONS };
 export default AttestationBox;
\ No newline at end of file
@@ -0,0 +1,190 @@
+/**
+ * Attestation Storage Adapters
+ * Shared contract for AttestationManager storage:
+ *   saveAttestation(data)  -> new revision (throws ATTESTATION_CONFLICT on stale writes)
+ *   loadAttestation(id)    -> exported attestation data (with revision) or null
+ *   listAttestations()     -> attestation summaries
+ *
+ * `data` is AttestationBox.export(); its `revision` is the revision that was
+ * loaded (0 for a new attestation). A write only succeeds if the stored
+ * revision still matches, so concurrent signers cannot overwrite each other.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Error raised when a write is based on a stale revision
+ */
+export function createConflictError(id, revision) {
+  const error = new Error(`Attestation ${id} was modified concurrently (expected revision ${revision})`);
+  error.code = 'ATTESTATION_CONFLICT';
+  return error;
+}
+
+/**
+ * Summary row returned by listAttestations
+ */
+function toSummary(data) {
+  return {
+    id: data.id,
+    subject: data.subject,
+    action: data.action,
+    signatures: data.signatures.length,
+    finalized: data.metadata.finalized,
+    superseded_by: data.metadata.superseded_by || null,
+    revoked: Boolean(data.metadata.revoked),
+    signing_deadline: data.metadata.signing_deadline || null,
+    valid_until: data.metadata.valid_until || null,
+    expired_at: data.metadata.expired_at || null,
+    created: data.metadata.created
+  };
+}
+
+/**
+ * In-memory store (default, used by CLI and demos)
+ */
+export class MemoryAttestationStore {
+  constructor(map = new Map()) {
+    this.storage = map;
+  }
+
+  async saveAttestation(data) {
+    const current = this.storage.get(data.id);
+    const expected = data.revision || 0;
+
+    if ((current?.revision || 0) !== expected) {
+      throw createConflictError(data.id, expected);
+    }
+
+    const revision = expected + 1;
+    this.storage.set(data.id, structuredClone({ ...data, revision }));
+    return revision;
+  }
+
+  async loadAttestation(id) {
+    const data = this.storage.get(id);
+    return data ? structuredClone(data) : null;
+  }
+
+  async listAttestations() {
+    return Array.from(this.storage.values()).map(toSummary);
+  }
+}
+
+/**
+ * MongoDB store backed by the Attestation model
+ * The database layer is loaded lazily so memory-only users never pull in mongoose.
+ */
+export class MongoAttestationStore {
+  constructor() {
+    this.isConnected = false;
+    this.Attestation = null;
+  }
+
+  async initialize() {
+    if (!this.isConnected) {
+      const { Attestation, connectDatabase } = await import('../database/schemas.js');
+      await connectDatabase();
+      this.Attestation = Attestation;
+      this.isConnected = true;
+    }
+    return this;
+  }
+
+  static toDocument(data) {
+    return {
+      type: data.type,
+      version: data.version,
+      subject: data.subject,
+      action: data.action,
+      payload: data.payload,
+      signatures: data.signatures,
+      revocations: data.revocations || [],
+      metadata: data.metadata,
+      finalized: Boolean(data.metadata?.finalized)
+    };
+  }
+
+  static fromDocument(doc) {
+    return {
+      id: doc.attestationId,
+      type: doc.type,
+      version: doc.version,
+      subject: doc.subject,
+      action: doc.action,
+      payload: doc.payload,
+      signatures: doc.signatures,
+      revocations: doc.revocations || [],
+      metadata: doc.metadata,
+      revision: doc.revision
+    };
+  }
+
+  async saveAttestation(data) {
+    await this.initialize();
+    const expected = data.revision || 0;
+    const fields = MongoAttestationStore.toDocument(data);
+
+    if (expected === 0) {
+      try {
+        await this.Attestation.create({ attestationId: data.id, ...fields, revision: 1 });
+        return 1;
+      } catch (error) {
+        if (error.code === 11000) {
+          throw createConflictError(data.id, expected);
+        }
+        throw error;
+      }
+    }
+
+    // Compare-and-set on revision
+    const updated = await this.Attestation.findOneAndUpdate(
+      { attestationId: data.id, revision: expected },
+      { $set: fields, $inc: { revision: 1 } },
+      { new: true, projection: { revision: 1 } }
+    );
+
+    if (!updated) {
+      const exists = await this.Attestation.exists({ attestationId: data.id });
+      if (!exists) {
+        throw new Error(`Attestation not found: ${data.id}`);
+      }
+      throw createConflictError(data.id, expected);
+    }
+
+    return updated.revision;
+  }
+
+  async loadAttestation(id) {
+    await this.initialize();
+    const doc = await this.Attestation.findOne({ attestationId: id }).lean();
+    return doc ? MongoAttestationStore.fromDocument(doc) : null;
+  }
+
+  async listAttestations() {
+    await this.initialize();
+    const docs = await this.Attestation.find({}).sort({ createdAt: -1 }).lean();
+    return docs.map(doc => toSummary(MongoAttestationStore.fromDocument(doc)));
+  }
+}
+
+/**
+ * Build a store from config or ATTESTATION_STORE (memory | mongo)
+ */
+export function createAttestationStore(config = {}) {
+  const type = config.type || process.env.ATTESTATION_STORE || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return new MemoryAttestationStore(config.storage);
+    case 'mongo':
+    case 'mongodb':
+      return new MongoAttestationStore();
+    default:
+      throw new Error(`Unknown attestation store: ${type}`);
+  }
+}
+
+export default createAttestationStore;
@@ -0,0 +1,254 @@
+/**
+ * Session Tokens
+ * Signed JWT access / refresh tokens for identities that passed challenge-response login.
+ *
+ * A login starts a session (`sid`) shared by every token issued for it. Refresh tokens
+ * are single use: refreshing revokes the presented token and issues a new pair in the
+ * same session. Logout revokes the session, so its outstanding tokens stop verifying.
+ *
+ * Revoking is an atomic claim (revoke() resolves true only for the first caller), so
+ * of two concurrent refreshes with one token exactly one wins; a refresh token that
+ * is presented again after rotation was leaked or replayed and ends its whole session.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getUserPermissions } from './rolePermissions.js';
+
+const TOKEN_ISSUER = 'ai-record-label';
+const TOKEN_ALGORITHM = 'HS256';
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+function authError(message, code = 'AUTH_INVALID_TOKEN') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * In-process revocation list (tokens are forgotten once they would have expired anyway)
+ */
+export class MemoryRevocationStore {
+  constructor() {
+    this.revoked = new Map();
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when the token was already revoked
+   */
+  async revoke(tokenId, expiresAt) {
+    this.prune();
+    if (this.revoked.has(tokenId)) return false;
+    this.revoked.set(tokenId, new Date(expiresAt).getTime());
+    return true;
+  }
+
+  async isRevoked(tokenIds) {
+    const now = Date.now();
+    return tokenIds.some(tokenId => this.revoked.has(tokenId) && this.revoked.get(tokenId) > now);
+  }
+
+  prune(now = Date.now()) {
+    for (const [tokenId, expiresAt] of this.revoked) {
+      if (expiresAt <= now) this.revoked.delete(tokenId);
+    }
+  }
+}
+
+/**
+ * MongoDB-backed revocation list shared by every API instance (TTL index drops expired entries)
+ */
+export class MongoRevocationStore {
+  constructor() {
+    this.RevokedToken = null;
+  }
+
+  async initialize() {
+    if (!this.RevokedToken) {
+      const { RevokedToken, connectDatabase } = await import('../database/schemas.js');
+      await connectDatabase();
+      this.RevokedToken = RevokedToken;
+    }
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when the token was already revoked
+   */
+  async revoke(tokenId, expiresAt, details = {}) {
+    await this.initialize();
+    try {
+      const result = await this.RevokedToken.updateOne(
+        { tokenId },
+        { $setOnInsert: { tokenId, expiresAt: new Date(expiresAt), ...details } },
+        { upsert: true }
+      );
+      return result.upsertedCount === 1;
+    } catch (error) {
+      // Two upserts racing on the unique tokenId: the other one inserted it
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  async isRevoked(tokenIds) {
+    await this.initialize();
+    return Boolean(await this.RevokedToken.exists({ tokenId: { $in: tokenIds }, expiresAt: { $gt: new Date() } }));
+  }
+}
+
+/**
+ * Build a revocation store from config or AUTH_TOKEN_STORE (memory | mongo)
+ */
+export function createRevocationStore(config = {}) {
+  const type = config.type || process.env.AUTH_TOKEN_STORE || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return new MemoryRevocationStore();
+    case 'mongo':
+    case 'mongodb':
+      return new MongoRevocationStore();
+    default:
+      throw new Error(`Unknown token revocation store: ${type}`);
+  }
+}
+
+/**
+ * Token lifetime in seconds from a number of seconds or '30s' | '15m' | '12h' | '7d'
+ */
+export function parseDuration(value) {
+  const match = /^(\d+)([smhd])?$/.exec(String(value).trim());
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`Invalid token lifetime: ${value}`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * JWT_SECRET, or a per-process secret outside production
+ */
+function resolveSecret(secret) {
+  if (secret) return secret;
+
+  const configured = process.env.JWT_SECRET;
+  if (configured && !configured.startsWith('your_')) return configured;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('⚠️  JWT_SECRET not set; using an ephemeral secret (sessions end on restart)');
+  return crypto.randomBytes(64).toString('hex');
+}
+
+export class TokenService {
+  constructor(config = {}) {
+    this.secret = resolveSecret(config.secret);
+    this.store = config.store || new MemoryRevocationStore();
+    this.accessTtl = parseDuration(config.accessTtl || process.env.JWT_ACCESS_TTL || '15m');
+    this.refreshTtl = parseDuration(config.refreshTtl || process.env.JWT_REFRESH_TTL || '7d');
+  }
+
+  sign(claims, type, expiresIn) {
+    return jwt.sign({ ...claims, typ: type }, this.secret, {
+      algorithm: TOKEN_ALGORITHM,
+      issuer: TOKEN_ISSUER,
+      jwtid: crypto.randomUUID(),
+      expiresIn
+    });
+  }
+
+  /**
+   * Issue an access / refresh pair for a user
+   * @param {Object} user - User document
+   * @param {string} sessionId - Existing session when refreshing
+   */
+  issueTokens(user, sessionId = null) {
+    const claims = {
+      sub: String(user._id),
+      sid: sessionId || crypto.randomUUID(),
+      addr: user.cryptoIdentity.address,
+      role: user.role,
+      permissions: getUserPermissions(user)
+    };
+
+    return {
+      tokenType: 'Bearer',
+      accessToken: this.sign(claims, 'access', this.accessTtl),
+      expiresIn: this.accessTtl,
+      refreshToken: this.sign({ sub: claims.sub, sid: claims.sid }, 'refresh', this.refreshTtl),
+      refreshExpiresIn: this.refreshTtl,
+      sessionId: claims.sid
+    };
+  }
+
+  /**
+   * Verify a token's signature, type and revocation status
+   * @returns {Promise<Object>} Token claims
+   */
+  async verify(token, type = 'access') {
+    const claims = this.decode(token, type);
+    if (await this.store.isRevoked([claims.jti, claims.sid])) {
+      throw authError('Token has been revoked', 'AUTH_TOKEN_REVOKED');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Check a token's signature, expiry and type (not its revocation status)
+   */
+  decode(token, type) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.secret, { algorithms: [TOKEN_ALGORITHM], issuer: TOKEN_ISSUER });
+    } catch (error) {
+      throw authError(
+        error.name === 'TokenExpiredError' ? 'Token expired' : `Invalid token: ${error.message}`,
+        error.name === 'TokenExpiredError' ? 'AUTH_TOKEN_EXPIRED' : 'AUTH_INVALID_TOKEN'
+      );
+    }
+
+    if (claims.typ !== type) {
+      throw authError(`Wrong token type: expected ${type}`);
+    }
+    return claims;
+  }
+
+  /**
+   * Exchange a refresh token for a new pair (the presented token is revoked)
+   * @param {string} refreshToken
+   * @param {Function} loadUser - async (userId) => user document or null
+   */
+  async refresh(refreshToken, loadUser) {
+    const claims = this.decode(refreshToken, 'refresh');
+    if (await this.store.isRevoked([claims.sid])) {
+      throw authError('Token has been revoked', 'AUTH_TOKEN_REVOKED');
+    }
+
+    // Claim the token; losing the claim means it was already rotated (reused or raced)
+    if (!await this.store.revoke(claims.jti, claims.exp * 1000, { userId: claims.sub, reason: 'rotated' })) {
+      await this.revokeSession(claims, 'refresh token reuse');
+      throw authError('Refresh token was already used; the session has been revoked', 'AUTH_TOKEN_REUSED');
+    }
+
+    const user = await loadUser(claims.sub);
+    if (!user || user.status === 'suspended' || user.status === 'deactivated') {
+      await this.revokeSession(claims, 'account unavailable');
+      throw authError('Account is not active', 'AUTH_ACCOUNT_INACTIVE');
+    }
+
+    return this.issueTokens(user, claims.sid);
+  }
+
+  /**
+   * Revoke a session and every token issued for it
+   * @param {Object} claims - Verified access or refresh token claims
+   */
+  async revokeSession(claims, reason = 'logout') {
+    // No token in the session outlives a refresh token issued now
+    await this.store.revoke(claims.sid, Date.now() + this.refreshTtl * 1000, { userId: claims.sub, reason });
+    await this.store.revoke(claims.jti, claims.exp * 1000, { userId: claims.sub, reason });
+  }
+}
+
+export default TokenService;
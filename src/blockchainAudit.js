@@ -9,17 +9,48 @@ import bsv from 'smartledger-bsv';
 import fs from 'fs/promises';
 import path from 'path';
 import { AttestationBox, AttestationManager } from './attestation.js';
+import { PedersenProofSystem, PEDERSEN_SCHEME, getVerificationKeyHash } from './pedersenProofs.js';
+import { hashPayload } from './canonicalJson.js';
+import { publishData, publishAndWait } from './publishMongo.js';
+import { getDefaultProvider } from './blockchainProvider.js';
 
 /**
  * Blockchain Audit Trail Manager
  * Handles on-chain publishing of contract proofs and audit events
  */
 export class BlockchainAuditTrail {
+  /**
+   * @param {Object} config
+   * @param {Function} [config.publish] - publishData-compatible generator used for anchoring
+   * @param {BlockchainProvider} [config.provider] - Provider for publishing and block heights (defaults to getDefaultProvider())
+   */
   constructor(config = {}) {
     this.walletPath = config.walletPath || './wallets/publishing-wallet.json';
     this.network = config.network || 'mainnet';
     this.auditStorage = config.auditStorage || new Map();
     this.zkProofEnabled = config.zkProofEnabled || false;
+    this.events = config.events || null; // anchor.published / anchor.confirmed sink (webhooks.js)
+    this.publish = config.publish || publishData;
+    this.provider = config.provider || null;
+  }
+
+  /**
+   * Publish an anchor event without waiting for it (see AttestationManager.notify)
+   */
+  notify(type, record) {
+    if (!this.events) return;
+
+    const data = {
+      attestationId: record.attestation_id,
+      auditEventId: record.event_id,
+      auditEventType: record.event_type,
+      txid: record.blockchain_txid,
+      publishedAt: record.published_at,
+      confirmedAt: record.confirmed_at || null
+    };
+    Promise.resolve()
+      .then(() => this.events.publish(type, data))
+      .catch(error => console.warn(`⚠️  Could not publish ${type} for ${record.blockchain_txid}: ${error.message}`));
   }
 
   /**
@@ -45,10 +76,6 @@ export class BlockchainAuditTrail {
    * Publish attestation audit event to BSV blockchain
    */
   async publishAuditEvent(attestation, eventType, metadata = {}) {
-    if (!this.publishingKey) {
-      await this.initializeWallet();
-    }
-
     try {
       // Create audit event payload
       const auditEvent = {
@@ -87,6 +114,7 @@ export class BlockchainAuditTrail {
       this.auditStorage.set(auditRecord.event_id, auditRecord);
       
       console.log(`📡 Published audit event: ${eventType} → TXID: ${txid}`);
+      this.notify('anchor.published', auditRecord);
       return auditRecord;
 
     } catch (error) {
@@ -119,57 +147,26 @@ export class BlockchainAuditTrail {
   }
 
   /**
-   * Publish data to BSV blockchain via OP_RETURN
+   * Publish data to BSV blockchain via OP_RETURN, through the same publishAndWait
+   * path as audit batches (src/onChainAuditing.js)
+   * @returns {Promise<string>} txid of the broadcast transaction
    */
   async publishToBlockchain(data) {
-    try {
-      // Create OP_RETURN transaction
-      const dataBuffer = Buffer.from(JSON.stringify(data), 'utf8');
-      
-      // Build transaction
-      const transaction = new bsv.Transaction();
-      
-      // Add inputs (simplified - in production, fetch actual UTXOs)
-      const utxo = {
-        txId: '0'.repeat(64), // Mock UTXO for demo
-        outputIndex: 0,
-        address: this.publishingAddress,
-        script: bsv.Script.buildPublicKeyHashOut(this.publishingKey.toAddress()).toHex(),
-        satoshis: 1000
-      };
-      
-      transaction.from(utxo);
-      
-      // Add OP_RETURN output with audit data
-      transaction.addData(dataBuffer);
-      
-      // Add change output
-      transaction.change(this.publishingAddress);
-      
-      // Sign transaction
-      transaction.sign(this.publishingKey);
-      
-      // For demo, return mock TXID (in production, broadcast to network)
-      const mockTxid = crypto.createHash('sha256')
-        .update(transaction.serialize())
-        .digest('hex');
-      
-      console.log(`📡 Mock blockchain publish: ${dataBuffer.length} bytes`);
-      console.log(`📄 Data: ${dataBuffer.toString('utf8').substring(0, 100)}...`);
-      
-      return mockTxid;
-
-    } catch (error) {
-      throw new Error(`Blockchain publishing failed: ${error.message}`);
-    }
+    const options = this.provider ? { provider: this.provider } : {};
+    return publishAndWait(JSON.stringify(data), options, { label: 'Audit event', publish: this.publish });
   }
 
   /**
-   * Get current blockchain height (mock for demo)
+   * Current chain height from the provider; null when it cannot be reached, since
+   * the height is informational and must not block the anchor
    */
   async getCurrentBlockHeight() {
-    // In production, query actual BSV network
-    return 800000 + Math.floor(Math.random() * 1000);
+    try {
+      return await (this.provider || getDefaultProvider()).getBlockHeight();
+    } catch (error) {
+      console.warn(`⚠️  Could not read block height: ${error.message}`);
+      return null;
+    }
   }
 
   /**
@@ -177,20 +174,20 @@ export class BlockchainAuditTrail {
    */
   async verifyAuditTrail(attestationId) {
     const auditEvents = [];
-    
-    for (const [eventId, record] of this.auditStorage) {
-      if (record.attestation_id === attestationId) {
-        auditEvents.push({
-          event_type: record.event_type,
-          blockchain_txid: record.blockchain_txid,
-          published_at: record.published_at,
-          verified: await this.verifyBlockchainRecord(record.blockchain_txid),
-          metadata: record.metadata
-        });
-      }
-    }
 
-    auditEvents.sort((a, b) => new Date(a.published_at) - new Date(b.published_at));
+    for (const record of this.getAuditEvents(attestationId)) {
+      const confirmations = await this.checkAnchor(record);
+
+      auditEvents.push({
+        event_type: record.event_type,
+        blockchain_txid: record.blockchain_txid,
+        published_at: record.published_at,
+        confirmed_at: record.confirmed_at || null,
+        confirmations,
+        verified: confirmations > 0,
+        metadata: record.metadata
+      });
+    }
 
     return {
       attestation_id: attestationId,
@@ -202,12 +199,70 @@ export class BlockchainAuditTrail {
   }
 
   /**
-   * Verify blockchain record exists (mock for demo)
+   * Confirmations of a published audit transaction; null when the provider cannot be
+   * reached, 0 while it is unknown or unmined
    */
   async verifyBlockchainRecord(txid) {
-    // In production, query BSV blockchain for transaction
-    console.log(`🔍 Verifying TXID: ${txid}`);
-    return true; // Mock verification
+    try {
+      const transaction = await (this.provider || getDefaultProvider()).getTransaction(txid);
+      return transaction ? transaction.confirmations : 0;
+    } catch (error) {
+      console.warn(`⚠️  Could not look up ${txid}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Look up an anchor on chain; the first time it is mined it is stamped
+   * confirmed_at and anchor.confirmed is published
+   * @returns {Promise<number|null>} confirmations (see verifyBlockchainRecord)
+   */
+  async checkAnchor(record) {
+    const confirmations = await this.verifyBlockchainRecord(record.blockchain_txid);
+
+    if (confirmations > 0 && !record.confirmed_at) {
+      record.confirmed_at = new Date().toISOString();
+      console.log(`⛓️  Audit event ${record.event_type} confirmed → TXID: ${record.blockchain_txid}`);
+      this.notify('anchor.confirmed', record);
+    }
+    return confirmations;
+  }
+
+  /**
+   * Check every anchor not yet mined
+   * @returns {Promise<Object[]>} records confirmed by this pass
+   */
+  async trackAnchorConfirmations() {
+    const confirmed = [];
+
+    for (const record of this.auditStorage.values()) {
+      if (record.confirmed_at) continue;
+
+      if (await this.checkAnchor(record) > 0) {
+        confirmed.push(record);
+      }
+    }
+    return confirmed;
+  }
+
+  /**
+   * Run trackAnchorConfirmations every `intervalMs` (the timer does not keep the process alive)
+   */
+  startConfirmationTracker(intervalMs = 60 * 1000) {
+    if (!this.trackerTimer) {
+      this.trackerTimer = setInterval(() => {
+        this.trackAnchorConfirmations().catch(error => {
+          console.error('❌ Anchor confirmation tracking failed:', error.message);
+        });
+      }, intervalMs);
+      this.trackerTimer.unref();
+    }
+    return this.trackerTimer;
+  }
+
+  stopConfirmationTracker() {
+    clearInterval(this.trackerTimer);
+    this.trackerTimer = null;
   }
 
   /**
@@ -239,36 +294,65 @@ export class BlockchainAuditTrail {
   }
 }
 
+const SPLIT_TOTAL_BASIS_POINTS = 10000;
+const SPLIT_RANGE_BITS = 14; // 2^14 > 10000
+
 /**
  * zk-Proof Privacy Layer
  * Enables privacy-preserving contract verification
+ *
+ * Revenue splits are hidden behind Pedersen commitments (in basis points);
+ * proofs show they sum to 100%, that each is non-negative, and optionally
+ * that a given party holds at least N%. See pedersenProofs.js.
  */
+
 export class ZKProofPrivacyLayer {
+  /**
+   * @param {Object} config
+   * @param {Map} [config.proofStorage] - In-memory proof cache
+   * @param {string} [config.proofSecret] - Secret all blinding factors derive from (ZK_PROOF_SECRET)
+   * @param {boolean} [config.useDatabase] - Persist proofs through the ZKProof model
+   */
   constructor(config = {}) {
     this.proofStorage = config.proofStorage || new Map();
-    this.circuitPath = config.circuitPath || './circuits/';
+    this.useDatabase = config.useDatabase || false;
+    this.proofSecret = config.proofSecret || process.env.ZK_PROOF_SECRET;
+
+    if (!this.proofSecret) {
+      console.warn('⚠️  ZK_PROOF_SECRET not set - privacy proofs will not be reproducible across restarts');
+      this.proofSecret = crypto.randomBytes(32).toString('hex');
+    }
   }
 
   /**
    * Generate zk-proof for attestation without revealing sensitive data
+   * @param {Object} attestation
+   * @param {string} privacyLevel - basic | financial | full_privacy
+   * @param {Object} options
+   * @param {Array} [options.claims] - Extra claims, e.g. [{ party: pubkey|name|index, min_percent: 25 }]
    */
-  async generatePrivacyProof(attestation, privacyLevel = 'basic') {
+  async generatePrivacyProof(attestation, privacyLevel = 'basic', options = {}) {
     try {
       console.log(`🔒 Generating zk-proof for attestation: ${attestation.id}`);
       
       // Create proof based on privacy level
-      const proof = await this.createZKProof(attestation, privacyLevel);
+      const proof = await this.createZKProof(attestation, privacyLevel, options.claims || []);
       
-      // Store proof
-      const proofId = `zkp_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
-      this.proofStorage.set(proofId, {
+      // Same attestation + claims always yields the same proof, so the id is derived from it
+      const proofId = `zkp_${proof.proof_data.proof_hash.substring(0, 32)}`;
+      const record = {
         proof_id: proofId,
         attestation_id: attestation.id,
         privacy_level: privacyLevel,
-        proof_data: proof,
+        proof_data: proof.proof_data,
         created_at: new Date().toISOString(),
         verification_key: proof.verification_key
-      });
+      };
+
+      this.proofStorage.set(proofId, record);
+      if (this.useDatabase) {
+        await this.persistProof(record, options.actor);
+      }
 
       console.log(`✅ zk-proof generated: ${proofId}`);
       return {
@@ -286,33 +370,78 @@ export class ZKProofPrivacyLayer {
   /**
    * Create zk-proof based on privacy requirements
    */
-  async createZKProof(attestation, privacyLevel) {
-    // Mock zk-proof generation (in production, use actual zk-SNARK library)
-    const privateInputs = this.extractPrivateInputs(attestation, privacyLevel);
-    const publicInputs = this.extractPublicInputs(attestation, privacyLevel);
+  async createZKProof(attestation, privacyLevel, requestedClaims = []) {
+    const context = `${attestation.id}|${attestation.metadata.contract_hash}`;
+    const prover = new PedersenProofSystem({ seed: this.deriveSeed(context, privacyLevel) });
+    const parties = this.extractPrivateInputs(attestation, privacyLevel).split_basis_points || [];
+    const labels = parties.map((_, index) => `party:${index}`);
+    if (parties.length === 0) {
+      throw new Error('Attestation has no party splits to prove');
+    }
 
-    // Generate mock proof
-    const proofData = {
-      proof: crypto.randomBytes(128).toString('hex'), // Mock proof
-      public_signals: publicInputs,
+    const claims = [{
+      statement: 'splits_sum_to_100',
+      ...prover.proveSumEquals(parties, labels, SPLIT_TOTAL_BASIS_POINTS, context)
+    }];
+    parties.forEach((value, index) => {
+      claims.push({
+        statement: 'split_non_negative',
+        party: index,
+        label: labels[index],
+        ...prover.proveRange(value, labels[index], SPLIT_RANGE_BITS, context)
+      });
+    });
+
+    for (const request of requestedClaims) {
+      const index = this.resolvePartyIndex(attestation, request.party);
+      if (index === -1 || index >= parties.length) {
+        throw new Error(`Unknown party for claim: ${request.party}`);
+      }
+
+      claims.push({
+        statement: 'party_holds_at_least',
+        party: index,
+        min_percent: request.min_percent,
+        label: labels[index],
+        ...prover.proveAtLeast(parties[index], labels[index], toBasisPoints(request.min_percent), SPLIT_RANGE_BITS, context)
+      });
+    }
+
+    const proofBody = {
+      scheme: PEDERSEN_SCHEME,
+      context,
+      public_signals: this.extractPublicInputs(attestation, privacyLevel),
       privacy_level: privacyLevel,
-      circuit_hash: crypto.createHash('sha256').update(privacyLevel).digest('hex')
+      claims
     };
 
-    const verificationKey = crypto.randomBytes(32).toString('hex'); // Mock verification key
-
     return {
-      proof_data: proofData,
-      verification_key: verificationKey,
-      private_inputs_hash: crypto.createHash('sha256').update(JSON.stringify(privateInputs)).digest('hex')
+      proof_data: {
+        ...proofBody,
+        proof_hash: hashPayload(proofBody).toString('hex')
+      },
+      verification_key: getVerificationKeyHash()
     };
   }
 
+  /**
+   * Per-attestation prover seed: HMAC(secret, context | privacy level)
+   */
+  deriveSeed(context, privacyLevel) {
+    return crypto.createHmac('sha256', this.proofSecret).update(`${context}|${privacyLevel}`).digest();
+  }
+
   /**
    * Extract private inputs based on privacy level
+   * Splits are always committed (never revealed) so they are extracted for every level.
    */
   extractPrivateInputs(attestation, privacyLevel) {
     const inputs = {};
+    const parties = attestation.payload.fields?.parties;
+
+    if (Array.isArray(parties) && parties.length > 0 && parties.every(p => p.split !== undefined && p.split !== null)) {
+      inputs.split_basis_points = parties.map(p => toBasisPoints(p.split));
+    }
 
     switch (privacyLevel) {
       case 'basic':
@@ -320,23 +449,12 @@ export class ZKProofPrivacyLayer {
         inputs.signer_identities = attestation.signatures.map(sig => sig.pubkey);
         break;
 
-      case 'financial':
-        // Hide split amounts and financial terms
-        if (attestation.payload.fields?.parties) {
-          inputs.split_amounts = attestation.payload.fields.parties.map(p => p.split);
-          inputs.total_value = attestation.payload.fields.parties.reduce((sum, p) => sum + (p.split || 0), 0);
-        }
-        break;
-
       case 'full_privacy':
         // Hide all sensitive data
         inputs.contract_text = attestation.payload.contract_text;
         inputs.all_signatures = attestation.signatures;
         inputs.metadata = attestation.metadata;
         break;
-
-      default:
-        inputs.basic_proof = true;
     }
 
     return inputs;
@@ -362,30 +480,50 @@ export class ZKProofPrivacyLayer {
     return publicData;
   }
 
+  /**
+   * Resolve a claim's party reference (index, pubkey or name) to a party index
+   */
+  resolvePartyIndex(attestation, party) {
+    const parties = attestation.payload.fields?.parties || [];
+    if (Number.isInteger(party)) return party;
+    return parties.findIndex(p => p.pubkey === party || p.name === party);
+  }
+
   /**
    * Verify zk-proof without accessing private data
    */
   async verifyPrivacyProof(proofId, challengeData = null) {
     try {
-      const storedProof = this.proofStorage.get(proofId);
+      const storedProof = await this.loadProof(proofId);
       if (!storedProof) {
         throw new Error('Proof not found');
       }
 
       console.log(`🔍 Verifying zk-proof: ${proofId}`);
 
-      // Mock zk-proof verification (in production, use actual verifier)
-      const isValid = await this.performZKVerification(storedProof, challengeData);
+      const verification = await this.performZKVerification(storedProof, challengeData);
 
       const result = {
         proof_id: proofId,
-        valid: isValid,
+        valid: verification.valid,
         privacy_level: storedProof.privacy_level,
         public_outputs: storedProof.proof_data.public_signals,
+        verified_claims: verification.claims,
+        reason: verification.reason,
         verified_at: new Date().toISOString()
       };
 
-      console.log(`${isValid ? '✅' : '❌'} zk-proof verification: ${isValid ? 'VALID' : 'INVALID'}`);
+      if (this.useDatabase) {
+        const { ZKProofService } = await import('../database/services.js');
+        await ZKProofService.verifyZKProof(proofId, {
+          userId: challengeData?.verifier || 'system',
+          result: verification.valid,
+          role: 'verifier',
+          notes: verification.reason
+        });
+      }
+
+      console.log(`${result.valid ? '✅' : '❌'} zk-proof verification: ${result.valid ? 'VALID' : 'INVALID'}`);
       return result;
 
     } catch (error) {
@@ -394,20 +532,149 @@ export class ZKProofPrivacyLayer {
   }
 
   /**
-   * Perform zk-proof verification (mock implementation)
+   * Perform zk-proof verification
    */
   async performZKVerification(storedProof, challengeData) {
-    // Mock verification logic
-    const proof = storedProof.proof_data;
-    const verificationKey = storedProof.verification_key;
+    return ZKProofPrivacyLayer.verifyProofData(storedProof.proof_data, storedProof.verification_key, challengeData);
+  }
 
-    // Simulate verification computation
-    const verificationHash = crypto.createHash('sha256')
-      .update(proof.proof + verificationKey)
-      .digest('hex');
+  /**
+   * Verify a proof payload using public parameters only
+   * @param {Object} proofData - proof_data as returned by generatePrivacyProof
+   * @param {string} verificationKey - Expected verification key hash
+   * @param {Object} [challengeData] - Optional { attestation_id, contract_hash } the proof must be bound to
+   * @returns {{ valid: boolean, claims: Array, reason: string|null }}
+   */
+  static verifyProofData(proofData, verificationKey, challengeData = null) {
+    const fail = (reason, claims = []) => ({ valid: false, claims, reason });
+
+    if (proofData?.scheme !== PEDERSEN_SCHEME || verificationKey !== getVerificationKeyHash()) {
+      return fail('Unsupported proof scheme or verification key');
+    }
+
+    const { proof_hash: proofHash, ...proofBody } = proofData;
+    const expectedHash = hashPayload(proofBody).toString('hex');
+    if (proofHash !== expectedHash) {
+      return fail('Proof hash mismatch');
+    }
 
-    // Mock: verification succeeds if hash has specific pattern
-    return verificationHash.startsWith('0') || verificationHash.startsWith('1');
+    const [attestationId, contractHash] = proofData.context.split('|');
+    if (challengeData?.attestation_id && challengeData.attestation_id !== attestationId) {
+      return fail('Proof is bound to a different attestation');
+    }
+    if (challengeData?.contract_hash && challengeData.contract_hash !== contractHash) {
+      return fail('Proof is bound to a different contract hash');
+    }
+
+    // A proof proves the split: one sum over a non-empty commitment set, bounded per party
+    const sumClaim = Array.isArray(proofData.claims)
+      ? proofData.claims.find(claim => claim.statement === 'splits_sum_to_100')
+      : null;
+    if (!Array.isArray(sumClaim?.commitments) || sumClaim.commitments.length === 0) {
+      return fail('Proof contains no split commitments');
+    }
+
+    // Per-party claims must refer to the same commitments the sum proof covers
+    const claims = proofData.claims.map(claim => {
+      const linked = claim.party === undefined || sumClaim?.commitments[claim.party] === claim.commitment;
+      return {
+        statement: claim.statement,
+        party: claim.party,
+        min_percent: claim.min_percent,
+        valid: linked && PedersenProofSystem.verifyClaim(claim, proofData.context, claim.label)
+      };
+    });
+
+    if (!claims.every(claim => claim.valid)) {
+      return fail('One or more claims failed verification', claims);
+    }
+
+    // A sum only proves a split if every summand is also proved non-negative
+    if (sumClaim.type !== 'sum_equals' || sumClaim.total !== SPLIT_TOTAL_BASIS_POINTS) {
+      return fail('Split sum claim does not prove a total of 100%', claims);
+    }
+    const unbounded = sumClaim.commitments.findIndex((commitment, party) => !proofData.claims.some(claim => (
+      claim.statement === 'split_non_negative' &&
+      claim.type === 'range' &&
+      claim.party === party &&
+      claim.commitment === commitment
+    )));
+    if (unbounded !== -1) {
+      return fail(`Split for party ${unbounded} has no range claim`, claims);
+    }
+
+    return { valid: true, claims, reason: null };
+  }
+
+  /**
+   * Load a proof from memory, falling back to the ZKProof collection
+   */
+  async loadProof(proofId) {
+    if (this.proofStorage.has(proofId)) {
+      return this.proofStorage.get(proofId);
+    }
+    if (!this.useDatabase) {
+      return null;
+    }
+
+    const { ZKProofService } = await import('../database/services.js');
+    const document = await ZKProofService.getZKProof(proofId);
+    if (!document) {
+      return null;
+    }
+
+    const record = ZKProofPrivacyLayer.fromZKProofDocument(document);
+    this.proofStorage.set(proofId, record);
+    return record;
+  }
+
+  /**
+   * Save a proof record through ZKProofService (idempotent)
+   */
+  async persistProof(record, actor = {}) {
+    const { ZKProofService } = await import('../database/services.js');
+    if (await ZKProofService.getZKProof(record.proof_id)) {
+      return;
+    }
+    await ZKProofService.createZKProof(ZKProofPrivacyLayer.toZKProofDocument(record), actor);
+  }
+
+  /**
+   * Map a proof record onto the ZKProof model
+   */
+  static toZKProofDocument(record) {
+    const commitments = record.proof_data.claims.map(claim => claim.commitment || (claim.commitments || []).join(''));
+
+    return {
+      proofId: record.proof_id,
+      proofType: 'attestation_privacy',
+      attestationId: record.attestation_id,
+      privacyLevel: record.privacy_level,
+      proof: {
+        commitment: crypto.createHash('sha256').update(commitments.join('|')).digest('hex'),
+        proofHash: record.proof_data.proof_hash,
+        verificationKey: record.verification_key,
+        proofData: record.proof_data
+      },
+      cryptography: {
+        algorithm: PEDERSEN_SCHEME,
+        keyDerivation: 'HMAC-SHA256'
+      }
+    };
+  }
+
+  /**
+   * Map a ZKProof document back onto a proof record
+   */
+  static fromZKProofDocument(document) {
+    return {
+      proof_id: document.proofId,
+      attestation_id: document.attestationId,
+      privacy_level: document.privacyLevel,
+      proof_data: document.proof.proofData,
+      created_at: new Date(document.createdAt).toISOString(),
+      verification_key: document.proof.verificationKey
+    };
   }
 
   /**
@@ -433,9 +700,8 @@ export class ZKProofPrivacyLayer {
       case 'financial':
         summary.proved_facts = [
           'Revenue splits sum to 100%',
-          'All parties agreed to financial terms',
-          'Payment amounts are within valid ranges',
-          'No duplicate beneficiaries exist'
+          'Every split is non-negative',
+          'All parties agreed to financial terms'
         ];
         break;
 
@@ -443,8 +709,7 @@ export class ZKProofPrivacyLayer {
         summary.proved_facts = [
           'Valid multi-party contract exists',
           'All required signatures collected',
-          'Contract terms are mathematically valid',
-          'Timestamp and audit trail verified'
+          'Revenue splits sum to 100% without revealing any split'
         ];
         break;
     }
@@ -453,21 +718,40 @@ export class ZKProofPrivacyLayer {
   }
 }
 
+/**
+ * Convert a percentage (up to two decimals) to integer basis points
+ */
+function toBasisPoints(percent) {
+  const value = Number(percent);
+  const basisPoints = Math.round(value * 100);
+  if (!Number.isFinite(value) || Math.abs(basisPoints - value * 100) > 1e-6) {
+    throw new Error(`Percentages support at most two decimal places, got ${percent}`);
+  }
+  return basisPoints;
+}
+
 /**
  * Enhanced Attestation Manager with Blockchain Integration
  */
 export class BlockchainAttestationManager extends AttestationManager {
   constructor(config = {}) {
     super(config);
-    this.auditTrail = new BlockchainAuditTrail(config.blockchain);
+    this.auditTrail = new BlockchainAuditTrail({ ...config.blockchain, events: config.events });
     this.zkProofLayer = new ZKProofPrivacyLayer(config.zkProof);
   }
 
+  /**
+   * Published audit events, so bundles carry their txids
+   */
+  async getAnchorRecords(id) {
+    return this.auditTrail.getAuditEvents(id);
+  }
+
   /**
    * Create attestation with blockchain audit trail
    */
-  async createAttestation(templateType, fields, options = {}) {
-    const attestation = await super.createAttestation(templateType, fields, options);
+  async createAttestation(templateType, fields, options = {}, metadata = {}) {
+    const attestation = await super.createAttestation(templateType, fields, options, metadata);
     
     // Publish creation event to blockchain
     await this.auditTrail.publishAuditEvent(attestation, 'created', {
@@ -503,12 +787,66 @@ export class BlockchainAttestationManager extends AttestationManager {
     return result;
   }
 
+  /**
+   * Withdraw signature with blockchain audit
+   */
+  async withdrawSignature(id, signer, signerInfo) {
+    const result = await super.withdrawSignature(id, signer, signerInfo);
+    const attestation = await this.loadAttestation(id);
+
+    await this.auditTrail.publishAuditEvent(attestation, 'signature_withdrawn', {
+      signer: result.withdrawal.pubkey,
+      withdrawal_signature: result.withdrawal.signature,
+      signature_count: result.signatures_count
+    });
+
+    return result;
+  }
+
+  /**
+   * Revocation consent with blockchain audit
+   */
+  async revokeAttestation(id, signer, signerInfo, reason = '') {
+    const result = await super.revokeAttestation(id, signer, signerInfo, reason);
+    const attestation = await this.loadAttestation(id);
+
+    await this.auditTrail.publishAuditEvent(attestation, 'revocation_consent', {
+      signer: result.consent.pubkey,
+      consent_signature: result.consent.signature,
+      pending_consents: result.revocation.pending.length
+    });
+
+    if (result.revoked) {
+      await this.auditTrail.publishAuditEvent(attestation, 'revoked', {
+        revoked_at: attestation.metadata.revoked_at,
+        anchor_hash: attestation.getAnchorHash()
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Mark superseded with blockchain audit
+   */
+  async markSuperseded(id, successorId) {
+    const attestation = await super.markSuperseded(id, successorId);
+
+    if (attestation) {
+      await this.auditTrail.publishAuditEvent(attestation, 'superseded', {
+        superseded_by: successorId
+      });
+    }
+
+    return attestation;
+  }
+
   /**
    * Generate privacy proof for attestation
    */
-  async generatePrivacyProof(id, privacyLevel = 'basic') {
+  async generatePrivacyProof(id, privacyLevel = 'basic', options = {}) {
     const attestation = await this.loadAttestation(id);
-    const proof = await this.zkProofLayer.generatePrivacyProof(attestation, privacyLevel);
+    const proof = await this.zkProofLayer.generatePrivacyProof(attestation, privacyLevel, options);
     
     // Publish proof generation to audit trail
     await this.auditTrail.publishAuditEvent(attestation, 'privacy_proof_generated', {
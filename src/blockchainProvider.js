@@ -0,0 +1,379 @@
+/**
+ * Blockchain Provider Abstraction
+ * One interface for UTXO listing, raw tx broadcast, tx lookup and block height
+ * WhatsOnChain for live networks, in-process regtest implementation for offline runs
+ */
+
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import bsv from 'smartledger-bsv';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Provider interface
+ * Every method is async so network and in-process implementations are interchangeable.
+ *
+ * UTXO shape returned by listUnspent:
+ *   { txid, vout, satoshis, height, confirmations, spentInMempool }
+ */
+export class BlockchainProvider {
+  constructor(name = 'abstract') {
+    this.name = name;
+  }
+
+  /**
+   * List unspent outputs paying to a P2PKH address
+   */
+  async listUnspent(address) {
+    throw new Error(`${this.name} provider does not implement listUnspent`);
+  }
+
+  /**
+   * Broadcast raw transaction hex, returns txid
+   */
+  async broadcast(txHex) {
+    throw new Error(`${this.name} provider does not implement broadcast`);
+  }
+
+  /**
+   * Look up a transaction: { txid, hex, blockHeight, confirmations } or null if unknown
+   */
+  async getTransaction(txid) {
+    throw new Error(`${this.name} provider does not implement getTransaction`);
+  }
+
+  /**
+   * Current chain tip height
+   */
+  async getBlockHeight() {
+    throw new Error(`${this.name} provider does not implement getBlockHeight`);
+  }
+
+  /**
+   * Txid spending the given output, or null if unspent
+   */
+  async getSpentBy(txid, vout) {
+    throw new Error(`${this.name} provider does not implement getSpentBy`);
+  }
+
+  /**
+   * Human-facing explorer link for a transaction (null if none)
+   */
+  getExplorerUrl(txid) {
+    return null;
+  }
+}
+
+/**
+ * WhatsOnChain REST provider
+ */
+export class WhatsOnChainProvider extends BlockchainProvider {
+  constructor(config = {}) {
+    super('whatsonchain');
+    this.network = config.network || process.env.BSV_NETWORK || 'main';
+    this.apiBase = config.apiBase || `https://api.whatsonchain.com/v1/bsv/${this.network}`;
+    this.explorerBase = config.explorerBase || (this.network === 'main'
+      ? 'https://whatsonchain.com'
+      : `https://${this.network}.whatsonchain.com`);
+  }
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.apiBase}${path}`, options);
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+    }
+    return response;
+  }
+
+  async listUnspent(address) {
+    const response = await this.request(`/address/${address}/unspent/all`);
+    if (response.status === 404) return [];
+
+    const data = await response.json();
+    if (!data.result || !Array.isArray(data.result)) {
+      return [];
+    }
+
+    return data.result
+      .filter(utxo => {
+        if (!utxo.tx_hash || typeof utxo.tx_pos !== 'number' || !utxo.value) {
+          console.warn(`Invalid UTXO data:`, utxo);
+          return false;
+        }
+        return true;
+      })
+      .map(utxo => ({
+        txid: utxo.tx_hash,
+        vout: utxo.tx_pos,
+        satoshis: utxo.value,
+        height: utxo.height || 0,
+        confirmations: utxo.confirmations || 0,
+        spentInMempool: Boolean(utxo.isSpentInMempoolTx)
+      }));
+  }
+
+  async broadcast(txHex) {
+    const response = await fetch(`${this.apiBase}/tx/raw`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ txhex: txHex })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Broadcast failed: ${response.status} ${response.statusText}`);
+    }
+
+    const txidResponse = await response.text();
+    return txidResponse.replace(/["\n\r]/g, '').trim();
+  }
+
+  async getTransaction(txid) {
+    const hexResponse = await this.request(`/tx/${txid}/hex`);
+    if (hexResponse.status === 404) return null;
+    const hex = (await hexResponse.text()).trim();
+
+    const infoResponse = await this.request(`/tx/hash/${txid}`);
+    const info = infoResponse.status === 404 ? {} : await infoResponse.json();
+
+    return {
+      txid,
+      hex,
+      blockHeight: info.blockheight || null,
+      confirmations: info.confirmations || 0
+    };
+  }
+
+  async getBlockHeight() {
+    const response = await this.request('/chain/info');
+    const info = await response.json();
+    return info.blocks;
+  }
+
+  async getSpentBy(txid, vout) {
+    const response = await this.request(`/tx/${txid}/out/${vout}/spent`);
+    if (response.status === 404) return null;
+    const data = await response.json();
+    return data.txid || null;
+  }
+
+  getExplorerUrl(txid) {
+    return `${this.explorerBase}/tx/${txid}`;
+  }
+}
+
+/**
+ * In-process regtest provider
+ * Keeps a tiny UTXO set in memory: broadcast transactions spend their inputs
+ * and create outputs, mine() confirms the mempool. No network access.
+ */
+export class RegtestProvider extends BlockchainProvider {
+  constructor(config = {}) {
+    super('regtest');
+    this.height = config.startHeight || 0;
+    this.transactions = new Map(); // txid -> { hex, blockHeight }
+    this.outputs = new Map(); // "txid:vout" -> { txid, vout, satoshis, script, spentBy }
+  }
+
+  outpointKey(txid, vout) {
+    return `${txid}:${vout}`;
+  }
+
+  confirmationsAt(blockHeight) {
+    return blockHeight === null ? 0 : this.height - blockHeight + 1;
+  }
+
+  /**
+   * Create a confirmed output paying `satoshis` to `address` (faucet stand-in)
+   */
+  fund(address, satoshis) {
+    const txid = crypto.randomBytes(32).toString('hex');
+    this.height += 1;
+
+    this.transactions.set(txid, { hex: null, blockHeight: this.height });
+    this.outputs.set(this.outpointKey(txid, 0), {
+      txid,
+      vout: 0,
+      satoshis,
+      script: bsv.Script.buildPublicKeyHashOut(address).toHex(),
+      spentBy: null
+    });
+
+    return { txid, vout: 0, satoshis };
+  }
+
+  /**
+   * Confirm every mempool transaction in the next block(s)
+   */
+  mine(blocks = 1) {
+    const minedHeight = this.height + 1;
+    this.height += blocks;
+
+    for (const record of this.transactions.values()) {
+      if (record.blockHeight === null) {
+        record.blockHeight = minedHeight;
+      }
+    }
+
+    return this.height;
+  }
+
+  /**
+   * Undo the last `blocks` blocks: their transactions go back to the mempool (reorg stand-in)
+   */
+  reorg(blocks = 1) {
+    this.height -= blocks;
+
+    for (const record of this.transactions.values()) {
+      if (record.blockHeight !== null && record.blockHeight > this.height) {
+        record.blockHeight = null;
+      }
+    }
+
+    return this.height;
+  }
+
+  /**
+   * Drop a mempool transaction as if the network evicted it (or it lost a double-spend
+   * race): its inputs are unspent again and its outputs are gone
+   */
+  evict(txid) {
+    const record = this.transactions.get(txid);
+    if (!record || record.blockHeight !== null) {
+      throw new Error(`Cannot evict ${txid}: not in the mempool`);
+    }
+
+    for (const [key, output] of this.outputs) {
+      if (output.txid === txid) {
+        if (output.spentBy) throw new Error(`Cannot evict ${txid}: output ${key} is spent by ${output.spentBy}`);
+        this.outputs.delete(key);
+      } else if (output.spentBy === txid) {
+        output.spentBy = null;
+      }
+    }
+    this.transactions.delete(txid);
+  }
+
+  async listUnspent(address) {
+    const script = bsv.Script.buildPublicKeyHashOut(address).toHex();
+    const utxos = [];
+
+    for (const output of this.outputs.values()) {
+      if (output.script !== script) continue;
+
+      const spender = output.spentBy ? this.transactions.get(output.spentBy) : null;
+      if (spender && spender.blockHeight !== null) continue; // Spent and confirmed
+
+      const blockHeight = this.transactions.get(output.txid)?.blockHeight ?? null;
+      utxos.push({
+        txid: output.txid,
+        vout: output.vout,
+        satoshis: output.satoshis,
+        height: blockHeight || 0,
+        confirmations: this.confirmationsAt(blockHeight),
+        spentInMempool: Boolean(spender)
+      });
+    }
+
+    return utxos;
+  }
+
+  async broadcast(txHex) {
+    const tx = new bsv.Transaction(txHex);
+    const txid = tx.id;
+
+    if (this.transactions.has(txid)) {
+      return txid;
+    }
+
+    // Validate every input before mutating state
+    for (const input of tx.inputs) {
+      const key = this.outpointKey(input.prevTxId.toString('hex'), input.outputIndex);
+      const output = this.outputs.get(key);
+      if (!output) {
+        throw new Error(`Broadcast failed: missing input ${key}`);
+      }
+      if (output.spentBy) {
+        throw new Error(`Broadcast failed: input ${key} already spent in ${output.spentBy}`);
+      }
+    }
+
+    for (const input of tx.inputs) {
+      const key = this.outpointKey(input.prevTxId.toString('hex'), input.outputIndex);
+      this.outputs.get(key).spentBy = txid;
+    }
+
+    tx.outputs.forEach((output, vout) => {
+      this.outputs.set(this.outpointKey(txid, vout), {
+        txid,
+        vout,
+        satoshis: output.satoshis,
+        script: output.script.toHex(),
+        spentBy: null
+      });
+    });
+
+    this.transactions.set(txid, { hex: txHex, blockHeight: null });
+    return txid;
+  }
+
+  async getTransaction(txid) {
+    const record = this.transactions.get(txid);
+    if (!record) return null;
+
+    return {
+      txid,
+      hex: record.hex,
+      blockHeight: record.blockHeight,
+      confirmations: this.confirmationsAt(record.blockHeight)
+    };
+  }
+
+  async getBlockHeight() {
+    return this.height;
+  }
+
+  async getSpentBy(txid, vout) {
+    return this.outputs.get(this.outpointKey(txid, vout))?.spentBy || null;
+  }
+}
+
+/**
+ * Build a provider from config or BSV_PROVIDER (whatsonchain | regtest)
+ */
+export function createBlockchainProvider(config = {}) {
+  const type = config.type || process.env.BSV_PROVIDER || 'whatsonchain';
+
+  switch (type) {
+    case 'whatsonchain':
+      return new WhatsOnChainProvider(config);
+    case 'regtest':
+    case 'mock':
+      return new RegtestProvider(config);
+    default:
+      throw new Error(`Unknown blockchain provider: ${type}`);
+  }
+}
+
+let defaultProvider = null;
+
+/**
+ * Process-wide provider used when a module is not given one explicitly
+ */
+export function getDefaultProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createBlockchainProvider();
+  }
+  return defaultProvider;
+}
+
+/**
+ * Replace the process-wide provider (e.g. with a RegtestProvider in tests)
+ */
+export function setDefaultProvider(provider) {
+  defaultProvider = provider;
+  return provider;
+}
+
+export default createBlockchainProvider;
@@ -0,0 +1,122 @@
+/**
+ * Canonical JSON (RFC 8785, JSON Canonicalization Scheme)
+ * One serialization for everything that is hashed or signed, so a payload that
+ * travels through a database, an HTTP body or another language still produces
+ * the same bytes:
+ *
+ *   - object keys sorted by UTF-16 code units, no whitespace
+ *   - numbers in ECMAScript shortest round-trip form (-0 becomes 0)
+ *   - strings escaped as JSON.stringify does; lone surrogates are rejected
+ *   - NaN / Infinity, BigInt and circular structures are rejected
+ *
+ * JavaScript-only values follow JSON.stringify: toJSON() is honoured, undefined,
+ * functions and symbols are dropped from objects and become null in arrays.
+ *
+ * Signatures made before canonicalization carry no scheme marker; they were
+ * hashed over plain JSON.stringify output (LEGACY_CANONICALIZATION) and still verify.
+ * Every verifier resolves the scheme the same way (recordedScheme): a record
+ * without a marker is legacy and is never retried as canonical.
+ */
+
+import crypto from 'crypto';
+
+export const CANONICALIZATION = 'jcs';
+export const LEGACY_CANONICALIZATION = 'json';
+
+const LONE_SURROGATE = /[\uD800-\uDFFF]/u;
+
+function canonicalError(message) {
+  const error = new Error(`Cannot canonicalize: ${message}`);
+  error.code = 'CANONICALIZATION_ERROR';
+  return error;
+}
+
+function isOmitted(value) {
+  return value === undefined || typeof value === 'function' || typeof value === 'symbol';
+}
+
+/**
+ * Serialize a value as RFC 8785 canonical JSON
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalize(value) {
+  const ancestors = new Set();
+
+  const serialize = (input, path) => {
+    const current = input !== null && typeof input === 'object' && typeof input.toJSON === 'function'
+      ? input.toJSON()
+      : input;
+
+    if (current === null) return 'null';
+
+    switch (typeof current) {
+      case 'boolean':
+        return current ? 'true' : 'false';
+      case 'number':
+        if (!Number.isFinite(current)) throw canonicalError(`${path} is not a finite number`);
+        return JSON.stringify(current);
+      case 'string':
+        if (LONE_SURROGATE.test(current)) throw canonicalError(`${path} contains an unpaired surrogate`);
+        return JSON.stringify(current);
+      case 'bigint':
+        throw canonicalError(`${path} is a BigInt`);
+      case 'object':
+        break;
+      default:
+        throw canonicalError(`${path} is not JSON data`);
+    }
+
+    if (ancestors.has(current)) throw canonicalError(`${path} is circular`);
+    ancestors.add(current);
+
+    let output;
+    if (Array.isArray(current)) {
+      output = `[${current.map((item, index) => (isOmitted(item) ? 'null' : serialize(item, `${path}[${index}]`))).join(',')}]`;
+    } else {
+      const members = Object.keys(current)
+        .filter(key => !isOmitted(current[key]))
+        .sort()
+        .map(key => {
+          if (LONE_SURROGATE.test(key)) throw canonicalError(`${path} has a key with an unpaired surrogate`);
+          return `${JSON.stringify(key)}:${serialize(current[key], `${path}.${key}`)}`;
+        });
+      output = `{${members.join(',')}}`;
+    }
+
+    ancestors.delete(current);
+    return output;
+  };
+
+  return serialize(value, '$');
+}
+
+/**
+ * Serialize a payload under a signing scheme
+ * @param {*} value
+ * @param {string} scheme - CANONICALIZATION (default) or LEGACY_CANONICALIZATION
+ */
+export function serializePayload(value, scheme = CANONICALIZATION) {
+  if (scheme === CANONICALIZATION) return canonicalize(value);
+  if (scheme === LEGACY_CANONICALIZATION) return JSON.stringify(value);
+
+  const error = new Error(`Unknown canonicalization scheme: ${scheme}`);
+  error.code = 'UNKNOWN_CANONICALIZATION';
+  throw error;
+}
+
+/**
+ * SHA-256 digest (Buffer) of a serialized payload
+ */
+export function hashPayload(value, scheme = CANONICALIZATION) {
+  return crypto.createHash('sha256').update(serializePayload(value, scheme)).digest();
+}
+
+/**
+ * Scheme a signed record was made under: its marker, or legacy for records that predate it
+ */
+export function recordedScheme(scheme) {
+  return scheme || LEGACY_CANONICALIZATION;
+}
+
+export default canonicalize;
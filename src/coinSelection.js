@@ -0,0 +1,293 @@
+/**
+ * Coin Selection
+ * Chooses which UTXOs fund a transaction, estimates its size and prices it with a
+ * sat/byte fee policy. Pure functions: UTXOService.getUTXOsForSpending loads the
+ * candidates and reserves the result.
+ *
+ * Strategies work on effective values (satoshis minus the fee for spending the
+ * input), so a coin that costs more to spend than it is worth is never picked.
+ */
+
+import crypto from 'crypto';
+
+// 10 sat/kB, the rate publishing and splitting have always used
+export const DEFAULT_SAT_PER_BYTE = 0.01;
+
+// Change below this is left to the miner instead of creating an output
+export const DEFAULT_DUST_LIMIT = 546;
+
+// outpoint (32 + 4) + script length (1) + signature push (1 + 72) + pubkey push (1 + 33) + sequence (4)
+export const P2PKH_INPUT_SIZE = 148;
+export const P2PKH_SCRIPT_SIZE = 25;
+
+const BNB_MAX_TRIES = 100000;
+
+export function coinSelectionError(message, code = 'INSUFFICIENT_FUNDS') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Bytes used by a Bitcoin varint
+ */
+export function varIntSize(value) {
+  if (value < 0xfd) return 1;
+  if (value <= 0xffff) return 3;
+  if (value <= 0xffffffff) return 5;
+  return 9;
+}
+
+/**
+ * Size of an output: value (8) + script length + script
+ */
+export function outputSize(scriptSize) {
+  return 8 + varIntSize(scriptSize) + scriptSize;
+}
+
+function pushDataSize(length) {
+  if (length < 0x4c) return 1 + length;
+  if (length <= 0xff) return 2 + length;
+  if (length <= 0xffff) return 3 + length;
+  return 5 + length;
+}
+
+/**
+ * Zero-value OP_FALSE OP_RETURN output carrying `chunks` (bsv.Script.buildSafeDataOut)
+ * @param {Array<Buffer|string>} chunks
+ * @returns {Object} { satoshis: 0, scriptSize }
+ */
+export function opReturnOutput(chunks) {
+  const scriptSize = 2 + [chunks].flat()
+    .reduce((size, chunk) => size + pushDataSize(Buffer.byteLength(chunk)), 0);
+  return { satoshis: 0, scriptSize };
+}
+
+/**
+ * Output paying `satoshis` to a P2PKH address
+ */
+export function p2pkhOutput(satoshis) {
+  return { satoshis, scriptSize: P2PKH_SCRIPT_SIZE };
+}
+
+/**
+ * Serialized size of a transaction spending `inputCount` P2PKH inputs
+ * @param {number} inputCount
+ * @param {Array} outputs - [{ scriptSize }]
+ */
+export function estimateTxSize(inputCount, outputs = []) {
+  return 4 // version
+    + varIntSize(inputCount)
+    + inputCount * P2PKH_INPUT_SIZE
+    + varIntSize(outputs.length)
+    + outputs.reduce((size, { scriptSize }) => size + outputSize(scriptSize), 0)
+    + 4; // locktime
+}
+
+/**
+ * Fee policy: `satPerByte` (fractions allowed; FEE_SAT_PER_BYTE) with an optional floor
+ * @param {Object} config - { satPerByte, minFee }
+ */
+export function createFeePolicy(config = {}) {
+  const satPerByte = config.satPerByte ?? (Number(process.env.FEE_SAT_PER_BYTE) || DEFAULT_SAT_PER_BYTE);
+  const minFee = config.minFee ?? 0;
+
+  if (!(satPerByte >= 0) || !(minFee >= 0)) {
+    throw new Error('Fee policy needs a non-negative satPerByte and minFee');
+  }
+
+  return {
+    satPerByte,
+    minFee,
+    // bsv Transaction#feePerKb equivalent
+    satPerKb: satPerByte * 1000,
+    fee(size) {
+      return Math.max(minFee, Math.ceil(size * satPerByte));
+    }
+  };
+}
+
+/**
+ * Fisher-Yates with a CSPRNG: the order must not be guessable from the wallet
+ */
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function accumulate(pool, target) {
+  const selected = [];
+  let total = 0;
+  for (const candidate of pool) {
+    selected.push(candidate);
+    total += candidate.effectiveValue;
+    if (total >= target) return selected;
+  }
+  return null;
+}
+
+/**
+ * Branch and bound: the combination whose effective value lands within
+ * [target, target + window], so no change output is needed (Bitcoin Core's algorithm).
+ * Returns null when there is no such combination.
+ */
+function branchAndBound(pool, { target, window }) {
+  const sorted = [...pool].sort((a, b) => b.effectiveValue - a.effectiveValue);
+  let available = sorted.reduce((sum, candidate) => sum + candidate.effectiveValue, 0);
+  if (available < target) return null;
+
+  const included = []; // indices into sorted, ascending
+  let current = 0;
+  let best = null;
+  let bestExcess = Infinity;
+
+  for (let tries = 0, index = 0; tries < BNB_MAX_TRIES; tries++, index++) {
+    let backtrack = false;
+
+    if (current + available < target || current > target + window) {
+      backtrack = true;
+    } else if (current >= target) {
+      const excess = current - target;
+      if (excess < bestExcess) {
+        best = included.map(i => sorted[i]);
+        bestExcess = excess;
+        if (excess === 0) break;
+      }
+      backtrack = true;
+    }
+
+    if (backtrack) {
+      if (included.length === 0) break;
+
+      // Give back the candidates skipped after the last inclusion, then exclude it
+      for (index--; index > included.at(-1); index--) {
+        available += sorted[index].effectiveValue;
+      }
+      current -= sorted[index].effectiveValue;
+      included.pop();
+    } else {
+      const candidate = sorted[index];
+      available -= candidate.effectiveValue;
+
+      // Excluding a coin and then including an identical one explores the same branch again
+      const previousExcluded = index > 0 && included.at(-1) !== index - 1;
+      if (!(previousExcluded && sorted[index - 1].effectiveValue === candidate.effectiveValue)) {
+        included.push(index);
+        current += candidate.effectiveValue;
+      }
+    }
+  }
+
+  return best;
+}
+
+function largestFirst(pool, { target }) {
+  return accumulate([...pool].sort((a, b) => b.satoshis - a.satoshis), target);
+}
+
+/**
+ * Random draw: coins are not picked by size, so spends reveal less about the
+ * wallet's other holdings and do not always drain the same coins
+ */
+function randomDraw(pool, { target }) {
+  return accumulate(shuffle(pool), target);
+}
+
+/**
+ * Built-in strategies; `strategy` may also be a function with the same signature:
+ * (candidates with effectiveValue, { target, window, feePolicy }) => candidates | null
+ */
+export const COIN_SELECTION_STRATEGIES = {
+  'branch-and-bound': branchAndBound,
+  'largest-first': largestFirst,
+  random: randomDraw
+};
+
+function resolveStrategy(strategy) {
+  if (typeof strategy === 'function') return strategy;
+  const selector = COIN_SELECTION_STRATEGIES[strategy];
+  if (!selector) {
+    throw new Error(`Unknown coin selection strategy: ${strategy}`);
+  }
+  return selector;
+}
+
+/**
+ * Price a set of inputs: change if it clears the dust limit, otherwise the
+ * remainder goes to the fee. Null if the inputs do not cover outputs + fee.
+ */
+function settle(inputs, outputs, { feePolicy, dustLimit, changeScriptSize }) {
+  const inputTotal = inputs.reduce((sum, utxo) => sum + utxo.satoshis, 0);
+  const outputTotal = outputs.reduce((sum, output) => sum + output.satoshis, 0);
+
+  const size = estimateTxSize(inputs.length, outputs);
+  const fee = feePolicy.fee(size);
+  if (inputTotal < outputTotal + fee) return null;
+
+  const sizeWithChange = estimateTxSize(inputs.length, [...outputs, { scriptSize: changeScriptSize }]);
+  const change = inputTotal - outputTotal - feePolicy.fee(sizeWithChange);
+
+  return change >= dustLimit
+    ? { inputTotal, outputTotal, size: sizeWithChange, fee: inputTotal - outputTotal - change, change }
+    : { inputTotal, outputTotal, size, fee: inputTotal - outputTotal, change: 0 };
+}
+
+/**
+ * Choose inputs for a transaction
+ *
+ *   selectCoins(utxos, { outputs: [opReturnOutput([data])] }, { strategy: 'branch-and-bound' })
+ *
+ * @param {Array} utxos - Candidates: { txid, vout, satoshis, ... }
+ * @param {Object} request - { outputs: [{ satoshis, scriptSize }] } (excluding change)
+ * @param {Object} [options]
+ * @param {string|Function} [options.strategy] - branch-and-bound (default) | largest-first | random | function
+ * @param {string|Function} [options.fallback] - Used when the strategy finds nothing (default largest-first)
+ * @param {Object} [options.feePolicy] - createFeePolicy() result
+ * @param {number} [options.dustLimit] - Smallest change output worth creating
+ * @param {number} [options.changeScriptSize] - Change output script size (P2PKH)
+ * @returns {Object} { inputs, size, fee, change, inputTotal, outputTotal, strategy }
+ * @throws INSUFFICIENT_FUNDS
+ */
+export function selectCoins(utxos, request, options = {}) {
+  const {
+    strategy = 'branch-and-bound',
+    fallback = 'largest-first',
+    feePolicy = createFeePolicy(),
+    dustLimit = DEFAULT_DUST_LIMIT,
+    changeScriptSize = P2PKH_SCRIPT_SIZE
+  } = options;
+  const outputs = request.outputs || [];
+  const pricing = { feePolicy, dustLimit, changeScriptSize };
+
+  const inputFee = P2PKH_INPUT_SIZE * feePolicy.satPerByte;
+  const pool = utxos
+    .map(utxo => ({ ...utxo, effectiveValue: utxo.satoshis - inputFee }))
+    .filter(utxo => utxo.effectiveValue > 0);
+
+  // Everything but the inputs; each candidate's effective value already pays for itself
+  const target = outputs.reduce((sum, output) => sum + output.satoshis, 0)
+    + estimateTxSize(0, outputs) * feePolicy.satPerByte;
+  // Overshooting by less than a change output costs (create now + spend later) beats adding one
+  const window = (outputSize(changeScriptSize) + P2PKH_INPUT_SIZE) * feePolicy.satPerByte;
+
+  for (const name of [...new Set([strategy, fallback])].filter(Boolean)) {
+    const chosen = resolveStrategy(name)(pool, { target, window, feePolicy });
+    // Fee rounding (minFee, ceil) can still leave a selection a satoshi short
+    const settled = chosen && settle(chosen, outputs, pricing);
+    if (settled) {
+      const inputs = chosen.map(({ effectiveValue, ...utxo }) => utxo);
+      return { inputs, ...settled, strategy: typeof name === 'function' ? name.name || 'custom' : name };
+    }
+  }
+
+  const available = pool.reduce((sum, utxo) => sum + utxo.satoshis, 0);
+  throw coinSelectionError(
+    `Insufficient funds: ${available} spendable satoshis in ${pool.length} UTXOs cannot cover ${Math.ceil(target)} satoshis plus input fees`
+  );
+}
+
+export default selectCoins;
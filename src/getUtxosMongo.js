@@ -1,14 +1,11 @@
-import fetch from 'node-fetch';
 import fs from 'fs';
 import bsv from 'smartledger-bsv';
 import dotenv from 'dotenv';
 import { UTXOManagerMongo } from './utxoManagerMongo.js';
+import { getDefaultProvider } from './blockchainProvider.js';
 
 dotenv.config();
 
-const NETWORK = process.env.BSV_NETWORK || 'main';
-const API_BASE = `https://api.whatsonchain.com/v1/bsv/${NETWORK}`;
-
 /**
  * Enhanced UTXO fetcher with MongoDB persistence
  */
@@ -17,19 +14,20 @@ async function getUtxosMongo(options = {}) {
     saveToFile = true, 
     saveToMongo = true, 
     syncExisting = false,
-    walletPath = './wallets/wallet.json' 
+    walletPath = './wallets/wallet.json',
+    provider = getDefaultProvider()
   } = options;
 
   try {
     // Initialize MongoDB UTXO manager
-    const utxoManager = new UTXOManagerMongo(walletPath);
+    const utxoManager = new UTXOManagerMongo(walletPath, { provider });
     await utxoManager.initialize();
     
     const wallet = await utxoManager.loadWallet();
     const { address } = wallet;
     
     console.log(`🔍 Fetching UTXOs for address: ${address}...`);
-    console.log(`📡 Using network: ${NETWORK}`);
+    console.log(`📡 Using provider: ${provider.name}`);
     console.log(`💾 Save to file: ${saveToFile}, Save to MongoDB: ${saveToMongo}`);
 
     if (syncExisting) {
@@ -44,21 +42,13 @@ async function getUtxosMongo(options = {}) {
     }
 
     // Fetch fresh UTXOs from blockchain
-    const url = `${API_BASE}/address/${address}/unspent/all`;
-    console.log(`🌐 API URL: ${url}`);
-    
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    const unspent = await provider.listUnspent(address);
 
-    if (data.result && data.result.length > 0) {
-      console.log(`📥 Received ${data.result.length} UTXOs from API`);
+    if (unspent.length > 0) {
+      console.log(`📥 Received ${unspent.length} UTXOs from ${provider.name}`);
       
       // Filter out UTXOs that are spent in mempool and format for BSV library compatibility
-      const availableUtxos = data.result.filter(utxo => !utxo.isSpentInMempoolTx);
+      const availableUtxos = unspent.filter(utxo => !utxo.spentInMempool);
       
       if (availableUtxos.length === 0) {
         console.log('⚠️  All UTXOs are spent in mempool transactions. Wait for confirmation.');
@@ -66,9 +56,9 @@ async function getUtxosMongo(options = {}) {
       }
       
       const formattedUtxos = availableUtxos.map(utxo => ({
-        txid: utxo.tx_hash,
-        vout: utxo.tx_pos,
-        satoshis: utxo.value,
+        txid: utxo.txid,
+        vout: utxo.vout,
+        satoshis: utxo.satoshis,
         script: bsv.Script.buildPublicKeyHashOut(address).toHex(),
         scriptPubKey: bsv.Script.buildPublicKeyHashOut(address).toHex(),
         blockHeight: utxo.height || 0,
@@ -102,17 +92,17 @@ async function getUtxosMongo(options = {}) {
       }
       
       console.log(`✅ Found and processed ${availableUtxos.length} available UTXO(s)`);
-      if (data.result.length > availableUtxos.length) {
-        console.log(`🚫 Filtered out ${data.result.length - availableUtxos.length} UTXO(s) that are spent in mempool`);
+      if (unspent.length > availableUtxos.length) {
+        console.log(`🚫 Filtered out ${unspent.length - availableUtxos.length} UTXO(s) that are spent in mempool`);
       }
       
-      const totalBalance = availableUtxos.reduce((sum, utxo) => sum + utxo.value, 0);
+      const totalBalance = availableUtxos.reduce((sum, utxo) => sum + utxo.satoshis, 0);
       console.log(`💰 Available balance: ${totalBalance} satoshis`);
       
       // Show first UTXO for reference
       if (availableUtxos.length > 0) {
         const first = availableUtxos[0];
-        console.log(`📋 First available UTXO: ${first.tx_hash}:${first.tx_pos} (${first.value} sats)`);
+        console.log(`📋 First available UTXO: ${first.txid}:${first.vout} (${first.satoshis} sats)`);
       }
 
       // Get updated database stats if using MongoDB
@@ -144,7 +134,7 @@ async function getUtxosMongo(options = {}) {
       console.log('🔧 MongoDB error - falling back to file-only mode');
       
       // Fallback to legacy mode
-      await getUtxosLegacy();
+      await getUtxosLegacy({ provider });
     }
   }
 }
@@ -152,7 +142,9 @@ async function getUtxosMongo(options = {}) {
 /**
  * Legacy UTXO fetcher (file-based only)
  */
-async function getUtxosLegacy() {
+async function getUtxosLegacy(options = {}) {
+  const { provider = getDefaultProvider() } = options;
+
   console.log('📁 Using legacy file-based UTXO management');
   
   try {
@@ -161,19 +153,15 @@ async function getUtxosLegacy() {
     const { address } = wallet;
     
     console.log(`🔍 Fetching UTXOs for address: ${address}...`);
-    console.log(`📡 Using network: ${NETWORK}`);
+    console.log(`📡 Using provider: ${provider.name}`);
 
-    const url = `${API_BASE}/address/${address}/unspent/all`;
-    console.log(`🌐 API URL: ${url}`);
-    
-    const response = await fetch(url);
-    const data = await response.json();
+    const unspent = await provider.listUnspent(address);
 
-    if (data.result && data.result.length > 0) {
-      console.log('📥 Raw API response:', data);
+    if (unspent.length > 0) {
+      console.log('📥 Raw provider response:', unspent);
       
       // Filter out UTXOs that are spent in mempool and format for BSV library compatibility
-      const availableUtxos = data.result.filter(utxo => !utxo.isSpentInMempoolTx);
+      const availableUtxos = unspent.filter(utxo => !utxo.spentInMempool);
       
       if (availableUtxos.length === 0) {
         console.log('⚠️  All UTXOs are spent in mempool transactions. Wait for confirmation.');
@@ -181,24 +169,24 @@ async function getUtxosLegacy() {
       }
       
       const formattedUtxos = availableUtxos.map(utxo => ({
-        txid: utxo.tx_hash,
-        vout: utxo.tx_pos,
-        satoshis: utxo.value,
+        txid: utxo.txid,
+        vout: utxo.vout,
+        satoshis: utxo.satoshis,
         script: bsv.Script.buildPublicKeyHashOut(address).toHex(),
       }));
 
       fs.writeFileSync('utxos.json', JSON.stringify(formattedUtxos, null, 2));
       
       console.log(`✅ Found and saved ${availableUtxos.length} available UTXO(s) to utxos.json`);
-      if (data.result.length > availableUtxos.length) {
-        console.log(`🚫 Filtered out ${data.result.length - availableUtxos.length} UTXO(s) that are spent in mempool`);
+      if (unspent.length > availableUtxos.length) {
+        console.log(`🚫 Filtered out ${unspent.length - availableUtxos.length} UTXO(s) that are spent in mempool`);
       }
-      console.log(`💰 Available balance: ${availableUtxos.reduce((sum, utxo) => sum + utxo.value, 0)} satoshis`);
+      console.log(`💰 Available balance: ${availableUtxos.reduce((sum, utxo) => sum + utxo.satoshis, 0)} satoshis`);
       
       // Show first UTXO for reference
       if (availableUtxos.length > 0) {
         const first = availableUtxos[0];
-        console.log(`📋 First available UTXO: ${first.tx_hash}:${first.tx_pos} (${first.value} sats)`);
+        console.log(`📋 First available UTXO: ${first.txid}:${first.vout} (${first.satoshis} sats)`);
       }
     } else {
       console.log('⚠️  No UTXOs found for this address.');
@@ -225,6 +213,8 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   const syncMode = args.includes('--sync');
   const fileOnly = args.includes('--file-only');
   const mongoOnly = args.includes('--mongo-only');
+  const trackMode = args.includes('--track');
+  const reclaimMode = args.includes('--reclaim-leases');
   
   if (args.includes('--help')) {
     console.log('Usage: node getUtxosMongo.js [options]');
@@ -233,6 +223,8 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     console.log('  --sync       Perform full blockchain synchronization');
     console.log('  --file-only  Save to file only (no MongoDB)');
     console.log('  --mongo-only Save to MongoDB only (no file)');
+    console.log('  --track      Update confirmations; detect reorgs, double-spends and evicted transactions');
+    console.log('  --reclaim-leases  Return reservations whose lease expired to the pool');
     console.log('  --help       Show this help message');
     process.exit(0);
   }
@@ -243,7 +235,29 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     syncExisting: syncMode
   };
 
-  if (useMongo) {
+  if (reclaimMode) {
+    const utxoManager = new UTXOManagerMongo('./wallets/publishing-wallet.json');
+    utxoManager.sweepExpiredLeases()
+      .then(result => {
+        console.log(`🔓 Lease sweep: ${result.reclaimed} reclaimed, ${result.spent} already spent`);
+        process.exit(0);
+      })
+      .catch(error => {
+        console.error('❌ Lease sweep failed:', error.message);
+        process.exit(1);
+      });
+  } else if (trackMode) {
+    const utxoManager = new UTXOManagerMongo('./wallets/wallet.json');
+    utxoManager.trackConfirmations()
+      .then(summary => {
+        console.log('⛓️  Confirmation tracking:', summary);
+        process.exit(0);
+      })
+      .catch(error => {
+        console.error('❌ Confirmation tracking failed:', error.message);
+        process.exit(1);
+      });
+  } else if (useMongo) {
     console.log('🚀 Using enhanced MongoDB UTXO management');
     getUtxosMongo(options).catch(console.error);
   } else {
@@ -0,0 +1,166 @@
+/**
+ * Minimal JSON Schema validator
+ * Covers the draft-07 subset used for contract fields and request bodies:
+ * type, enum, const, required, properties, additionalProperties, items,
+ * min/max(Length|Items|imum), exclusiveMin/Maximum, pattern, anyOf, oneOf, allOf
+ */
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  null: value => value === null
+};
+
+const SUPPORTED_KEYWORDS = new Set([
+  '$schema', '$id', 'title', 'description', 'default', 'examples', 'format',
+  'type', 'enum', 'const', 'required', 'properties', 'additionalProperties', 'items',
+  'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'minItems', 'maxItems', 'uniqueItems', 'anyOf', 'oneOf', 'allOf'
+]);
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validate `value` against `schema`
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateSchema(schema, value, path = '$') {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [`${path} is not allowed`];
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => TYPE_CHECKS[type]?.(value))) {
+      return [`${path} must be ${types.join(' or ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    errors.push(`${path} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && !isEqual(schema.const, value)) {
+    errors.push(`${path} must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path} must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path} must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path} must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push(`${path} must not contain duplicate items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        errors.push(...validateSchema(properties[key], propertyValue, `${path}.${key}`));
+      } else if (schema.additionalProperties !== undefined) {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => errors.push(...validateSchema(sub, value, path)));
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(sub, value, path).length === 0)) {
+    errors.push(`${path} does not match any allowed schema`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(sub => validateSchema(sub, value, path).length === 0).length !== 1) {
+    errors.push(`${path} must match exactly one allowed schema`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check a schema only uses keywords this validator understands
+ * @returns {string[]} Error messages (empty when usable)
+ */
+export function checkSchema(schema, path = '$') {
+  if (typeof schema === 'boolean') return [];
+  if (!TYPE_CHECKS.object(schema)) return [`${path} must be a schema object`];
+
+  const errors = [];
+  for (const keyword of Object.keys(schema)) {
+    if (!SUPPORTED_KEYWORDS.has(keyword)) {
+      errors.push(`${path}: unsupported keyword "${keyword}"`);
+    }
+  }
+
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  types.filter(type => !TYPE_CHECKS[type]).forEach(type => errors.push(`${path}: unknown type "${type}"`));
+
+  if (schema.required && !(Array.isArray(schema.required) && schema.required.every(key => typeof key === 'string'))) {
+    errors.push(`${path}.required must be an array of strings`);
+  }
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern, 'u');
+    } catch (error) {
+      errors.push(`${path}.pattern is invalid: ${error.message}`);
+    }
+  }
+
+  Object.entries(schema.properties || {}).forEach(([key, sub]) => errors.push(...checkSchema(sub, `${path}.properties.${key}`)));
+  if (schema.items !== undefined) errors.push(...checkSchema(schema.items, `${path}.items`));
+  if (schema.additionalProperties !== undefined) {
+    errors.push(...checkSchema(schema.additionalProperties, `${path}.additionalProperties`));
+  }
+  for (const keyword of ['anyOf', 'oneOf', 'allOf']) {
+    (schema[keyword] || []).forEach((sub, index) => errors.push(...checkSchema(sub, `${path}.${keyword}[${index}]`)));
+  }
+
+  return errors;
+}
+
+export default validateSchema;
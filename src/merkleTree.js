@@ -0,0 +1,130 @@
+/**
+ * Merkle Tree Utilities
+ * Binary SHA-256 Merkle trees with per-leaf inclusion proofs for batch anchoring
+ *
+ * Leaves and interior nodes are domain-separated (0x00 / 0x01 prefixes) so an
+ * interior node can never be passed off as a leaf. A lone node at the end of a
+ * level is promoted unchanged rather than duplicated.
+ */
+
+import crypto from 'crypto';
+import { canonicalize } from './canonicalJson.js';
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+/**
+ * Hash leaf data (object or string) into a hex leaf hash
+ * Objects are hashed as canonical JSON (the sorted-key form leaves always used)
+ */
+export function hashLeaf(data) {
+  const preimage = typeof data === 'string' ? data : canonicalize(data);
+  return crypto.createHash('sha256')
+    .update(LEAF_PREFIX)
+    .update(Buffer.from(preimage, 'utf8'))
+    .digest('hex');
+}
+
+/**
+ * Hash two child nodes into their parent
+ */
+export function hashNode(left, right) {
+  return crypto.createHash('sha256')
+    .update(NODE_PREFIX)
+    .update(Buffer.from(left, 'hex'))
+    .update(Buffer.from(right, 'hex'))
+    .digest('hex');
+}
+
+/**
+ * Build every level of the tree from leaf hashes
+ * @param {string[]} leafHashes - Hex leaf hashes
+ * @returns {string[][]} Levels from leaves (index 0) up to the root
+ */
+export function buildMerkleLevels(leafHashes) {
+  if (!Array.isArray(leafHashes) || leafHashes.length === 0) {
+    throw new Error('Cannot build Merkle tree without leaves');
+  }
+
+  const levels = [leafHashes.slice()];
+
+  while (levels[levels.length - 1].length > 1) {
+    const current = levels[levels.length - 1];
+    const next = [];
+
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashNode(current[i], current[i + 1]) : current[i]);
+    }
+
+    levels.push(next);
+  }
+
+  return levels;
+}
+
+/**
+ * Get the Merkle path for one leaf
+ * @returns {Array<{hash: string, position: 'left'|'right'}>} Sibling hashes from leaf to root
+ */
+export function getMerklePath(levels, leafIndex) {
+  if (leafIndex < 0 || leafIndex >= levels[0].length) {
+    throw new Error(`Leaf index ${leafIndex} out of range`);
+  }
+
+  const path = [];
+  let index = leafIndex;
+
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+
+    // Promoted lone node has no sibling at this level
+    if (siblingIndex < level.length) {
+      path.push({
+        hash: level[siblingIndex],
+        position: index % 2 === 0 ? 'right' : 'left'
+      });
+    }
+
+    index = Math.floor(index / 2);
+  }
+
+  return path;
+}
+
+/**
+ * Build a tree and inclusion proofs for every leaf
+ */
+export function buildMerkleTree(leafHashes) {
+  const levels = buildMerkleLevels(leafHashes);
+
+  return {
+    root: levels[levels.length - 1][0],
+    leafCount: leafHashes.length,
+    proofs: leafHashes.map((leafHash, index) => ({
+      leafHash,
+      leafIndex: index,
+      path: getMerklePath(levels, index)
+    }))
+  };
+}
+
+/**
+ * Recompute the root from a leaf hash and its path
+ */
+export function computeMerkleRoot(leafHash, path = []) {
+  return path.reduce((current, step) => (
+    step.position === 'left' ? hashNode(step.hash, current) : hashNode(current, step.hash)
+  ), leafHash);
+}
+
+/**
+ * Verify a leaf is included under the given root
+ */
+export function verifyMerklePath(leafHash, path, expectedRoot) {
+  try {
+    return computeMerkleRoot(leafHash, path) === expectedRoot;
+  } catch {
+    return false;
+  }
+}
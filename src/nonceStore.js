@@ -0,0 +1,110 @@
+/**
+ * Challenge Nonce Store
+ * One-time nonces for signature-based requests. Each nonce is bound to an identity
+ * address and a purpose, expires after a TTL and is consumed by its first use, so a
+ * captured signed challenge or action cannot be replayed.
+ */
+
+import crypto from 'crypto';
+
+export const DEFAULT_NONCE_TTL_MS = 5 * 60 * 1000;
+
+function newNonce() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * In-process nonces (single server instance / demos)
+ */
+export class MemoryNonceStore {
+  constructor() {
+    this.nonces = new Map();
+  }
+
+  /**
+   * Issue a nonce for an identity and purpose
+   * @returns {Promise<Object>} { nonce, expiresAt }
+   */
+  async issue(identityAddress, purpose, ttlMs = DEFAULT_NONCE_TTL_MS) {
+    this.prune();
+    const nonce = newNonce();
+    const expiresAt = new Date(Date.now() + ttlMs);
+    this.nonces.set(nonce, { identityAddress, purpose, expiresAt });
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * Consume a nonce; true only on its first use, before expiry, by the identity and purpose it was issued for
+   */
+  async consume(nonce, identityAddress, purpose) {
+    const record = this.nonces.get(nonce);
+    if (!record || record.identityAddress !== identityAddress || record.purpose !== purpose) {
+      return false;
+    }
+
+    this.nonces.delete(nonce);
+    return record.expiresAt.getTime() > Date.now();
+  }
+
+  prune(now = Date.now()) {
+    for (const [nonce, record] of this.nonces) {
+      if (record.expiresAt.getTime() <= now) this.nonces.delete(nonce);
+    }
+  }
+}
+
+/**
+ * MongoDB-backed nonces shared by every API instance (TTL index drops expired ones)
+ */
+export class MongoNonceStore {
+  constructor() {
+    this.AuthNonce = null;
+  }
+
+  async initialize() {
+    if (!this.AuthNonce) {
+      const { AuthNonce, connectDatabase } = await import('../database/schemas.js');
+      await connectDatabase();
+      this.AuthNonce = AuthNonce;
+    }
+  }
+
+  async issue(identityAddress, purpose, ttlMs = DEFAULT_NONCE_TTL_MS) {
+    await this.initialize();
+    const nonce = newNonce();
+    const expiresAt = new Date(Date.now() + ttlMs);
+    await this.AuthNonce.create({ nonce, identityAddress, purpose, expiresAt });
+    return { nonce, expiresAt };
+  }
+
+  async consume(nonce, identityAddress, purpose) {
+    await this.initialize();
+    // Atomic: of two concurrent requests with the same nonce only one deletes it
+    const record = await this.AuthNonce.findOneAndDelete({
+      nonce: String(nonce),
+      identityAddress,
+      purpose,
+      expiresAt: { $gt: new Date() }
+    });
+    return Boolean(record);
+  }
+}
+
+/**
+ * Build a nonce store from config or AUTH_TOKEN_STORE (memory | mongo)
+ */
+export function createNonceStore(config = {}) {
+  const type = config.type || process.env.AUTH_TOKEN_STORE || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return new MemoryNonceStore();
+    case 'mongo':
+    case 'mongodb':
+      return new MongoNonceStore();
+    default:
+      throw new Error(`Unknown nonce store: ${type}`);
+  }
+}
+
+export default createNonceStore;
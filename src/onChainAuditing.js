@@ -8,13 +8,27 @@ import bsv from 'smartledger-bsv';
 import crypto from 'crypto';
 import { Song, User, RevenueDistribution, AuditLog } from '../database/schemas.js';
 import { connectDatabase } from '../database/schemas.js';
+import { publishData, publishAndWait } from './publishMongo.js';
+import { hashLeaf, buildMerkleTree, verifyMerklePath } from './merkleTree.js';
+
+// Unverified batches younger than this may still be publishing
+const DEFAULT_REPUBLISH_AGE_MS = 10 * 60 * 1000;
 
 class OnChainAuditingSystem {
-  constructor() {
+  /**
+   * @param {Object} config
+   * @param {Function} [config.publish] - Async generator with the publishData contract
+   * @param {BlockchainProvider} [config.provider] - Blockchain provider passed through to publishData
+   */
+  constructor(config = {}) {
     this.connected = false;
     this.paymentQueue = [];
     this.auditBuffer = [];
     this.microPaymentRate = 0.000001; // 1 satoshi per play
+    this.publish = config.publish || publishData;
+    this.provider = config.provider || null;
+    this.anchoringBatches = new Set();
+    this.republishTimer = null;
   }
 
   async initialize() {
@@ -62,48 +76,63 @@ class OnChainAuditingSystem {
 
   /**
    * Commit audit entries to blockchain in batches
+   * Only the Merkle root of the batch is anchored; each AuditLog keeps its own
+   * leaf hash and path. Entries are persisted unverified first, then marked
+   * verified once the OP_RETURN transaction has actually been broadcast; a batch
+   * whose publish fails is picked up by republishUnanchoredBatches.
    */
   async commitAuditBatch() {
     if (this.auditBuffer.length === 0) return;
 
-    try {
-      const batchData = {
-        batchId: crypto.randomBytes(16).toString('hex'),
-        timestamp: new Date(),
-        entries: this.auditBuffer.splice(0), // Take all entries and clear buffer
-        platform: 'AI Record Label',
-        version: '1.0'
-      };
+    await this.initialize();
 
-      // Create blockchain transaction (OP_RETURN)
-      const dataString = JSON.stringify(batchData);
-      const opReturnData = Buffer.from(dataString, 'utf8');
-      
-      // Generate transaction hash (simulated for demo)
-      const txHash = crypto.createHash('sha256')
-        .update(opReturnData)
-        .update(Date.now().toString())
-        .digest('hex');
+    try {
+      const batchId = crypto.randomBytes(16).toString('hex');
+      const entries = this.auditBuffer.splice(0); // Take all entries and clear buffer
+
+      // Build documents first so leaves hash exactly what Mongo will store
+      const auditLogs = entries.map(entry => new AuditLog({
+        ...entry,
+        blockchainHash: null,
+        verified: false,
+        batchId,
+        merkle: { salt: crypto.randomBytes(16).toString('hex') }
+      }));
 
-      // Update audit entries with blockchain verification
-      const auditPromises = batchData.entries.map(async (entry) => {
-        const auditLog = new AuditLog({
-          ...entry,
-          blockchainHash: txHash,
-          verified: true,
-          batchId: batchData.batchId
-        });
-        return auditLog.save();
+      const leafHashes = auditLogs.map(log => hashLeaf(OnChainAuditingSystem.getLeafData(log)));
+      const tree = buildMerkleTree(leafHashes);
+
+      auditLogs.forEach((log, index) => {
+        const proof = tree.proofs[index];
+        log.merkle = {
+          salt: log.merkle.salt,
+          leafHash: proof.leafHash,
+          leafIndex: proof.leafIndex,
+          root: tree.root,
+          batchSize: tree.leafCount,
+          path: proof.path
+        };
       });
 
-      await Promise.all(auditPromises);
+      // Persist entries before publishing so a failed broadcast never loses them;
+      // batches left unverified are anchored again by republishUnanchoredBatches
+      try {
+        await AuditLog.insertMany(auditLogs);
+      } catch (error) {
+        // Drop any partial insert; the entries go back for the next commit
+        await AuditLog.deleteMany({ batchId }).catch(() => {});
+        this.auditBuffer.unshift(...entries);
+        throw error;
+      }
 
-      console.log(`📋 Committed ${batchData.entries.length} audit entries to blockchain: ${txHash.substring(0, 16)}...`);
+      const txid = await this.anchorBatch(batchId, tree.root, tree.leafCount);
+      console.log(`📋 Committed ${tree.leafCount} audit entries to blockchain: ${txid.substring(0, 16)}... (root ${tree.root.substring(0, 16)}...)`);
       
       return {
-        batchId: batchData.batchId,
-        transactionHash: txHash,
-        entriesCount: batchData.entries.length
+        batchId,
+        transactionHash: txid,
+        merkleRoot: tree.root,
+        entriesCount: tree.leafCount
       };
     } catch (error) {
       console.error('Failed to commit audit batch:', error.message);
@@ -111,6 +140,190 @@ class OnChainAuditingSystem {
     }
   }
 
+  /**
+   * Anchor a stored batch's Merkle root and mark its entries verified
+   * Only the root is published - entry contents never reach the chain.
+   */
+  async anchorBatch(batchId, merkleRoot, entries) {
+    if (this.anchoringBatches.has(batchId)) {
+      throw new Error(`Audit batch ${batchId} is already being anchored`);
+    }
+    this.anchoringBatches.add(batchId);
+
+    try {
+      const anchorData = {
+        type: 'audit_batch',
+        batchId,
+        merkleRoot,
+        entries,
+        timestamp: new Date(),
+        platform: 'AI Record Label',
+        version: '2.0'
+      };
+
+      const txid = await this.publishBatch(JSON.stringify(anchorData));
+
+      // Only broadcast entries are marked verified
+      await AuditLog.updateMany(
+        { batchId },
+        { $set: { blockchainHash: txid, verified: true, processed: true, processedAt: new Date() } }
+      );
+      return txid;
+    } finally {
+      this.anchoringBatches.delete(batchId);
+    }
+  }
+
+  /**
+   * Anchor batches whose publish failed: stored, Merkle-committed entries that are
+   * still unverified after `minAgeMs` (younger batches may still be publishing)
+   * @returns {Object} { republished: [{ batchId, txid }], failed: [{ batchId, error }] }
+   */
+  async republishUnanchoredBatches({ minAgeMs = DEFAULT_REPUBLISH_AGE_MS, limit = 20 } = {}) {
+    await this.initialize();
+
+    const batches = await AuditLog.aggregate([
+      {
+        $match: {
+          verified: false,
+          batchId: { $ne: null },
+          'merkle.root': { $ne: null },
+          createdAt: { $lte: new Date(Date.now() - minAgeMs) }
+        }
+      },
+      { $group: { _id: '$batchId', merkleRoot: { $first: '$merkle.root' }, entries: { $first: '$merkle.batchSize' } } },
+      { $sort: { _id: 1 } },
+      { $limit: limit }
+    ]);
+
+    const result = { republished: [], failed: [] };
+    for (const { _id: batchId, merkleRoot, entries } of batches) {
+      if (this.anchoringBatches.has(batchId)) continue;
+      try {
+        const txid = await this.anchorBatch(batchId, merkleRoot, entries);
+        result.republished.push({ batchId, txid });
+        console.log(`📋 Republished audit batch ${batchId}: ${txid}`);
+      } catch (error) {
+        result.failed.push({ batchId, error: error.message });
+        console.warn(`⚠️  Audit batch ${batchId} is still unanchored: ${error.message}`);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Run republishUnanchoredBatches every `intervalMs` (the timer does not keep the process alive)
+   */
+  startRepublishSweeper(intervalMs = 5 * 60 * 1000) {
+    if (!this.republishTimer) {
+      this.republishTimer = setInterval(() => {
+        this.republishUnanchoredBatches().catch(error => {
+          console.error('❌ Audit batch republish failed:', error.message);
+        });
+      }, intervalMs);
+      this.republishTimer.unref();
+    }
+    return this.republishTimer;
+  }
+
+  stopRepublishSweeper() {
+    clearInterval(this.republishTimer);
+    this.republishTimer = null;
+  }
+
+  /**
+   * Fields of an audit entry that are committed to its Merkle leaf
+   */
+  static getLeafData(auditLog) {
+    const entry = typeof auditLog.toObject === 'function' ? auditLog.toObject() : auditLog;
+
+    return {
+      action: entry.action,
+      entityType: entry.entityType,
+      entityId: entry.entityId ? entry.entityId.toString() : null,
+      userId: entry.userId ? entry.userId.toString() : null,
+      timestamp: new Date(entry.timestamp).toISOString(),
+      details: entry.details || {},
+      salt: entry.merkle?.salt || null
+    };
+  }
+
+  /**
+   * Build a portable inclusion proof for one audit entry
+   * Reveals that entry plus sibling hashes only - never the other entries.
+   */
+  async getInclusionProof(auditLogId) {
+    await this.initialize();
+
+    const auditLog = await AuditLog.findById(auditLogId);
+    if (!auditLog) {
+      throw new Error(`Audit entry not found: ${auditLogId}`);
+    }
+
+    if (!auditLog.merkle?.root) {
+      throw new Error(`Audit entry ${auditLogId} was not committed in a Merkle batch`);
+    }
+
+    return {
+      auditLogId: auditLog._id.toString(),
+      batchId: auditLog.batchId,
+      txid: auditLog.blockchainHash,
+      anchored: auditLog.verified,
+      merkleRoot: auditLog.merkle.root,
+      batchSize: auditLog.merkle.batchSize,
+      leafIndex: auditLog.merkle.leafIndex,
+      leafHash: auditLog.merkle.leafHash,
+      leaf: OnChainAuditingSystem.getLeafData(auditLog),
+      path: auditLog.merkle.path.map(step => ({ hash: step.hash, position: step.position }))
+    };
+  }
+
+  /**
+   * Verify an inclusion proof without database access
+   * @param {Object} proof - Output of getInclusionProof
+   * @param {Object} [anchorPayload] - Decoded OP_RETURN JSON of proof.txid, if already fetched
+   */
+  static verifyInclusionProof(proof, anchorPayload = null) {
+    const recomputedLeaf = hashLeaf(proof.leaf);
+    const leafHashValid = recomputedLeaf === proof.leafHash;
+    const pathValid = leafHashValid && verifyMerklePath(recomputedLeaf, proof.path, proof.merkleRoot);
+    const anchorValid = anchorPayload
+      ? anchorPayload.merkleRoot === proof.merkleRoot && anchorPayload.batchId === proof.batchId
+      : null;
+
+    return {
+      valid: pathValid && anchorValid !== false,
+      leafHashValid,
+      pathValid,
+      anchorValid,
+      merkleRoot: proof.merkleRoot,
+      txid: proof.txid
+    };
+  }
+
+  /**
+   * Verify a stored audit entry is included in its anchored batch
+   */
+  async verifyAuditEntry(auditLogId, anchorPayload = null) {
+    const proof = await this.getInclusionProof(auditLogId);
+    const result = OnChainAuditingSystem.verifyInclusionProof(proof, anchorPayload);
+
+    return {
+      ...result,
+      valid: result.valid && proof.anchored,
+      anchored: proof.anchored,
+      proof
+    };
+  }
+
+  /**
+   * Run the publish generator to completion and return the broadcast txid
+   */
+  async publishBatch(dataString) {
+    const options = this.provider ? { provider: this.provider } : {};
+    return publishAndWait(dataString, options, { label: 'Audit batch', publish: this.publish });
+  }
+
   /**
    * Process music play event and calculate micro-payments
    */
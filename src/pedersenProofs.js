@@ -0,0 +1,412 @@
+/**
+ * Pedersen Commitment Proof System
+ * Zero-knowledge proofs over secp256k1 for the numeric claims we publish:
+ *   - committed values sum to a public total (e.g. splits sum to 100%)
+ *   - a committed value lies in [0, 2^bits) (bit-decomposition range proof)
+ *   - a committed value is at least / at most a public bound
+ *
+ * Commitments are C = v·G + r·H where H is a nothing-up-my-sleeve generator.
+ * Proofs are Schnorr / CDS OR sigma protocols made non-interactive with
+ * Fiat-Shamir. All blinding factors and nonces are derived with HMAC from a
+ * secret seed, the committed value and the statement being proved (as RFC 6979
+ * does with the message), so the same inputs always produce the same proof while
+ * a nonce is never reused for a different secret.
+ */
+
+import crypto from 'crypto';
+import bsv from 'smartledger-bsv';
+
+const { Point, BN } = bsv.crypto;
+
+const N = Point.getN();
+const G = Point.getG();
+
+export const PEDERSEN_SCHEME = 'pedersen-sigma-secp256k1-v1';
+const GENERATOR_DOMAIN = 'AI-Record-Label/Pedersen/H';
+const MAX_RANGE_BITS = 48;
+
+let generatorH = null;
+
+/**
+ * Second generator H, found by hashing to the curve (try-and-increment)
+ * Nobody knows log_G(H), which is what makes commitments binding.
+ */
+export function getGeneratorH() {
+  for (let counter = 0; !generatorH; counter++) {
+    const x = BN.fromBuffer(sha256Parts([GENERATOR_DOMAIN, String(counter)]));
+    try {
+      generatorH = Point.fromX(false, x);
+    } catch {
+      // x is not on the curve, try the next counter
+    }
+  }
+  return generatorH;
+}
+
+/**
+ * Public parameters a verifier needs - deterministic for the scheme
+ */
+export function getVerificationKey() {
+  return {
+    scheme: PEDERSEN_SCHEME,
+    G: encodePoint(G),
+    H: encodePoint(getGeneratorH())
+  };
+}
+
+/**
+ * Fingerprint of the public parameters
+ */
+export function getVerificationKeyHash() {
+  const key = getVerificationKey();
+  return crypto.createHash('sha256').update(`${key.scheme}|${key.G}|${key.H}`).digest('hex');
+}
+
+// --- Encoding helpers ---
+
+export function encodePoint(point) {
+  const prefix = point.getY().isOdd() ? '03' : '02';
+  return prefix + point.getX().toBuffer({ size: 32 }).toString('hex');
+}
+
+export function decodePoint(hex) {
+  if (typeof hex !== 'string' || !/^0[23][0-9a-fA-F]{64}$/.test(hex)) {
+    throw new Error('Invalid compressed point encoding');
+  }
+  return Point.fromX(hex.startsWith('03'), BN.fromBuffer(Buffer.from(hex.slice(2), 'hex')));
+}
+
+function encodeScalar(scalar) {
+  return scalar.toBuffer({ size: 32 }).toString('hex');
+}
+
+function decodeScalar(hex) {
+  if (typeof hex !== 'string' || !/^[0-9a-fA-F]{64}$/.test(hex)) {
+    throw new Error('Invalid scalar encoding');
+  }
+  return BN.fromBuffer(Buffer.from(hex, 'hex')).umod(N);
+}
+
+function toScalar(value) {
+  if (BN.isBN(value)) return value.umod(N);
+  if (!Number.isSafeInteger(value)) {
+    throw new Error(`Committed values must be safe integers, got ${value}`);
+  }
+  return new BN(value).umod(N);
+}
+
+function updateParts(hash, parts) {
+  for (const part of parts) {
+    const buf = Buffer.isBuffer(part) ? part : Buffer.from(String(part), 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(buf.length);
+    hash.update(length).update(buf);
+  }
+  return hash;
+}
+
+function sha256Parts(parts) {
+  return updateParts(crypto.createHash('sha256'), parts).digest();
+}
+
+/**
+ * Fiat-Shamir challenge over a tagged transcript of strings and points
+ */
+function challenge(tag, context, ...items) {
+  const parts = [PEDERSEN_SCHEME, tag, context, ...items.map(item => (
+    typeof item === 'string' ? item : Buffer.from(encodePoint(item), 'hex')
+  ))];
+  return BN.fromBuffer(sha256Parts(parts)).umod(N);
+}
+
+function mulG(value) {
+  return G.mul(toScalar(value));
+}
+
+function subtract(a, b) {
+  return a.add(b.neg());
+}
+
+/**
+ * Pedersen commitment C = v·G + r·H
+ */
+export function commit(value, blinding) {
+  return mulG(value).add(getGeneratorH().mul(toScalar(blinding)));
+}
+
+// --- Sigma protocols ---
+
+/**
+ * Schnorr proof of knowledge of x with P = x·H
+ */
+function proveDiscreteLogH(secret, P, context, nonce) {
+  const R = getGeneratorH().mul(nonce);
+  const e = challenge('dlog-h', context, P, R);
+  const s = nonce.add(e.mul(secret)).umod(N);
+  return { R: encodePoint(R), s: encodeScalar(s) };
+}
+
+function verifyDiscreteLogH(proof, P, context) {
+  const R = decodePoint(proof.R);
+  const s = decodeScalar(proof.s);
+  const e = challenge('dlog-h', context, P, R);
+  return getGeneratorH().mul(s).eq(R.add(P.mul(e)));
+}
+
+/**
+ * CDS OR-proof that C commits to 0 or 1 (C = r·H or C - G = r·H)
+ */
+function proveBit(bit, blinding, C, context, nonces) {
+  const H = getGeneratorH();
+  const statements = [C, subtract(C, G)];
+  const real = bit;
+  const simulated = 1 - bit;
+
+  const R = [];
+  R[real] = H.mul(nonces.k);
+  R[simulated] = subtract(H.mul(nonces.s), statements[simulated].mul(nonces.e));
+
+  const e = challenge('bit', context, C, R[0], R[1]);
+  const eReal = e.sub(nonces.e).umod(N);
+  const sReal = nonces.k.add(eReal.mul(blinding)).umod(N);
+
+  const es = [];
+  const ss = [];
+  es[real] = eReal;
+  ss[real] = sReal;
+  es[simulated] = nonces.e;
+  ss[simulated] = nonces.s;
+
+  return {
+    e0: encodeScalar(es[0]),
+    e1: encodeScalar(es[1]),
+    s0: encodeScalar(ss[0]),
+    s1: encodeScalar(ss[1])
+  };
+}
+
+function verifyBit(proof, C, context) {
+  const H = getGeneratorH();
+  const statements = [C, subtract(C, G)];
+  const e0 = decodeScalar(proof.e0);
+  const e1 = decodeScalar(proof.e1);
+  const R0 = subtract(H.mul(decodeScalar(proof.s0)), statements[0].mul(e0));
+  const R1 = subtract(H.mul(decodeScalar(proof.s1)), statements[1].mul(e1));
+
+  return e0.add(e1).umod(N).eq(challenge('bit', context, C, R0, R1));
+}
+
+/**
+ * Prover holding the secret seed all blinding factors and nonces derive from
+ */
+export class PedersenProofSystem {
+  /**
+   * @param {Object} config
+   * @param {Buffer|string} config.seed - Secret seed; same seed + inputs = same proofs
+   */
+  constructor(config = {}) {
+    if (!config.seed) {
+      throw new Error('PedersenProofSystem requires a secret seed');
+    }
+    this.seed = Buffer.isBuffer(config.seed) ? config.seed : Buffer.from(String(config.seed), 'utf8');
+  }
+
+  /**
+   * Deterministic non-zero scalar (RFC 6979 style). Callers pass the secrets and
+   * the statement, so different secrets never share a scalar.
+   */
+  deriveScalar(...parts) {
+    for (let counter = 0; ; counter++) {
+      const digest = updateParts(crypto.createHmac('sha256', this.seed), [...parts, String(counter)]).digest();
+      const scalar = BN.fromBuffer(digest).umod(N);
+      if (!scalar.isZero()) return scalar;
+    }
+  }
+
+  /**
+   * Blinding factor for a named commitment to `value`
+   */
+  blindingFor(label, value) {
+    return this.deriveScalar('blinding', label, encodeScalar(toScalar(value)));
+  }
+
+  /**
+   * Commit to a value under a named blinding factor
+   */
+  commit(value, label) {
+    return encodePoint(commit(value, this.blindingFor(label, value)));
+  }
+
+  /**
+   * Prove the values behind `labels` sum to `total`
+   */
+  proveSumEquals(values, labels, total, context) {
+    const sum = values.reduce((acc, value) => acc + value, 0);
+    if (sum !== total) {
+      throw new Error(`Claim does not hold: values sum to ${sum}, not ${total}`);
+    }
+
+    const commitments = labels.map((label, i) => this.commit(values[i], label));
+    const blindingSum = labels.reduce((acc, label, i) => acc.add(this.blindingFor(label, values[i])), new BN(0)).umod(N);
+    const D = subtract(sumPoints(commitments.map(decodePoint)), mulG(total));
+    const nonce = this.deriveScalar('sum', context, encodeScalar(blindingSum), encodePoint(D), ...commitments);
+
+    return {
+      type: 'sum_equals',
+      total,
+      commitments,
+      proof: proveDiscreteLogH(blindingSum, D, context, nonce)
+    };
+  }
+
+  /**
+   * Range proof core: `value` behind point C lies in [0, 2^bits)
+   */
+  proveRangeForPoint(value, blinding, C, bits, context, label) {
+    if (!Number.isInteger(bits) || bits < 1 || bits > MAX_RANGE_BITS) {
+      throw new Error(`Range bits must be between 1 and ${MAX_RANGE_BITS}`);
+    }
+    if (!Number.isSafeInteger(value) || value < 0 || value >= 2 ** bits) {
+      throw new Error(`Claim does not hold: value outside [0, 2^${bits})`);
+    }
+
+    // Everything derived below is bound to the secrets and the full statement
+    const statement = [context, label, String(bits), encodePoint(C), String(value), encodeScalar(blinding)];
+    const bitCommitments = [];
+    const bitProofs = [];
+    let weightedBlinding = new BN(0);
+
+    for (let j = 0; j < bits; j++) {
+      const bit = Math.floor(value / 2 ** j) % 2;
+      const bitLabel = `${label}|bit:${j}`;
+      const r = this.deriveScalar('bit-blinding', ...statement, String(j));
+      const Cj = commit(bit, r);
+
+      bitCommitments.push(encodePoint(Cj));
+      bitProofs.push(proveBit(bit, r, Cj, `${context}|${bitLabel}`, {
+        k: this.deriveScalar('bit-k', ...statement, String(j)),
+        e: this.deriveScalar('bit-e', ...statement, String(j)),
+        s: this.deriveScalar('bit-s', ...statement, String(j))
+      }));
+      weightedBlinding = weightedBlinding.add(r.mul(new BN(2 ** j)));
+    }
+
+    // C - Σ 2^j·C_j must be a pure multiple of H
+    const D = subtract(C, weightedSum(bitCommitments.map(decodePoint)));
+    const linkSecret = blinding.sub(weightedBlinding).umod(N);
+
+    return {
+      bits,
+      bitCommitments,
+      bitProofs,
+      link: proveDiscreteLogH(linkSecret, D, `${context}|${label}`, this.deriveScalar('link', ...statement, encodePoint(D)))
+    };
+  }
+
+  /**
+   * Prove the value behind `label` lies in [0, 2^bits)
+   */
+  proveRange(value, label, bits, context) {
+    const blinding = this.blindingFor(label, value);
+    const C = commit(value, blinding);
+
+    return {
+      type: 'range',
+      commitment: encodePoint(C),
+      range: this.proveRangeForPoint(value, blinding, C, bits, context, label)
+    };
+  }
+
+  /**
+   * Prove the value behind `label` is >= min
+   */
+  proveAtLeast(value, label, min, bits, context) {
+    const blinding = this.blindingFor(label, value);
+    const C = commit(value, blinding);
+    const shifted = subtract(C, mulG(min));
+
+    return {
+      type: 'at_least',
+      commitment: encodePoint(C),
+      min,
+      range: this.proveRangeForPoint(value - min, blinding, shifted, bits, context, `${label}|min:${min}`)
+    };
+  }
+
+  /**
+   * Prove the value behind `label` is <= max
+   */
+  proveAtMost(value, label, max, bits, context) {
+    const blinding = this.blindingFor(label, value);
+    const C = commit(value, blinding);
+    const shifted = subtract(mulG(max), C);
+
+    return {
+      type: 'at_most',
+      commitment: encodePoint(C),
+      max,
+      range: this.proveRangeForPoint(max - value, N.sub(blinding).umod(N), shifted, bits, context, `${label}|max:${max}`)
+    };
+  }
+
+  // --- Verification (no secrets needed) ---
+
+  static verifyRangeForPoint(range, C, context, label) {
+    if (!range || !Number.isInteger(range.bits) || range.bits < 1 || range.bits > MAX_RANGE_BITS) {
+      return false;
+    }
+    if (range.bitCommitments?.length !== range.bits || range.bitProofs?.length !== range.bits) {
+      return false;
+    }
+
+    const bitPoints = range.bitCommitments.map(decodePoint);
+    const bitsValid = bitPoints.every((Cj, j) => (
+      verifyBit(range.bitProofs[j], Cj, `${context}|${label}|bit:${j}`)
+    ));
+    if (!bitsValid) return false;
+
+    const D = subtract(C, weightedSum(bitPoints));
+    return verifyDiscreteLogH(range.link, D, `${context}|${label}`);
+  }
+
+  /**
+   * Verify one claim produced by this class
+   * @param {Object} claim - Claim object (sum_equals | range | at_least | at_most)
+   * @param {string} context - Context string the proof was bound to
+   * @param {string} [label] - Commitment label, required for range-style claims
+   */
+  static verifyClaim(claim, context, label = null) {
+    try {
+      switch (claim.type) {
+        case 'sum_equals': {
+          const D = subtract(sumPoints(claim.commitments.map(decodePoint)), mulG(claim.total));
+          return verifyDiscreteLogH(claim.proof, D, context);
+        }
+        case 'range':
+          return PedersenProofSystem.verifyRangeForPoint(claim.range, decodePoint(claim.commitment), context, label);
+        case 'at_least': {
+          const shifted = subtract(decodePoint(claim.commitment), mulG(claim.min));
+          return PedersenProofSystem.verifyRangeForPoint(claim.range, shifted, context, `${label}|min:${claim.min}`);
+        }
+        case 'at_most': {
+          const shifted = subtract(mulG(claim.max), decodePoint(claim.commitment));
+          return PedersenProofSystem.verifyRangeForPoint(claim.range, shifted, context, `${label}|max:${claim.max}`);
+        }
+        default:
+          return false;
+      }
+    } catch {
+      return false;
+    }
+  }
+}
+
+function sumPoints(points) {
+  return points.slice(1).reduce((acc, point) => acc.add(point), points[0]);
+}
+
+function weightedSum(points) {
+  return sumPoints(points.map((point, j) => point.mul(new BN(2 ** j))));
+}
+
+export default PedersenProofSystem;
@@ -1,14 +1,14 @@
 import fs from "fs/promises";
-import fetch from "node-fetch";
 import bsv from "smartledger-bsv";
 import crypto from "crypto";
 import dotenv from 'dotenv';
 import { UTXOManagerMongo } from './utxoManagerMongo.js';
+import { getDefaultProvider } from './blockchainProvider.js';
+import { createFeePolicy, opReturnOutput } from './coinSelection.js';
 
 dotenv.config();
 
 const NETWORK = process.env.BSV_NETWORK || "main";
-const API_BASE = `https://api.whatsonchain.com/v1/bsv/${NETWORK}`;
 const WALLET_PATH = "./wallets/wallet.json";
 
 const delay = (ms) => new Promise(res => setTimeout(res, ms));
@@ -16,6 +16,10 @@ const delay = (ms) => new Promise(res => setTimeout(res, ms));
 // Initialize MongoDB UTXO manager
 const utxoManager = new UTXOManagerMongo(WALLET_PATH);
 
+// The publishing pool every publishData call draws from
+const PUBLISHING_WALLET_PATH = './wallets/publishing-wallet.json';
+const publishingPool = new UTXOManagerMongo(PUBLISHING_WALLET_PATH);
+
 // --- Legacy file-based helpers (for backward compatibility) ---
 async function loadWallet() {
   try {
@@ -41,10 +45,17 @@ function generateWallet() {
 }
 
 // --- Enhanced Async Generator for Publishing with Small UTXOs ---
-async function* publishGenerator(text) {
+async function* publishGenerator(text, options = {}) {
+  const {
+    provider = getDefaultProvider(),
+    leaseMs = Number(process.env.UTXO_LEASE_MS) || undefined,
+    strategy = process.env.COIN_SELECTION_STRATEGY || 'branch-and-bound',
+    feePolicy = createFeePolicy()
+  } = options;
+
   try {
     // Load wallets
-    const publishingWallet = JSON.parse(await fs.readFile('./wallets/publishing-wallet.json', 'utf8'));
+    const publishingWallet = JSON.parse(await fs.readFile(PUBLISHING_WALLET_PATH, 'utf8'));
     const sweepWallet = JSON.parse(await fs.readFile('./wallets/sweep-wallet.json', 'utf8'));
     
     yield { 
@@ -53,63 +64,50 @@ async function* publishGenerator(text) {
       sweep: sweepWallet.address
     };
 
-    // Start with one UTXO and calculate exact transaction size
-    yield { stage: "calculating_size", message: "Starting with 1 UTXO, will calculate exact size..." };
-    
-    const dataSize = Buffer.from(text, 'utf8').length;
-    let requiredUTXOs = 1;
-    
-    yield { 
-      stage: "size_estimated", 
-      message: `Data: ${dataSize} bytes, Starting with: ${requiredUTXOs} UTXO` 
+    const data = Buffer.from(text, 'utf8');
+    yield {
+      stage: "calculating_size",
+      message: `Data: ${data.length} bytes, selecting UTXOs (${strategy} @ ${feePolicy.satPerByte} sat/byte)...`
     };
 
     // Initialize database connection and get publishing UTXOs
     const { UTXOService } = await import('../database/services.js');
-    const { connectDatabase, UTXO } = await import('../database/schemas.js');
+    const { connectDatabase } = await import('../database/schemas.js');
     await connectDatabase();
-    
-    // Get smallest UTXOs first for efficient publishing (override default largest-first)
-    const availableUTXOs = await UTXO.find({
-      walletAddress: publishingWallet.address,
-      status: 'available',
-      satoshis: { $gte: 0 }
-    }).sort({ satoshis: 1 }).limit(requiredUTXOs).exec(); // Smallest first!
-    
-    if (availableUTXOs.length < requiredUTXOs) {
-      yield { 
-        stage: "error", 
-        message: `Insufficient publishing UTXOs: need ${requiredUTXOs}, have ${availableUTXOs.length}. Run splitUtxos.js first.` 
-      };
+
+    // Coins still reserved by a publisher that crashed go back to the pool first
+    await UTXOService.reclaimExpiredLeases(publishingWallet.address, {
+      getSpentBy: (txid, vout) => provider.getSpentBy(txid, vout)
+    });
+
+    // Lease owner for this publish: only it can release the coins it reserves
+    const leaseOwner = `publishing:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    yield { stage: "reserving_utxos", message: "Selecting and reserving UTXOs..." };
+
+    let selection;
+    try {
+      selection = await UTXOService.getUTXOsForSpending(publishingWallet.address, {
+        outputs: [opReturnOutput([data])]
+      }, {
+        strategy,
+        feePolicy,
+        actor: 'publishing',
+        reserve: { owner: leaseOwner, leaseMs }
+      });
+    } catch (error) {
+      const hint = error.code === 'INSUFFICIENT_FUNDS' ? ' Run splitUtxos.js first.' : '';
+      yield { stage: "error", message: `${error.message}.${hint}` };
       return;
     }
+    const reservedUTXOs = selection.inputs;
 
-    // Select and reserve UTXOs
-    const selectedUTXOs = availableUTXOs.slice(0, requiredUTXOs);
-    yield { stage: "reserving_utxos", message: `Reserving ${selectedUTXOs.length} UTXOs...` };
-    
-    const reservedUTXOs = [];
-    for (const utxo of selectedUTXOs) {
-      try {
-        // Use the UTXO model's reserve method directly
-        await utxo.reserve('publishing');
-        reservedUTXOs.push(utxo);
-      } catch (error) {
-        // If reservation fails, restore already reserved UTXOs
-        for (const prevReserved of reservedUTXOs) {
-          await prevReserved.release('publishing');
-        }
-        yield { stage: "error", message: `Failed to reserve UTXOs: ${error.message}` };
-        return;
-      }
-    }
-    
-    // Calculate actual total input from reserved UTXOs
-    const totalInput = reservedUTXOs.reduce((sum, utxo) => sum + utxo.satoshis, 0);
-    
+    yield {
+      stage: "size_estimated",
+      message: `${reservedUTXOs.length} UTXO(s) via ${selection.strategy}: ~${selection.size} bytes, fee ${selection.fee} sats`
+    };
     yield { 
       stage: "utxos_reserved", 
-      message: `Reserved ${reservedUTXOs.length} UTXOs totaling ${totalInput} satoshis` 
+      message: `Reserved ${reservedUTXOs.length} UTXOs totaling ${selection.inputTotal} satoshis` 
     };
 
     // --- build + sign transaction ---
@@ -130,53 +128,71 @@ async function* publishGenerator(text) {
 
     // OP_RETURN
     tx.addOutput(new bsv.Transaction.Output({
-      script: bsv.Script.buildSafeDataOut(Buffer.from(text, "utf8")),
+      script: bsv.Script.buildSafeDataOut(data),
       satoshis: 0
     }));
 
-    // set change + fee and sign
-    tx.change(sweepWallet.address)
-      .feePerKb(10)
-      .sign(publishingPrivateKey);
-
-    const actualFee = tx.getFee();
-    const changeAmount = tx.inputAmount - tx.outputAmount - actualFee;
+    // Change only when the selection left more than dust; otherwise it is part of the fee
+    if (selection.change > 0) {
+      tx.to(sweepWallet.address, selection.change);
+    }
+    tx.fee(selection.fee).sign(publishingPrivateKey);
 
     yield {
       stage: "tx_built",
-      message: `Fee fixed @10 sats/KB = ${actualFee} sats. Change: ${changeAmount} → ${sweepWallet.address}`
+      message: `Fee @${feePolicy.satPerByte} sat/byte = ${selection.fee} sats. Change: ${selection.change} → ${sweepWallet.address}`
     };
 
     const raw = tx.toString();
     yield { stage: "signed", txHex: raw };
 
+    // Broadcast transaction; only a failed broadcast returns the reserved UTXOs
+    yield { stage: "broadcasting", message: `Broadcasting transaction via ${provider.name}...` };
+
+    let cleanTxid;
     try {
-      // Broadcast transaction
-      yield { stage: "broadcasting", message: "Broadcasting transaction to network..." };
-      
-      const response = await fetch(`${API_BASE}/tx/raw`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ txhex: raw })
-      });
+      cleanTxid = await provider.broadcast(raw);
+    } catch (e) {
+      yield { stage: "error_restoring", message: "Broadcast failed, restoring UTXOs..." };
       
-      if (!response.ok) {
-        throw new Error(`Broadcast failed: ${response.status} ${response.statusText}`);
+      let restoredCount = 0;
+      for (const utxo of reservedUTXOs) {
+        try {
+          // null when the lease expired and the coin was reclaimed meanwhile
+          if (await UTXOService.releaseReservation(utxo.txid, utxo.vout, leaseOwner, 'publishing')) {
+            restoredCount++;
+          }
+        } catch (restoreError) {
+          console.warn(`Failed to restore UTXO ${utxo.txid}:${utxo.vout}:`, restoreError.message);
+        }
       }
       
-      const txidResponse = await response.text();
-      const cleanTxid = txidResponse.replace(/["\n\r]/g, '').trim();
+      yield { 
+        stage: "error", 
+        message: e.message, 
+        utxos_restored: restoredCount,
+        total_utxos: reservedUTXOs.length
+      };
+      return;
+    }
       
-      yield { stage: "broadcasted", txid: cleanTxid };
+    yield { stage: "broadcasted", txid: cleanTxid };
 
-      // Mark all used UTXOs as spent
+    // The coins are spent on chain now: bookkeeping failures below must not put them back in the pool
+    try {
+      // Mark all used UTXOs as spent (null when the lease lapsed and the sweeper got there first)
+      let spentCount = 0;
       for (const utxo of reservedUTXOs) {
-        await utxo.markSpent(cleanTxid, 'publishing');
+        if (await UTXOService.spendReservation(utxo.txid, utxo.vout, leaseOwner, cleanTxid, 'publishing')) {
+          spentCount++;
+        } else {
+          console.warn(`⚠️  Lease on ${utxo.txid}:${utxo.vout} lapsed before ${cleanTxid} spent it`);
+        }
       }
       
       yield { 
         stage: "utxos_spent", 
-        message: `Marked ${reservedUTXOs.length} UTXOs as spent in ${cleanTxid}` 
+        message: `Marked ${spentCount}/${reservedUTXOs.length} UTXOs as spent in ${cleanTxid}` 
       };
 
       // Add change output to sweep address as new UTXO
@@ -217,28 +233,14 @@ async function* publishGenerator(text) {
         txid: cleanTxid,
         publishingUTXOs: finalPublishingStats.availableUTXOs || 0,
         sweepBalance: finalSweepStats.availableBalance || 0,
-        explorer: `https://whatsonchain.com/tx/${cleanTxid}`
+        explorer: provider.getExplorerUrl(cleanTxid)
       };
       
     } catch (e) {
-      // If broadcast failed, restore all reserved UTXOs
-      yield { stage: "error_restoring", message: "Broadcast failed, restoring UTXOs..." };
-      
-      let restoredCount = 0;
-      for (const utxo of reservedUTXOs) {
-        try {
-          await utxo.release('publishing');
-          restoredCount++;
-        } catch (restoreError) {
-          console.warn(`Failed to restore UTXO ${utxo.txid}:${utxo.vout}:`, restoreError.message);
-        }
-      }
-      
       yield { 
         stage: "error", 
-        message: e.message, 
-        utxos_restored: restoredCount,
-        total_utxos: reservedUTXOs.length
+        txid: cleanTxid,
+        message: `Broadcast ${cleanTxid} succeeded but bookkeeping failed: ${e.message}`
       };
     }
     
@@ -248,14 +250,15 @@ async function* publishGenerator(text) {
 }
 
 // --- Legacy async generator (backwards compatibility) ---
-async function* publishGeneratorLegacy(text) {
+async function* publishGeneratorLegacy(text, options = {}) {
+  const { provider = getDefaultProvider() } = options;
   const wallet = await loadWallet();
   yield { stage: "wallet_loaded", address: wallet.address };
 
   let utxos = await readUTXOs();
   if (utxos.length === 0) {
     yield { stage: "fetching_utxos" };
-    utxos = await fetchUTXOs(wallet.address);
+    utxos = await fetchUTXOs(wallet.address, provider);
     await writeUTXOs(utxos);
     yield { stage: "utxos_fetched", count: utxos.length };
   }
@@ -295,14 +298,8 @@ async function* publishGeneratorLegacy(text) {
   yield { stage: "signed", txHex: raw };
 
   try {
-    const response = await fetch(`${API_BASE}/tx/raw`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ txhex: raw })
-    });
-    const txidResponse = await response.text();
-    const cleanTxid = txidResponse.replace(/["\n\r]/g, '').trim(); // Clean up response
-    yield { stage: "broadcasted", txid: txidResponse };
+    const cleanTxid = await provider.broadcast(raw);
+    yield { stage: "broadcasted", txid: cleanTxid };
 
     // Find change output (the one with satoshis > 0, usually the last output)
     const changeOutputIndex = tx.outputs.findIndex(o => o.satoshis > 0);
@@ -324,7 +321,7 @@ async function* publishGeneratorLegacy(text) {
       yield { stage: "utxo_updated", newUTXO: changeUTXO, availableUTXOs: currentUTXOs.length };
     }
 
-    yield { stage: "done", txid: txidResponse };
+    yield { stage: "done", txid: cleanTxid };
   } catch (e) {
     // If broadcast failed, we should restore the spent UTXO
     const currentUTXOs = await readUTXOs();
@@ -335,27 +332,16 @@ async function* publishGeneratorLegacy(text) {
 }
 
 // --- File-based UTXO helpers (legacy support) ---
-async function fetchUTXOs(address) {
-  const response = await fetch(`${API_BASE}/address/${address}/unspent`);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch UTXOs: ${response.status} ${response.statusText}`);
-  }
+async function fetchUTXOs(address, provider = getDefaultProvider()) {
+  const unspent = await provider.listUnspent(address);
 
-  const data = await response.json();
-
-  // Do not dust-filter; only validate required fields
-  return data
-    .filter(u => {
-      if (!u.tx_hash || typeof u.tx_pos !== "number" || !u.value) {
-        console.warn(`Invalid UTXO data:`, u);
-        return false;
-      }
-      return true;
-    })
+  // Do not dust-filter; only skip outputs already spent in mempool
+  return unspent
+    .filter(u => !u.spentInMempool)
     .map(u => ({
-      txid: u.tx_hash,
-      vout: u.tx_pos,
-      satoshis: u.value,
+      txid: u.txid,
+      vout: u.vout,
+      satoshis: u.satoshis,
       script: bsv.Script.buildPublicKeyHashOut(address).toHex(),
       scriptPubKey: bsv.Script.buildPublicKeyHashOut(address).toHex(),
       confirmations: u.confirmations || 0,
@@ -378,25 +364,23 @@ async function writeUTXOs(utxos) {
 }
 
 // --- Direct broadcast from hex file ---
-async function publishFromHexFile(hexFilePath = './oppushtx_hex.txt') {
+async function publishFromHexFile(hexFilePath = './oppushtx_hex.txt', provider = getDefaultProvider()) {
   try {
     console.log(`📡 Reading transaction hex from ${hexFilePath}...`);
     const txHex = await fs.readFile(hexFilePath, 'utf8');
     const cleanHex = txHex.trim();
     
     console.log(`🔍 Transaction size: ${cleanHex.length / 2} bytes`);
-    console.log(`📤 Broadcasting to ${NETWORK} network...`);
+    console.log(`📤 Broadcasting via ${provider.name}...`);
     
-    const response = await fetch(`${API_BASE}/tx/raw`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ txhex: cleanHex })
-    });
-    const txid = await response.text();
+    const txid = await provider.broadcast(cleanHex);
     
     console.log('✅ Transaction broadcast successful!');
     console.log(`🔗 TXID: ${txid}`);
-    console.log(`🌐 View on WhatsOnChain: https://whatsonchain.com/tx/${txid}`);
+    const explorer = provider.getExplorerUrl(txid);
+    if (explorer) {
+      console.log(`🌐 View: ${explorer}`);
+    }
     
     return txid;
     
@@ -412,6 +396,8 @@ async function publishFromHexFile(hexFilePath = './oppushtx_hex.txt') {
  * Publish data using MongoDB UTXO management (recommended)
  * @param {string} text - Text to publish as OP_RETURN
  * @param {Object} options - Publishing options
+ * @param {boolean} [options.useLegacy] - Use file-based UTXO management
+ * @param {BlockchainProvider} [options.provider] - Blockchain provider (defaults to getDefaultProvider())
  * @returns {AsyncGenerator} Progress updates
  */
 export async function* publishData(text, options = {}) {
@@ -419,22 +405,79 @@ export async function* publishData(text, options = {}) {
   
   if (useLegacy) {
     console.log('⚠️  Using legacy file-based UTXO management');
-    yield* publishGeneratorLegacy(text);
+    yield* publishGeneratorLegacy(text, options);
   } else {
     console.log('✅ Using MongoDB UTXO management');
-    yield* publishGenerator(text);
+    yield* publishGenerator(text, options);
   }
 }
 
+/**
+ * Run a publishData-style generator to completion and return the broadcast txid.
+ * Errors after the broadcast (UTXO bookkeeping) are logged, not thrown: the
+ * transaction is already on the network.
+ * @param {string} text - Text to publish as OP_RETURN
+ * @param {Object} [options] - Passed to the generator
+ * @param {Object} [settings]
+ * @param {string} [settings.label] - Name used in errors and warnings
+ * @param {Function} [settings.publish] - Generator with the publishData contract
+ * @returns {Promise<string>} txid
+ */
+export async function publishAndWait(text, options = {}, { label = 'Transaction', publish = publishData } = {}) {
+  let txid = null;
+
+  for await (const update of publish(text, options)) {
+    if (update.stage === 'broadcasted') {
+      txid = update.txid;
+    } else if (update.stage === 'error') {
+      if (!txid) {
+        throw new Error(`${label} publish failed: ${update.message}`);
+      }
+      console.warn(`⚠️  ${label} ${txid} broadcast but post-processing failed: ${update.message}`);
+    }
+  }
+
+  if (!txid) {
+    throw new Error(`${label} publish finished without a broadcast transaction`);
+  }
+
+  return txid;
+}
+
 /**
  * Publish from hex file
  */
 export { publishFromHexFile };
 
+
+/**
+ * Keep the publishing pool in step with the chain while a server runs: confirmation
+ * tracking (UTXO_CONFIRMATION_TRACK_MS) and reclaiming expired leases
+ * (UTXO_LEASE_SWEEP_MS). Either interval set to 0 is not started.
+ * @returns {UTXOManagerMongo} The publishing pool's manager
+ */
+export function startPoolMaintenance({
+  trackIntervalMs = Number(process.env.UTXO_CONFIRMATION_TRACK_MS ?? 60 * 1000),
+  leaseSweepIntervalMs = Number(process.env.UTXO_LEASE_SWEEP_MS ?? 60 * 1000)
+} = {}) {
+  if (trackIntervalMs > 0) {
+    publishingPool.startConfirmationTracker(trackIntervalMs);
+  }
+  if (leaseSweepIntervalMs > 0) {
+    publishingPool.startLeaseSweeper(leaseSweepIntervalMs);
+  }
+  return publishingPool;
+}
+
+export function stopPoolMaintenance() {
+  publishingPool.stopConfirmationTracker();
+  publishingPool.stopLeaseSweeper();
+}
+
 /**
  * Get UTXO manager instance for direct access
  */
-export { utxoManager };
+export { utxoManager, publishingPool };
 
 /**
  * Legacy functions for backward compatibility
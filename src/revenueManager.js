@@ -31,8 +31,13 @@ const __dirname = path.dirname(__filename);
  */
 export class RevenueManager {
   
-  constructor() {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.events] - revenue.distributed sink with publish(type, data), e.g. a WebhookDispatcher
+   */
+  constructor(config = {}) {
     this.initialized = false;
+    this.events = config.events || null;
     
     // Platform revenue rates (satoshis per stream)
     this.platformRates = {
@@ -274,6 +279,20 @@ export class RevenueManager {
       });
       
       await distributionRecord.save();
+
+      if (this.events) {
+        this.events.publish('revenue.distributed', {
+          distributionId,
+          songId: song.songId,
+          songTitle: song.metadata.title,
+          distributionType,
+          totalRevenue,
+          netRevenue,
+          recipients: distributions.length,
+          period: distributionRecord.metadata.period,
+          batchId: options.batchId || null
+        }).catch(error => console.warn(`⚠️  Could not publish revenue.distributed for ${distributionId}: ${error.message}`));
+      }
       
       // Display distribution breakdown
       console.log(`\n📊 Revenue Distribution Summary`);
@@ -435,6 +454,73 @@ export class RevenueManager {
     }
   }
   
+  /**
+   * List revenue distributions with filtering
+   */
+  async listDistributions(filters = {}, options = {}) {
+    await this.initialize();
+    
+    try {
+      const { RevenueDistribution } = await import('../database/schemas.js');
+      
+      const query = {};
+      if (filters.songId) query.songId = filters.songId;
+      if (filters.distributionType) query.distributionType = filters.distributionType;
+      if (filters.status) query.status = filters.status;
+      if (filters.recipient) query['distributions.recipientName'] = filters.recipient;
+      if (filters.fromDate || filters.toDate) {
+        query.calculatedAt = {};
+        if (filters.fromDate) query.calculatedAt.$gte = new Date(filters.fromDate);
+        if (filters.toDate) query.calculatedAt.$lte = new Date(filters.toDate);
+      }
+      
+      const {
+        page = 1,
+        limit = 20,
+        sortBy = 'calculatedAt',
+        sortOrder = 'desc'
+      } = options;
+      
+      const distributions = await RevenueDistribution
+        .find(query)
+        .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+        
+      const total = await RevenueDistribution.countDocuments(query);
+      
+      return {
+        distributions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+      
+    } catch (error) {
+      console.error('❌ Failed to list distributions:', error.message);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a revenue distribution with its payments
+   */
+  async getDistribution(distributionId) {
+    await this.initialize();
+    
+    const { RevenueDistribution } = await import('../database/schemas.js');
+    const distribution = await RevenueDistribution.findOne({ distributionId });
+    
+    if (!distribution) {
+      throw new Error('Distribution not found');
+    }
+    
+    return distribution;
+  }
+  
   /**
    * Generate revenue report for artist or label
    */
@@ -26,6 +26,9 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Licensee names are matched as literal text
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 /**
  * Rights Management System Class
  */
@@ -288,6 +291,73 @@ export class RightsManager {
     }
   }
   
+  /**
+   * List license agreements with filtering
+   */
+  async listLicenses(filters = {}, options = {}) {
+    await this.initialize();
+    
+    try {
+      const { Licensing } = await import('../database/schemas.js');
+      
+      const query = {};
+      if (filters.songId) query.songId = filters.songId;
+      if (filters.licenseType) query.licenseType = filters.licenseType;
+      if (filters.status) query.status = filters.status;
+      if (filters.licensee) query['licensee.name'] = new RegExp(escapeRegExp(filters.licensee), 'i');
+      if (filters.activeOn) {
+        const date = new Date(filters.activeOn);
+        query.validFrom = { $lte: date };
+        query.validUntil = { $gte: date };
+      }
+      
+      const {
+        page = 1,
+        limit = 20,
+        sortBy = 'createdAt',
+        sortOrder = 'desc'
+      } = options;
+      
+      const licenses = await Licensing
+        .find(query)
+        .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+        
+      const total = await Licensing.countDocuments(query);
+      
+      return {
+        licenses,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+      
+    } catch (error) {
+      console.error('❌ Failed to list licenses:', error.message);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a license agreement
+   */
+  async getLicense(licenseId) {
+    await this.initialize();
+    
+    const { Licensing } = await import('../database/schemas.js');
+    const license = await Licensing.findOne({ licenseId });
+    
+    if (!license) {
+      throw new Error('License not found');
+    }
+    
+    return license;
+  }
+  
   /**
    * Generate rights report for an artist or label
    */
@@ -0,0 +1,68 @@
+/**
+ * Roles & Permissions
+ * Registration roles (artist, label, ...) map onto the stored user roles; permissions
+ * resolve from either form so access tokens carry the grants a user registered with.
+ */
+
+export const SUPERUSER_PERMISSION = 'admin_system';
+
+// Registration role -> stored user role
+export const ROLE_MAP = {
+  'artist': 'ai_artist_manager',
+  'producer': 'producer',
+  'songwriter': 'songwriter',
+  'label': 'label_admin',
+  'publisher': 'rights_manager',
+  'platform': 'system_admin'
+};
+
+// Registration roles an admin grants (PUT /api/identity/users/:identityAddress/role);
+// nobody can register with them
+export const PRIVILEGED_ROLES = ['label', 'publisher', 'platform'];
+export const SELF_REGISTRATION_ROLES = Object.keys(ROLE_MAP).filter(role => !PRIVILEGED_ROLES.includes(role));
+
+export const ROLE_PERMISSIONS = {
+  'artist': ['create_artists', 'manage_catalog'],
+  'producer': ['create_artists', 'manage_catalog', 'publish_music'],
+  'songwriter': ['create_artists', 'publish_music'],
+  'label': ['manage_catalog', 'manage_rights', 'calculate_revenue', 'manage_webhooks'],
+  'publisher': ['manage_rights', 'calculate_revenue', 'generate_reports', 'manage_webhooks'],
+  'platform': ['admin_system', 'view_analytics', 'generate_reports'],
+  // Stored roles no registration role maps to
+  'a_r_manager': ['create_artists', 'manage_catalog', 'view_analytics'],
+  'revenue_manager': ['calculate_revenue', 'distribute_payments', 'generate_reports']
+};
+
+/**
+ * Map a registration role to a stored user role
+ */
+export function mapUserRole(role) {
+  return ROLE_MAP[role] || 'producer';
+}
+
+/**
+ * Permissions for a registration role or a stored user role
+ */
+export function getPermissionsForRole(role) {
+  const registrationRole = ROLE_PERMISSIONS[role]
+    ? role
+    : Object.keys(ROLE_MAP).find(key => ROLE_MAP[key] === role);
+
+  return registrationRole ? [...ROLE_PERMISSIONS[registrationRole]] : ['create_artists'];
+}
+
+/**
+ * Role permissions plus any granted to the user directly
+ */
+export function getUserPermissions(user) {
+  return [...new Set([...getPermissionsForRole(user.role), ...(user.permissions || [])])];
+}
+
+/**
+ * Whether a permission set grants `permission` (admin_system grants everything)
+ */
+export function hasPermission(permissions, permission) {
+  return permissions.includes(SUPERUSER_PERMISSION) || permissions.includes(permission);
+}
+
+export default getPermissionsForRole;
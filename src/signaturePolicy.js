@@ -0,0 +1,294 @@
+/**
+ * Signature Policies
+ * Rules (a template's `required_signatures`) deciding when an attestation is finalized.
+ *
+ *   'all_parties'                           legacy: as many signatures as fields.parties entries
+ *   ['licensor', 'licensee']                legacy: as many signatures as listed signers
+ *   3 | { count: 3 }                        any 3 distinct signers
+ *   'artist' | { signer: 'artist' }         the key at fields.artist (a pubkey or { pubkey })
+ *   { pubkey: '02ab...' }                   a fixed key
+ *   { all: [...] } | { any: [...] }         every / at least one sub-policy
+ *   { threshold: 2, of: [...] }             at least 2 sub-policies
+ *   { all | any: 'officers' }               every / any entry of a signer list field
+ *   { threshold: 2, of: 'officers' }        2 entries of a signer list field
+ *   { weight: 'parties', by: 'split', min: 51 }   signed entries whose `split` adds up to >= 51
+ *
+ * e.g. "any 2 of 3 label officers plus the artist":
+ *   { all: [{ threshold: 2, of: 'officers' }, 'artist'] }
+ *
+ * Legacy forms only count signatures (their parties need not carry pubkeys);
+ * every other form binds signers by pubkey.
+ */
+
+const MAX_DEPTH = 8;
+const OPERATORS = ['count', 'signer', 'pubkey', 'all', 'any', 'threshold', 'weight'];
+
+/**
+ * Legacy policies keep their original count-only semantics
+ */
+export function isLegacyPolicy(policy) {
+  return policy === 'all_parties' || (Array.isArray(policy) && policy.every(item => typeof item === 'string'));
+}
+
+function resolvePath(fields, path) {
+  return String(path).split('.').reduce((value, key) => (
+    value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined
+  ), fields);
+}
+
+function memberKey(member) {
+  if (typeof member === 'string') return member;
+  return member?.pubkey || null;
+}
+
+function operatorOf(node) {
+  return OPERATORS.filter(operator => operator in node);
+}
+
+function shortKey(pubkey) {
+  return pubkey.length > 12 ? `${pubkey.substring(0, 8)}...${pubkey.substring(pubkey.length - 4)}` : pubkey;
+}
+
+/**
+ * Check a policy is well formed
+ * @param {*} policy
+ * @param {string[]|null} requiredFields - When given, referenced fields must be required by the template
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validatePolicy(policy, requiredFields = null, path = 'required_signatures', depth = 0) {
+  const errors = [];
+  const checkField = (field, at) => {
+    if (typeof field !== 'string' || !/^[\w-]+(\.[\w-]+)*$/.test(field)) {
+      errors.push(`${at} must be a field name`);
+    } else if (requiredFields && !requiredFields.includes(field.split('.')[0])) {
+      errors.push(`${at} references "${field}", which is not a required field`);
+    }
+  };
+
+  if (depth > MAX_DEPTH) return [`${path} is nested deeper than ${MAX_DEPTH} levels`];
+
+  if (depth === 0 && policy === 'all_parties') return errors;
+  if (depth === 0 && isLegacyPolicy(policy)) {
+    if (policy.length === 0) errors.push(`${path} must list at least one signer`);
+    policy.forEach((field, index) => checkField(field, `${path}[${index}]`));
+    return errors;
+  }
+
+  if (typeof policy === 'string') {
+    checkField(policy, path);
+    return errors;
+  }
+  if (typeof policy === 'number') {
+    return validatePolicy({ count: policy }, requiredFields, path, depth);
+  }
+  if (policy === null || typeof policy !== 'object' || Array.isArray(policy)) {
+    return [`${path} must be a policy object, signer field or count`];
+  }
+
+  const operators = operatorOf(policy);
+  if (operators.length !== 1) {
+    return [`${path} must use exactly one of: ${OPERATORS.join(', ')}`];
+  }
+
+  const validateList = (list, at) => {
+    if (typeof list === 'string') {
+      checkField(list, at);
+    } else if (Array.isArray(list) && list.length > 0) {
+      list.forEach((child, index) => errors.push(...validatePolicy(child, requiredFields, `${at}[${index}]`, depth + 1)));
+    } else {
+      errors.push(`${at} must be a non-empty list of policies or a signer list field`);
+    }
+  };
+
+  switch (operators[0]) {
+    case 'count':
+      if (!Number.isInteger(policy.count) || policy.count < 1) errors.push(`${path}.count must be a positive integer`);
+      break;
+    case 'signer':
+      checkField(policy.signer, `${path}.signer`);
+      break;
+    case 'pubkey':
+      if (typeof policy.pubkey !== 'string' || !/^0[23][0-9a-fA-F]{64}$/.test(policy.pubkey)) {
+        errors.push(`${path}.pubkey must be a compressed public key`);
+      }
+      break;
+    case 'all':
+    case 'any':
+      validateList(policy[operators[0]], `${path}.${operators[0]}`);
+      break;
+    case 'threshold':
+      validateList(policy.of, `${path}.of`);
+      if (!Number.isInteger(policy.threshold) || policy.threshold < 1) {
+        errors.push(`${path}.threshold must be a positive integer`);
+      } else if (Array.isArray(policy.of) && policy.threshold > policy.of.length) {
+        errors.push(`${path}.threshold ${policy.threshold} exceeds the ${policy.of.length} policies it counts`);
+      }
+      break;
+    case 'weight':
+      checkField(policy.weight, `${path}.weight`);
+      if (typeof policy.by !== 'string' || !policy.by) errors.push(`${path}.by must name the weight property`);
+      if (typeof policy.min !== 'number' || !(policy.min > 0)) errors.push(`${path}.min must be a positive number`);
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * Human-readable policy, e.g. "all of (2 of officers, artist)"
+ */
+export function describePolicy(policy) {
+  if (policy === 'all_parties') return 'all parties';
+  if (isLegacyPolicy(policy)) return policy.join(' and ');
+  if (typeof policy === 'string') return policy;
+  if (typeof policy === 'number') return `any ${policy} signer${policy === 1 ? '' : 's'}`;
+
+  const list = items => (typeof items === 'string' ? items : `(${items.map(describePolicy).join(', ')})`);
+
+  switch (operatorOf(policy)[0]) {
+    case 'count':
+      return describePolicy(policy.count);
+    case 'signer':
+      return policy.signer;
+    case 'pubkey':
+      return `key ${shortKey(policy.pubkey)}`;
+    case 'all':
+      return `all of ${list(policy.all)}`;
+    case 'any':
+      return `any of ${list(policy.any)}`;
+    case 'threshold':
+      return `${policy.threshold} of ${list(policy.of)}`;
+    case 'weight':
+      return `${policy.weight} holding >= ${policy.min} ${policy.by}`;
+  }
+  return 'unknown policy';
+}
+
+/**
+ * Expand a list (policy array or signer list field) into child policies
+ */
+function expandList(list, fields) {
+  if (typeof list !== 'string') return list;
+  const members = resolvePath(fields, list);
+  return (Array.isArray(members) ? members : []).map((member, index) => ({ member, label: `${list}[${index}]` }));
+}
+
+/**
+ * Evaluate a policy against the pubkeys that have (actively) signed
+ * @param {*} policy
+ * @param {Object} fields - Contract fields the policy's signer references resolve against
+ * @param {string[]} signerPubkeys - Active signer pubkeys
+ * @returns {Object} { satisfied, rule, signed, needed, children? }
+ */
+export function evaluatePolicy(policy, fields = {}, signerPubkeys = []) {
+  const signed = new Set(signerPubkeys);
+
+  const evaluate = node => {
+    // A member expanded from a signer list field
+    if (node && typeof node === 'object' && 'member' in node && 'label' in node) {
+      const key = memberKey(node.member);
+      return { rule: node.label, satisfied: Boolean(key && signed.has(key)), bound: Boolean(key) };
+    }
+    if (typeof node === 'number') return evaluate({ count: node });
+    if (typeof node === 'string') return evaluate({ signer: node });
+
+    switch (operatorOf(node)[0]) {
+      case 'count':
+        return { rule: describePolicy(node), satisfied: signed.size >= node.count, signed: signed.size, needed: node.count };
+      case 'signer': {
+        const key = memberKey(resolvePath(fields, node.signer));
+        return { rule: node.signer, satisfied: Boolean(key && signed.has(key)), bound: Boolean(key) };
+      }
+      case 'pubkey':
+        return { rule: describePolicy(node), satisfied: signed.has(node.pubkey), bound: true };
+      case 'all':
+      case 'any':
+      case 'threshold': {
+        const operator = operatorOf(node)[0];
+        const children = expandList(operator === 'threshold' ? node.of : node[operator], fields).map(evaluate);
+        const count = children.filter(child => child.satisfied).length;
+        const needed = operator === 'all' ? children.length : operator === 'any' ? 1 : node.threshold;
+        return {
+          rule: describePolicy(node),
+          // An empty signer list can never satisfy a policy
+          satisfied: children.length > 0 && count >= needed,
+          signed: count,
+          needed,
+          children
+        };
+      }
+      case 'weight': {
+        const members = resolvePath(fields, node.weight);
+        const entries = Array.isArray(members) ? members : [];
+        const weightOf = member => Number(member?.[node.by]) || 0;
+        const signedWeight = entries
+          .filter(member => memberKey(member) && signed.has(memberKey(member)))
+          .reduce((sum, member) => sum + weightOf(member), 0);
+        return {
+          rule: describePolicy(node),
+          satisfied: signedWeight >= node.min,
+          signed: signedWeight,
+          needed: node.min,
+          total: entries.reduce((sum, member) => sum + weightOf(member), 0)
+        };
+      }
+    }
+    return { rule: 'unknown policy', satisfied: false };
+  };
+
+  if (isLegacyPolicy(policy)) {
+    const needed = policy === 'all_parties' ? (fields.parties || []).length : policy.length;
+    return { rule: describePolicy(policy), satisfied: signed.size >= needed, signed: signed.size, needed };
+  }
+  return evaluate(policy);
+}
+
+/**
+ * Signer references in a policy that do not resolve to a pubkey in `fields`
+ */
+export function findUnboundSigners(policy, fields = {}) {
+  if (isLegacyPolicy(policy)) return [];
+
+  const unbound = [];
+  const visit = node => {
+    if (typeof node === 'string') {
+      if (!memberKey(resolvePath(fields, node))) unbound.push(node);
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    switch (operatorOf(node)[0]) {
+      case 'signer':
+        visit(node.signer);
+        break;
+      case 'all':
+      case 'any':
+      case 'threshold': {
+        const list = operatorOf(node)[0] === 'threshold' ? node.of : node[operatorOf(node)[0]];
+        if (typeof list === 'string') {
+          const members = resolvePath(fields, list);
+          if (!Array.isArray(members) || members.length === 0) {
+            unbound.push(list);
+          } else {
+            members.forEach((member, index) => { if (!memberKey(member)) unbound.push(`${list}[${index}]`); });
+          }
+        } else {
+          list.forEach(visit);
+        }
+        break;
+      }
+      case 'weight': {
+        const members = resolvePath(fields, node.weight);
+        (Array.isArray(members) ? members : []).forEach((member, index) => {
+          if (!memberKey(member)) unbound.push(`${node.weight}[${index}]`);
+        });
+        break;
+      }
+    }
+  };
+
+  visit(policy);
+  return unbound;
+}
+
+export default evaluatePolicy;
@@ -1,24 +1,31 @@
 import bsv from 'smartledger-bsv';
-import fetch from 'node-fetch';
 import fs from 'fs/promises';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import { UTXOManagerMongo } from './utxoManagerMongo.js';
-import { UTXOService } from '../database/services.js';
+import { UTXOService, DEFAULT_UTXO_LEASE_MS } from '../database/services.js';
+import { getDefaultProvider } from './blockchainProvider.js';
+import { createFeePolicy, estimateTxSize, p2pkhOutput, DEFAULT_DUST_LIMIT } from './coinSelection.js';
 
 dotenv.config();
 
 const NETWORK = process.env.BSV_NETWORK || 'main';
-const API_BASE = `https://api.whatsonchain.com/v1/bsv/${NETWORK}`;
 const FUNDING_WALLET_PATH = './wallets/wallet.json'; // Main funding wallet
 const PUBLISHING_WALLET_PATH = './wallets/publishing-wallet.json'; // Publishing wallet
+const SWEEP_WALLET_PATH = './wallets/sweep-wallet.json'; // Collects change and consolidated dust
 
 /**
  * Enhanced UTXO Splitting with MongoDB Integration
  * Splits funding UTXOs into small UTXOs for efficient publishing
  */
 class UTXOSplitter {
-  constructor() {
-    this.fundingManager = new UTXOManagerMongo(FUNDING_WALLET_PATH);
+  /**
+   * @param {Object} options
+   * @param {BlockchainProvider} [options.provider] - Blockchain provider (defaults to getDefaultProvider())
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || getDefaultProvider();
+    this.fundingManager = new UTXOManagerMongo(FUNDING_WALLET_PATH, { provider: this.provider });
     this.publishingWallet = null;
   }
 
@@ -26,6 +33,8 @@ class UTXOSplitter {
    * Initialize wallets and database connections
    */
   async initialize() {
+    if (this.publishingWallet) return this;
+
     console.log('🔧 Initializing UTXO Splitter...');
     
     // Initialize funding UTXO manager
@@ -94,6 +103,7 @@ class UTXOSplitter {
 
   /**
    * Split a funding UTXO into 50 UTXOs of 25 satoshis each
+   * The caller holds the UTXO's lease (see splitUTXOs).
    */
   async splitIntoSmallUTXOs(fundingUTXO, splitCount = 50, splitValue = 25) {
     console.log(`✂️  Splitting UTXO ${fundingUTXO.txid}:${fundingUTXO.vout} (${fundingUTXO.satoshis} sats)`);
@@ -105,10 +115,6 @@ class UTXOSplitter {
       throw new Error(`Insufficient funds: need ${totalSplitValue + estimatedFee}, have ${fundingUTXO.satoshis}`);
     }
 
-    // Reserve the funding UTXO using the model's reserve method
-    await fundingUTXO.reserve('utxo_splitter');
-    const reservedUTXO = fundingUTXO;
-
     // Build transaction
     const fundingPrivateKey = bsv.PrivateKey.fromWIF(this.fundingManager.wallet.privateKey);
     const tx = new bsv.Transaction()
@@ -143,84 +149,77 @@ class UTXOSplitter {
 
   /**
    * Broadcast transaction and update MongoDB with new UTXOs
+   * @param {string} owner - Lease owner of originalUTXO
    */
-  async broadcastAndUpdateMongo(tx, originalUTXO, splitCount = 50, splitValue = 25) {
+  async broadcastAndUpdateMongo(tx, originalUTXO, splitCount = 50, splitValue = 25, owner = 'utxo_splitter') {
     console.log('📡 Broadcasting split transaction...');
     
     const raw = tx.toString();
     
+    // Only a failed broadcast returns the funding UTXO; once it is on chain it stays spent
+    let txid;
     try {
-      const response = await fetch(`${API_BASE}/tx/raw`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ txhex: raw })
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Broadcast failed: ${response.status} ${response.statusText}`);
-      }
-      
-      const txidResponse = await response.text();
-      const txid = txidResponse.replace(/["\n\r]/g, '').trim();
-      
-      console.log(`✅ Transaction broadcast! TXID: ${txid}`);
+      txid = await this.provider.broadcast(raw);
+    } catch (error) {
+      await UTXOService.releaseReservation(originalUTXO.txid, originalUTXO.vout, owner, 'utxo_splitter');
+      throw new Error(`Broadcast failed: ${error.message}`);
+    }
       
-      // Mark original funding UTXO as spent
-      await this.fundingManager.markUTXOSpent(originalUTXO, txid);
+    console.log(`✅ Transaction broadcast! TXID: ${txid}`);
+    
+    // Mark original funding UTXO as spent
+    if (!await UTXOService.spendReservation(originalUTXO.txid, originalUTXO.vout, owner, txid, 'utxo_splitter')) {
+      console.warn(`⚠️  Lease on ${originalUTXO.txid}:${originalUTXO.vout} lapsed before ${txid} spent it`);
+    } else {
       console.log(`🗑️  Marked original UTXO as spent`);
-      
-      // Add new split UTXOs to database (outputs 0-49 go to publishing address)
-      const newUTXOs = [];
-      for (let i = 0; i < splitCount; i++) {
-        const newUTXO = {
-          txid: txid,
-          vout: i,
-          satoshis: splitValue,
-          script: bsv.Script.buildPublicKeyHashOut(this.publishingWallet.address).toHex(),
-          scriptPubKey: bsv.Script.buildPublicKeyHashOut(this.publishingWallet.address).toHex(),
-          walletAddress: this.publishingWallet.address,
-          source: 'split_operation',
-          status: 'available'
-        };
-        newUTXOs.push(newUTXO);
-      }
-      
-      // Save split UTXOs to database
-      const result = await UTXOService.saveUTXOs(newUTXOs, this.publishingWallet.address, 'split_operation', 'utxo_splitter');
-      console.log(`💾 Saved ${result.saved} split UTXOs to database`);
-      
-      // Add change output as new funding UTXO (last output)
-      const changeOutputIndex = tx.outputs.length - 1;
-      const changeOutput = tx.outputs[changeOutputIndex];
-      
-      if (changeOutput.satoshis > 0) {
-        const changeUTXO = {
-          txid: txid,
-          vout: changeOutputIndex,
-          satoshis: changeOutput.satoshis,
-          script: changeOutput.script.toHex(),
-          scriptPubKey: changeOutput.script.toHex(),
-          walletAddress: this.fundingManager.wallet.address,
-          source: 'change_output',
-          status: 'available'
-        };
-        
-        await this.fundingManager.addUTXO(changeUTXO);
-        console.log(`💰 Added change UTXO: ${txid}:${changeOutputIndex} (${changeOutput.satoshis} sats)`);
-      }
-      
-      return {
-        txid,
-        splitUTXOs: newUTXOs.length,
-        changeAmount: changeOutput.satoshis,
-        explorer: `https://whatsonchain.com/tx/${txid}`
+    }
+    
+    // Add new split UTXOs to database (outputs 0-49 go to publishing address)
+    const newUTXOs = [];
+    for (let i = 0; i < splitCount; i++) {
+      const newUTXO = {
+        txid: txid,
+        vout: i,
+        satoshis: splitValue,
+        script: bsv.Script.buildPublicKeyHashOut(this.publishingWallet.address).toHex(),
+        scriptPubKey: bsv.Script.buildPublicKeyHashOut(this.publishingWallet.address).toHex(),
+        walletAddress: this.publishingWallet.address,
+        source: 'split_operation',
+        status: 'available'
+      };
+      newUTXOs.push(newUTXO);
+    }
+    
+    // Save split UTXOs to database
+    const result = await UTXOService.saveUTXOs(newUTXOs, this.publishingWallet.address, 'split_operation', 'utxo_splitter');
+    console.log(`💾 Saved ${result.saved} split UTXOs to database`);
+    
+    // Add change output as new funding UTXO (last output)
+    const changeOutputIndex = tx.outputs.length - 1;
+    const changeOutput = tx.outputs[changeOutputIndex];
+    
+    if (changeOutput.satoshis > 0) {
+      const changeUTXO = {
+        txid: txid,
+        vout: changeOutputIndex,
+        satoshis: changeOutput.satoshis,
+        script: changeOutput.script.toHex(),
+        scriptPubKey: changeOutput.script.toHex(),
+        walletAddress: this.fundingManager.wallet.address,
+        source: 'change_output',
+        status: 'available'
       };
       
-    } catch (error) {
-      // If broadcast failed, restore the reserved UTXO
-      await this.fundingManager.restoreUTXO(originalUTXO);
-      throw new Error(`Broadcast failed: ${error.message}`);
+      await this.fundingManager.addUTXO(changeUTXO);
+      console.log(`💰 Added change UTXO: ${txid}:${changeOutputIndex} (${changeOutput.satoshis} sats)`);
     }
+    
+    return {
+      txid,
+      splitUTXOs: newUTXOs.length,
+      changeAmount: changeOutput.satoshis,
+      explorer: this.provider.getExplorerUrl(txid) || txid
+    };
   }
 
   /**
@@ -236,19 +235,29 @@ class UTXOSplitter {
       throw new Error('No funding UTXOs available. Please fund the wallet first.');
     }
     
-    // Use the largest UTXO for splitting
-    const largestUTXO = fundingUTXOs.sort((a, b) => b.satoshis - a.satoshis)[0];
+    // Lease the largest UTXO for splitting
     const minRequired = (splitCount * splitValue) + 500; // Split amount + estimated fee
-    
-    if (largestUTXO.satoshis < minRequired) {
-      throw new Error(`Largest UTXO (${largestUTXO.satoshis} sats) is too small. Need at least ${minRequired} sats.`);
-    }
+    const owner = `split:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    const [largestUTXO] = await UTXOService.reserveUTXOs(
+      this.fundingManager.wallet.address,
+      1,
+      'utxo_splitter',
+      { owner, minAmount: minRequired }
+    ).catch(error => {
+      throw new Error(`No funding UTXO of at least ${minRequired} sats could be leased: ${error.message}`);
+    });
     
     // Split the UTXO
-    const tx = await this.splitIntoSmallUTXOs(largestUTXO, splitCount, splitValue);
+    let tx;
+    try {
+      tx = await this.splitIntoSmallUTXOs(largestUTXO, splitCount, splitValue);
+    } catch (error) {
+      await UTXOService.releaseReservation(largestUTXO.txid, largestUTXO.vout, owner, 'utxo_splitter');
+      throw error;
+    }
     
     // Broadcast and update database
-    const result = await this.broadcastAndUpdateMongo(tx, largestUTXO, splitCount, splitValue);
+    const result = await this.broadcastAndUpdateMongo(tx, largestUTXO, splitCount, splitValue, owner);
     
     console.log('\n🎉 UTXO splitting completed successfully!');
     console.log(`🔗 Transaction: ${result.explorer}`);
@@ -258,6 +267,306 @@ class UTXOSplitter {
     return result;
   }
 
+  /**
+   * Lay out a fan-out tree for `leafCount` outputs of `leafValue` sats. Every
+   * transaction spends one input into at most `fanOut` outputs: leaf transactions pay
+   * the publishing wallet, the others fund one child transaction per output.
+   *
+   * @returns {Object} Root node: { leaves, children, fee, value } (value = input needed)
+   */
+  planFanOutTree(leafCount, leafValue = 25, options = {}) {
+    const { fanOut = 50, feePolicy = createFeePolicy() } = options;
+    if (!(fanOut >= 2)) {
+      throw new Error('fanOut must be at least 2');
+    }
+
+    const plan = leaves => {
+      if (leaves <= fanOut) {
+        const fee = feePolicy.fee(estimateTxSize(1, Array(leaves).fill(p2pkhOutput(leafValue))));
+        return { leaves, children: [], fee, value: leaves * leafValue + fee };
+      }
+
+      // Leaves per child: the smallest power of fanOut that fits them in fanOut children
+      let capacity = fanOut;
+      while (capacity * fanOut < leaves) capacity *= fanOut;
+
+      const children = [];
+      for (let remaining = leaves; remaining > 0; remaining -= capacity) {
+        children.push(plan(Math.min(capacity, remaining)));
+      }
+      const fee = feePolicy.fee(estimateTxSize(1, children.map(child => p2pkhOutput(child.value))));
+      return { leaves, children, fee, value: children.reduce((sum, child) => sum + child.value, 0) + fee };
+    };
+
+    return plan(leafCount);
+  }
+
+  /**
+   * Build and sign every transaction of a planned tree, parents before children.
+   * Outputs funding a child stay in the funding wallet; the root's change returns to it.
+   *
+   * @returns {Array} [{ tx, txid, parentTxid, depth, input, plan }]
+   */
+  buildFanOutTree(fundingUTXO, tree, leafValue, options = {}) {
+    const { feePolicy = createFeePolicy() } = options;
+    const fundingAddress = this.fundingManager.wallet.address;
+    const fundingPrivateKey = bsv.PrivateKey.fromWIF(this.fundingManager.wallet.privateKey);
+
+    const nodes = [];
+    const queue = [{ plan: tree, input: fundingUTXO, parentTxid: fundingUTXO.txid, depth: 0 }];
+
+    while (queue.length > 0) {
+      const { plan, input, parentTxid, depth } = queue.shift();
+      const tx = new bsv.Transaction().from({
+        txid: input.txid,
+        outputIndex: input.vout,
+        script: bsv.Script.fromHex(input.script),
+        satoshis: input.satoshis
+      });
+
+      if (plan.children.length === 0) {
+        for (let i = 0; i < plan.leaves; i++) {
+          tx.to(this.publishingWallet.address, leafValue);
+        }
+      } else {
+        for (const child of plan.children) {
+          tx.to(fundingAddress, child.value);
+        }
+      }
+
+      let fee = plan.fee;
+      if (depth === 0) {
+        // Only the root has more coming in than its subtree needs
+        const outputs = tx.outputs.map(output => p2pkhOutput(output.satoshis));
+        const feeWithChange = feePolicy.fee(estimateTxSize(1, [...outputs, p2pkhOutput(0)]));
+        const change = input.satoshis - (tree.value - tree.fee) - feeWithChange;
+
+        if (change >= DEFAULT_DUST_LIMIT) {
+          tx.to(fundingAddress, change);
+          fee = feeWithChange;
+        } else {
+          fee = input.satoshis - (tree.value - tree.fee);
+        }
+      }
+
+      tx.fee(fee).sign(fundingPrivateKey);
+      const txid = tx.id;
+      nodes.push({ tx, txid, parentTxid, depth, input, plan });
+
+      plan.children.forEach((child, vout) => {
+        queue.push({
+          plan: child,
+          input: { txid, vout, script: tx.outputs[vout].script.toHex(), satoshis: child.value },
+          parentTxid: txid,
+          depth: depth + 1
+        });
+      });
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Create `leafCount` publishing UTXOs through a fan-out tree of chained transactions
+   * funded by the largest funding UTXO
+   *
+   * Transactions are broadcast parents first. Each output is recorded with its parent
+   * transaction and the tree's root (parentTxid, chainRootTxid, chainDepth) so an
+   * unconfirmed chain can be undone together (rollbackFanOutTree). Outputs waiting to
+   * fund a child stay leased to this run until the child is broadcast. When a
+   * broadcast fails its subtree is skipped and those outputs return to the funding wallet.
+   *
+   * @param {number} leafCount - Publishing UTXOs to create
+   * @param {number} [leafValue] - Satoshis each
+   * @param {Object} [options] - { fanOut (outputs per transaction, default 50), feePolicy,
+   *   leaseMs (how long the funding and intermediate outputs stay leased; raise for large trees) }
+   * @returns {Object} { rootTxid, transactions, broadcast, failed, skipped, leaves, depth, fee, explorer }
+   */
+  async splitFanOutTree(leafCount, leafValue = 25, options = {}) {
+    const { feePolicy = createFeePolicy(), leaseMs = DEFAULT_UTXO_LEASE_MS } = options;
+    await this.initialize();
+
+    const tree = this.planFanOutTree(leafCount, leafValue, options);
+    const owner = `fan_out:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+    const fundingUTXO = await UTXOService.claimUTXO(
+      this.fundingManager.wallet.address,
+      tree.value,
+      'utxo_splitter',
+      { owner, leaseMs }
+    );
+    if (!fundingUTXO) {
+      throw new Error(`No funding UTXO covers the tree: need ${tree.value} sats for ${leafCount} × ${leafValue} sats plus fees`);
+    }
+
+    const nodes = this.buildFanOutTree(fundingUTXO, tree, leafValue, { feePolicy });
+    const rootTxid = nodes[0].txid;
+    const depth = nodes[nodes.length - 1].depth + 1;
+    console.log(`🌳 Fan-out tree: ${nodes.length} transactions, ${depth} levels, ${leafCount} × ${leafValue} sats (root ${rootTxid})`);
+
+    const broadcast = new Set();
+    const result = { rootTxid, transactions: nodes.length, broadcast: 0, failed: [], skipped: 0, leaves: 0, depth, fee: 0 };
+
+    for (const node of nodes) {
+      const { tx, txid, parentTxid, input, plan } = node;
+
+      if (node.depth > 0 && !broadcast.has(parentTxid)) {
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        await this.provider.broadcast(tx.toString());
+      } catch (error) {
+        console.error(`❌ Broadcast of ${txid} failed: ${error.message}`);
+        result.failed.push({ txid, error: error.message });
+        await UTXOService.releaseReservation(input.txid, input.vout, owner, 'utxo_splitter');
+        continue;
+      }
+      broadcast.add(txid);
+      result.broadcast++;
+      result.fee += tx.getFee();
+
+      if (!await UTXOService.spendReservation(input.txid, input.vout, owner, txid, 'utxo_splitter')) {
+        console.warn(`⚠️  Lease on ${input.txid}:${input.vout} lapsed before ${txid} spent it; raise leaseMs for trees this large`);
+      }
+
+      const chain = { parentTxid, chainRootTxid: rootTxid, chainDepth: node.depth };
+      const outputs = tx.outputs.map((output, vout) => ({
+        txid,
+        vout,
+        satoshis: output.satoshis,
+        script: output.script.toHex(),
+        scriptPubKey: output.script.toHex(),
+        ...chain
+      }));
+
+      if (plan.children.length === 0) {
+        const leaves = outputs.slice(0, plan.leaves);
+        await UTXOService.saveUTXOs(leaves, this.publishingWallet.address, 'split_operation', 'utxo_splitter');
+        result.leaves += leaves.length;
+      }
+
+      // Child funding outputs stay leased until the child spends them; root change is free to use
+      const fundingOutputs = outputs.slice(plan.children.length === 0 ? plan.leaves : 0).map((output, i) => (
+        i < plan.children.length
+          ? { ...output, status: 'reserved', reservedBy: owner, leaseExpiresAt: new Date(Date.now() + leaseMs) }
+          : { ...output, status: 'available' }
+      ));
+      if (fundingOutputs.length > 0) {
+        await UTXOService.saveUTXOs(fundingOutputs, this.fundingManager.wallet.address, 'split_operation', 'utxo_splitter');
+      }
+    }
+
+    result.explorer = this.provider.getExplorerUrl(rootTxid) || rootTxid;
+    console.log(`✅ Broadcast ${result.broadcast}/${nodes.length} transactions, ${result.leaves} publishing UTXOs created${result.failed.length ? `, ${result.failed.length} failed, ${result.skipped} skipped` : ''}`);
+
+    return result;
+  }
+
+  /**
+   * Undo an unconfirmed fan-out tree (or the subtree below any of its transactions):
+   * its outputs are orphaned and the coin it spent returns to the pool
+   * @returns {Object} { txids, orphaned, restored }
+   */
+  async rollbackFanOutTree(txid) {
+    await this.initialize();
+
+    const result = await UTXOService.rollbackSplitChain(txid, {
+      actor: 'utxo_splitter',
+      isConfirmed: async chainTxid => Boolean((await this.provider.getTransaction(chainTxid))?.blockHeight)
+    });
+    console.log(`↩️  Rolled back ${result.txids.length} transactions: ${result.orphaned} UTXOs orphaned, ${result.restored} restored`);
+
+    return result;
+  }
+
+  /**
+   * Merge the publishing wallet's `count` smallest available UTXOs into one output
+   * at the sweep wallet, the same place publishing sends its change
+   *
+   * @param {number} count - UTXOs to merge (capped at options.maxInputs)
+   * @param {Object} [options] - { feePolicy, maxInputs }
+   * @returns {Object} { txid, consolidated, inputTotal, fee, change, explorer }
+   */
+  async consolidateUTXOs(count, options = {}) {
+    const { feePolicy = createFeePolicy(), maxInputs = 200 } = options;
+    await this.initialize();
+
+    const sweepWallet = JSON.parse(await fs.readFile(SWEEP_WALLET_PATH, 'utf8'));
+    const owner = `consolidation:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    const inputs = await UTXOService.reserveUTXOs(
+      this.publishingWallet.address,
+      Math.min(count, maxInputs),
+      'utxo_splitter',
+      { owner, sort: { satoshis: 1 } }
+    );
+    const release = () => Promise.all(inputs.map(utxo =>
+      UTXOService.releaseReservation(utxo.txid, utxo.vout, owner, 'utxo_splitter')
+    ));
+
+    const inputTotal = inputs.reduce((sum, utxo) => sum + utxo.satoshis, 0);
+    const fee = feePolicy.fee(estimateTxSize(inputs.length, [p2pkhOutput(0)]));
+    const change = inputTotal - fee;
+    if (change < DEFAULT_DUST_LIMIT) {
+      await release();
+      throw new Error(`Consolidating ${inputs.length} UTXOs (${inputTotal} sats) leaves ${change} sats after the fee, below the ${DEFAULT_DUST_LIMIT} sat dust limit`);
+    }
+
+    console.log(`🧹 Consolidating ${inputs.length} UTXOs (${inputTotal} sats) → ${sweepWallet.address}`);
+
+    const publishingPrivateKey = bsv.PrivateKey.fromWIF(this.publishingWallet.privateKey);
+    const tx = new bsv.Transaction();
+    for (const utxo of inputs) {
+      tx.from({
+        txid: utxo.txid,
+        outputIndex: utxo.vout,
+        script: bsv.Script.fromHex(utxo.script),
+        satoshis: utxo.satoshis
+      });
+    }
+    tx.to(sweepWallet.address, change)
+      .fee(fee)
+      .sign(publishingPrivateKey);
+
+    let txid;
+    try {
+      txid = await this.provider.broadcast(tx.toString());
+    } catch (error) {
+      await release();
+      throw new Error(`Broadcast failed: ${error.message}`);
+    }
+
+    for (const utxo of inputs) {
+      if (!await UTXOService.spendReservation(utxo.txid, utxo.vout, owner, txid, 'utxo_splitter')) {
+        console.warn(`⚠️  Lease on ${utxo.txid}:${utxo.vout} lapsed before ${txid} spent it`);
+      }
+    }
+
+    const script = tx.outputs[0].script.toHex();
+    await UTXOService.addUTXO({
+      txid,
+      vout: 0,
+      satoshis: change,
+      script,
+      scriptPubKey: script,
+      walletAddress: sweepWallet.address,
+      source: 'consolidation',
+      status: 'available'
+    }, 'utxo_splitter');
+
+    console.log(`✅ Consolidated into ${txid}:0 (${change} sats, fee ${fee} sats)`);
+
+    return {
+      txid,
+      consolidated: inputs.length,
+      inputTotal,
+      fee,
+      change,
+      explorer: this.provider.getExplorerUrl(txid) || txid
+    };
+  }
+
   /**
    * Get statistics for both funding and publishing wallets
    */
@@ -302,6 +611,34 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         process.exit(1);
       });
       
+  } else if (cmd === 'tree') {
+    const leafCount = parseInt(args[0]) || 1000;
+    const leafValue = parseInt(args[1]) || 25;
+    const fanOut = parseInt(args[2]) || 50;
+
+    splitter.splitFanOutTree(leafCount, leafValue, { fanOut })
+      .then(result => {
+        console.log(`🔗 Root transaction: ${result.explorer}`);
+        process.exit(result.failed.length > 0 ? 1 : 0);
+      })
+      .catch(error => {
+        console.error('❌ Fan-out split failed:', error.message);
+        process.exit(1);
+      });
+
+  } else if (cmd === 'rollback') {
+    if (!args[0]) {
+      console.error('❌ Pass the txid of the tree (or subtree) to roll back');
+      process.exit(1);
+    }
+
+    splitter.rollbackFanOutTree(args[0])
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error('❌ Rollback failed:', error.message);
+        process.exit(1);
+      });
+
   } else if (cmd === 'stats') {
     splitter.getStats()
       .then(stats => {
@@ -318,11 +655,14 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   } else {
     console.log('Usage:');
     console.log('  node splitUtxos.js split [count] [value]    # Split UTXOs (default: 50 × 25 sats)');
+    console.log('  node splitUtxos.js tree [count] [value] [fanOut]  # Fan-out tree of chained splits');
+    console.log('  node splitUtxos.js rollback <txid>         # Undo an unconfirmed tree or subtree');
     console.log('  node splitUtxos.js stats                   # Show wallet statistics');
     console.log('');
     console.log('Examples:');
     console.log('  node splitUtxos.js split                   # Split into 50 UTXOs of 25 sats');
     console.log('  node splitUtxos.js split 100 30            # Split into 100 UTXOs of 30 sats');
+    console.log('  node splitUtxos.js tree 10000 25 50        # 10,000 UTXOs via 50-output transactions');
     console.log('  node splitUtxos.js stats                   # Show current balances');
     process.exit(1);
   }
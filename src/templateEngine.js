@@ -0,0 +1,510 @@
+/**
+ * Contract Template Engine
+ * Sandboxed, deterministic Handlebars-style renderer for CONTRACT_TEMPLATES
+ *
+ * Supported syntax:
+ *   {{path}} {{a.b}} {{../parent}} {{this}} {{@index}}   escaped output
+ *   {{{path}}}                                          raw output
+ *   {{helper arg "literal" 2 (sub helper)}}             helper calls
+ *   {{#each list}}..{{else}}..{{/each}}                 arrays and objects (@index @key @first @last)
+ *   {{#if expr}}..{{else}}..{{/if}} {{#unless}} {{#with}}
+ *   {{! comment }} {{!-- comment --}}
+ *
+ * Sandboxing: only own properties of plain objects/arrays are readable, values are
+ * never executed, and only whitelisted helpers can be called. Output depends only
+ * on the template and fields (no locale, timezone or clock), so the same fields
+ * always produce the same contract_hash.
+ */
+
+import crypto from 'crypto';
+
+const MAX_NESTING = 32;
+const DEFAULT_MAX_OUTPUT = 1024 * 1024;
+const BLOCKED_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+const BLOCK_HELPERS = new Set(['each', 'if', 'unless', 'with']);
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#x27;',
+  '`': '&#x60;',
+  '=': '&#x3D;'
+};
+
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£', JPY: '¥' };
+
+/**
+ * HTML-escape a rendered value
+ */
+export function escapeText(text) {
+  return String(text).replace(/[&<>"'`=]/g, char => ESCAPES[char]);
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Fixed-decimal formatting with thousands separators (locale independent)
+ */
+function formatNumber(value, decimals = 2, trimZeros = false) {
+  let [integer, fraction = ''] = toNumber(value).toFixed(decimals).split('.');
+  const negative = integer.startsWith('-');
+  integer = integer.replace('-', '').replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  if (trimZeros) fraction = fraction.replace(/0+$/, '');
+  return `${negative ? '-' : ''}${integer}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Built-in helpers - pure functions of their arguments
+ */
+export const BUILT_IN_HELPERS = Object.freeze({
+  currency(amount, code = 'USD', decimals = 2) {
+    const formatted = formatNumber(amount, decimals);
+    const symbol = CURRENCY_SYMBOLS[code];
+    if (!symbol) return `${formatted} ${code}`;
+    return formatted.startsWith('-') ? `-${symbol}${formatted.slice(1)}` : `${symbol}${formatted}`;
+  },
+  percent(value, decimals = 2) {
+    return `${formatNumber(value, decimals, true)}%`;
+  },
+  number(value, decimals = 0) {
+    return formatNumber(value, decimals);
+  },
+  uppercase: value => String(value ?? '').toUpperCase(),
+  lowercase: value => String(value ?? '').toLowerCase(),
+  date(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+  },
+  datetime(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+  },
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+  join: (list, separator = ', ') => (Array.isArray(list) ? list.join(separator) : ''),
+  length: value => (Array.isArray(value) || typeof value === 'string' ? value.length : 0),
+  sum: (list, key) => (Array.isArray(list)
+    ? list.reduce((total, item) => total + toNumber(key ? item?.[key] : item), 0)
+    : 0),
+  short_key: pubkey => (typeof pubkey === 'string' && pubkey.length > 12
+    ? `${pubkey.substring(0, 8)}...${pubkey.substring(pubkey.length - 4)}`
+    : pubkey || 'TBD'),
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  and: (...values) => values.every(Boolean),
+  or: (...values) => values.some(Boolean),
+  not: value => !value
+});
+
+// --- Parsing ---
+
+function lineAt(source, offset) {
+  return source.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Split source into text and tag tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const open = source.indexOf('{{', pos);
+    if (open === -1) {
+      tokens.push({ type: 'text', value: source.slice(pos) });
+      break;
+    }
+    if (open > pos) {
+      tokens.push({ type: 'text', value: source.slice(pos, open) });
+    }
+
+    let close;
+    let token;
+    if (source.startsWith('{{{', open)) {
+      close = source.indexOf('}}}', open);
+      if (close === -1) throw new Error(`Unclosed {{{ on line ${lineAt(source, open)}`);
+      token = { type: 'raw', body: source.slice(open + 3, close).trim() };
+      close += 3;
+    } else if (source.startsWith('{{!--', open)) {
+      close = source.indexOf('--}}', open);
+      if (close === -1) throw new Error(`Unclosed comment on line ${lineAt(source, open)}`);
+      token = { type: 'comment' };
+      close += 4;
+    } else {
+      close = source.indexOf('}}', open);
+      if (close === -1) throw new Error(`Unclosed {{ on line ${lineAt(source, open)}`);
+      const body = source.slice(open + 2, close).trim();
+      close += 2;
+
+      if (body.startsWith('!')) token = { type: 'comment' };
+      else if (body.startsWith('#')) token = { type: 'open', body: body.slice(1).trim() };
+      else if (body.startsWith('/')) token = { type: 'close', body: body.slice(1).trim() };
+      else if (body === 'else') token = { type: 'else' };
+      else token = { type: 'escaped', body };
+    }
+
+    token.line = lineAt(source, open);
+    tokens.push(token);
+    pos = close;
+  }
+
+  return stripStandaloneLines(tokens);
+}
+
+/**
+ * Block, else and comment tags alone on a line do not leave a blank line behind
+ */
+function stripStandaloneLines(tokens) {
+  const standaloneTypes = new Set(['open', 'close', 'else', 'comment']);
+  const original = tokens.map(token => token.value);
+
+  const startsLine = i => {
+    if (i === 0) return true;
+    if (tokens[i - 1].type !== 'text') return false;
+    return i === 1 ? /(^|\n)[ \t]*$/.test(original[i - 1]) : /\n[ \t]*$/.test(original[i - 1]);
+  };
+  const endsLine = i => i === tokens.length - 1
+    || (tokens[i + 1].type === 'text' && /^[ \t]*(\r?\n|$)/.test(original[i + 1]));
+
+  tokens.forEach((token, i) => {
+    if (!standaloneTypes.has(token.type) || !startsLine(i) || !endsLine(i)) return;
+
+    if (i > 0) tokens[i - 1].value = tokens[i - 1].value.replace(/[ \t]*$/, '');
+    if (i < tokens.length - 1) tokens[i + 1].value = tokens[i + 1].value.replace(/^[ \t]*\r?\n?/, '');
+  });
+
+  return tokens;
+}
+
+/**
+ * Parse an expression: path, literal, or helper call with arguments
+ */
+function parseExpression(body, line) {
+  const parts = [];
+  const pattern = /\s*(\(|\)|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\s()]+)/y;
+  let match;
+  while (pattern.lastIndex < body.length && (match = pattern.exec(body))) {
+    parts.push(match[1]);
+  }
+  if (body.slice(pattern.lastIndex).trim()) {
+    throw new Error(`Invalid expression "${body}" on line ${line}`);
+  }
+
+  let index = 0;
+
+  const parseTerm = () => {
+    const part = parts[index++];
+    if (part === undefined) throw new Error(`Unexpected end of expression "${body}" on line ${line}`);
+    if (part === '(') {
+      const inner = parseSequence(')');
+      if (parts[index++] !== ')') throw new Error(`Missing ) in "${body}" on line ${line}`);
+      return inner.type === 'path' ? { type: 'call', name: inner.path.join('.'), args: [] } : inner;
+    }
+    if (part === ')') throw new Error(`Unexpected ) in "${body}" on line ${line}`);
+    if (/^"/.test(part) || /^'/.test(part)) {
+      return { type: 'literal', value: part.slice(1, -1).replace(/\\(.)/g, '$1') };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(part)) return { type: 'literal', value: Number(part) };
+    if (part === 'true' || part === 'false') return { type: 'literal', value: part === 'true' };
+    if (part === 'null') return { type: 'literal', value: null };
+    if (part === 'undefined') return { type: 'literal', value: undefined };
+    return parsePath(part, line);
+  };
+
+  const parseSequence = terminator => {
+    const terms = [];
+    while (index < parts.length && parts[index] !== terminator) {
+      terms.push(parseTerm());
+    }
+    if (terms.length === 0) throw new Error(`Empty expression on line ${line}`);
+    if (terms.length === 1) return terms[0];
+
+    const [head, ...args] = terms;
+    if (head.type !== 'path' || head.depth > 0 || head.data || head.path.length !== 1) {
+      throw new Error(`Expected helper name in "${body}" on line ${line}`);
+    }
+    return { type: 'call', name: head.path[0], args };
+  };
+
+  const expression = parseSequence(null);
+  if (index < parts.length) throw new Error(`Unexpected ${parts[index]} in "${body}" on line ${line}`);
+  return expression;
+}
+
+function parsePath(text, line) {
+  let rest = text;
+  let depth = 0;
+  while (rest.startsWith('../')) {
+    depth++;
+    rest = rest.slice(3);
+  }
+
+  const data = rest.startsWith('@');
+  if (data) rest = rest.slice(1);
+
+  const segments = rest.split(/[./]/).filter(segment => segment !== '');
+  if (segments[0] === 'this') segments.shift();
+  if (segments.some(segment => !/^[\w-]+$/.test(segment) || BLOCKED_KEYS.has(segment))) {
+    throw new Error(`Invalid path "${text}" on line ${line}`);
+  }
+
+  return { type: 'path', path: segments, depth, data };
+}
+
+/**
+ * Build the AST: { type: 'program', body: [...] }
+ */
+function parse(source) {
+  const tokens = tokenize(source);
+  const root = { type: 'program', body: [] };
+  const stack = [{ node: root, target: root.body }];
+
+  for (const token of tokens) {
+    const frame = stack[stack.length - 1];
+
+    switch (token.type) {
+      case 'text':
+        if (token.value) frame.target.push({ type: 'text', value: token.value });
+        break;
+      case 'comment':
+        break;
+      case 'escaped':
+      case 'raw':
+        frame.target.push({
+          type: 'mustache',
+          expression: parseExpression(token.body, token.line),
+          escape: token.type === 'escaped'
+        });
+        break;
+      case 'open': {
+        const [name, ...rest] = token.body.split(/\s+/);
+        if (!BLOCK_HELPERS.has(name)) throw new Error(`Unknown block helper "${name}" on line ${token.line}`);
+        if (rest.length === 0) throw new Error(`{{#${name}}} needs an argument on line ${token.line}`);
+        if (stack.length > MAX_NESTING) throw new Error(`Blocks nested deeper than ${MAX_NESTING} on line ${token.line}`);
+
+        const block = {
+          type: 'block',
+          name,
+          expression: parseExpression(rest.join(' '), token.line),
+          program: [],
+          inverse: null,
+          line: token.line
+        };
+        frame.target.push(block);
+        stack.push({ node: block, target: block.program });
+        break;
+      }
+      case 'else':
+        if (frame.node.type !== 'block' || frame.node.inverse) {
+          throw new Error(`Unexpected {{else}} on line ${token.line}`);
+        }
+        frame.node.inverse = [];
+        frame.target = frame.node.inverse;
+        break;
+      case 'close':
+        if (frame.node.type !== 'block' || frame.node.name !== token.body) {
+          throw new Error(`Unexpected {{/${token.body}}} on line ${token.line}`);
+        }
+        stack.pop();
+        break;
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1].node;
+    throw new Error(`Unclosed {{#${open.name}}} from line ${open.line}`);
+  }
+
+  return root;
+}
+
+// --- Rendering ---
+
+function readProperty(value, key) {
+  if (!(isPlainObject(value) || Array.isArray(value))) return undefined;
+  if (!Object.prototype.hasOwnProperty.call(value, key)) return undefined;
+  const result = value[key];
+  return typeof result === 'function' ? undefined : result;
+}
+
+function lookup(frame, node) {
+  let target = frame;
+  for (let i = 0; i < node.depth && target.parent; i++) {
+    target = target.parent;
+  }
+
+  if (node.data) {
+    return node.path.length === 1 ? target.data[node.path[0]] : undefined;
+  }
+
+  return node.path.reduce((value, key) => readProperty(value, key), target.context);
+}
+
+function toOutput(value) {
+  if (value === undefined || value === null || value === false) return '';
+  if (Array.isArray(value)) return value.map(toOutput).join(', ');
+  if (typeof value === 'object') return '';
+  return String(value);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+class Renderer {
+  constructor(helpers, maxOutputLength) {
+    this.helpers = helpers;
+    this.maxOutputLength = maxOutputLength;
+    this.length = 0;
+  }
+
+  evaluate(expression, frame) {
+    switch (expression.type) {
+      case 'literal':
+        return expression.value;
+      case 'path':
+        return lookup(frame, expression);
+      case 'call': {
+        const helper = Object.prototype.hasOwnProperty.call(this.helpers, expression.name)
+          ? this.helpers[expression.name]
+          : null;
+        if (typeof helper !== 'function') {
+          throw new Error(`Unknown helper "${expression.name}"`);
+        }
+        return helper(...expression.args.map(arg => this.evaluate(arg, frame)));
+      }
+    }
+  }
+
+  emit(text) {
+    this.length += text.length;
+    if (this.length > this.maxOutputLength) {
+      throw new Error(`Rendered contract exceeds ${this.maxOutputLength} characters`);
+    }
+    return text;
+  }
+
+  renderNodes(nodes, frame) {
+    let output = '';
+    for (const node of nodes) {
+      output += this.renderNode(node, frame);
+    }
+    return output;
+  }
+
+  renderNode(node, frame) {
+    switch (node.type) {
+      case 'text':
+        return this.emit(node.value);
+      case 'mustache': {
+        const text = toOutput(this.evaluate(node.expression, frame));
+        return this.emit(node.escape ? escapeText(text) : text);
+      }
+      case 'block':
+        return this.renderBlock(node, frame);
+    }
+    return '';
+  }
+
+  renderBlock(node, frame) {
+    const value = this.evaluate(node.expression, frame);
+    const inverse = node.inverse || [];
+
+    switch (node.name) {
+      case 'if':
+        return this.renderNodes(isTruthy(value) ? node.program : inverse, frame);
+      case 'unless':
+        return this.renderNodes(isTruthy(value) ? inverse : node.program, frame);
+      case 'with':
+        return isTruthy(value)
+          ? this.renderNodes(node.program, { context: value, data: frame.data, parent: frame })
+          : this.renderNodes(inverse, frame);
+      case 'each': {
+        const entries = Array.isArray(value)
+          ? value.map((item, index) => [index, item])
+          : isPlainObject(value) ? Object.keys(value).map(key => [key, value[key]]) : [];
+        if (entries.length === 0) return this.renderNodes(inverse, frame);
+
+        return entries.map(([key, item], index) => this.renderNodes(node.program, {
+          context: item,
+          data: { index, key, first: index === 0, last: index === entries.length - 1 },
+          parent: frame
+        })).join('');
+      }
+    }
+    return '';
+  }
+}
+
+const MAX_COMPILED_TEMPLATES = 256;
+
+// sha256(template) → AST, least recently used first; custom templates are user
+// supplied, so neither the number of entries nor the keys may grow with them
+const compiledCache = new Map();
+
+/**
+ * Parse a template once and cache the AST
+ */
+export function compileTemplate(source) {
+  if (typeof source !== 'string') {
+    throw new Error('Template source must be a string');
+  }
+
+  const key = crypto.createHash('sha256').update(source).digest('hex');
+  let ast = compiledCache.get(key);
+  if (ast) {
+    compiledCache.delete(key);
+  } else {
+    ast = parse(source);
+    if (compiledCache.size >= MAX_COMPILED_TEMPLATES) {
+      compiledCache.delete(compiledCache.keys().next().value);
+    }
+  }
+  compiledCache.set(key, ast);
+  return ast;
+}
+
+/**
+ * Render a template against fields
+ * @param {string} source - Template text
+ * @param {Object} fields - Template data
+ * @param {Object} options
+ * @param {Object} [options.helpers] - Extra helpers (pure functions) merged over the built-ins
+ * @param {number} [options.maxOutputLength] - Output size limit
+ */
+export function renderTemplate(source, fields = {}, options = {}) {
+  const ast = compileTemplate(source);
+  const helpers = Object.freeze({ ...BUILT_IN_HELPERS, ...(options.helpers || {}) });
+  const renderer = new Renderer(helpers, options.maxOutputLength || DEFAULT_MAX_OUTPUT);
+
+  return renderer.renderNodes(ast.body, { context: fields, data: {}, parent: null });
+}
+
+/**
+ * Check a template parses, returning { valid, error }
+ */
+export function validateTemplate(source) {
+  try {
+    compileTemplate(source);
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+export default renderTemplate;
@@ -0,0 +1,433 @@
+/**
+ * Contract Template Registry
+ * Versioned contract templates shared by AttestationManager and the attestation API:
+ *   getTemplate(type, version?)        -> definition (latest active version when omitted) or null
+ *   listTemplates()                    -> latest version summary per type
+ *   listVersions(type)                 -> every version, oldest first
+ *   saveTemplate(definition)           -> publish a new version (must be semver-greater than the latest)
+ *   deprecateTemplate(type, version?)  -> stop offering version(s) for new contracts
+ *
+ * Published versions are immutable: attestations pin `template_version` and
+ * `template_hash`, so an old contract always re-renders exactly as it was signed.
+ * Built-in templates (CONTRACT_TEMPLATES, plus their earlier PUBLISHED_TEMPLATE_VERSIONS)
+ * are always present and cannot be deprecated.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { DERIVATION_PATHS } from './web3IdentitySDK.js';
+import { validateTemplate } from './templateEngine.js';
+import { validateSchema, checkSchema } from './jsonSchema.js';
+import { validatePolicy } from './signaturePolicy.js';
+
+dotenv.config();
+
+const SEMVER_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+const TYPE_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+function createTemplateError(message, code, details = []) {
+  const error = new Error(message);
+  error.code = code;
+  if (details.length > 0) error.details = details;
+  return error;
+}
+
+/**
+ * Parse a semantic version into comparable parts, or null if invalid
+ */
+export function parseSemver(version) {
+  const match = SEMVER_PATTERN.exec(String(version));
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Compare two semantic versions (-1, 0, 1); a prerelease sorts before its release
+ */
+export function compareSemver(a, b) {
+  const left = parseSemver(a);
+  const right = parseSemver(b);
+  if (!left || !right) throw new Error(`Invalid semantic version: ${left ? b : a}`);
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) return left[part] < right[part] ? -1 : 1;
+  }
+
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    return Math.sign(right.prerelease.length - left.prerelease.length);
+  }
+  for (let i = 0; i < Math.max(left.prerelease.length, right.prerelease.length); i++) {
+    const l = left.prerelease[i];
+    const r = right.prerelease[i];
+    if (l === undefined) return -1;
+    if (r === undefined) return 1;
+    if (l === r) continue;
+
+    const lNumeric = /^\d+$/.test(l);
+    const rNumeric = /^\d+$/.test(r);
+    if (lNumeric && rNumeric) return Number(l) < Number(r) ? -1 : 1;
+    if (lNumeric !== rNumeric) return lNumeric ? -1 : 1;
+    return l < r ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Next version after `version` (level: major | minor | patch)
+ */
+export function bumpVersion(version, level = 'patch') {
+  const parsed = parseSemver(version);
+  if (!parsed) throw new Error(`Invalid semantic version: ${version}`);
+
+  switch (level) {
+    case 'major':
+      return `${parsed.major + 1}.0.0`;
+    case 'minor':
+      return `${parsed.major}.${parsed.minor + 1}.0`;
+    case 'patch':
+      return parsed.prerelease.length > 0
+        ? `${parsed.major}.${parsed.minor}.${parsed.patch}`
+        : `${parsed.major}.${parsed.minor}.${parsed.patch + 1}`;
+    default:
+      throw new Error(`Unknown version bump: ${level}`);
+  }
+}
+
+/**
+ * JSON Schema for a template's fields: `fields_schema` plus `required_fields`
+ */
+export function getFieldsSchema(definition) {
+  const schema = definition.fields_schema || {};
+  return {
+    type: 'object',
+    ...schema,
+    required: [...new Set([...(schema.required || []), ...(definition.required_fields || [])])]
+  };
+}
+
+/**
+ * Validate contract fields against a template definition
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateFields(definition, fields) {
+  return validateSchema(getFieldsSchema(definition), fields, 'fields');
+}
+
+/**
+ * Validate a template definition and return the normalized, hashed form
+ * @param {Object} definition - { type, version, template, required_fields, fields_schema, required_signatures,
+ *   key_type, signing_deadline_days, validity_days, description }
+ *   (`required_signatures` is a signature policy, see signaturePolicy.js)
+ * @param {Object} keyRules - action -> key type rules the template must agree with
+ */
+export function normalizeTemplate(definition = {}, keyRules = {}) {
+  const errors = [];
+  const {
+    type,
+    version,
+    template,
+    required_fields: requiredFields = [],
+    fields_schema: fieldsSchema = null,
+    required_signatures: requiredSignatures = 'all_parties',
+    key_type: keyType,
+    signing_deadline_days: signingDeadlineDays = null,
+    validity_days: validityDays = null,
+    description = ''
+  } = definition;
+
+  if (typeof type !== 'string' || !TYPE_PATTERN.test(type)) {
+    errors.push('type must be lowercase words separated by hyphens');
+  }
+  if (!parseSemver(version)) {
+    errors.push('version must be a semantic version (e.g. 1.0.0)');
+  }
+
+  if (typeof template !== 'string' || !template.trim()) {
+    errors.push('template text is required');
+  } else {
+    const compiled = validateTemplate(template);
+    if (!compiled.valid) errors.push(`template: ${compiled.error}`);
+  }
+
+  if (!Array.isArray(requiredFields) || !requiredFields.every(field => typeof field === 'string' && field)) {
+    errors.push('required_fields must be an array of field names');
+  }
+
+  if (fieldsSchema !== null) {
+    errors.push(...checkSchema(fieldsSchema, 'fields_schema'));
+    if (fieldsSchema.type !== undefined && fieldsSchema.type !== 'object') {
+      errors.push('fields_schema must describe an object');
+    }
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(DERIVATION_PATHS, keyType)) {
+    errors.push(`key_type must be one of: ${Object.keys(DERIVATION_PATHS).join(', ')}`);
+  } else if (keyRules[type] && keyRules[type] !== keyType) {
+    errors.push(`key_type for ${type} must be ${keyRules[type]}`);
+  }
+
+  errors.push(...validatePolicy(requiredSignatures, Array.isArray(requiredFields) ? requiredFields : []));
+
+  for (const [name, days] of [['signing_deadline_days', signingDeadlineDays], ['validity_days', validityDays]]) {
+    if (days !== null && (typeof days !== 'number' || !(days > 0))) {
+      errors.push(`${name} must be a positive number of days`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw createTemplateError(`Invalid template ${type || ''}@${version || ''}: ${errors.join('; ')}`, 'TEMPLATE_INVALID', errors);
+  }
+
+  return {
+    type,
+    version,
+    description,
+    template,
+    template_hash: crypto.createHash('sha256').update(template).digest('hex'),
+    required_fields: requiredFields,
+    fields_schema: fieldsSchema,
+    required_signatures: requiredSignatures,
+    key_type: keyType,
+    signing_deadline_days: signingDeadlineDays,
+    validity_days: validityDays
+  };
+}
+
+function toSummary(definition, versions) {
+  return {
+    type: definition.type,
+    version: definition.version,
+    versions: versions.map(version => version.version),
+    description: definition.description,
+    required_fields: definition.required_fields,
+    key_type: definition.key_type,
+    required_signatures: definition.required_signatures,
+    signing_deadline_days: definition.signing_deadline_days,
+    validity_days: definition.validity_days,
+    builtin: Boolean(definition.builtin)
+  };
+}
+
+/**
+ * Shared registry logic; subclasses provide loadVersions, loadTypes, insertVersion and setDeprecated
+ */
+export class TemplateRegistry {
+  /**
+   * @param {Object} config
+   * @param {Object} [config.builtIns] - type -> built-in definition (CONTRACT_TEMPLATES)
+   * @param {Object} [config.publishedVersions] - type -> earlier built-in definitions (PUBLISHED_TEMPLATE_VERSIONS)
+   * @param {Object} [config.keyRules] - action -> key type rules (ATTESTATION_KEY_RULES)
+   */
+  constructor(config = {}) {
+    this.keyRules = config.keyRules || {};
+    const builtIn = (type, definition) => Object.freeze({
+      ...normalizeTemplate({ ...definition, type }, this.keyRules),
+      builtin: true,
+      deprecated: false
+    });
+
+    // type -> every published built-in version
+    this.builtIns = new Map(Object.entries(config.builtIns || {}).map(([type, definition]) => [
+      type,
+      [...(config.publishedVersions?.[type] || []), definition].map(version => builtIn(type, version))
+    ]));
+  }
+
+  async listVersions(type) {
+    const versions = await this.loadVersions(type);
+    versions.push(...(this.builtIns.get(type) || []));
+    return versions.sort((a, b) => compareSemver(a.version, b.version));
+  }
+
+  async getTemplate(type, version = null) {
+    const versions = await this.listVersions(type);
+    if (version) {
+      return versions.find(definition => definition.version === version) || null;
+    }
+    return versions.filter(definition => !definition.deprecated).at(-1) || null;
+  }
+
+  async listTemplates() {
+    const types = new Set([...this.builtIns.keys(), ...await this.loadTypes()]);
+    const summaries = [];
+
+    for (const type of [...types].sort()) {
+      const versions = await this.listVersions(type);
+      const active = versions.filter(definition => !definition.deprecated);
+      if (active.length > 0) summaries.push(toSummary(active.at(-1), active));
+    }
+    return summaries;
+  }
+
+  async saveTemplate(definition, options = {}) {
+    const normalized = normalizeTemplate(definition, this.keyRules);
+    const latest = (await this.listVersions(normalized.type)).at(-1);
+
+    if (latest && compareSemver(normalized.version, latest.version) <= 0) {
+      throw createTemplateError(
+        `${normalized.type}@${normalized.version} must be greater than the latest version ${latest.version}`,
+        'TEMPLATE_VERSION_CONFLICT'
+      );
+    }
+
+    const stored = {
+      ...normalized,
+      builtin: false,
+      deprecated: false,
+      createdBy: options.createdBy || null,
+      created: new Date().toISOString()
+    };
+    await this.insertVersion(stored);
+
+    console.log(`📄 Published contract template ${stored.type}@${stored.version}`);
+    return stored;
+  }
+
+  async deprecateTemplate(type, version = null) {
+    const versions = await this.listVersions(type);
+    const targets = versions.filter(definition => !version || definition.version === version);
+
+    if (targets.length === 0) {
+      throw createTemplateError(`Template not found: ${type}${version ? `@${version}` : ''}`, 'TEMPLATE_NOT_FOUND');
+    }
+    if (targets.every(definition => definition.builtin)) {
+      throw createTemplateError(`Built-in template ${type}@${targets[0].version} cannot be deprecated`, 'TEMPLATE_BUILTIN');
+    }
+
+    const custom = targets.filter(definition => !definition.builtin && !definition.deprecated);
+    await this.setDeprecated(type, version);
+    return custom.map(definition => definition.version);
+  }
+}
+
+/**
+ * In-memory registry (default, used by CLI and demos)
+ */
+export class MemoryTemplateRegistry extends TemplateRegistry {
+  constructor(config = {}) {
+    super(config);
+    this.storage = config.storage || new Map();
+  }
+
+  async loadVersions(type) {
+    return (this.storage.get(type) || []).map(definition => structuredClone(definition));
+  }
+
+  async loadTypes() {
+    return [...this.storage.keys()];
+  }
+
+  async insertVersion(definition) {
+    const versions = this.storage.get(definition.type) || [];
+    if (versions.some(existing => existing.version === definition.version)) {
+      throw createTemplateError(`${definition.type}@${definition.version} already exists`, 'TEMPLATE_VERSION_CONFLICT');
+    }
+    this.storage.set(definition.type, [...versions, structuredClone(definition)]);
+  }
+
+  async setDeprecated(type, version) {
+    (this.storage.get(type) || [])
+      .filter(definition => !version || definition.version === version)
+      .forEach(definition => { definition.deprecated = true; });
+  }
+}
+
+/**
+ * MongoDB registry backed by the ContractTemplate model
+ * The database layer is loaded lazily so memory-only users never pull in mongoose.
+ */
+export class MongoTemplateRegistry extends TemplateRegistry {
+  constructor(config = {}) {
+    super(config);
+    this.isConnected = false;
+    this.ContractTemplate = null;
+  }
+
+  async initialize() {
+    if (!this.isConnected) {
+      const { ContractTemplate, connectDatabase } = await import('../database/schemas.js');
+      await connectDatabase();
+      this.ContractTemplate = ContractTemplate;
+      this.isConnected = true;
+    }
+    return this;
+  }
+
+  static fromDocument(doc) {
+    return {
+      type: doc.type,
+      version: doc.version,
+      description: doc.description || '',
+      template: doc.template,
+      template_hash: doc.template_hash,
+      required_fields: doc.required_fields || [],
+      fields_schema: doc.fields_schema || null,
+      required_signatures: doc.required_signatures,
+      key_type: doc.key_type,
+      signing_deadline_days: doc.signing_deadline_days ?? null,
+      validity_days: doc.validity_days ?? null,
+      builtin: false,
+      deprecated: Boolean(doc.deprecated),
+      createdBy: doc.createdBy || null,
+      created: doc.createdAt ? new Date(doc.createdAt).toISOString() : null
+    };
+  }
+
+  async loadVersions(type) {
+    await this.initialize();
+    const docs = await this.ContractTemplate.find({ type }).lean();
+    return docs.map(MongoTemplateRegistry.fromDocument);
+  }
+
+  async loadTypes() {
+    await this.initialize();
+    return await this.ContractTemplate.distinct('type');
+  }
+
+  async insertVersion(definition) {
+    await this.initialize();
+    const { builtin, created, ...fields } = definition;
+
+    try {
+      await this.ContractTemplate.create(fields);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createTemplateError(`${definition.type}@${definition.version} already exists`, 'TEMPLATE_VERSION_CONFLICT');
+      }
+      throw error;
+    }
+  }
+
+  async setDeprecated(type, version) {
+    await this.initialize();
+    await this.ContractTemplate.updateMany(
+      version ? { type, version } : { type },
+      { $set: { deprecated: true } }
+    );
+  }
+}
+
+/**
+ * Build a registry from config or ATTESTATION_STORE (memory | mongo)
+ * Templates live alongside the attestations that pin them.
+ */
+export function createTemplateRegistry(config = {}) {
+  const type = config.type || process.env.ATTESTATION_STORE || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return new MemoryTemplateRegistry(config);
+    case 'mongo':
+    case 'mongodb':
+      return new MongoTemplateRegistry(config);
+    default:
+      throw new Error(`Unknown template registry: ${type}`);
+  }
+}
+
+export default createTemplateRegistry;
@@ -3,19 +3,46 @@
  * Mirrors file-based logic with enhanced database persistence and audit trails
  */
 
-import fetch from 'node-fetch';
 import bsv from 'smartledger-bsv';
 import { UTXOService } from '../database/services.js';
 import { connectDatabase } from '../database/schemas.js';
+import { getDefaultProvider } from './blockchainProvider.js';
 
-const NETWORK = process.env.BSV_NETWORK || 'main';
-const API_BASE = `https://api.whatsonchain.com/v1/bsv/${NETWORK}`;
+// Confirmations after which a spend is treated as final and no longer tracked
+const DEFAULT_FINALITY_DEPTH = 6;
+
+// How long a transaction may be unknown to the provider before it counts as evicted
+// (covers propagation delay and indexer lag right after a broadcast)
+const DEFAULT_EVICTION_GRACE_MS = 30 * 60 * 1000;
+
+// Outputs looked up one by one per tracking pass; the rest wait for the next pass.
+// Coins the wallet listing shows unspent need no lookup at all.
+const DEFAULT_SPEND_CHECK_LIMIT = 25;
+
+const TRACKER_ACTOR = 'confirmation_tracker';
+
+// Spends recorded without their transaction use placeholders ('sync_spent', 'unknown')
+const TXID_PATTERN = /^[0-9a-f]{64}$/i;
 
 export class UTXOManagerMongo {
-  constructor(walletPath = './wallet.json') {
+  /**
+   * @param {string} walletPath - Path to wallet JSON
+   * @param {Object} options
+   * @param {BlockchainProvider} [options.provider] - Blockchain provider (defaults to getDefaultProvider())
+   * @param {number} [options.finalityDepth] - Spend confirmations before tracking stops (default 6)
+   * @param {number} [options.evictionGraceMs] - Time a tx may be missing before it counts as evicted
+   * @param {number} [options.spendCheckLimit] - getSpentBy lookups per tracking pass (default 25)
+   */
+  constructor(walletPath = './wallet.json', options = {}) {
     this.walletPath = walletPath;
     this.wallet = null;
     this.isConnected = false;
+    this.provider = options.provider || getDefaultProvider();
+    this.finalityDepth = options.finalityDepth || DEFAULT_FINALITY_DEPTH;
+    this.evictionGraceMs = options.evictionGraceMs ?? DEFAULT_EVICTION_GRACE_MS;
+    this.spendCheckLimit = options.spendCheckLimit ?? DEFAULT_SPEND_CHECK_LIMIT;
+    this.trackerTimer = null;
+    this.leaseTimer = null;
   }
 
   /**
@@ -56,41 +83,24 @@ export class UTXOManagerMongo {
       throw new Error('Wallet address not available');
     }
 
-    const url = `${API_BASE}/address/${walletAddress}/unspent/all`;
-    
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      
-      if (!data.result || !Array.isArray(data.result)) {
-        return [];
-      }
+      const unspent = await this.provider.listUnspent(walletAddress);
 
       // Enhanced filtering and validation
-      const validUtxos = data.result
+      const validUtxos = unspent
         .filter(utxo => {
           // Filter out spent in mempool
-          if (utxo.isSpentInMempoolTx) return false;
-          
-          // Validate required fields
-          if (!utxo.tx_hash || typeof utxo.tx_pos !== 'number' || !utxo.value) {
-            console.warn(`Invalid UTXO data:`, utxo);
-            return false;
-          }
+          if (utxo.spentInMempool) return false;
           
           // Filter out dust (less than 546 satoshis)
-          if (utxo.value < 546) return false;
+          if (utxo.satoshis < 546) return false;
           
           return true;
         })
         .map(utxo => ({
-          txid: utxo.tx_hash,
-          vout: utxo.tx_pos,
-          satoshis: utxo.value,
+          txid: utxo.txid,
+          vout: utxo.vout,
+          satoshis: utxo.satoshis,
           script: bsv.Script.buildPublicKeyHashOut(walletAddress).toHex(),
           scriptPubKey: bsv.Script.buildPublicKeyHashOut(walletAddress).toHex(),
           blockHeight: utxo.height || 0,
@@ -169,16 +179,18 @@ export class UTXOManagerMongo {
   }
 
   /**
-   * Reserve a UTXO for spending with database transaction
+   * Reserve a UTXO for spending under a lease
+   * @param {Object} [options] - { owner, leaseMs, sort } (see UTXOService.claimUTXO)
    */
-  async reserveUTXO(requiredAmount = 0) {
+  async reserveUTXO(requiredAmount = 0, options = {}) {
     await this.initialize();
     
     try {
       const reservedUTXO = await UTXOService.reserveUTXO(
         this.wallet.address, 
         requiredAmount, 
-        'utxo_manager'
+        'utxo_manager',
+        options
       );
       
       return reservedUTXO;
@@ -321,20 +333,16 @@ export class UTXOManagerMongo {
       // Optionally check against blockchain (expensive operation)
       if (checkBlockchain) {
         try {
-          const url = `${API_BASE}/tx/${utxo.txid}/out/${utxo.vout}/spent`;
-          const response = await fetch(url);
+          const spentBy = await this.provider.getSpentBy(utxo.txid, utxo.vout);
           
-          if (response.status === 404) {
+          if (!spentBy) {
             // UTXO is unspent on blockchain
             return { valid: true, source: 'blockchain' };
-          } else if (response.ok) {
-            // UTXO is spent on blockchain - mark in database
-            await this.markUTXOSpent(utxo, 'unknown');
-            return { valid: false, reason: 'UTXO is spent on blockchain' };
-          } else {
-            console.warn(`Blockchain validation failed for ${utxo.txid}:${utxo.vout}`);
-            return validation; // Fall back to database validation
           }
+
+          // UTXO is spent on blockchain - mark in database
+          await this.markUTXOSpent(utxo, spentBy);
+          return { valid: false, reason: `UTXO is spent on blockchain in ${spentBy}` };
         } catch (error) {
           console.warn(`Blockchain validation error: ${error.message}`);
           return validation; // Fall back to database validation
@@ -443,4 +451,293 @@ export class UTXOManagerMongo {
       markedSpent
     };
   }
-}
\ No newline at end of file
+
+  /**
+   * Poll the provider once and bring tracked UTXOs up to date with the chain:
+   * - confirmations and block heights advance; a funding tx that left its block is a reorg
+   * - available or reserved coins spent on chain become spent
+   * - spends are confirmed, or moved back to spent when a reorg unconfirms them
+   * - a spend whose tx was evicted or never propagated is restored to available;
+   *   one that lost to a conflicting tx records the double-spend
+   * - coins whose funding tx vanished (evicted or reorged out) become orphaned
+   * Every status change is recorded on the UTXO (statusHistory) and in the audit trail.
+   * Whether unspent coins were spent comes from one listUnspent call for the wallet;
+   * only coins missing from it are looked up individually, spendCheckLimit per pass,
+   * and coins over that limit keep their place at the front of the next pass.
+   *
+   * @param {Object} [options] - { limit: UTXOs checked per pass, now }
+   * @returns {Object} Counts of what changed
+   */
+  async trackConfirmations({ limit = 200, now = new Date() } = {}) {
+    await this.initialize();
+
+    const tipHeight = await this.provider.getBlockHeight();
+    const utxos = await UTXOService.getTrackedUTXOs(this.wallet.address, {
+      finalityDepth: this.finalityDepth,
+      limit
+    });
+
+    // Several UTXOs share a funding or spending tx; look each up once per pass
+    const transactions = new Map();
+    const lookup = txid => {
+      if (!transactions.has(txid)) {
+        transactions.set(txid, /^[a-f0-9]{64}$/i.test(txid || '') ? this.provider.getTransaction(txid) : Promise.resolve(null));
+      }
+      return transactions.get(txid);
+    };
+
+    // One wallet listing answers "still unspent?" for most coins
+    let listing = null;
+    let spendChecks = 0;
+    const spentBy = async (txid, vout) => {
+      listing ??= this.provider.listUnspent(this.wallet.address)
+        .then(unspent => new Map(unspent.map(output => [`${output.txid}:${output.vout}`, output])));
+      const listed = (await listing).get(`${txid}:${vout}`);
+      if (listed && !listed.spentInMempool) return null;
+
+      if (spendChecks >= this.spendCheckLimit) return undefined; // Deferred to the next pass
+      spendChecks++;
+      return this.provider.getSpentBy(txid, vout);
+    };
+
+    const summary = {
+      checked: 0,
+      confirmed: 0,
+      reorged: 0,
+      spent: 0,
+      doubleSpent: 0,
+      restored: 0,
+      orphaned: 0,
+      deferred: 0,
+      errors: 0
+    };
+    const updates = [];
+
+    for (const utxo of utxos) {
+      try {
+        const changes = await this.trackUTXO(utxo, { tipHeight, lookup, spentBy, now, summary });
+        if (changes) updates.push({ txid: utxo.txid, vout: utxo.vout, changes });
+        summary.checked++;
+      } catch (error) {
+        summary.errors++;
+        console.warn(`⚠️  Could not track UTXO ${utxo.txid}:${utxo.vout}: ${error.message}`);
+      }
+    }
+
+    await UTXOService.recordConfirmations(updates);
+
+    const changed = summary.spent + summary.confirmed + summary.restored + summary.orphaned + summary.doubleSpent;
+    if (changed > 0 || summary.reorged > 0) {
+      console.log(`⛓️  Tracked ${summary.checked} UTXOs at height ${tipHeight}: ${summary.confirmed} confirmed, ${summary.spent} spent, ${summary.restored} restored, ${summary.orphaned} orphaned, ${summary.doubleSpent} double-spent, ${summary.reorged} reorged`);
+    }
+    if (summary.deferred > 0) {
+      console.log(`⏭️  ${summary.deferred} spend check(s) deferred to the next pass (limit ${this.spendCheckLimit})`);
+    }
+    return { tipHeight, ...summary };
+  }
+
+  /**
+   * Check one UTXO; applies status transitions and returns the confirmation fields to store
+   * (null when a transition already stored them)
+   */
+  async trackUTXO(utxo, { tipHeight, lookup, spentBy: getSpentBy, now, summary }) {
+    const confirmationsAt = blockHeight => (blockHeight ? Math.max(tipHeight - blockHeight + 1, 0) : 0);
+    const stillMissing = () => now - (utxo.missingSince || now) < this.evictionGraceMs;
+    const transition = (to, reason, details = {}) => UTXOService.transitionUTXO(
+      utxo.txid,
+      utxo.vout,
+      { from: utxo.status, to, reason, ...details },
+      TRACKER_ACTOR
+    );
+
+    // Funding transaction: confirmations, reorgs, eviction
+    const funding = await lookup(utxo.txid);
+    if (!funding) {
+      if (stillMissing()) {
+        return { lastCheckedAt: now, missingSince: utxo.missingSince || now };
+      }
+      if (await transition('orphaned', 'funding_evicted', { changes: { lastCheckedAt: now, confirmations: 0 } })) {
+        summary.orphaned++;
+        console.warn(`⚠️  UTXO ${utxo.txid}:${utxo.vout} orphaned: funding transaction no longer known`);
+
+        // Part of a split chain: everything built on the evicted transaction goes with it
+        if (utxo.parentTxid) {
+          const rollback = await UTXOService.rollbackSplitChain(utxo.txid, { reason: 'funding_evicted', actor: TRACKER_ACTOR });
+          summary.orphaned += rollback.orphaned;
+          summary.restored += rollback.restored;
+        }
+      }
+      return null;
+    }
+
+    if (utxo.confirmations > 0 && funding.blockHeight !== utxo.blockHeight) {
+      summary.reorged++;
+      console.warn(`⚠️  Reorg: ${utxo.txid} moved from block ${utxo.blockHeight} to ${funding.blockHeight || 'mempool'}`);
+    }
+
+    const changes = {
+      lastCheckedAt: now,
+      blockHeight: funding.blockHeight || 0,
+      confirmations: confirmationsAt(funding.blockHeight),
+      missingSince: null
+    };
+    // Over the spend check limit: keep the funding update but stay first in line
+    const deferred = () => {
+      summary.deferred++;
+      const { lastCheckedAt, ...rest } = changes;
+      return rest;
+    };
+
+    // Unspent as far as we know: has it been spent on chain?
+    if (utxo.status === 'available' || utxo.status === 'reserved') {
+      const spentBy = await getSpentBy(utxo.txid, utxo.vout);
+      if (spentBy === undefined) return deferred();
+      if (!spentBy) return changes;
+
+      const spent = await transition('spent', utxo.status === 'reserved' ? 'spend_detected' : 'spent_on_chain', {
+        txid: spentBy,
+        changes: { ...changes, spentInTxid: spentBy, spentAt: now, reservedBy: null, leaseExpiresAt: null }
+      });
+      if (spent) summary.spent++;
+      return null;
+    }
+
+    // Spent: follow the spending transaction
+    const spenderKnown = TXID_PATTERN.test(utxo.spentInTxid || '');
+    const spending = spenderKnown ? await lookup(utxo.spentInTxid) : null;
+
+    if (spending?.blockHeight) {
+      const spendChanges = {
+        ...changes,
+        spentBlockHeight: spending.blockHeight,
+        spendConfirmations: confirmationsAt(spending.blockHeight)
+      };
+      if (utxo.status === 'confirmed_spent') return spendChanges;
+
+      const confirmed = await transition('confirmed_spent', 'spend_confirmed', {
+        txid: spending.txid,
+        blockHeight: spending.blockHeight,
+        changes: spendChanges
+      });
+      if (confirmed) summary.confirmed++;
+      return null;
+    }
+
+    const unconfirmed = { ...changes, spentBlockHeight: null, spendConfirmations: 0 };
+
+    if (spending) {
+      // In the mempool: a confirmed spend here was reorged out of its block
+      if (utxo.status !== 'confirmed_spent') return changes;
+
+      const reorged = await transition('spent', 'spend_reorged', {
+        txid: spending.txid,
+        blockHeight: utxo.spentBlockHeight,
+        changes: unconfirmed
+      });
+      if (reorged) summary.reorged++;
+      return null;
+    }
+
+    // Spending tx unknown: lost a double-spend race, or was evicted / never propagated
+    const spentBy = await getSpentBy(utxo.txid, utxo.vout);
+    if (spentBy === undefined) return deferred();
+
+    // Recorded as spent without a txid: fill it in once the chain names one, never restore
+    if (!spenderKnown) {
+      if (!spentBy) return changes;
+
+      const identified = await transition('spent', 'spender_identified', {
+        txid: spentBy,
+        changes: { ...unconfirmed, spentInTxid: spentBy }
+      });
+      if (identified) {
+        console.log(`🔎 UTXO ${utxo.txid}:${utxo.vout} (${utxo.spentInTxid || 'no txid'}) spent by ${spentBy}`);
+      }
+      return null;
+    }
+
+    if (spentBy && spentBy !== utxo.spentInTxid) {
+      const replaced = await transition('spent', 'double_spend', {
+        txid: spentBy,
+        changes: { ...unconfirmed, spentInTxid: spentBy }
+      });
+      if (replaced) {
+        summary.doubleSpent++;
+        console.warn(`⚠️  Double-spend: ${utxo.txid}:${utxo.vout} spent by ${spentBy}, not ${utxo.spentInTxid}`);
+      }
+      return null;
+    }
+
+    if (spentBy || stillMissing()) {
+      return { ...changes, missingSince: utxo.missingSince || now };
+    }
+
+    const restored = await transition('available', 'spend_evicted', {
+      txid: utxo.spentInTxid,
+      changes: { ...unconfirmed, spentInTxid: null, spentAt: null, reservedAt: null, reservedBy: null, leaseExpiresAt: null }
+    });
+    if (restored) {
+      summary.restored++;
+      console.log(`♻️  Restored UTXO ${utxo.txid}:${utxo.vout}: spending tx ${utxo.spentInTxid} never confirmed`);
+    }
+    return null;
+  }
+
+  /**
+   * Run trackConfirmations every `intervalMs` (the timer does not keep the process alive)
+   */
+  startConfirmationTracker(intervalMs = 60 * 1000) {
+    if (!this.trackerTimer) {
+      this.trackerTimer = setInterval(() => {
+        this.trackConfirmations().catch(error => {
+          console.error('❌ UTXO confirmation tracking failed:', error.message);
+        });
+      }, intervalMs);
+      this.trackerTimer.unref();
+    }
+    return this.trackerTimer;
+  }
+
+  stopConfirmationTracker() {
+    clearInterval(this.trackerTimer);
+    this.trackerTimer = null;
+  }
+
+  /**
+   * Return this wallet's reservations whose lease expired to the pool; coins the
+   * lease owner already spent on chain are marked spent instead
+   * @returns {Object} { reclaimed, spent }
+   */
+  async sweepExpiredLeases({ now = new Date() } = {}) {
+    await this.initialize();
+
+    const result = await UTXOService.reclaimExpiredLeases(this.wallet.address, {
+      now,
+      getSpentBy: (txid, vout) => this.provider.getSpentBy(txid, vout)
+    });
+    if (result.reclaimed + result.spent > 0) {
+      console.log(`🔓 Expired UTXO leases: ${result.reclaimed} reclaimed, ${result.spent} already spent`);
+    }
+    return result;
+  }
+
+  /**
+   * Run sweepExpiredLeases every `intervalMs` (the timer does not keep the process alive)
+   */
+  startLeaseSweeper(intervalMs = 60 * 1000) {
+    if (!this.leaseTimer) {
+      this.leaseTimer = setInterval(() => {
+        this.sweepExpiredLeases().catch(error => {
+          console.error('❌ UTXO lease sweep failed:', error.message);
+        });
+      }, intervalMs);
+      this.leaseTimer.unref();
+    }
+    return this.leaseTimer;
+  }
+
+  stopLeaseSweeper() {
+    clearInterval(this.leaseTimer);
+    this.leaseTimer = null;
+  }
+}
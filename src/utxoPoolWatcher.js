@@ -0,0 +1,218 @@
+/**
+ * UTXO Pool Watcher
+ * Keeps the publishing wallet's available UTXOs between configurable thresholds:
+ * splits from the funding wallet when the pool runs low and consolidates the
+ * smallest outputs into the sweep wallet when there are too many of them.
+ *
+ *   node src/utxoPoolWatcher.js            # watch (POOL_CHECK_INTERVAL_MS)
+ *   node src/utxoPoolWatcher.js --once     # one check, then exit
+ */
+
+import dotenv from 'dotenv';
+import { UTXOSplitter } from './splitUtxos.js';
+import { UTXOService } from '../database/services.js';
+import { getDefaultProvider } from './blockchainProvider.js';
+import { createFeePolicy, estimateTxSize, p2pkhOutput, DEFAULT_DUST_LIMIT } from './coinSelection.js';
+
+dotenv.config();
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Pool bounds; each can be overridden with the POOL_* variable of the same name
+ */
+export const DEFAULT_POOL_THRESHOLDS = {
+  minUTXOs: envNumber('POOL_MIN_UTXOS', 20),
+  maxUTXOs: envNumber('POOL_MAX_UTXOS', 500),
+  minSatoshis: envNumber('POOL_MIN_SATOSHIS', 500),
+  maxSatoshis: envNumber('POOL_MAX_SATOSHIS', 25000),
+  // Outputs per split transaction (at least enough to get back above the minimums)
+  splitCount: envNumber('POOL_SPLIT_COUNT', 50),
+  splitValue: envNumber('POOL_SPLIT_VALUE', 25),
+  // Inputs per consolidation transaction
+  maxConsolidateInputs: envNumber('POOL_MAX_CONSOLIDATE_INPUTS', 200)
+};
+
+export class UTXOPoolWatcher {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.thresholds] - Overrides for DEFAULT_POOL_THRESHOLDS
+   * @param {UTXOSplitter} [options.splitter] - Funding/publishing wallets (default new UTXOSplitter)
+   * @param {BlockchainProvider} [options.provider]
+   * @param {Object} [options.feePolicy] - createFeePolicy() result for consolidations
+   */
+  constructor(options = {}) {
+    this.thresholds = { ...DEFAULT_POOL_THRESHOLDS, ...options.thresholds };
+    this.splitter = options.splitter || new UTXOSplitter({ provider: options.provider || getDefaultProvider() });
+    this.feePolicy = options.feePolicy || createFeePolicy();
+    this.checking = false;
+    this.watchTimer = null;
+
+    const { minUTXOs, maxUTXOs, minSatoshis, maxSatoshis, splitValue } = this.thresholds;
+    if (minUTXOs > maxUTXOs || minSatoshis > maxSatoshis) {
+      throw new Error('Pool thresholds need min <= max for both UTXO count and satoshis');
+    }
+    if (!(splitValue > 0)) {
+      throw new Error('Pool splitValue must be a positive number of satoshis');
+    }
+  }
+
+  /**
+   * Current size of the publishing pool
+   * @returns {Object} { address, utxos, satoshis, smallest } - smallest: values of the coins a
+   *   consolidation would spend, smallest first (only fetched when the pool is above a maximum)
+   */
+  async getPool() {
+    await this.splitter.initialize();
+    const { address } = this.splitter.publishingWallet;
+    const stats = await UTXOService.getWalletStats(address);
+    const pool = { address, utxos: stats.availableUTXOs || 0, satoshis: stats.availableBalance || 0, smallest: [] };
+
+    if (pool.utxos > this.thresholds.maxUTXOs || pool.satoshis > this.thresholds.maxSatoshis) {
+      const coins = await UTXOService.getSmallestUTXOs(address, this.thresholds.maxConsolidateInputs);
+      pool.smallest = coins.map(utxo => utxo.satoshis);
+    }
+    return pool;
+  }
+
+  /**
+   * What a pool needs: { action: 'split', count } | { action: 'consolidate', count } | { action: 'none' }
+   */
+  plan({ utxos, satoshis, smallest = [] }) {
+    const { minUTXOs, maxUTXOs, minSatoshis, maxSatoshis, splitCount, splitValue, maxConsolidateInputs } = this.thresholds;
+
+    if (utxos < minUTXOs || satoshis < minSatoshis) {
+      const needed = Math.max(minUTXOs - utxos, Math.ceil((minSatoshis - satoshis) / splitValue), splitCount);
+      // Never split the pool past its maximums
+      const room = Math.min(maxUTXOs - utxos, Math.floor((maxSatoshis - satoshis) / splitValue));
+      const count = Math.min(needed, room);
+
+      return count > 0
+        ? { action: 'split', count, reason: 'pool_low' }
+        : { action: 'none', reason: 'no_room_to_split' };
+    }
+
+    if (utxos > maxUTXOs || satoshis > maxSatoshis) {
+      // Take the smallest coins (what consolidateUTXOs spends) until the pool is back under
+      // both maximums and the merged output clears the dust limit, leaving the minimum behind
+      const limit = Math.min(utxos - minUTXOs, maxConsolidateInputs, smallest.length);
+      const output = (count, total) => total - this.feePolicy.fee(estimateTxSize(count, [p2pkhOutput(0)]));
+      let count = 0;
+      let total = 0;
+      while (count < limit && (count < utxos - maxUTXOs || total < satoshis - maxSatoshis || output(count, total) < DEFAULT_DUST_LIMIT)) {
+        total += smallest[count];
+        count++;
+      }
+
+      if (count === 0) {
+        return { action: 'none', reason: 'no_room_to_consolidate' };
+      }
+      return output(count, total) >= DEFAULT_DUST_LIMIT
+        ? { action: 'consolidate', count, reason: 'pool_high' }
+        : { action: 'none', reason: 'below_dust_limit' };
+    }
+
+    return { action: 'none', reason: 'within_thresholds' };
+  }
+
+  /**
+   * Check the pool once and split or consolidate as needed
+   * @returns {Object} { action, reason, before, result }
+   */
+  async check() {
+    if (this.checking) {
+      return { action: 'none', reason: 'check_in_progress' };
+    }
+    this.checking = true;
+
+    try {
+      const before = await this.getPool();
+      const plan = this.plan(before);
+
+      if (plan.action === 'split') {
+        console.log(`📉 Publishing pool low (${before.utxos} UTXOs, ${before.satoshis} sats): splitting ${plan.count} × ${this.thresholds.splitValue} sats`);
+        const result = await this.splitter.splitUTXOs(plan.count, this.thresholds.splitValue);
+        return { ...plan, before, result };
+      }
+
+      if (plan.action === 'consolidate') {
+        console.log(`📈 Publishing pool high (${before.utxos} UTXOs, ${before.satoshis} sats): consolidating ${plan.count} smallest UTXOs`);
+        const result = await this.splitter.consolidateUTXOs(plan.count, {
+          feePolicy: this.feePolicy,
+          maxInputs: this.thresholds.maxConsolidateInputs
+        });
+        return { ...plan, before, result };
+      }
+
+      return { ...plan, before };
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Run check every `intervalMs` (the timer does not keep the process alive)
+   * @param {Function} [onCheck] - Called with each check's outcome
+   */
+  startPoolWatcher(intervalMs = 60 * 1000, onCheck = () => {}) {
+    if (!this.watchTimer) {
+      this.watchTimer = setInterval(() => {
+        this.check().then(onCheck).catch(error => {
+          console.error('❌ UTXO pool check failed:', error.message);
+        });
+      }, intervalMs);
+      this.watchTimer.unref();
+    }
+    return this.watchTimer;
+  }
+
+  stopPoolWatcher() {
+    clearInterval(this.watchTimer);
+    this.watchTimer = null;
+  }
+}
+
+// CLI interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const watcher = new UTXOPoolWatcher();
+  const { minUTXOs, maxUTXOs, minSatoshis, maxSatoshis } = watcher.thresholds;
+  const report = ({ action, reason, before }) => {
+    if (before) {
+      console.log(`📊 Pool: ${before.utxos} UTXOs, ${before.satoshis} sats → ${action} (${reason})`);
+    }
+  };
+
+  console.log(`👀 Publishing pool bounds: ${minUTXOs}-${maxUTXOs} UTXOs, ${minSatoshis}-${maxSatoshis} sats`);
+
+  if (process.argv.includes('--once')) {
+    watcher.check()
+      .then(outcome => {
+        report(outcome);
+        process.exit(0);
+      })
+      .catch(error => {
+        console.error('❌ UTXO pool check failed:', error.message);
+        process.exit(1);
+      });
+  } else {
+    const intervalMs = envNumber('POOL_CHECK_INTERVAL_MS', 60 * 1000);
+
+    watcher.check().then(report).catch(error => {
+      console.error('❌ UTXO pool check failed:', error.message);
+    });
+    // The watcher's timer is unref'd for servers; the CLI is nothing but the watcher
+    watcher.startPoolWatcher(intervalMs, report).ref();
+    console.log(`⏱️  Checking every ${intervalMs / 1000}s (Ctrl+C to stop)`);
+
+    process.on('SIGINT', () => {
+      watcher.stopPoolWatcher();
+      console.log('\n👋 Pool watcher stopped');
+      process.exit(0);
+    });
+  }
+}
+
+export default UTXOPoolWatcher;
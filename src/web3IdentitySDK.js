@@ -6,6 +6,13 @@
 
 import bsv from 'smartledger-bsv';
 import crypto from 'crypto';
+import {
+  canonicalize,
+  serializePayload,
+  recordedScheme,
+  CANONICALIZATION,
+  LEGACY_CANONICALIZATION
+} from './canonicalJson.js';
 
 /**
  * Music Industry Identity Derivation Paths (BIP44 Compatible)
@@ -77,6 +84,33 @@ const ACTION_KEY_MAP = {
   'official-document': 'document'
 };
 
+/**
+ * JSON Schema of a signForAction() result as the API accepts it (request body validation)
+ */
+const SIGNED_ACTION_SCHEMA = {
+  type: 'object',
+  required: ['payload', 'signature', 'publicKey'],
+  properties: {
+    payload: {
+      type: 'object',
+      required: ['action', 'timestamp', 'keyType'],
+      properties: {
+        action: { enum: Object.keys(ACTION_KEY_MAP) },
+        data: { description: 'Action data (a login signs the challenge)' },
+        timestamp: { type: 'string', format: 'date-time' },
+        keyType: { enum: Object.keys(DERIVATION_PATHS) },
+        derivationPath: { type: 'string' },
+        nonce: { type: 'string', description: 'One-time nonce from /api/identity/action/sign' }
+      }
+    },
+    signature: { type: 'string', minLength: 1 },
+    publicKey: { type: 'string', pattern: '^[0-9a-fA-F]{66}$|^[0-9a-fA-F]{130}$' },
+    address: { type: 'string' },
+    signingKey: { type: 'string' },
+    canonicalization: { enum: [CANONICALIZATION, LEGACY_CANONICALIZATION] }
+  }
+};
+
 export class MusicIdentitySDK {
   constructor() {
     this.mnemonic = null;
@@ -156,8 +190,9 @@ export class MusicIdentitySDK {
 
   /**
    * Sign data with appropriate key based on action type
+   * @param {string} nonce - One-time server nonce (from /action/sign), signed with the payload
    */
-  signForAction(action, data, timestamp = null) {
+  signForAction(action, data, timestamp = null, nonce = null) {
     try {
       // Determine which key to use for this action
       const keyType = ACTION_KEY_MAP[action];
@@ -178,9 +213,12 @@ export class MusicIdentitySDK {
         keyType,
         derivationPath: DERIVATION_PATHS[keyType]
       };
+      if (nonce) {
+        signingPayload.nonce = nonce;
+      }
 
-      // Sign the payload
-      const message = bsv.Message.fromString(JSON.stringify(signingPayload));
+      // Sign the canonical (RFC 8785) form of the payload
+      const message = bsv.Message.fromString(canonicalize(signingPayload));
       const signature = message.sign(privateKey);
 
       return {
@@ -188,13 +226,46 @@ export class MusicIdentitySDK {
         signature: signature.toString(),
         publicKey: this.publicKeys[keyType],
         address: this.addresses[keyType],
-        signingKey: keyType
+        signingKey: keyType,
+        canonicalization: CANONICALIZATION
       };
     } catch (error) {
       throw new Error(`Signing failed: ${error.message}`);
     }
   }
 
+  /**
+   * Sign an attestation with the wallet's own key (server side: AttestationBox.addPresignedSignature)
+   * @param {Object} attestation - Exported attestation: { id, action, metadata: { contract_hash } }
+   * @param {string} keyType - Key the attestation action requires (ATTESTATION_KEY_RULES)
+   * @returns {Object} { pubkey, signature, timestamp, keyType }
+   */
+  signAttestation(attestation, keyType, timestamp = null) {
+    const privateKey = this.derivedKeys[keyType];
+    if (!privateKey) {
+      throw new Error(`Key not derived for type: ${keyType}`);
+    }
+
+    // Must match AttestationBox.getSignaturePayload
+    const signaturePayload = {
+      attestation_id: attestation.id,
+      contract_hash: attestation.metadata.contract_hash,
+      action: attestation.action,
+      timestamp: timestamp || new Date().toISOString(),
+      signer: this.publicKeys[keyType]
+    };
+
+    const messageHash = crypto.createHash('sha256').update(canonicalize(signaturePayload)).digest();
+    const signature = bsv.crypto.ECDSA.sign(messageHash, privateKey);
+
+    return {
+      pubkey: signaturePayload.signer,
+      signature: signature.toDER().toString('hex'),
+      timestamp: signaturePayload.timestamp,
+      keyType
+    };
+  }
+
   /**
    * Verify signature matches expected key type for action
    */
@@ -210,10 +281,10 @@ export class MusicIdentitySDK {
         };
       }
 
-      // Verify signature
-      const message = bsv.Message.fromString(JSON.stringify(payload));
-      const pubKey = bsv.PublicKey.fromString(publicKey);
-      const isValid = message.verify(bsv.Address.fromPublicKey(pubKey), signature);
+      // Verify signature; payloads signed before canonical JSON carry no scheme
+      const address = bsv.Address.fromPublicKey(bsv.PublicKey.fromString(publicKey));
+      const isValid = bsv.Message.fromString(serializePayload(payload, recordedScheme(signedPayload.canonicalization)))
+        .verify(address, signature);
 
       return {
         valid: isValid,
@@ -330,5 +401,5 @@ export class MusicIdentitySDK {
   }
 }
 
-export { DERIVATION_PATHS, ACTION_KEY_MAP };
+export { DERIVATION_PATHS, ACTION_KEY_MAP, SIGNED_ACTION_SCHEMA };
 export default MusicIdentitySDK;
\ No newline at end of file
@@ -0,0 +1,681 @@
+/**
+ * Webhooks
+ * Subscriptions to attestation, audit and revenue lifecycle events. Each delivery is
+ * an HMAC-SHA256 signed POST, retried with exponential backoff, logged attempt by
+ * attempt and replayable.
+ *
+ * Receivers verify `X-Webhook-Signature: sha256=<hex>`, the HMAC of
+ * `<X-Webhook-Timestamp>.<raw body>` under the subscription secret (verifyWebhookSignature).
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+
+export const WEBHOOK_EVENTS = {
+  'attestation.created': 'Attestation created from a template',
+  'signature.added': 'Signature added to an attestation',
+  'signature.withdrawn': 'Signature withdrawn before finalization',
+  'attestation.finalized': 'Every required signature collected',
+  'attestation.revoked': 'Every signer consented to revocation',
+  'attestation.superseded': 'Attestation replaced by a finalized amendment or successor',
+  'attestation.expired': 'Draft passed its signing deadline',
+  'anchor.published': 'Audit event published on chain',
+  'anchor.confirmed': 'Published audit event mined',
+  'revenue.distributed': 'Song revenue split among its rights holders'
+};
+
+// Sent to one subscription on request (POST /api/webhooks/:id/ping); cannot be subscribed to
+export const PING_EVENT = 'webhook.ping';
+
+export const WEBHOOK_HEADERS = {
+  signature: 'X-Webhook-Signature',
+  timestamp: 'X-Webhook-Timestamp',
+  event: 'X-Webhook-Event',
+  eventId: 'X-Webhook-Id',
+  delivery: 'X-Webhook-Delivery'
+};
+
+export const DEFAULT_SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_LEASE_MS = 60 * 1000;
+const RETRY_BATCH_SIZE = 50;
+
+export function webhookError(message, code = 'WEBHOOK_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function newId(prefix) {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Signature header value for a delivery body
+ * @param {string} secret - Subscription secret
+ * @param {number|string} timestamp - Unix seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a received delivery: signature over the raw body, and a timestamp recent enough
+ * that a captured delivery cannot be replayed later
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature({
+  secret,
+  body,
+  timestamp,
+  signature,
+  toleranceSeconds = DEFAULT_SIGNATURE_TOLERANCE_SECONDS,
+  now = Date.now()
+}) {
+  const sentAt = Number(timestamp);
+  if (!secret || !signature || !Number.isInteger(sentAt)) return false;
+  if (Math.abs(now / 1000 - sentAt) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhookPayload(secret, sentAt, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Event types a subscription may list ('*' subscribes to all)
+ */
+export function validateEventTypes(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return ['events must list at least one event type (or "*")'];
+  }
+  return events
+    .filter(event => event !== '*' && !Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, event))
+    .map(event => `Unknown event type: ${event}`);
+}
+
+// Loopback, private (RFC 1918, CGNAT, unique local), link-local (incl. cloud metadata)
+// and unspecified addresses: webhook URLs must not reach the server's own network
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 subnets
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Hosts that may resolve to private addresses, from a comma-separated list
+ * (WEBHOOK_ALLOWED_HOSTS=localhost,127.0.0.1 for a local receiver)
+ */
+export function parseAllowedHosts(list = '') {
+  return String(list).split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Problems with a subscription URL; the host is resolved and rejected when any of
+ * its addresses is private, unless the host is allowed
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedHosts] - See parseAllowedHosts
+ * @param {Function} [options.lookup] - dns.promises.lookup-compatible resolver
+ * @returns {Promise<string[]>} Errors, empty when the URL is acceptable
+ */
+export async function validateWebhookUrl(url, { allowedHosts = [], lookup = dns.promises.lookup } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return ['url must be an absolute URL'];
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return ['url must use http or https'];
+  }
+  if (parsed.username || parsed.password) {
+    return ['url must not contain credentials'];
+  }
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (allowedHosts.includes(host)) {
+    return [];
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await lookup(host, { all: true, verbatim: true })).map(({ address }) => address);
+  } catch (error) {
+    return [`url host ${host} does not resolve (${error.code || error.message})`];
+  }
+
+  const blocked = addresses.find(isPrivateAddress);
+  if (blocked) {
+    const resolved = host === blocked ? blocked : `${host} is ${blocked}`;
+    return [`url must not point to a loopback, private or link-local address (${resolved}); allow the host with WEBHOOK_ALLOWED_HOSTS`];
+  }
+  return [];
+}
+
+function subscribesTo(subscription, eventType) {
+  return subscription.active && (subscription.events.includes('*') || subscription.events.includes(eventType));
+}
+
+function isDue(delivery, now) {
+  return (delivery.status === 'retrying' && delivery.nextAttemptAt <= now)
+    || (delivery.status === 'delivering' && delivery.leaseUntil <= now);
+}
+
+/**
+ * In-process subscriptions and deliveries (single server instance / demos)
+ */
+export class MemoryWebhookStore {
+  constructor() {
+    this.subscriptions = new Map();
+    this.deliveries = new Map();
+  }
+
+  async saveSubscription(subscription) {
+    this.subscriptions.set(subscription.subscriptionId, structuredClone(subscription));
+    return structuredClone(subscription);
+  }
+
+  async getSubscription(subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    return subscription ? structuredClone(subscription) : null;
+  }
+
+  async listSubscriptions() {
+    return [...this.subscriptions.values()].map(subscription => structuredClone(subscription));
+  }
+
+  async updateSubscription(subscriptionId, changes) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) return null;
+    Object.assign(subscription, changes, { updatedAt: new Date() });
+    return structuredClone(subscription);
+  }
+
+  async deleteSubscription(subscriptionId) {
+    return this.subscriptions.delete(subscriptionId);
+  }
+
+  async findSubscriptions(eventType) {
+    return [...this.subscriptions.values()]
+      .filter(subscription => subscribesTo(subscription, eventType))
+      .map(subscription => structuredClone(subscription));
+  }
+
+  async createDelivery(delivery) {
+    this.deliveries.set(delivery.deliveryId, structuredClone(delivery));
+    return structuredClone(delivery);
+  }
+
+  async getDelivery(deliveryId) {
+    const delivery = this.deliveries.get(deliveryId);
+    return delivery ? structuredClone(delivery) : null;
+  }
+
+  async listDeliveries(filters = {}, { limit = 50 } = {}) {
+    return [...this.deliveries.values()]
+      .filter(delivery => Object.entries(filters).every(([key, value]) => delivery[key] === value))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map(delivery => structuredClone(delivery));
+  }
+
+  async recordAttempt(deliveryId, attempt, changes) {
+    const delivery = this.deliveries.get(deliveryId);
+    if (!delivery) return null;
+    delivery.attempts.push(attempt);
+    Object.assign(delivery, changes, { updatedAt: new Date() });
+    return structuredClone(delivery);
+  }
+
+  /**
+   * Take one delivery that is due for a retry (or whose sender stopped) for `leaseMs`
+   */
+  async claimDueDelivery(now, leaseMs) {
+    const delivery = [...this.deliveries.values()]
+      .filter(candidate => isDue(candidate, now))
+      .sort((a, b) => (a.nextAttemptAt || a.leaseUntil) - (b.nextAttemptAt || b.leaseUntil))[0];
+    if (!delivery) return null;
+
+    Object.assign(delivery, { status: 'delivering', leaseUntil: new Date(now.getTime() + leaseMs) });
+    return structuredClone(delivery);
+  }
+}
+
+/**
+ * MongoDB-backed subscriptions and deliveries, shared by every API instance
+ * The database layer is loaded lazily so memory-only users never pull in mongoose.
+ */
+export class MongoWebhookStore {
+  constructor() {
+    this.WebhookSubscription = null;
+    this.WebhookDelivery = null;
+  }
+
+  async initialize() {
+    if (!this.WebhookSubscription) {
+      const { WebhookSubscription, WebhookDelivery, connectDatabase } = await import('../database/schemas.js');
+      await connectDatabase();
+      this.WebhookSubscription = WebhookSubscription;
+      this.WebhookDelivery = WebhookDelivery;
+    }
+  }
+
+  static toRecord(doc) {
+    if (!doc) return null;
+    const { _id, __v, ...record } = doc;
+    return record;
+  }
+
+  async saveSubscription(subscription) {
+    await this.initialize();
+    const doc = await this.WebhookSubscription.create(subscription);
+    return MongoWebhookStore.toRecord(doc.toObject());
+  }
+
+  async getSubscription(subscriptionId) {
+    await this.initialize();
+    return MongoWebhookStore.toRecord(await this.WebhookSubscription.findOne({ subscriptionId }).lean());
+  }
+
+  async listSubscriptions() {
+    await this.initialize();
+    const docs = await this.WebhookSubscription.find({}).sort({ createdAt: -1 }).lean();
+    return docs.map(MongoWebhookStore.toRecord);
+  }
+
+  async updateSubscription(subscriptionId, changes) {
+    await this.initialize();
+    const doc = await this.WebhookSubscription.findOneAndUpdate({ subscriptionId }, { $set: changes }, { new: true }).lean();
+    return MongoWebhookStore.toRecord(doc);
+  }
+
+  async deleteSubscription(subscriptionId) {
+    await this.initialize();
+    const { deletedCount } = await this.WebhookSubscription.deleteOne({ subscriptionId });
+    return deletedCount > 0;
+  }
+
+  async findSubscriptions(eventType) {
+    await this.initialize();
+    const docs = await this.WebhookSubscription.find({ active: true, events: { $in: [eventType, '*'] } }).lean();
+    return docs.map(MongoWebhookStore.toRecord);
+  }
+
+  async createDelivery(delivery) {
+    await this.initialize();
+    const doc = await this.WebhookDelivery.create(delivery);
+    return MongoWebhookStore.toRecord(doc.toObject());
+  }
+
+  async getDelivery(deliveryId) {
+    await this.initialize();
+    return MongoWebhookStore.toRecord(await this.WebhookDelivery.findOne({ deliveryId }).lean());
+  }
+
+  async listDeliveries(filters = {}, { limit = 50 } = {}) {
+    await this.initialize();
+    const docs = await this.WebhookDelivery.find(filters).sort({ createdAt: -1 }).limit(limit).lean();
+    return docs.map(MongoWebhookStore.toRecord);
+  }
+
+  async recordAttempt(deliveryId, attempt, changes) {
+    await this.initialize();
+    const doc = await this.WebhookDelivery.findOneAndUpdate(
+      { deliveryId },
+      { $push: { attempts: attempt }, $set: changes },
+      { new: true }
+    ).lean();
+    return MongoWebhookStore.toRecord(doc);
+  }
+
+  async claimDueDelivery(now, leaseMs) {
+    await this.initialize();
+    // Atomic: of several API instances sweeping at once only one takes each delivery
+    const doc = await this.WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'retrying', nextAttemptAt: { $lte: now } },
+          { status: 'delivering', leaseUntil: { $lte: now } }
+        ]
+      },
+      { $set: { status: 'delivering', leaseUntil: new Date(now.getTime() + leaseMs) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    ).lean();
+    return MongoWebhookStore.toRecord(doc);
+  }
+}
+
+/**
+ * Build a webhook store from config or WEBHOOK_STORE (memory | mongo)
+ */
+export function createWebhookStore(config = {}) {
+  const type = config.type || process.env.WEBHOOK_STORE || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return new MemoryWebhookStore();
+    case 'mongo':
+    case 'mongodb':
+      return new MongoWebhookStore();
+    default:
+      throw new Error(`Unknown webhook store: ${type}`);
+  }
+}
+
+/**
+ * Subscription registry and delivery engine
+ * Managers hand it events with publish(type, data); see AttestationManager `events`.
+ */
+export class WebhookDispatcher {
+  /**
+   * @param {Object} config
+   * @param {Object} [config.store] - Webhook store, in-memory by default
+   * @param {Function} [config.fetch] - HTTP client (global fetch by default)
+   * @param {string[]} [config.allowedHosts] - Hosts allowed to resolve to private addresses (parseAllowedHosts)
+   * @param {Function} [config.lookup] - DNS resolver used to check subscription URLs
+   * @param {number} [config.maxAttempts] - Attempts before a delivery is marked failed
+   * @param {number} [config.backoffMs] - First retry delay; doubles per attempt (capped at 6 hours)
+   * @param {number} [config.timeoutMs] - Per-attempt request timeout
+   */
+  constructor(config = {}) {
+    this.store = config.store || new MemoryWebhookStore();
+    this.fetch = config.fetch || globalThis.fetch;
+    this.urlPolicy = { allowedHosts: config.allowedHosts || [], lookup: config.lookup || dns.promises.lookup };
+    this.maxAttempts = config.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.backoffMs = config.backoffMs || DEFAULT_BACKOFF_MS;
+    this.timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.leaseMs = Math.max(DEFAULT_LEASE_MS, this.timeoutMs * 2);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Register a subscription; the returned secret signs its deliveries
+   * @param {Object} definition - { url, events, description? }
+   * @param {Object} [options] - { createdBy }
+   */
+  async createSubscription({ url, events, description = '' }, { createdBy = null } = {}) {
+    const errors = [...await validateWebhookUrl(url, this.urlPolicy), ...validateEventTypes(events)];
+    if (errors.length > 0) {
+      throw Object.assign(webhookError(`Invalid webhook subscription: ${errors.join('; ')}`), { details: errors });
+    }
+
+    const subscription = await this.store.saveSubscription({
+      subscriptionId: newId('whk'),
+      url,
+      events: [...new Set(events)],
+      secret: newSecret(),
+      description,
+      active: true,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    console.log(`🪝 Webhook ${subscription.subscriptionId} subscribed to ${subscription.events.join(', ')}`);
+    return subscription;
+  }
+
+  async getSubscription(subscriptionId) {
+    const subscription = await this.store.getSubscription(subscriptionId);
+    if (!subscription) {
+      throw webhookError(`Webhook subscription not found: ${subscriptionId}`, 'WEBHOOK_NOT_FOUND');
+    }
+    return subscription;
+  }
+
+  async listSubscriptions() {
+    return this.store.listSubscriptions();
+  }
+
+  /**
+   * Change url, events, description or active; `rotateSecret` issues a new secret
+   */
+  async updateSubscription(subscriptionId, { rotateSecret = false, ...changes }) {
+    await this.getSubscription(subscriptionId);
+
+    const errors = [
+      ...(changes.url !== undefined ? await validateWebhookUrl(changes.url, this.urlPolicy) : []),
+      ...(changes.events !== undefined ? validateEventTypes(changes.events) : [])
+    ];
+    if (errors.length > 0) {
+      throw Object.assign(webhookError(`Invalid webhook subscription: ${errors.join('; ')}`), { details: errors });
+    }
+
+    const allowed = ['url', 'events', 'description', 'active'];
+    const update = Object.fromEntries(Object.entries(changes).filter(([key]) => allowed.includes(key)));
+    if (update.events) update.events = [...new Set(update.events)];
+    if (rotateSecret) update.secret = newSecret();
+
+    return this.store.updateSubscription(subscriptionId, update);
+  }
+
+  async deleteSubscription(subscriptionId) {
+    if (!await this.store.deleteSubscription(subscriptionId)) {
+      throw webhookError(`Webhook subscription not found: ${subscriptionId}`, 'WEBHOOK_NOT_FOUND');
+    }
+    console.log(`🗑️  Webhook ${subscriptionId} removed`);
+  }
+
+  /**
+   * Deliver an event to every active subscription listening for it
+   * @returns {Object[]} Deliveries after their first attempt
+   */
+  async publish(type, data) {
+    if (!Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, type)) {
+      throw webhookError(`Unknown webhook event: ${type}`);
+    }
+
+    const event = { id: newId('evt'), type, createdAt: new Date().toISOString(), data };
+    const subscriptions = await this.store.findSubscriptions(type);
+    return Promise.all(subscriptions.map(subscription => this.dispatch(subscription, event)));
+  }
+
+  /**
+   * Send a test event to one subscription (active or not)
+   */
+  async ping(subscriptionId) {
+    const subscription = await this.getSubscription(subscriptionId);
+    return this.dispatch(subscription, {
+      id: newId('evt'),
+      type: PING_EVENT,
+      createdAt: new Date().toISOString(),
+      data: { subscriptionId, message: 'Webhook endpoint reachable' }
+    });
+  }
+
+  /**
+   * Send an earlier delivery's event again as a new delivery (same event id, so
+   * receivers that already processed it can recognise the duplicate)
+   */
+  async replay(deliveryId) {
+    const original = await this.getDelivery(deliveryId);
+    const subscription = await this.getSubscription(original.subscriptionId);
+    return this.dispatch(subscription, original.payload, { replayOf: original.deliveryId });
+  }
+
+  async getDelivery(deliveryId) {
+    const delivery = await this.store.getDelivery(deliveryId);
+    if (!delivery) {
+      throw webhookError(`Webhook delivery not found: ${deliveryId}`, 'WEBHOOK_NOT_FOUND');
+    }
+    return delivery;
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param {Object} filters - { subscriptionId?, eventType?, eventId?, status? }
+   */
+  async listDeliveries(filters = {}, options = {}) {
+    return this.store.listDeliveries(filters, options);
+  }
+
+  /**
+   * Record a delivery (owned by this sender until its lease ends) and make the first attempt
+   */
+  async dispatch(subscription, event, { replayOf = null } = {}) {
+    const now = new Date();
+    const delivery = await this.store.createDelivery({
+      deliveryId: newId('dlv'),
+      subscriptionId: subscription.subscriptionId,
+      eventId: event.id,
+      eventType: event.type,
+      payload: event,
+      status: 'delivering',
+      attempts: [],
+      nextAttemptAt: null,
+      leaseUntil: new Date(now.getTime() + this.leaseMs),
+      deliveredAt: null,
+      replayOf,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return this.attempt(delivery, subscription);
+  }
+
+  /**
+   * POST the delivery once and record the outcome: delivered on any 2xx, otherwise
+   * retrying with backoff until maxAttempts, then failed
+   */
+  async attempt(delivery, subscription = null) {
+    subscription ??= await this.store.getSubscription(delivery.subscriptionId);
+    if (!subscription || (!subscription.active && delivery.eventType !== PING_EVENT)) {
+      return this.store.recordAttempt(delivery.deliveryId, {
+        attemptedAt: new Date(),
+        error: subscription ? 'Subscription is disabled' : 'Subscription was removed'
+      }, { status: 'failed', nextAttemptAt: null, leaseUntil: null });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = new Date();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      // Checked again per attempt: the host may resolve to a different address by now
+      const [blocked] = await validateWebhookUrl(subscription.url, this.urlPolicy);
+      if (blocked) throw webhookError(blocked);
+
+      const response = await this.fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ai-record-label-webhooks/1.0',
+          [WEBHOOK_HEADERS.event]: delivery.eventType,
+          [WEBHOOK_HEADERS.eventId]: delivery.eventId,
+          [WEBHOOK_HEADERS.delivery]: delivery.deliveryId,
+          [WEBHOOK_HEADERS.timestamp]: String(timestamp),
+          [WEBHOOK_HEADERS.signature]: signWebhookPayload(subscription.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      statusCode = response.status;
+      if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError'
+        ? `No response within ${this.timeoutMs} ms`
+        : requestError.message;
+    }
+
+    const attempt = {
+      attemptedAt: startedAt,
+      statusCode,
+      error,
+      durationMs: Date.now() - startedAt.getTime()
+    };
+    const attempts = delivery.attempts.length + 1;
+
+    if (!error) {
+      return this.store.recordAttempt(delivery.deliveryId, attempt, {
+        status: 'delivered',
+        deliveredAt: new Date(),
+        nextAttemptAt: null,
+        leaseUntil: null
+      });
+    }
+
+    if (attempts >= this.maxAttempts) {
+      console.warn(`⚠️  Webhook delivery ${delivery.deliveryId} failed after ${attempts} attempts: ${error}`);
+      return this.store.recordAttempt(delivery.deliveryId, attempt, {
+        status: 'failed',
+        nextAttemptAt: null,
+        leaseUntil: null
+      });
+    }
+
+    return this.store.recordAttempt(delivery.deliveryId, attempt, {
+      status: 'retrying',
+      nextAttemptAt: new Date(Date.now() + this.retryDelay(attempts)),
+      leaseUntil: null
+    });
+  }
+
+  /**
+   * Delay before the next attempt: backoffMs doubling per attempt, capped, plus up to 10% jitter
+   */
+  retryDelay(attempts) {
+    const delay = Math.min(this.backoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+    return Math.round(delay + Math.random() * delay * 0.1);
+  }
+
+  /**
+   * Attempt every delivery that is due for a retry
+   * @returns {number} Deliveries attempted
+   */
+  async retryDueDeliveries(now = new Date()) {
+    let attempted = 0;
+    for (; attempted < RETRY_BATCH_SIZE; attempted++) {
+      const delivery = await this.store.claimDueDelivery(now, this.leaseMs);
+      if (!delivery) break;
+      await this.attempt(delivery);
+    }
+    return attempted;
+  }
+
+  /**
+   * Run retryDueDeliveries every `intervalMs` (the timer does not keep the process alive)
+   */
+  startRetrySweeper(intervalMs = 15 * 1000) {
+    if (!this.retryTimer) {
+      this.retryTimer = setInterval(() => {
+        this.retryDueDeliveries().catch(error => {
+          console.error('❌ Webhook retry sweep failed:', error.message);
+        });
+      }, intervalMs);
+      this.retryTimer.unref();
+    }
+    return this.retryTimer;
+  }
+
+  stopRetrySweeper() {
+    clearInterval(this.retryTimer);
+    this.retryTimer = null;
+  }
+}
+
+export default WebhookDispatcher;
@@ -6,6 +6,7 @@ import { platformAddress, platformPublicKey, createAgentKeys } from "./signature
 import crypto from "crypto";
 import fs from "fs/promises";
 import path from "path";
+import { serializePayload, recordedScheme, CANONICALIZATION } from "./src/canonicalJson.js";
 
 const OPENAI_MODEL = "gpt-4o-mini";
 
@@ -364,8 +365,8 @@ export async function signedStructuredResponse({
   try {
     const aiResponse = JSON.parse(response.choices[0].message.content);
     
-    // Create cryptographic signature for the response
-    const responseText = JSON.stringify(aiResponse);
+    // Create cryptographic signature over the canonical (RFC 8785) response
+    const responseText = serializePayload(aiResponse, CANONICALIZATION);
     const responseHash = crypto.createHash('sha256').update(responseText).digest('hex');
     
     // Use agent-specific key if provided, otherwise use platform key
@@ -392,6 +393,7 @@ export async function signedStructuredResponse({
         publicKey: publicKey,
         timestamp: new Date().toISOString(),
         algorithm: "BSV-ECDSA-DER",
+        canonicalization: CANONICALIZATION,
         encoding: "hex",
         agentIdentity: agentKey ? agentKey.agentName : "Platform"
       }
@@ -416,13 +418,14 @@ export async function verifyResponseSignature(signedResponse) {
     return { verified: false, error: "No signature found" };
   }
 
-  const { signature, responseHash, publicKey, timestamp, algorithm } = signedResponse._signature;
+  const { signature, responseHash, publicKey, timestamp, algorithm, canonicalization } = signedResponse._signature;
   
   try {
     // Recreate response without signature for verification
+    // (responses signed before canonical JSON carry no scheme and used JSON.stringify)
     const responseWithoutSig = { ...signedResponse };
     delete responseWithoutSig._signature;
-    const responseText = JSON.stringify(responseWithoutSig);
+    const responseText = serializePayload(responseWithoutSig, recordedScheme(canonicalization));
     const computedHash = crypto.createHash('sha256').update(responseText).digest('hex');
     
     // Verify hash matches
@@ -443,6 +446,7 @@ export async function verifyResponseSignature(signedResponse) {
       publicKey,
       timestamp,
       algorithm,
+      canonicalization: recordedScheme(canonicalization),
       responseHash,
       error: isValid ? null : "Signature verification failed"
     };
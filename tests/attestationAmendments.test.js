@@ -0,0 +1,155 @@
+/**
+ * Amending and superseding attestations (src/attestation.js AttestationManager,
+ * POST /api/attestation/:id/amend and /:id/supersede): only a signer may propose a
+ * successor, and it replaces the original only once every original signer signed it
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import bsv from 'smartledger-bsv';
+import { AttestationManager } from '../src/attestation.js';
+import { databaseSuite, useTestDatabase } from './helpers/database.js';
+
+const [alice, bob, carol] = Array.from({ length: 3 }, () => bsv.PrivateKey.fromRandom());
+const pubkey = key => key.toPublicKey().toString();
+
+const party = (key, name, split) => ({ name, pubkey: pubkey(key), split });
+
+async function createSignedSplit(manager) {
+  const original = await manager.createAttestation('publishing-split', {
+    song_title: 'My Roots Return',
+    song_hash: '7f19e8bc9d4e6a2f1c5b8e9a3d7f2c1e9b5a8f4c',
+    parties: [party(alice, 'Alice', 60), party(bob, 'Bob', 40)]
+  }, { subject: 'song:my-roots-return' });
+
+  for (const [key, name] of [[alice, 'Alice'], [bob, 'Bob']]) {
+    await manager.signAttestation(original.id, key.toWIF(), { role: 'property', name });
+  }
+  return original;
+}
+
+const isNotASigner = error => error.code === 'ATTESTATION_NOT_A_SIGNER';
+
+test('only a signer of the original can amend or replace it', async () => {
+  const manager = new AttestationManager();
+  const original = await createSignedSplit(manager);
+
+  await assert.rejects(manager.amendAttestation(original.id, { song_title: 'Hijacked' }, {}, [pubkey(carol)]), isNotASigner);
+  await assert.rejects(manager.supersedeAttestation(original.id, 'publishing-split', {
+    song_title: 'Hijacked',
+    song_hash: '7f19e8bc9d4e6a2f1c5b8e9a3d7f2c1e9b5a8f4c',
+    parties: [party(carol, 'Carol', 100)]
+  }, {}, [pubkey(carol)]), isNotASigner);
+  assert.deepEqual((await manager.loadAttestation(original.id)).metadata.pending_successors || [], []);
+
+  const amendment = await manager.amendAttestation(original.id, { song_title: 'My Roots Return (Remix)' }, {}, [pubkey(bob)]);
+  assert.equal(amendment.metadata.amends, original.id);
+});
+
+test('a successor replaces the original only once every original signer has signed it', async () => {
+  const manager = new AttestationManager();
+  const original = await createSignedSplit(manager);
+
+  // Alice and Carol agree to cut Bob out; the new split's own policy is satisfied by them alone
+  const amendment = await manager.amendAttestation(original.id, {
+    parties: [party(alice, 'Alice', 50), party(carol, 'Carol', 50)]
+  }, {}, [pubkey(alice)]);
+  assert.deepEqual(amendment.metadata.predecessor_signers.sort(), [pubkey(alice), pubkey(bob)].sort());
+
+  await manager.signAttestation(amendment.id, alice.toWIF(), { role: 'property', name: 'Alice' });
+  const withoutBob = await manager.signAttestation(amendment.id, carol.toWIF(), { role: 'property', name: 'Carol' });
+
+  assert.equal(withoutBob.complete, false);
+  assert.deepEqual((await manager.loadAttestation(amendment.id)).getMissingPredecessorSigners(), [pubkey(bob)]);
+  assert.equal((await manager.loadAttestation(original.id)).getStatus(), 'finalized');
+
+  const withBob = await manager.signAttestation(amendment.id, bob.toWIF(), { role: 'property', name: 'Bob' });
+  assert.equal(withBob.complete, true);
+  const replaced = await manager.loadAttestation(original.id);
+  assert.deepEqual([replaced.getStatus(), replaced.metadata.superseded_by], ['superseded', amendment.id]);
+});
+
+describe('amend and supersede routes', databaseSuite, () => {
+  useTestDatabase();
+
+  let server;
+  let baseUrl;
+  let attestationManager;
+  let tokenService;
+  let User;
+
+  before(async () => {
+    process.env.ATTESTATION_STORE = 'memory';
+    process.env.AUTH_TOKEN_STORE = 'memory';
+    process.env.WEBHOOK_STORE = 'memory';
+    process.env.ATTESTATION_EXPIRY_SWEEP_MS = '0';
+    process.env.WEBHOOK_RETRY_SWEEP_MS = '0';
+
+    const api = await import('../api/attestationAPI.js');
+    ({ attestationManager } = api);
+    ({ tokenService } = await import('../api/authMiddleware.js'));
+    ({ User } = await import('../database/schemas.js'));
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/attestation', api.default);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/attestation`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  // An account whose contractual and property keys are `key`
+  async function login(key, name) {
+    const address = bsv.PrivateKey.fromRandom().toAddress().toString();
+    const user = await User.create({
+      userId: `user_${crypto.randomBytes(4).toString('hex')}`,
+      email: `${name.toLowerCase()}@example.com`,
+      username: name.toLowerCase(),
+      passwordHash: 'unused',
+      salt: 'unused',
+      profile: { firstName: name, lastName: 'Tester' },
+      role: 'songwriter',
+      cryptoIdentity: {
+        publicKey: pubkey(bsv.PrivateKey.fromRandom()),
+        address,
+        derivedKeys: { property: pubkey(key), contractual: pubkey(key) }
+      },
+      status: 'active'
+    });
+    return tokenService.issueTokens(user).accessToken;
+  }
+
+  const post = (path, token, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+
+  test('a non-party gets 403 and a signer can amend', async () => {
+    const original = await createSignedSplit(attestationManager);
+    const outsider = await login(carol, 'Carol');
+    const signer = await login(alice, 'Alice');
+
+    const amend = await post(`/${original.id}/amend`, outsider, { fields: { song_title: 'Hijacked' } });
+    assert.equal(amend.status, 403);
+    assert.match((await amend.json()).error, /Only a signer/);
+
+    const supersede = await post(`/${original.id}/supersede`, outsider, {
+      templateType: 'publishing-split',
+      fields: {
+        song_title: 'Hijacked',
+        song_hash: '7f19e8bc9d4e6a2f1c5b8e9a3d7f2c1e9b5a8f4c',
+        parties: [party(carol, 'Carol', 100)]
+      }
+    });
+    assert.equal(supersede.status, 403);
+
+    const allowed = await post(`/${original.id}/amend`, signer, { fields: { song_title: 'My Roots Return (Remix)' } });
+    assert.equal(allowed.status, 201);
+    assert.equal((await allowed.json()).attestation.amends, original.id);
+  });
+});
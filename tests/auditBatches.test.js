@@ -0,0 +1,83 @@
+/**
+ * Audit batch commits (src/onChainAuditing.js): Merkle-root anchoring, inclusion
+ * proofs of stored entries and republishing batches whose publish failed
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import OnChainAuditingSystem from '../src/onChainAuditing.js';
+import { AuditLog } from '../database/schemas.js';
+import { databaseSuite, useTestDatabase } from './helpers/database.js';
+
+// publishData stand-in: records the OP_RETURN text and broadcasts (or fails) at once
+function fakePublish(published, { fail = false } = {}) {
+  return async function* (text) {
+    if (fail) {
+      yield { stage: 'error', message: 'No UTXOs available' };
+      return;
+    }
+    published.push(text);
+    const txid = String(published.length).padStart(64, '0');
+    yield { stage: 'broadcasted', txid };
+    yield { stage: 'done', txid };
+  };
+}
+
+async function bufferEntries(system, count) {
+  for (let index = 0; index < count; index++) {
+    await system.createAuditEntry('MUSIC_PLAY', 'song', new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), {
+      playDuration: 180 + index
+    });
+  }
+}
+
+describe('audit batches', databaseSuite, () => {
+  useTestDatabase();
+
+  test('a committed batch anchors its root and every entry proves inclusion', async () => {
+    const published = [];
+    const system = new OnChainAuditingSystem({ publish: fakePublish(published) });
+    await bufferEntries(system, 5);
+
+    const batch = await system.commitAuditBatch();
+    const anchor = JSON.parse(published[0]);
+
+    assert.equal(system.auditBuffer.length, 0);
+    assert.deepEqual([anchor.batchId, anchor.merkleRoot, anchor.entries], [batch.batchId, batch.merkleRoot, 5]);
+
+    const stored = await AuditLog.find({ batchId: batch.batchId });
+    assert.equal(stored.length, 5);
+    for (const entry of stored) {
+      assert.equal(entry.blockchainHash, batch.transactionHash);
+      const result = await system.verifyAuditEntry(entry._id, anchor);
+      assert.equal(result.valid, true);
+      assert.equal(result.anchorValid, true);
+    }
+
+    const otherBatch = await system.verifyAuditEntry(stored[0]._id, { ...anchor, batchId: 'other' });
+    assert.equal(otherBatch.valid, false);
+  });
+
+  test('a batch whose publish failed stays stored and is republished', async () => {
+    const published = [];
+    const failing = new OnChainAuditingSystem({ publish: fakePublish(published, { fail: true }) });
+    await bufferEntries(failing, 3);
+
+    await assert.rejects(failing.commitAuditBatch(), /Audit batch publish failed: No UTXOs available/);
+    const [{ batchId, merkle }] = await AuditLog.find({ verified: false });
+    assert.equal(await AuditLog.countDocuments({ batchId, verified: false }), 3);
+    assert.deepEqual((await failing.republishUnanchoredBatches({ minAgeMs: 0 })).failed.map(f => f.batchId), [batchId]);
+
+    const system = new OnChainAuditingSystem({ publish: fakePublish(published) });
+    assert.deepEqual((await system.republishUnanchoredBatches({ minAgeMs: 60 * 1000 })).republished, []);
+
+    const { republished } = await system.republishUnanchoredBatches({ minAgeMs: 0 });
+    assert.deepEqual(republished.map(r => r.batchId), [batchId]);
+    assert.equal(JSON.parse(published[0]).merkleRoot, merkle.root);
+    assert.equal(await AuditLog.countDocuments({ batchId, verified: true, blockchainHash: republished[0].txid }), 3);
+
+    const [entry] = await AuditLog.find({ batchId });
+    assert.equal((await system.verifyAuditEntry(entry._id, JSON.parse(published[0]))).valid, true);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Refresh token rotation (src/authTokens.js TokenService)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenService, MemoryRevocationStore } from '../src/authTokens.js';
+
+const user = { _id: 'user_1', role: 'artist', status: 'active', cryptoIdentity: { address: '1TestAddress' } };
+const loadUser = async () => user;
+
+function createService() {
+  return new TokenService({ secret: 'test-secret', store: new MemoryRevocationStore() });
+}
+
+test('a refresh token rotates once', async () => {
+  const tokens = createService();
+  const { refreshToken, sessionId } = tokens.issueTokens(user);
+
+  const rotated = await tokens.refresh(refreshToken, loadUser);
+  assert.equal(rotated.sessionId, sessionId);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+  assert.equal((await tokens.verify(rotated.accessToken)).sid, sessionId);
+});
+
+test('concurrent refreshes with one token: one wins and the session is revoked', async () => {
+  const tokens = createService();
+  const { refreshToken } = tokens.issueTokens(user);
+
+  const results = await Promise.allSettled([
+    tokens.refresh(refreshToken, loadUser),
+    tokens.refresh(refreshToken, loadUser)
+  ]);
+  const [won] = results.filter(result => result.status === 'fulfilled');
+  const [lost] = results.filter(result => result.status === 'rejected');
+
+  assert.ok(won && lost);
+  assert.equal(lost.reason.code, 'AUTH_TOKEN_REUSED');
+  await assert.rejects(tokens.verify(won.value.accessToken), { code: 'AUTH_TOKEN_REVOKED' });
+});
+
+test('reusing a rotated refresh token revokes the session it belongs to', async () => {
+  const tokens = createService();
+  const { refreshToken } = tokens.issueTokens(user);
+  const rotated = await tokens.refresh(refreshToken, loadUser);
+
+  await assert.rejects(tokens.refresh(refreshToken, loadUser), { code: 'AUTH_TOKEN_REUSED' });
+  await assert.rejects(tokens.refresh(rotated.refreshToken, loadUser), { code: 'AUTH_TOKEN_REVOKED' });
+  await assert.rejects(tokens.verify(rotated.accessToken), { code: 'AUTH_TOKEN_REVOKED' });
+});
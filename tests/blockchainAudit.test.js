@@ -0,0 +1,135 @@
+/**
+ * Attestation audit events (src/blockchainAudit.js BlockchainAuditTrail): events are
+ * anchored through publishAndWait, carry the provider's block height and are confirmed
+ * once the provider reports their transaction mined
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import bsv from 'smartledger-bsv';
+import { AttestationManager } from '../src/attestation.js';
+import { BlockchainAuditTrail } from '../src/blockchainAudit.js';
+import { RegtestProvider } from '../src/blockchainProvider.js';
+
+// publishData stand-in: records the OP_RETURN text and broadcasts (or fails) at once
+function fakePublish(published, { fail = false } = {}) {
+  return async function* (text, options) {
+    if (fail) {
+      yield { stage: 'error', message: 'No UTXOs available' };
+      return;
+    }
+    published.push({ text, options });
+    const txid = String(published.length).padStart(64, 'a');
+    yield { stage: 'broadcasted', txid };
+    yield { stage: 'done', txid };
+  };
+}
+
+// publishData stand-in that broadcasts a real OP_RETURN transaction to a regtest chain
+function regtestPublish(provider) {
+  const key = bsv.PrivateKey.fromRandom();
+  const address = key.toAddress().toString();
+
+  return async function* (text) {
+    const coin = provider.fund(address, 10000);
+    const tx = new bsv.Transaction()
+      .from({ txid: coin.txid, outputIndex: coin.vout, script: bsv.Script.buildPublicKeyHashOut(address).toHex(), satoshis: coin.satoshis })
+      .addData(text)
+      .change(address)
+      .fee(200)
+      .sign(key);
+    const txid = await provider.broadcast(tx.toString());
+    yield { stage: 'broadcasted', txid };
+    yield { stage: 'done', txid };
+  };
+}
+
+// webhooks.js stand-in recording what the audit trail notifies
+function eventSink() {
+  const sent = [];
+  return { sent, publish: async (type, data) => sent.push({ type, data }) };
+}
+
+async function createAttestation() {
+  return new AttestationManager().createAttestation('publishing-split', {
+    song_title: 'My Roots Return',
+    song_hash: '7f19e8bc9d4e6a2f1c5b8e9a3d7f2c1e9b5a8f4c',
+    parties: [{ name: 'Greg Ward', pubkey: '02ab1234567890abcdef1234567890abcdef1234567890abcdef1234567890abf3', split: 100 }]
+  }, { subject: 'song:my-roots-return' });
+}
+
+test('a revocation is anchored by the broadcast transaction', async () => {
+  const provider = new RegtestProvider({ startHeight: 820000 });
+  const published = [];
+  const auditTrail = new BlockchainAuditTrail({ provider, publish: fakePublish(published) });
+  const attestation = await createAttestation();
+
+  const record = await auditTrail.publishAuditEvent(attestation, 'revoked', { revoked_at: '2025-01-01T00:00:00.000Z' });
+
+  assert.equal(published.length, 1);
+  assert.equal(published[0].options.provider, provider);
+  assert.equal(record.blockchain_txid, '1'.padStart(64, 'a'));
+  assert.deepEqual(JSON.parse(published[0].text), record.audit_proof);
+  assert.equal(record.audit_proof.event, 'revoked');
+  assert.deepEqual(auditTrail.getAuditEvents(attestation.id).map(event => event.blockchain_txid), [record.blockchain_txid]);
+  assert.equal(await auditTrail.getCurrentBlockHeight(), 820000);
+});
+
+test('a failed publish is not recorded as anchored', async () => {
+  const auditTrail = new BlockchainAuditTrail({ provider: new RegtestProvider(), publish: fakePublish([], { fail: true }) });
+  const attestation = await createAttestation();
+
+  await assert.rejects(auditTrail.publishAuditEvent(attestation, 'revoked'), /Audit event publish failed: No UTXOs available/);
+  assert.deepEqual(auditTrail.getAuditEvents(attestation.id), []);
+});
+
+test('anchor.confirmed is sent once the anchor transaction is mined, not when it is read', async () => {
+  const provider = new RegtestProvider({ startHeight: 820000 });
+  const events = eventSink();
+  const auditTrail = new BlockchainAuditTrail({ provider, events, publish: regtestPublish(provider) });
+  const attestation = await createAttestation();
+
+  const record = await auditTrail.publishAuditEvent(attestation, 'created');
+  assert.deepEqual(await auditTrail.trackAnchorConfirmations(), []);
+
+  const pending = await auditTrail.verifyAuditTrail(attestation.id);
+  assert.deepEqual(pending.audit_events.map(({ verified, confirmations }) => [verified, confirmations]), [[false, 0]]);
+  assert.equal(pending.blockchain_verified, false);
+  assert.equal(await auditTrail.verifyBlockchainRecord('f'.repeat(64)), 0);
+
+  provider.mine();
+  assert.deepEqual(await auditTrail.trackAnchorConfirmations(), [record]);
+  assert.deepEqual(await auditTrail.trackAnchorConfirmations(), []);
+  await sleep(0);
+
+  assert.deepEqual(events.sent.map(({ type }) => type), ['anchor.published', 'anchor.confirmed']);
+  assert.equal(events.sent[1].data.txid, record.blockchain_txid);
+  assert.equal(events.sent[1].data.confirmedAt, record.confirmed_at);
+
+  const verified = await auditTrail.verifyAuditTrail(attestation.id);
+  assert.deepEqual(verified.audit_events.map(({ verified, confirmations }) => [verified, confirmations]), [[true, 1]]);
+  assert.equal(verified.blockchain_verified, true);
+  assert.equal(events.sent.length, 2);
+});
+
+test('the confirmation tracker confirms anchors in the background', async () => {
+  const provider = new RegtestProvider();
+  const events = eventSink();
+  const auditTrail = new BlockchainAuditTrail({ provider, events, publish: regtestPublish(provider) });
+  const record = await auditTrail.publishAuditEvent(await createAttestation(), 'created');
+
+  auditTrail.startConfirmationTracker(5);
+  try {
+    provider.mine();
+    for (let waited = 0; !record.confirmed_at && waited < 2000; waited += 5) {
+      await sleep(5);
+    }
+  } finally {
+    auditTrail.stopConfirmationTracker();
+  }
+
+  assert.ok(record.confirmed_at);
+  await sleep(0);
+  assert.deepEqual(events.sent.map(({ type }) => type), ['anchor.published', 'anchor.confirmed']);
+});
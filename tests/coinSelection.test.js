@@ -0,0 +1,98 @@
+/**
+ * Coin selection and fee estimation (src/coinSelection.js)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  selectCoins,
+  createFeePolicy,
+  estimateTxSize,
+  opReturnOutput,
+  p2pkhOutput,
+  COIN_SELECTION_STRATEGIES,
+  DEFAULT_DUST_LIMIT,
+  P2PKH_INPUT_SIZE
+} from '../src/coinSelection.js';
+
+// 1 sat/byte keeps the arithmetic readable
+const feePolicy = createFeePolicy({ satPerByte: 1 });
+const coins = (...values) => values.map((satoshis, index) => ({ txid: String(index).padStart(64, '0'), vout: 0, satoshis }));
+const total = inputs => inputs.reduce((sum, utxo) => sum + utxo.satoshis, 0);
+
+test('sizes and fees follow the serialized transaction', () => {
+  assert.equal(estimateTxSize(1, [p2pkhOutput(1000)]), 10 + P2PKH_INPUT_SIZE + 34);
+  assert.equal(opReturnOutput(['hello']).scriptSize, 2 + 1 + 5);
+  assert.equal(createFeePolicy({ satPerByte: 0.05 }).fee(225), 12);
+  assert.equal(createFeePolicy({ satPerByte: 0.05, minFee: 50 }).fee(225), 50);
+  assert.throws(() => createFeePolicy({ satPerByte: -1 }), /non-negative/);
+});
+
+test('branch and bound finds an exact match that needs no change', () => {
+  const outputs = [p2pkhOutput(5000)];
+  const target = 5000 + estimateTxSize(0, outputs);
+  const exact = coins(3000 + P2PKH_INPUT_SIZE, target - 3000 + P2PKH_INPUT_SIZE);
+  const utxos = [...coins(20000, 9000, 700), ...exact.map((utxo, i) => ({ ...utxo, vout: i + 1 }))];
+
+  const selection = selectCoins(utxos, { outputs }, { feePolicy });
+  assert.equal(selection.strategy, 'branch-and-bound');
+  assert.equal(selection.change, 0);
+  assert.deepEqual(selection.inputs.map(utxo => utxo.satoshis).sort(), exact.map(utxo => utxo.satoshis).sort());
+  assert.equal(selection.inputTotal, selection.outputTotal + selection.fee);
+});
+
+test('branch and bound returns null when no combination lands in the window', () => {
+  const pool = coins(10000, 20000).map(utxo => ({ ...utxo, effectiveValue: utxo.satoshis }));
+
+  assert.equal(COIN_SELECTION_STRATEGIES['branch-and-bound'](pool, { target: 15000, window: 100 }), null);
+  assert.deepEqual(COIN_SELECTION_STRATEGIES['branch-and-bound'](pool, { target: 29950, window: 100 }).map(c => c.satoshis), [20000, 10000]);
+  assert.equal(COIN_SELECTION_STRATEGIES['branch-and-bound'](pool, { target: 40000, window: 100 }), null);
+});
+
+test('without an exact match the fallback pays change above the dust limit', () => {
+  const outputs = [opReturnOutput(['anchor'])];
+  const selection = selectCoins(coins(50000, 2000, 1000), { outputs }, { feePolicy });
+
+  assert.equal(selection.strategy, 'largest-first');
+  assert.deepEqual(selection.inputs.map(utxo => utxo.satoshis), [50000]);
+  assert.ok(selection.change >= DEFAULT_DUST_LIMIT);
+  assert.equal(selection.fee, feePolicy.fee(selection.size));
+  assert.equal(selection.size, estimateTxSize(1, [...outputs, p2pkhOutput(0)]));
+  assert.equal(selection.inputTotal, selection.outputTotal + selection.fee + selection.change);
+});
+
+test('change below the dust limit goes to the fee', () => {
+  const outputs = [p2pkhOutput(1000)];
+  const needed = 1000 + feePolicy.fee(estimateTxSize(1, outputs));
+  const selection = selectCoins(coins(needed + 100), { outputs }, { feePolicy, strategy: 'largest-first' });
+
+  assert.equal(selection.change, 0);
+  assert.equal(selection.fee, total(selection.inputs) - 1000);
+});
+
+test('coins worth less than their input fee are never picked', () => {
+  const outputs = [p2pkhOutput(1000)];
+
+  assert.throws(
+    () => selectCoins(coins(...Array(20).fill(P2PKH_INPUT_SIZE)), { outputs }, { feePolicy }),
+    error => error.code === 'INSUFFICIENT_FUNDS' && /0 UTXOs/.test(error.message)
+  );
+  const selection = selectCoins(coins(P2PKH_INPUT_SIZE, 5000), { outputs }, { feePolicy, strategy: 'random' });
+  assert.deepEqual(selection.inputs.map(utxo => utxo.satoshis), [5000]);
+});
+
+test('custom strategies and unknown names', () => {
+  const smallestFirst = (pool, { target }) => {
+    const chosen = [];
+    for (const candidate of [...pool].sort((a, b) => a.satoshis - b.satoshis)) {
+      chosen.push(candidate);
+      if (total(chosen) - chosen.length * P2PKH_INPUT_SIZE >= target) return chosen;
+    }
+    return null;
+  };
+  const selection = selectCoins(coins(9000, 3000, 4000), { outputs: [p2pkhOutput(5000)] }, { feePolicy, strategy: smallestFirst });
+
+  assert.equal(selection.strategy, 'smallestFirst');
+  assert.deepEqual(selection.inputs.map(utxo => utxo.satoshis), [3000, 4000]);
+  assert.throws(() => selectCoins(coins(9000), { outputs: [] }, { strategy: 'nope' }), /Unknown coin selection strategy/);
+});
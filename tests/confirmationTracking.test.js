@@ -0,0 +1,170 @@
+/**
+ * UTXO confirmation tracking (src/utxoManagerMongo.js trackConfirmations) against a
+ * regtest chain: evicted funding, reorged and double-spent spends, evicted spends,
+ * and the per-pass limit on spend lookups
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import bsv from 'smartledger-bsv';
+import { UTXOService } from '../database/services.js';
+import { UTXO } from '../database/schemas.js';
+import { RegtestProvider } from '../src/blockchainProvider.js';
+import { UTXOManagerMongo } from '../src/utxoManagerMongo.js';
+import { publishingPool, startPoolMaintenance, stopPoolMaintenance } from '../src/publishMongo.js';
+import { databaseSuite, useTestDatabase } from './helpers/database.js';
+
+const key = bsv.PrivateKey.fromRandom();
+const address = key.toAddress().toString();
+const script = bsv.Script.buildPublicKeyHashOut(address).toHex();
+const elsewhere = () => bsv.PrivateKey.fromRandom().toAddress().toString();
+
+function spend(coin, to = elsewhere()) {
+  return new bsv.Transaction()
+    .from({ txid: coin.txid, outputIndex: coin.vout, script, satoshis: coin.satoshis })
+    .to(to, coin.satoshis - 200)
+    .fee(200)
+    .sign(key);
+}
+
+const stored = ({ txid, vout }) => UTXO.findOne({ txid, vout }).lean();
+const lastReason = async coin => (await stored(coin)).statusHistory.at(-1).reason;
+
+test('pool maintenance starts only the timers whose interval is set', () => {
+  try {
+    assert.equal(startPoolMaintenance({ trackIntervalMs: 0, leaseSweepIntervalMs: 0 }), publishingPool);
+    assert.deepEqual([publishingPool.trackerTimer, publishingPool.leaseTimer], [null, null]);
+
+    startPoolMaintenance({ trackIntervalMs: 60 * 1000, leaseSweepIntervalMs: 0 });
+    assert.ok(publishingPool.trackerTimer);
+    assert.equal(publishingPool.leaseTimer, null);
+  } finally {
+    stopPoolMaintenance();
+  }
+  assert.equal(publishingPool.trackerTimer, null);
+});
+
+describe('UTXO confirmation tracking', databaseSuite, () => {
+  useTestDatabase();
+
+  // A manager for `address` that treats missing transactions as evicted at once
+  function track(provider, options = {}) {
+    const manager = new UTXOManagerMongo('unused', { provider, evictionGraceMs: 0, ...options });
+    manager.wallet = { address, privateKey: key.toWIF() };
+    return manager;
+  }
+
+  async function addCoin(provider) {
+    const coin = provider.fund(address, 10000);
+    await UTXOService.saveUTXOs([{ ...coin, script }], address, 'manual_add', 'test');
+    return coin;
+  }
+
+  // Record a spend the way publishing does, then broadcast it
+  async function spendCoin(provider, coin) {
+    const tx = spend(coin);
+    await UTXOService.transitionUTXO(coin.txid, coin.vout, {
+      from: 'available',
+      to: 'spent',
+      reason: 'test_spend',
+      txid: tx.id,
+      changes: { spentInTxid: tx.id, spentAt: new Date() }
+    }, 'test');
+    await provider.broadcast(tx.toString());
+    return tx;
+  }
+
+  test('a coin whose funding transaction was evicted is orphaned', async () => {
+    const provider = new RegtestProvider({ startHeight: 500 });
+    const parent = provider.fund(address, 20000);
+    const funding = spend(parent, address);
+    await provider.broadcast(funding.toString());
+    const coin = { txid: funding.id, vout: 0, satoshis: 19800 };
+    await UTXOService.saveUTXOs([{ ...coin, script }], address, 'manual_add', 'test');
+
+    provider.evict(funding.id);
+    const summary = await track(provider).trackConfirmations();
+
+    assert.equal(summary.orphaned, 1);
+    assert.equal((await stored(coin)).status, 'orphaned');
+    assert.equal(await lastReason(coin), 'funding_evicted');
+  });
+
+  test('a confirmed spend reorged out of its block is spent again', async () => {
+    const provider = new RegtestProvider({ startHeight: 600 });
+    const coin = await addCoin(provider);
+    const tx = await spendCoin(provider, coin);
+    const manager = track(provider);
+
+    provider.mine();
+    assert.equal((await manager.trackConfirmations()).confirmed, 1);
+    assert.deepEqual([(await stored(coin)).status, (await stored(coin)).spendConfirmations], ['confirmed_spent', 1]);
+
+    provider.reorg(1);
+    const summary = await manager.trackConfirmations();
+    assert.equal(summary.reorged, 1);
+    const reorged = await stored(coin);
+    assert.deepEqual([reorged.status, reorged.spentInTxid, reorged.spendConfirmations], ['spent', tx.id, 0]);
+    assert.equal(await lastReason(coin), 'spend_reorged');
+  });
+
+  test('a spend replaced by a conflicting transaction records the double spend', async () => {
+    const provider = new RegtestProvider({ startHeight: 700 });
+    const coin = await addCoin(provider);
+    const ours = await spendCoin(provider, coin);
+
+    provider.evict(ours.id);
+    const theirs = spend(coin);
+    await provider.broadcast(theirs.toString());
+
+    const summary = await track(provider).trackConfirmations();
+    assert.equal(summary.doubleSpent, 1);
+    assert.deepEqual([(await stored(coin)).status, (await stored(coin)).spentInTxid], ['spent', theirs.id]);
+    assert.equal(await lastReason(coin), 'double_spend');
+  });
+
+  test('a coin whose spend was evicted is available again', async () => {
+    const provider = new RegtestProvider({ startHeight: 800 });
+    const coin = await addCoin(provider);
+    const tx = await spendCoin(provider, coin);
+
+    provider.evict(tx.id);
+    const summary = await track(provider).trackConfirmations();
+
+    assert.equal(summary.restored, 1);
+    const restored = await stored(coin);
+    assert.deepEqual([restored.status, restored.spentInTxid], ['available', null]);
+    assert.equal(await lastReason(coin), 'spend_evicted');
+  });
+
+  test('unspent coins are checked from the wallet listing and spend lookups are limited per pass', async () => {
+    const provider = new RegtestProvider({ startHeight: 900 });
+    const coins = [];
+    for (let i = 0; i < 4; i++) coins.push(await addCoin(provider));
+
+    let lookups = 0;
+    const getSpentBy = provider.getSpentBy.bind(provider);
+    provider.getSpentBy = (txid, vout) => {
+      lookups++;
+      return getSpentBy(txid, vout);
+    };
+    const manager = track(provider, { spendCheckLimit: 1 });
+
+    assert.equal((await manager.trackConfirmations()).checked, 4);
+    assert.equal(lookups, 0);
+
+    // Spent elsewhere (say by another process holding the key), unknown to the database
+    for (const coin of coins.slice(0, 2)) {
+      await provider.broadcast(spend(coin).toString());
+    }
+
+    const first = await manager.trackConfirmations();
+    assert.deepEqual([first.spent, first.deferred, lookups], [1, 1, 1]);
+
+    const second = await manager.trackConfirmations();
+    assert.deepEqual([second.spent, second.deferred, lookups], [1, 0, 2]);
+    for (const coin of coins) {
+      assert.equal((await stored(coin)).status, coins.indexOf(coin) < 2 ? 'spent' : 'available');
+    }
+  });
+});
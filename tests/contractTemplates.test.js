@@ -0,0 +1,47 @@
+/**
+ * Built-in contract templates render to pinned contract hashes
+ * (tests/fixtures/contractTemplates.json), old versions included. A template or engine
+ * change that alters the text of an existing version breaks every attestation made
+ * with it; publish a new template version instead and add a fixture for it.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { AttestationManager, CONTRACT_TEMPLATES, PUBLISHED_TEMPLATE_VERSIONS } from '../src/attestation.js';
+import { renderTemplate, validateTemplate } from '../src/templateEngine.js';
+
+const fixtures = JSON.parse(await readFile(new URL('./fixtures/contractTemplates.json', import.meta.url), 'utf8'));
+const manager = new AttestationManager();
+
+test('every published built-in template version has a fixture', () => {
+  const published = Object.entries(CONTRACT_TEMPLATES).flatMap(([type, template]) => [
+    ...(PUBLISHED_TEMPLATE_VERSIONS[type] || []).map(({ version }) => `${type}@${version}`),
+    `${type}@${template.version}`
+  ]);
+
+  assert.deepEqual(
+    published.filter(id => !fixtures.some(({ templateType, version }) => `${templateType}@${version}` === id)),
+    []
+  );
+});
+
+for (const fixture of fixtures) {
+  test(`${fixture.templateType}@${fixture.version} renders its pinned contract_hash`, async () => {
+    const attestation = await manager.createAttestation(fixture.templateType, fixture.fields, {
+      templateVersion: fixture.version
+    });
+
+    assert.equal(attestation.payload.template_version, fixture.version);
+    assert.equal(attestation.payload.contract_hash, fixture.contract_hash);
+    assert.equal((await manager.verifyContractText(attestation)).verified, true);
+  });
+}
+
+test('rendering stays correct past the compiled template cache limit', () => {
+  for (let i = 0; i < 300; i++) {
+    assert.equal(renderTemplate(`#${i} {{name}}`, { name: 'x' }), `#${i} x`);
+  }
+  assert.equal(renderTemplate('#0 {{name}}', { name: 'y' }), '#0 y');
+  assert.equal(validateTemplate('{{#each}}').valid, false);
+});
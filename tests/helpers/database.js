@@ -0,0 +1,31 @@
+/**
+ * MongoDB for the suites that need one. They run against MONGODB_TEST_URI
+ * (a throwaway database, dropped afterwards) and are skipped when it is not set:
+ *
+ *   MONGODB_TEST_URI=mongodb://localhost:27017 npm test
+ */
+
+import { before, after } from 'node:test';
+import mongoose from 'mongoose';
+import { connectDatabase } from '../../database/schemas.js';
+
+export const TEST_DATABASE_URI = process.env.MONGODB_TEST_URI || null;
+
+// describe() options for database suites
+export const databaseSuite = TEST_DATABASE_URI ? {} : { skip: 'MONGODB_TEST_URI not set' };
+
+/**
+ * Connect before the suite's tests and drop the test database after them
+ */
+export function useTestDatabase() {
+  before(async () => {
+    process.env.MONGODB_URI = TEST_DATABASE_URI;
+    process.env.DB_NAME = `ai-records-test-${process.pid}`;
+    await connectDatabase();
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+}
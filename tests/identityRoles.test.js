@@ -0,0 +1,128 @@
+/**
+ * Registration roles (src/rolePermissions.js, api/identityAPI.js): privileged roles are
+ * never self-assigned, only granted by an admin, and a registration must come from the
+ * identity key its address derives from
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import bsv from 'smartledger-bsv';
+import { PRIVILEGED_ROLES, SELF_REGISTRATION_ROLES, getPermissionsForRole } from '../src/rolePermissions.js';
+import { databaseSuite, useTestDatabase } from './helpers/database.js';
+
+process.env.ATTESTATION_STORE = 'memory';
+process.env.AUTH_TOKEN_STORE = 'memory';
+process.env.WEBHOOK_STORE = 'memory';
+process.env.ATTESTATION_EXPIRY_SWEEP_MS = '0';
+process.env.WEBHOOK_RETRY_SWEEP_MS = '0';
+
+const { default: identityAPI } = await import('../api/identityAPI.js');
+const { tokenService } = await import('../api/authMiddleware.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/identity', identityAPI);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/identity`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const request = (method, path, body, token = null) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: { 'content-type': 'application/json', ...(token && { authorization: `Bearer ${token}` }) },
+  body: JSON.stringify(body)
+});
+
+const tokenFor = role => tokenService.issueTokens({
+  _id: `user_${role}`,
+  role,
+  cryptoIdentity: { address: bsv.PrivateKey.fromRandom().toAddress().toString() }
+}).accessToken;
+
+// Registration body as MusicIdentitySDK.signForAction builds it; these cases are refused before the signature is checked
+function registration({ role = 'artist', identityKey = bsv.PrivateKey.fromRandom(), signingKey = identityKey, address } = {}) {
+  const identity = identityKey.toPublicKey().toString();
+  return {
+    signedRegistration: {
+      payload: {
+        action: 'register-identity',
+        keyType: 'identity',
+        timestamp: new Date().toISOString(),
+        data: {
+          identityAddress: address || identityKey.toAddress().toString(),
+          publicKeys: { identity },
+          addresses: { identity: identityKey.toAddress().toString() },
+          userInfo: { email: 'new@example.com', role }
+        }
+      },
+      signature: 'H'.repeat(88),
+      publicKey: signingKey.toPublicKey().toString()
+    }
+  };
+}
+
+test('privileged roles cannot be chosen at registration', async () => {
+  assert.ok(PRIVILEGED_ROLES.every(role => !SELF_REGISTRATION_ROLES.includes(role)));
+  assert.ok(SELF_REGISTRATION_ROLES.every(role => !getPermissionsForRole(role).includes('admin_system')));
+
+  for (const role of PRIVILEGED_ROLES) {
+    const response = await request('POST', '/identity/register', registration({ role }));
+    assert.equal(response.status, 400, role);
+    assert.match(JSON.stringify((await response.json()).details), /role/);
+  }
+});
+
+test('the identity address and signing key must derive from publicKeys.identity', async () => {
+  const otherAddress = bsv.PrivateKey.fromRandom().toAddress().toString();
+
+  for (const body of [registration({ address: otherAddress }), registration({ signingKey: bsv.PrivateKey.fromRandom() })]) {
+    const response = await request('POST', '/identity/register', body);
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /must derive from publicKeys.identity/);
+  }
+});
+
+test('only an admin can grant a role', async () => {
+  const address = bsv.PrivateKey.fromRandom().toAddress().toString();
+
+  assert.equal((await request('PUT', `/identity/users/${address}/role`, { role: 'platform' })).status, 401);
+  assert.equal((await request('PUT', `/identity/users/${address}/role`, { role: 'platform' }, tokenFor('songwriter'))).status, 403);
+  assert.equal((await request('PUT', `/identity/users/${address}/role`, { role: 'root' }, tokenFor('system_admin'))).status, 400);
+});
+
+describe('role grants', databaseSuite, () => {
+  useTestDatabase();
+
+  test('an admin grants the platform role', async () => {
+    const { User } = await import('../database/schemas.js');
+    const address = bsv.PrivateKey.fromRandom().toAddress().toString();
+    await User.create({
+      userId: `user_${crypto.randomBytes(4).toString('hex')}`,
+      email: 'operator@example.com',
+      username: 'operator',
+      passwordHash: 'unused',
+      salt: 'unused',
+      profile: { firstName: 'Op', lastName: 'Erator' },
+      role: 'producer',
+      cryptoIdentity: { publicKey: bsv.PrivateKey.fromRandom().toPublicKey().toString(), address },
+      status: 'active'
+    });
+
+    const response = await request('PUT', `/identity/users/${address}/role`, { role: 'platform' }, tokenFor('system_admin'));
+    assert.equal(response.status, 200);
+    const { user } = await response.json();
+    assert.equal(user.role, 'system_admin');
+    assert.ok(user.permissions.includes('admin_system'));
+
+    const missing = await request('PUT', `/identity/users/${bsv.PrivateKey.fromRandom().toAddress()}/role`, { role: 'label' }, tokenFor('system_admin'));
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Lab compliance proofs (scripts/zk-proof.js LabLedgerZKProof)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LabLedgerZKProof } from '../scripts/zk-proof.js';
+
+const prove = (zk, value, threshold) => {
+  const { commitment, secret } = zk.generateComplianceCommitment(value, threshold, 'benzene', 'SAMPLE-1', 'test_1');
+  const { proof, metadata } = zk.generateComplianceProof(secret);
+  return { commitment, proof, metadata };
+};
+
+test('values at the threshold boundary prove the right side of it', () => {
+  const zk = new LabLedgerZKProof({ seed: 'lab-secret' });
+
+  const atLimit = prove(zk, 5.0, 5);
+  assert.equal(atLimit.proof.isCompliant, true);
+  assert.equal(zk.verifyComplianceProof(atLimit.commitment, atLimit.proof, atLimit.metadata), true);
+
+  const justOver = prove(zk, 5.0001, 5);
+  assert.equal(justOver.proof.isCompliant, false);
+  assert.equal(zk.verifyComplianceProof(justOver.commitment, justOver.proof, justOver.metadata), true);
+});
+
+test('values finer than the precision are refused instead of rounded into compliance', () => {
+  const zk = new LabLedgerZKProof({ seed: 'lab-secret', precision: 4 });
+
+  assert.throws(() => zk.generateComplianceCommitment(5.00004, 5, 'benzene', 'SAMPLE-1', 'test_1'), /more than 4 decimal places/);
+  assert.throws(() => zk.generateComplianceCommitment(1, 4.99996, 'benzene', 'SAMPLE-1', 'test_1'), /more than 4 decimal places/);
+
+  // Binary floating point is not extra precision
+  assert.equal(zk.toUnits(0.1 + 0.2), 3000);
+  assert.equal(zk.toUnits(1234.5678), 12345678);
+  assert.equal(new LabLedgerZKProof({ seed: 'lab-secret', precision: 5 }).toUnits(5.00004), 500004);
+});
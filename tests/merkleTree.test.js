@@ -0,0 +1,79 @@
+/**
+ * Merkle trees and audit entry inclusion proofs (src/merkleTree.js,
+ * OnChainAuditingSystem.verifyInclusionProof)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { hashLeaf, hashNode, buildMerkleTree, computeMerkleRoot, verifyMerklePath } from '../src/merkleTree.js';
+import OnChainAuditingSystem from '../src/onChainAuditing.js';
+
+const leaves = count => Array.from({ length: count }, (_, index) => hashLeaf({ entry: index }));
+
+test('every leaf proves inclusion, including promoted lone nodes', () => {
+  for (const count of [1, 2, 3, 5, 8, 13]) {
+    const tree = buildMerkleTree(leaves(count));
+
+    assert.equal(tree.leafCount, count);
+    for (const proof of tree.proofs) {
+      assert.ok(verifyMerklePath(proof.leafHash, proof.path, tree.root), `leaf ${proof.leafIndex} of ${count}`);
+    }
+  }
+});
+
+test('a lone node is promoted, not duplicated', () => {
+  const [a, b, c] = leaves(3);
+  const tree = buildMerkleTree([a, b, c]);
+
+  assert.equal(tree.root, hashNode(hashNode(a, b), c));
+  assert.deepEqual(tree.proofs[2].path, [{ hash: hashNode(a, b), position: 'left' }]);
+});
+
+test('leaf hashes do not depend on key order', () => {
+  assert.equal(hashLeaf({ b: 1, a: 2 }), hashLeaf({ a: 2, b: 1 }));
+  assert.notEqual(hashLeaf({ a: 1 }), hashLeaf({ a: '1' }));
+});
+
+test('a tampered path, position or leaf fails', () => {
+  const tree = buildMerkleTree(leaves(6));
+  const { leafHash, path } = tree.proofs[3];
+
+  assert.equal(computeMerkleRoot(leafHash, path), tree.root);
+  assert.equal(verifyMerklePath(leaves(7)[6], path, tree.root), false);
+  assert.equal(verifyMerklePath(leafHash, path.slice(1), tree.root), false);
+  assert.equal(verifyMerklePath(leafHash, [{ ...path[0], position: path[0].position === 'left' ? 'right' : 'left' }, ...path.slice(1)], tree.root), false);
+  assert.equal(verifyMerklePath(leafHash, [{ hash: 'zz', position: 'left' }], tree.root), false);
+  assert.throws(() => buildMerkleTree([]), /without leaves/);
+});
+
+test('an audit entry inclusion proof verifies without the rest of the batch', () => {
+  const entries = ['MUSIC_PLAY', 'MICRO_PAYMENT', 'ROYALTY_PAYMENT'].map((action, index) => ({
+    action,
+    entityType: 'song',
+    entityId: `song_${index}`,
+    userId: 'listener_1',
+    timestamp: new Date(Date.UTC(2025, 0, 1, 0, index)),
+    details: { amount: index },
+    merkle: { salt: `salt_${index}` }
+  }));
+  const leafData = entries.map(entry => OnChainAuditingSystem.getLeafData(entry));
+  const tree = buildMerkleTree(leafData.map(hashLeaf));
+  const proof = {
+    batchId: 'batch_1',
+    txid: 'ab'.repeat(32),
+    merkleRoot: tree.root,
+    leafHash: tree.proofs[1].leafHash,
+    leaf: leafData[1],
+    path: tree.proofs[1].path
+  };
+
+  assert.equal(OnChainAuditingSystem.verifyInclusionProof(proof).valid, true);
+  assert.equal(OnChainAuditingSystem.verifyInclusionProof(proof, { batchId: 'batch_1', merkleRoot: tree.root }).anchorValid, true);
+
+  const wrongAnchor = OnChainAuditingSystem.verifyInclusionProof(proof, { batchId: 'batch_1', merkleRoot: 'cd'.repeat(32) });
+  assert.equal(wrongAnchor.valid, false);
+
+  const edited = OnChainAuditingSystem.verifyInclusionProof({ ...proof, leaf: { ...proof.leaf, details: { amount: 100 } } });
+  assert.equal(edited.leafHashValid, false);
+  assert.equal(edited.valid, false);
+});
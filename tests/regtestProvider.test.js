@@ -0,0 +1,103 @@
+/**
+ * Offline blockchain provider (src/blockchainProvider.js RegtestProvider)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import bsv from 'smartledger-bsv';
+import { RegtestProvider, createBlockchainProvider } from '../src/blockchainProvider.js';
+
+const key = bsv.PrivateKey.fromRandom();
+const address = key.toAddress().toString();
+const other = bsv.PrivateKey.fromRandom().toAddress().toString();
+
+function spend(inputs, outputs, fee = 200) {
+  const tx = new bsv.Transaction().from(inputs.map(({ txid, vout, satoshis }) => ({
+    txid,
+    outputIndex: vout,
+    script: bsv.Script.buildPublicKeyHashOut(address).toHex(),
+    satoshis
+  })));
+  for (const [to, satoshis] of outputs) tx.to(to, satoshis);
+  return tx.fee(fee).sign(key);
+}
+
+test('funded outputs are confirmed and listed as unspent', async () => {
+  const provider = new RegtestProvider({ startHeight: 100 });
+  const coin = provider.fund(address, 10000);
+
+  assert.equal(await provider.getBlockHeight(), 101);
+  assert.deepEqual((await provider.getTransaction(coin.txid)).confirmations, 1);
+  assert.deepEqual((await provider.listUnspent(address)).map(({ txid, satoshis, confirmations }) => [txid, satoshis, confirmations]), [
+    [coin.txid, 10000, 1]
+  ]);
+  assert.deepEqual(await provider.listUnspent(other), []);
+});
+
+test('a broadcast spends its inputs in the mempool until mined', async () => {
+  const provider = new RegtestProvider();
+  const coin = provider.fund(address, 10000);
+  const tx = spend([coin], [[other, 4000], [address, 5800]]);
+
+  const txid = await provider.broadcast(tx.toString());
+  assert.equal(txid, tx.id);
+  assert.equal(await provider.getSpentBy(coin.txid, 0), txid);
+  assert.equal((await provider.getTransaction(txid)).blockHeight, null);
+  assert.equal((await provider.getTransaction(txid)).confirmations, 0);
+
+  const [funding, change] = await provider.listUnspent(address);
+  assert.deepEqual([funding.txid, funding.spentInMempool], [coin.txid, true]);
+  assert.deepEqual([change.txid, change.vout, change.satoshis, change.confirmations], [txid, 1, 5800, 0]);
+
+  provider.mine(3);
+  assert.equal((await provider.getTransaction(txid)).blockHeight, provider.height - 2);
+  assert.equal((await provider.getTransaction(txid)).confirmations, 3);
+  assert.deepEqual((await provider.listUnspent(address)).map(utxo => utxo.txid), [txid]);
+  assert.deepEqual((await provider.listUnspent(other)).map(utxo => utxo.satoshis), [4000]);
+});
+
+test('double spends and unknown inputs are rejected without changing state', async () => {
+  const provider = new RegtestProvider();
+  const coin = provider.fund(address, 10000);
+  const first = spend([coin], [[other, 9000]]);
+  const conflict = spend([coin], [[address, 9000]]);
+
+  await provider.broadcast(first.toString());
+  assert.equal(await provider.broadcast(first.toString()), first.id);
+  await assert.rejects(provider.broadcast(conflict.toString()), /already spent in/);
+  assert.equal(await provider.getTransaction(conflict.id), null);
+
+  const second = provider.fund(address, 5000);
+  const missing = spend([second, { txid: 'ab'.repeat(32), vout: 0, satoshis: 5000 }], [[other, 9000]]);
+  await assert.rejects(provider.broadcast(missing.toString()), /missing input/);
+  assert.equal(await provider.getSpentBy(second.txid, 0), null);
+});
+
+test('reorgs return transactions to the mempool and evictions undo them', async () => {
+  const provider = new RegtestProvider({ startHeight: 100 });
+  const coin = provider.fund(address, 10000);
+  const first = spend([coin], [[other, 9000]]);
+
+  await provider.broadcast(first.toString());
+  provider.mine();
+  assert.throws(() => provider.evict(first.id), /not in the mempool/);
+
+  assert.equal(provider.reorg(1), 101);
+  assert.equal((await provider.getTransaction(first.id)).confirmations, 0);
+  assert.equal((await provider.getTransaction(coin.txid)).confirmations, 1);
+
+  provider.evict(first.id);
+  assert.equal(await provider.getTransaction(first.id), null);
+  assert.equal(await provider.getSpentBy(coin.txid, 0), null);
+  assert.deepEqual(await provider.listUnspent(other), []);
+
+  // The coin is free for a conflicting spend now
+  const conflict = spend([coin], [[address, 9000]]);
+  assert.equal(await provider.broadcast(conflict.toString()), conflict.id);
+  assert.equal(await provider.getSpentBy(coin.txid, 0), conflict.id);
+});
+
+test('BSV_PROVIDER=regtest selects the offline provider', () => {
+  assert.ok(createBlockchainProvider({ type: 'regtest' }) instanceof RegtestProvider);
+  assert.throws(() => createBlockchainProvider({ type: 'nope' }), /nope/);
+});
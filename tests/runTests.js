@@ -0,0 +1,27 @@
+/**
+ * Test runner: `npm test` loads every tests/*.test.js; the files register
+ * their cases with node:test, which runs them and sets the exit code.
+ *
+ *   node tests/runTests.js            # all suites
+ *   node tests/runTests.js zkProof    # suites whose file name contains "zkProof"
+ */
+
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const testsDir = path.dirname(fileURLToPath(import.meta.url));
+const filter = process.argv[2] || '';
+
+const files = (await readdir(testsDir))
+  .filter(file => file.endsWith('.test.js') && file.includes(filter))
+  .sort();
+
+if (files.length === 0) {
+  console.error(`❌ No test files match "${filter}"`);
+  process.exit(1);
+}
+
+for (const file of files) {
+  await import(pathToFileURL(path.join(testsDir, file)).href);
+}
@@ -0,0 +1,125 @@
+/**
+ * Fan-out split trees (src/splitUtxos.js) against the offline RegtestProvider, and
+ * rolling back an unconfirmed tree (UTXOService.rollbackSplitChain)
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import bsv from 'smartledger-bsv';
+import { UTXOSplitter } from '../src/splitUtxos.js';
+import { RegtestProvider } from '../src/blockchainProvider.js';
+import { UTXOService } from '../database/services.js';
+import { UTXO } from '../database/schemas.js';
+import { createFeePolicy } from '../src/coinSelection.js';
+import { databaseSuite, useTestDatabase } from './helpers/database.js';
+
+const feePolicy = createFeePolicy({ satPerByte: 1 });
+
+// A splitter with in-memory wallets, so initialize() never touches ./wallets
+function createSplitter(provider) {
+  const fundingKey = bsv.PrivateKey.fromRandom();
+  const splitter = new UTXOSplitter({ provider });
+  splitter.fundingManager.wallet = { privateKey: fundingKey.toWIF(), address: fundingKey.toAddress().toString() };
+  splitter.publishingWallet = { address: bsv.PrivateKey.fromRandom().toAddress().toString() };
+  return splitter;
+}
+
+function fundSplitter(splitter, satoshis) {
+  const { address } = splitter.fundingManager.wallet;
+  return { ...splitter.provider.fund(address, satoshis), script: bsv.Script.buildPublicKeyHashOut(address).toHex() };
+}
+
+test('a plan splits leaves into at most fanOut outputs per transaction', () => {
+  const splitter = createSplitter(new RegtestProvider());
+  const tree = splitter.planFanOutTree(23, 25, { fanOut: 4, feePolicy });
+
+  const sizes = node => [node.children.length || node.leaves, ...node.children.flatMap(sizes)];
+  assert.ok(sizes(tree).every(outputs => outputs <= 4));
+  assert.deepEqual(tree.children.map(child => child.leaves), [16, 7]);
+  assert.equal(tree.value, tree.children.reduce((sum, child) => sum + child.value, 0) + tree.fee);
+
+  assert.deepEqual(splitter.planFanOutTree(3, 25, { fanOut: 4, feePolicy }).children, []);
+  assert.throws(() => splitter.planFanOutTree(10, 25, { fanOut: 1 }), /at least 2/);
+});
+
+test('every transaction of a built tree broadcasts and pays out the leaves', async () => {
+  const provider = new RegtestProvider();
+  const splitter = createSplitter(provider);
+  const tree = splitter.planFanOutTree(23, 25, { fanOut: 4, feePolicy });
+  const funding = fundSplitter(splitter, tree.value + 5000);
+
+  const nodes = splitter.buildFanOutTree(funding, tree, 25, { feePolicy });
+  for (const node of nodes) {
+    assert.equal(await provider.broadcast(node.tx.toString()), node.txid);
+  }
+
+  assert.equal(nodes[0].parentTxid, funding.txid);
+  assert.ok(nodes.slice(1).every(node => nodes.some(parent => parent.txid === node.parentTxid && parent.depth === node.depth - 1)));
+  assert.equal(await provider.getSpentBy(funding.txid, 0), nodes[0].txid);
+
+  const leaves = await provider.listUnspent(splitter.publishingWallet.address);
+  assert.equal(leaves.length, 23);
+  assert.ok(leaves.every(utxo => utxo.satoshis === 25));
+
+  // Only the root's change is left in the funding wallet
+  const change = (await provider.listUnspent(splitter.fundingManager.wallet.address)).filter(utxo => !utxo.spentInMempool);
+  assert.deepEqual(change.map(utxo => utxo.txid), [nodes[0].txid]);
+  assert.equal(change[0].satoshis, 5000 + tree.fee - nodes[0].tx.getFee());
+});
+
+describe('split trees in the UTXO pool', databaseSuite, () => {
+  useTestDatabase();
+
+  async function splitTree(provider) {
+    const splitter = createSplitter(provider);
+    const funding = fundSplitter(splitter, 100000);
+    await UTXOService.saveUTXOs([funding], splitter.fundingManager.wallet.address, 'blockchain_fetch', 'test');
+
+    const result = await splitter.splitFanOutTree(10, 25, { fanOut: 4, feePolicy });
+    return { splitter, funding, result };
+  }
+
+  test('a split tree records its leaves and spends its funding coin', async () => {
+    const provider = new RegtestProvider();
+    const { splitter, funding, result } = await splitTree(provider);
+
+    assert.deepEqual([result.broadcast, result.leaves, result.failed], [result.transactions, 10, []]);
+
+    const leaves = await UTXO.find({ walletAddress: splitter.publishingWallet.address, status: 'available' }).lean();
+    assert.equal(leaves.length, 10);
+    assert.ok(leaves.every(utxo => utxo.chainRootTxid === result.rootTxid && utxo.source === 'split_operation'));
+
+    const spent = await UTXO.findOne({ txid: funding.txid }).lean();
+    assert.deepEqual([spent.status, spent.spentInTxid], ['spent', result.rootTxid]);
+    assert.equal(await UTXO.countDocuments({ walletAddress: splitter.fundingManager.wallet.address, status: 'reserved' }), 0);
+  });
+
+  test('rolling back an unconfirmed tree orphans its outputs and restores the funding coin', async () => {
+    const provider = new RegtestProvider();
+    const { splitter, funding, result } = await splitTree(provider);
+
+    const chain = await UTXOService.getSplitChain(result.rootTxid);
+    assert.equal(chain.length, result.transactions);
+    assert.equal(chain[0], result.rootTxid);
+
+    const rollback = await splitter.rollbackFanOutTree(result.rootTxid);
+    assert.deepEqual(rollback.txids, chain);
+    assert.equal(rollback.restored, 1);
+    assert.equal(rollback.orphaned, await UTXO.countDocuments({ txid: { $in: chain } }));
+    assert.equal(await UTXO.countDocuments({ txid: { $in: chain }, status: { $ne: 'orphaned' } }), 0);
+    assert.equal((await UTXO.findOne({ txid: funding.txid }).lean()).status, 'available');
+
+    // Nothing left to undo the second time round
+    assert.deepEqual(await splitter.rollbackFanOutTree(result.rootTxid), { txids: chain, orphaned: 0, restored: 0 });
+  });
+
+  test('a tree with a mined transaction can no longer be rolled back', async () => {
+    const provider = new RegtestProvider();
+    const { splitter, funding, result } = await splitTree(provider);
+    provider.mine();
+
+    await assert.rejects(splitter.rollbackFanOutTree(result.rootTxid), /has confirmed/);
+    assert.equal((await UTXO.findOne({ txid: funding.txid }).lean()).status, 'spent');
+    assert.equal(await UTXO.countDocuments({ chainRootTxid: result.rootTxid, status: 'orphaned' }), 0);
+  });
+});
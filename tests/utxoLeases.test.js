@@ -0,0 +1,116 @@
+/**
+ * UTXO reservations under leases (database/services.js UTXOService): claims never hand
+ * one coin to two spenders, only the lease owner can release or spend, and expired
+ * leases return to the pool unless the coin was spent on chain
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { UTXOService } from '../database/services.js';
+import { UTXO } from '../database/schemas.js';
+import { p2pkhOutput, createFeePolicy } from '../src/coinSelection.js';
+import { databaseSuite, useTestDatabase } from './helpers/database.js';
+
+const SCRIPT = '76a914' + '11'.repeat(20) + '88ac';
+const newTxid = () => crypto.randomBytes(32).toString('hex');
+
+async function addCoins(walletAddress, ...values) {
+  const utxos = values.map(satoshis => ({ txid: newTxid(), vout: 0, satoshis, script: SCRIPT }));
+  await UTXOService.saveUTXOs(utxos, walletAddress, 'manual_add', 'test');
+  return utxos;
+}
+
+const statusOf = async ({ txid, vout }) => (await UTXO.findOne({ txid, vout }).lean()).status;
+
+describe('UTXO leases', databaseSuite, () => {
+  useTestDatabase();
+
+  test('concurrent claims never take the same coin', async () => {
+    const wallet = '1LeaseConcurrent';
+    await addCoins(wallet, 1000, 2000, 3000);
+
+    const claims = await Promise.all(Array.from({ length: 5 }, (_, i) => UTXOService.claimUTXO(wallet, 0, 'test', { owner: `owner_${i}` })));
+    const claimed = claims.filter(Boolean);
+
+    assert.equal(claimed.length, 3);
+    assert.equal(new Set(claimed.map(utxo => utxo.txid)).size, 3);
+    assert.ok(claimed.every(utxo => utxo.status === 'reserved' && utxo.leaseExpiresAt > new Date()));
+  });
+
+  test('claims honour the minimum amount and take the largest coin first', async () => {
+    const wallet = '1LeaseAmount';
+    await addCoins(wallet, 500, 5000, 900);
+
+    assert.equal((await UTXOService.claimUTXO(wallet, 600, 'test')).satoshis, 5000);
+    assert.equal((await UTXOService.claimUTXO(wallet, 600, 'test')).satoshis, 900);
+    assert.equal(await UTXOService.claimUTXO(wallet, 600, 'test'), null);
+  });
+
+  test('only the lease owner can release or spend a reservation', async () => {
+    const wallet = '1LeaseOwner';
+    const [coin, other] = await addCoins(wallet, 1000, 800);
+    await UTXOService.claimUTXO(wallet, 1000, 'test', { owner: 'publisher_a' });
+    await UTXOService.claimUTXO(wallet, 0, 'test', { owner: 'publisher_a' });
+
+    assert.equal(await UTXOService.releaseReservation(coin.txid, 0, 'publisher_b'), null);
+    assert.equal(await UTXOService.spendReservation(coin.txid, 0, 'publisher_b', newTxid()), null);
+    assert.equal(await statusOf(coin), 'reserved');
+
+    const spentIn = newTxid();
+    const spent = await UTXOService.spendReservation(coin.txid, 0, 'publisher_a', spentIn);
+    assert.deepEqual([spent.status, spent.spentInTxid, spent.reservedBy], ['spent', spentIn, null]);
+    assert.equal(await UTXOService.releaseReservation(coin.txid, 0, 'publisher_a'), null);
+
+    const released = await UTXOService.releaseReservation(other.txid, 0, 'publisher_a');
+    assert.deepEqual([released.status, released.leaseExpiresAt], ['available', null]);
+    assert.deepEqual(released.statusHistory.map(change => change.reason), ['reserved', 'released']);
+  });
+
+  test('reserveUTXOs is all or nothing', async () => {
+    const wallet = '1LeaseBatch';
+    const coins = await addCoins(wallet, 1000, 1000);
+
+    await assert.rejects(UTXOService.reserveUTXOs(wallet, 3, 'test', { owner: 'batch' }), /need 3, reserved 2/);
+    for (const coin of coins) assert.equal(await statusOf(coin), 'available');
+
+    assert.equal((await UTXOService.reserveUTXOs(wallet, 2, 'test', { owner: 'batch' })).length, 2);
+  });
+
+  test('getUTXOsForSpending reserves exactly the selected inputs', async () => {
+    const wallet = '1LeaseSelection';
+    await addCoins(wallet, 20000, 700, 900);
+
+    const selection = await UTXOService.getUTXOsForSpending(wallet, { outputs: [p2pkhOutput(5000)] }, {
+      feePolicy: createFeePolicy({ satPerByte: 1 }),
+      reserve: { owner: 'selection', leaseMs: 60 * 1000 }
+    });
+
+    assert.deepEqual(selection.inputs.map(utxo => [utxo.satoshis, utxo.reservedBy]), [[20000, 'selection']]);
+    assert.equal(await UTXO.countDocuments({ walletAddress: wallet, status: 'reserved' }), 1);
+  });
+
+  test('expired leases are reclaimed, or marked spent when the owner broadcast first', async () => {
+    const wallet = '1LeaseExpiry';
+    const [idle, broadcast, live] = await addCoins(wallet, 1000, 2000, 3000);
+    for (const coin of [idle, broadcast]) {
+      await UTXOService.leaseUTXO({ txid: coin.txid, vout: 0 }, 'test', { owner: 'crashed', leaseMs: 1000 });
+    }
+    await UTXOService.leaseUTXO({ txid: live.txid, vout: 0 }, 'test', { owner: 'alive', leaseMs: 60 * 60 * 1000 });
+
+    const spender = newTxid();
+    const result = await UTXOService.reclaimExpiredLeases(wallet, {
+      now: new Date(Date.now() + 5000),
+      getSpentBy: async txid => (txid === broadcast.txid ? spender : null)
+    });
+
+    assert.deepEqual(result, { reclaimed: 1, spent: 1 });
+    assert.equal(await statusOf(idle), 'available');
+    assert.equal(await statusOf(live), 'reserved');
+    const spent = await UTXO.findOne({ txid: broadcast.txid }).lean();
+    assert.deepEqual([spent.status, spent.spentInTxid, spent.statusHistory.at(-1).reason], ['spent', spender, 'lease_expired_spent']);
+
+    // The crashed owner can no longer release what the sweeper took back
+    assert.equal(await UTXOService.releaseReservation(idle.txid, 0, 'crashed'), null);
+  });
+});
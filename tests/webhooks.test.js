@@ -0,0 +1,89 @@
+/**
+ * Webhook delivery (src/webhooks.js WebhookDispatcher) to a real HTTP receiver:
+ * signed POSTs, a retry after a failed attempt, and the delivery log
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { WebhookDispatcher, verifyWebhookSignature, WEBHOOK_HEADERS } from '../src/webhooks.js';
+
+// Receiver answering each POST with the next status in `statuses` (then 204)
+async function startReceiver(statuses = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(statuses.shift() || 204).end();
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    received,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const header = (request, name) => request.headers[name.toLowerCase()];
+
+test('loopback receivers are refused unless their host is allowed', async () => {
+  const receiver = await startReceiver();
+  try {
+    await assert.rejects(
+      new WebhookDispatcher().createSubscription({ url: receiver.url, events: ['*'] }),
+      /loopback, private or link-local/
+    );
+
+    const allowed = new WebhookDispatcher({ allowedHosts: ['127.0.0.1'] });
+    const subscription = await allowed.createSubscription({ url: receiver.url, events: ['anchor.confirmed'] });
+    assert.equal(subscription.url, receiver.url);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('a failed delivery is retried and every attempt is signed and logged', async () => {
+  const receiver = await startReceiver([500]);
+  const dispatcher = new WebhookDispatcher({ allowedHosts: ['127.0.0.1'], backoffMs: 1 });
+  try {
+    const subscription = await dispatcher.createSubscription({ url: receiver.url, events: ['anchor.confirmed'] });
+    const data = { attestationId: 'att_1', txid: 'a'.repeat(64), confirmedAt: '2025-01-01T00:00:00.000Z' };
+
+    const [first] = await dispatcher.publish('anchor.confirmed', data);
+    assert.equal(first.status, 'retrying');
+    assert.deepEqual(first.attempts.map(({ statusCode, error }) => [statusCode, error]), [[500, 'HTTP 500']]);
+    assert.ok(first.nextAttemptAt > first.attempts[0].attemptedAt);
+
+    assert.equal(await dispatcher.retryDueDeliveries(new Date(Date.now() + 1000)), 1);
+    const delivery = await dispatcher.getDelivery(first.deliveryId);
+    assert.equal(delivery.status, 'delivered');
+    assert.ok(delivery.deliveredAt);
+    assert.deepEqual(delivery.attempts.map(({ statusCode, error }) => [statusCode, error]), [[500, 'HTTP 500'], [204, null]]);
+    assert.deepEqual((await dispatcher.listDeliveries({ subscriptionId: subscription.subscriptionId })).map(({ deliveryId }) => deliveryId), [first.deliveryId]);
+
+    assert.equal(receiver.received.length, 2);
+    for (const request of receiver.received) {
+      const signed = {
+        secret: subscription.secret,
+        body: request.body,
+        timestamp: header(request, WEBHOOK_HEADERS.timestamp),
+        signature: header(request, WEBHOOK_HEADERS.signature)
+      };
+      assert.equal(verifyWebhookSignature(signed), true);
+      assert.equal(verifyWebhookSignature({ ...signed, body: request.body.replace('att_1', 'att_2') }), false);
+      assert.equal(verifyWebhookSignature({ ...signed, secret: 'whsec_other' }), false);
+
+      assert.equal(header(request, WEBHOOK_HEADERS.event), 'anchor.confirmed');
+      assert.equal(header(request, WEBHOOK_HEADERS.delivery), first.deliveryId);
+      assert.equal(header(request, WEBHOOK_HEADERS.eventId), first.eventId);
+      assert.deepEqual(JSON.parse(request.body).data, data);
+    }
+  } finally {
+    await receiver.close();
+  }
+});
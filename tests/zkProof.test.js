@@ -0,0 +1,133 @@
+/**
+ * Attestation privacy proofs (src/blockchainAudit.js ZKProofPrivacyLayer)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AttestationManager } from '../src/attestation.js';
+import { ZKProofPrivacyLayer } from '../src/blockchainAudit.js';
+import { PedersenProofSystem, PEDERSEN_SCHEME, getVerificationKeyHash } from '../src/pedersenProofs.js';
+import { hashPayload } from '../src/canonicalJson.js';
+import { ZKProof } from '../database/schemas.js';
+
+const PROOF_SECRET = 'test-proof-secret';
+
+async function createSplitAttestation() {
+  const manager = new AttestationManager();
+  return manager.createAttestation('publishing-split', {
+    song_title: 'My Roots Return',
+    song_hash: '7f19e8bc9d4e6a2f1c5b8e9a3d7f2c1e9b5a8f4c',
+    parties: [
+      { name: 'Greg Ward', pubkey: '02ab1234567890abcdef1234567890abcdef1234567890abcdef1234567890abf3', split: 40 },
+      { name: 'Rosie Sanchez', pubkey: '03c81234567890abcdef1234567890abcdef1234567890abcdef1234567890ab1d', split: 40 },
+      { name: 'Axiom Kane', pubkey: '02df1234567890abcdef1234567890abcdef1234567890abcdef1234567890ab91', split: 20 }
+    ]
+  }, { subject: 'song:my-roots-return', action: 'publishing-split' });
+}
+
+// Re-seal a modified proof body the way createZKProof does, so only the claims can fail
+function seal(proofBody) {
+  const { proof_hash: _, ...body } = proofBody;
+  return { ...body, proof_hash: hashPayload(body).toString('hex') };
+}
+
+test('proof verifies and survives a round trip through the ZKProof model', async () => {
+  const attestation = await createSplitAttestation();
+  const layer = new ZKProofPrivacyLayer({ proofSecret: PROOF_SECRET });
+  const proof = await layer.generatePrivacyProof(attestation, 'basic', {
+    claims: [{ party: 0, min_percent: 25 }]
+  });
+
+  const record = layer.proofStorage.get(proof.proof_id);
+  const document = new ZKProof(ZKProofPrivacyLayer.toZKProofDocument(record));
+  assert.equal(document.validateSync(), undefined);
+
+  const restored = ZKProofPrivacyLayer.fromZKProofDocument(document.toObject());
+  assert.equal(restored.proof_id, proof.proof_id);
+  assert.deepEqual(restored.proof_data, proof.proof);
+
+  const result = ZKProofPrivacyLayer.verifyProofData(restored.proof_data, restored.verification_key, {
+    attestation_id: attestation.id,
+    contract_hash: attestation.metadata.contract_hash
+  });
+  assert.equal(result.reason, null);
+  assert.equal(result.valid, true);
+  assert.ok(result.claims.some(claim => claim.statement === 'party_holds_at_least' && claim.valid));
+});
+
+test('identical inputs produce identical proofs', async () => {
+  const attestation = await createSplitAttestation();
+  const first = await new ZKProofPrivacyLayer({ proofSecret: PROOF_SECRET }).generatePrivacyProof(attestation);
+  const second = await new ZKProofPrivacyLayer({ proofSecret: PROOF_SECRET }).generatePrivacyProof(attestation);
+
+  assert.equal(first.proof_id, second.proof_id);
+  assert.deepEqual(first.proof, second.proof);
+});
+
+test('tampered proofs are rejected', async () => {
+  const attestation = await createSplitAttestation();
+  const { proof, verification_key: key } = await new ZKProofPrivacyLayer({ proofSecret: PROOF_SECRET })
+    .generatePrivacyProof(attestation);
+
+  const edited = structuredClone(proof);
+  edited.claims[1].label = 'party:2';
+  assert.equal(ZKProofPrivacyLayer.verifyProofData(edited, key).reason, 'Proof hash mismatch');
+
+  // Swap two parties' range claims: each still verifies alone but no longer matches the sum
+  const swapped = structuredClone(proof);
+  [swapped.claims[1].commitment, swapped.claims[2].commitment] = [swapped.claims[2].commitment, swapped.claims[1].commitment];
+  assert.equal(ZKProofPrivacyLayer.verifyProofData(seal(swapped), key).valid, false);
+
+  const other = await createSplitAttestation();
+  assert.equal(
+    ZKProofPrivacyLayer.verifyProofData(proof, key, { attestation_id: other.id }).reason,
+    'Proof is bound to a different attestation'
+  );
+  assert.equal(ZKProofPrivacyLayer.verifyProofData(proof, 'not-the-key').valid, false);
+});
+
+test('a split with a negative share is rejected', () => {
+  const context = 'att_forged|contract_hash';
+  const prover = new PedersenProofSystem({ seed: 'forger' });
+  const split = [15000, -5000];
+  const labels = ['party:0', 'party:1'];
+  const sum = { statement: 'splits_sum_to_100', ...prover.proveSumEquals(split, labels, 10000, context) };
+  const range = index => ({
+    statement: 'split_non_negative',
+    party: index,
+    label: labels[index],
+    ...prover.proveRange(split[index], labels[index], 14, context)
+  });
+  const forge = claims => seal({ scheme: PEDERSEN_SCHEME, context, public_signals: {}, privacy_level: 'basic', claims });
+
+  // Leaving out the negative party's range claim
+  const missing = ZKProofPrivacyLayer.verifyProofData(forge([sum, range(0)]), getVerificationKeyHash());
+  assert.equal(missing.valid, false);
+  assert.equal(missing.reason, 'Split for party 1 has no range claim');
+
+  // ...and the prover will not produce one for it
+  assert.throws(() => range(1), /value outside/);
+});
+
+test('a proof without split commitments proves nothing and is rejected', async () => {
+  const context = 'att_empty|contract_hash';
+  const forge = claims => seal({ scheme: PEDERSEN_SCHEME, context, public_signals: {}, privacy_level: 'basic', claims });
+  const emptySum = { statement: 'splits_sum_to_100', type: 'sum_equals', total: 10000, commitments: [] };
+
+  for (const claims of [[], [emptySum]]) {
+    const result = ZKProofPrivacyLayer.verifyProofData(forge(claims), getVerificationKeyHash());
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'Proof contains no split commitments');
+  }
+
+  const manager = new AttestationManager();
+  const unsplit = await manager.createAttestation('publishing-split', {
+    song_title: 'No Splits',
+    song_hash: '7f19e8bc9d4e6a2f1c5b8e9a3d7f2c1e9b5a8f4c',
+    parties: [{ name: 'Greg Ward', pubkey: '02ab1234567890abcdef1234567890abcdef1234567890abcdef1234567890abf3' }]
+  }, { subject: 'song:no-splits', action: 'publishing-split' });
+  await assert.rejects(
+    new ZKProofPrivacyLayer({ proofSecret: PROOF_SECRET }).generatePrivacyProof(unsplit),
+    /no party splits to prove/
+  );
+});